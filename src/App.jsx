@@ -9,6 +9,7 @@ import MapView from './components/MapView'
 import About from './components/About'
 import Facilities from './components/Facilities'
 import Analytics from './components/Analytics'
+import FacilityImport from './components/FacilityImport'
 
 // Create a theme instance
 const theme = createTheme({
@@ -44,6 +45,7 @@ function App() {
             <Route path="/" element={<MapView selectedRegion={selectedRegion} />} />
             <Route path="/facilities" element={<Facilities selectedRegion={selectedRegion} />} />
             <Route path="/analytics" element={<Analytics selectedRegion={selectedRegion} />} />
+            <Route path="/import" element={<FacilityImport />} />
             <Route path="/about" element={<About />} />
           </Routes>
         </main>
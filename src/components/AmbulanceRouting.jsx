@@ -1,4 +1,4 @@
-import React, { useState, useEffect, useCallback } from 'react';
+import React, { useState, useEffect, useCallback, useRef } from 'react';
 import { 
   Box, 
   Paper, 
@@ -15,7 +15,12 @@ import {
   Snackbar,
   Chip,
   Card,
-  LinearProgress
+  LinearProgress,
+  ToggleButton,
+  ToggleButtonGroup,
+  Menu,
+  MenuItem,
+  TextField
 } from '@mui/material';
 import DirectionsIcon from '@mui/icons-material/Directions';
 import LocalHospitalIcon from '@mui/icons-material/LocalHospital';
@@ -24,12 +29,27 @@ import StraightIcon from '@mui/icons-material/Straight';
 import WarningIcon from '@mui/icons-material/Warning';
 import AccessTimeIcon from '@mui/icons-material/AccessTime';
 import SpeedIcon from '@mui/icons-material/Speed';
-import { GeoJSON, Marker, Popup, Polyline } from 'react-leaflet';
+import HomeIcon from '@mui/icons-material/Home';
+import NavigationIcon from '@mui/icons-material/Navigation';
+import UploadFileIcon from '@mui/icons-material/UploadFile';
+import StopIcon from '@mui/icons-material/Stop';
+import DownloadIcon from '@mui/icons-material/Download';
+import FlightIcon from '@mui/icons-material/Flight';
+import { GeoJSON, Marker, Popup, Polyline, CircleMarker, Tooltip as MapTooltip } from 'react-leaflet';
 import L from 'leaflet';
-import { calculateRoute, findNearestFacilities, createDirectRoute, getRouteDetails } from '../services/routingService';
+import { calculateMultiStopRoute, findNearestFacilities, checkGoldenHour } from '../services/routing';
 import { useMap } from 'react-leaflet';
 import 'leaflet-routing-machine';
-import { initializeOSRM } from '../services/osrmService';
+import { initializeOSRM, getOSRMStatus } from '../services/osrmService';
+import ElevationChart from './ElevationChart';
+import RouteInstructions from './RouteInstructions';
+import { SUPPORTED_LANGUAGES, getPreferredLanguage, setPreferredLanguage, getRouteInstructions } from '../services/instructions';
+import { createNavigation, updateNavigation, watchGPS, loadGPSTrack, playGPSTrack } from '../services/navigation';
+import { EXPORT_FORMATS, downloadRoute } from '../services/routeExport';
+import { VEHICLE_PROFILES, getPreferredVehicle, setPreferredVehicle } from '../services/vehicleProfiles';
+import { calculateAirRoute, compareWithRoad } from '../services/airRouting';
+import { isTraumaCapable } from '../services/goldenHour';
+import { HIGH_ALTITUDE_THRESHOLD } from '../services/elevation';
 import '../styles/routing.css';
 
 // Custom icon for snapped points
@@ -43,6 +63,32 @@ const snappedPointIcon = L.divIcon({
   iconAnchor: [12, 12]
 });
 
+// Colours for each leg of a multi-stop trip
+const LEG_COLORS = ['#1e88e5', '#e53935', '#8e24aa', '#fb8c00'];
+
+// Labels for the main route and its alternatives
+const ROUTE_OPTION_LABELS = ['A', 'B', 'C', 'D'];
+
+const GOLDEN_HOUR_COLORS = { within: 'success', 'at-risk': 'warning', exceeded: 'error' };
+
+const getGoldenHourText = ({ status, remaining }) => (
+  status === 'exceeded'
+    ? `Exceeded by ${Math.round(-remaining / 60)} min`
+    : `${Math.round(remaining / 60)} min to spare`
+);
+
+const ROAD_CLASS_LABELS = {
+  national_highway: 'NH',
+  state_highway: 'SH',
+  district_road: 'District road',
+  other_road: 'Other'
+};
+
+// Minimum gap between automatic reroutes while navigating
+const REROUTE_COOLDOWN = 15000; // ms
+// Recorded tracks are replayed faster than real time
+const SIMULATION_SPEEDUP = 5;
+
 // Error boundary component
 class RouteErrorBoundary extends React.Component {
   constructor(props) {
@@ -96,16 +142,54 @@ function LoadingOverlay() {
 // This component renders the route visuals on the map and must be inside MapContainer
 export function RouteMapLayer({ selectedRoute, routeDetails, snappedPoints }) {
   if (!selectedRoute || !routeDetails) return null;
+
+  const isTrip = routeDetails.legs?.length > 1;
   
   return (
     <>
-      <Polyline
-        positions={selectedRoute}
-        color="#FF4081"
-        weight={6}
-        opacity={0.7}
-        dashArray={routeDetails.directRoute ? "10, 10" : null}
-      />
+      {isTrip ? (
+        routeDetails.legs.map((leg, index) => (
+          <Polyline
+            key={`leg-${index}`}
+            positions={leg.geometry}
+            color={leg.color}
+            weight={6}
+            opacity={0.8}
+            dashArray={routeDetails.isDirect ? "10, 10" : null}
+          />
+        ))
+      ) : (
+        <Polyline
+          positions={selectedRoute}
+          color="#FF4081"
+          weight={6}
+          opacity={0.7}
+          dashArray={routeDetails.directRoute ? "10, 10" : null}
+        />
+      )}
+      {['origin', 'destination'].map(end => snappedPoints?.[end] && (
+        <React.Fragment key={`snapped-${end}`}>
+          <Polyline
+            positions={[snappedPoints[end].original, snappedPoints[end].point]}
+            pathOptions={{ color: '#4caf50', weight: 3, opacity: 0.9, dashArray: '4, 8' }}
+          />
+          <Marker position={snappedPoints[end].point} icon={snappedPointIcon}>
+            <MapTooltip direction="top">
+              {end === 'origin' ? 'Pickup' : 'Drop-off'} on road · {Math.round(snappedPoints[end].distance)} m walk/carry
+            </MapTooltip>
+          </Marker>
+        </React.Fragment>
+      ))}
+      {isTrip && routeDetails.stops.map((stop, index) => (
+        <CircleMarker
+          key={`stop-${index}`}
+          center={stop.position}
+          radius={7}
+          pathOptions={{ color: '#ffffff', weight: 2, fillColor: '#2e3a59', fillOpacity: 1 }}
+        >
+          <MapTooltip direction="top">{stop.name}</MapTooltip>
+        </CircleMarker>
+      ))}
       {routeDetails.directRoute && (
         <Alert 
           severity="warning" 
@@ -125,56 +209,127 @@ export function RouteMapLayer({ selectedRoute, routeDetails, snappedPoints }) {
   );
 }
 
+// Summary of one route option for the route card and map layer
+const buildRouteDetails = (routeData, facility, stopDetails) => ({
+  distance: routeData.distance.toFixed(2),
+  duration: Math.round(routeData.duration / 60),
+  facility,
+  isDirect: routeData.directRoute === true,
+  ascent: routeData.ascent,
+  descent: routeData.descent,
+  elevation: routeData.elevation || null,
+  providerName: routeData.providerName,
+  providerAttempts: routeData.providerAttempts || [],
+  vehicle: routeData.vehicle,
+  goldenHour: routeData.goldenHour || null,
+  closureConflicts: routeData.closureConflicts || [],
+  fromCache: routeData.fromCache === true,
+  cacheAge: routeData.cacheAge,
+  terrainDelay: routeData.providerDuration
+    ? Math.round((routeData.duration - routeData.providerDuration) / 60)
+    : 0,
+  stops: stopDetails,
+  legs: (routeData.legs || []).map((leg, index) => ({
+    distance: (leg.distance / 1000).toFixed(2),
+    duration: Math.round(leg.duration / 60),
+    geometry: leg.geometry || routeData.route,
+    steps: leg.steps || [],
+    color: LEG_COLORS[index % LEG_COLORS.length],
+    label: `${stopDetails[index]?.name} → ${stopDetails[index + 1]?.name}`
+  }))
+});
+
+// The main route followed by its alternatives, which share its provider details
+const getRouteOptions = (routeData) => {
+  const { alternatives = [], ...main } = routeData;
+  return [
+    main,
+    ...alternatives.map(alternative => ({
+      ...alternative,
+      providerName: main.providerName,
+      providerAttempts: main.providerAttempts,
+      vehicle: main.vehicle,
+      snappedPoints: main.snappedPoints,
+      fromCache: main.fromCache,
+      cacheAge: main.cacheAge
+    }))
+  ];
+};
+
 // Consolidate route calculation into a custom hook
-const useRouteCalculation = (map, onRouteCalculated) => {
+const useRouteCalculation = (map, onRouteCalculated, language, vehicle) => {
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
   const [selectedRoute, setSelectedRoute] = useState(null);
   const [routeDetails, setRouteDetails] = useState(null);
+  // Main route and alternatives; activeOption is the one shown and followed
+  const [routeOptions, setRouteOptions] = useState([]);
+  const [activeOption, setActiveOption] = useState(0);
   const [snackbar, setSnackbar] = useState({ open: false, message: '', severity: 'info' });
+  // Only the latest request may update state; earlier ones are aborted
+  const requestRef = useRef(null);
 
-  const calculateRoute = async (start, end, facility) => {
+  // Cancel any in-flight request when the component unmounts
+  useEffect(() => () => requestRef.current?.abort(), []);
+
+  const calculateRoute = async (start, end, facility, {
+    waypoints = [],
+    stopNames = [],
+    rerouting = false,
+    vehicle: routeVehicle = vehicle
+  } = {}) => {
     if (!start) {
       setError('Please select a starting point on the map');
       return;
     }
 
+    requestRef.current?.abort();
+    const controller = new AbortController();
+    requestRef.current = controller;
+
     try {
       setLoading(true);
       setError(null);
       
-      console.log("Calculating route from", start, "to", [end[0], end[1]]);
+      const stops = [start, ...waypoints, end];
+      console.log("Calculating route through", stops);
       
-      const routeData = await calculateRoute(start, end, {
-        profile: 'driving-car',
-        preference: 'fastest'
+      const routeData = await calculateMultiStopRoute(stops, {
+        vehicle: routeVehicle,
+        facility,
+        preference: 'fastest',
+        language,
+        signal: controller.signal
       });
 
+      // A newer request has replaced this one
+      if (controller.signal.aborted) return;
+
       if (!routeData.success) {
         throw new Error(routeData.error || 'Failed to calculate route');
       }
 
       console.log("Route calculation successful:", routeData);
 
-      const details = {
-        distance: routeData.distance.toFixed(2),
-        duration: Math.round(routeData.duration / 60),
-        facility,
-        isDirect: routeData.directRoute === true,
-        ascent: routeData.ascent,
-        descent: routeData.descent
-      };
+      const stopDetails = stops.map((position, index) => ({
+        position,
+        name: stopNames[index] || (index === stops.length - 1 ? facility.name : `Stop ${index + 1}`)
+      }));
+
+      const details = buildRouteDetails(routeData, facility, stopDetails);
 
       setSelectedRoute(routeData.route);
       setRouteDetails(details);
+      setRouteOptions(getRouteOptions(routeData));
+      setActiveOption(0);
 
       // Notify parent component
       if (onRouteCalculated) {
-        onRouteCalculated(routeData.route, details);
+        onRouteCalculated(routeData.route, details, routeData.snappedPoints);
       }
 
-      // Center map on route
-      if (map) {
+      // Center map on route, unless following the vehicle
+      if (map && !rerouting) {
         const bounds = L.latLngBounds(routeData.route);
         map.fitBounds(bounds, { padding: [50, 50] });
       }
@@ -184,11 +339,12 @@ const useRouteCalculation = (map, onRouteCalculated) => {
         open: true,
         message: routeData.directRoute 
           ? 'Using direct line route - actual road route could not be calculated. Distance is as the crow flies.'
-          : `Route calculated to ${facility.name}`,
+          : `${rerouting ? 'Rerouted' : 'Route calculated'} to ${facility.name}`,
         severity: routeData.directRoute ? 'warning' : 'success'
       });
 
     } catch (err) {
+      if (controller.signal.aborted) return;
       console.error('Route calculation error:', err);
       setError(err.message);
       setSnackbar({
@@ -197,18 +353,40 @@ const useRouteCalculation = (map, onRouteCalculated) => {
         severity: 'error'
       });
     } finally {
-      setLoading(false);
+      if (requestRef.current === controller) {
+        requestRef.current = null;
+        setLoading(false);
+      }
     }
   };
 
   const clearRoute = () => {
+    requestRef.current?.abort();
+    requestRef.current = null;
+    setLoading(false);
     setSelectedRoute(null);
     setRouteDetails(null);
+    setRouteOptions([]);
+    setActiveOption(0);
     if (onRouteCalculated) {
       onRouteCalculated(null, null);
     }
   };
 
+  // Make one of the alternatives the route shown, followed and exported
+  const selectRouteOption = (index) => {
+    const option = routeOptions[index];
+    if (!option || !routeDetails || index === activeOption) return;
+
+    const details = buildRouteDetails(option, routeDetails.facility, routeDetails.stops);
+    setActiveOption(index);
+    setSelectedRoute(option.route);
+    setRouteDetails(details);
+    if (onRouteCalculated) {
+      onRouteCalculated(option.route, details, option.snappedPoints);
+    }
+  };
+
   const closeSnackbar = () => {
     setSnackbar(prev => ({ ...prev, open: false }));
   };
@@ -216,32 +394,251 @@ const useRouteCalculation = (map, onRouteCalculated) => {
   return {
     loading,
     error,
+    setError,
     selectedRoute,
     routeDetails,
+    routeOptions,
+    activeOption,
+    selectRouteOption,
     snackbar,
+    setSnackbar,
     calculateRoute,
     clearRoute,
     closeSnackbar
   };
 };
 
+// Custom hook following the vehicle along the current route, from the
+// device GPS or a recorded track
+const useNavigation = (map, selectedRoute, routeDetails, onReroute) => {
+  const [navigation, setNavigation] = useState(null);
+  const [source, setSource] = useState(null);
+  const [navigationError, setNavigationError] = useState(null);
+  const stopRef = useRef(null);
+  const lastRerouteRef = useRef(0);
+  // Latest callback, so a reroute uses the current route and stops
+  const onRerouteRef = useRef(onReroute);
+  onRerouteRef.current = onReroute;
+
+  const stopNavigation = useCallback(() => {
+    stopRef.current?.();
+    stopRef.current = null;
+    setSource(null);
+    setNavigation(null);
+  }, []);
+
+  const handleFix = useCallback((fix) => {
+    setNavigation(current => (current ? updateNavigation(current, fix) : current));
+    map?.panTo([fix.lat, fix.lng], { animate: true });
+  }, [map]);
+
+  // A new route (e.g. after a reroute) restarts progress; clearing it ends navigation
+  useEffect(() => {
+    if (!selectedRoute || !routeDetails) {
+      stopNavigation();
+      return;
+    }
+    setNavigation(current => current && {
+      ...createNavigation({ route: selectedRoute, legs: routeDetails.legs }),
+      position: current.position
+    });
+  }, [selectedRoute, routeDetails, stopNavigation]);
+
+  useEffect(() => () => stopRef.current?.(), []);
+
+  // Recalculate from the vehicle's position once it has left the route; the
+  // cooldown keeps later fixes from starting another reroute straight away
+  const needsReroute = navigation?.needsReroute;
+  const position = navigation?.position;
+  const legIndex = navigation?.legIndex;
+  useEffect(() => {
+    if (!needsReroute || Date.now() - lastRerouteRef.current < REROUTE_COOLDOWN) return;
+    lastRerouteRef.current = Date.now();
+    console.log('[Navigation] Off route, rerouting from', position);
+    onRerouteRef.current(position, legIndex);
+  }, [needsReroute, position, legIndex]);
+
+  const start = (newSource, stop) => {
+    stopRef.current?.();
+    stopRef.current = stop;
+    setSource(newSource);
+    setNavigationError(null);
+  };
+
+  const startGPS = () => {
+    setNavigation(createNavigation({ route: selectedRoute, legs: routeDetails.legs }));
+    start('gps', watchGPS(handleFix, (error) => setNavigationError(error.message)));
+  };
+
+  const startSimulation = async (file) => {
+    const track = await loadGPSTrack(file);
+    if (!track.success) {
+      setNavigationError(`Could not read ${file.name}: ${track.error}`);
+      return;
+    }
+    setNavigation(createNavigation({ route: selectedRoute, legs: routeDetails.legs }));
+    start('track', playGPSTrack(track.fixes, handleFix, {
+      speedup: SIMULATION_SPEEDUP,
+      onEnd: () => console.log('[Navigation] Simulated track finished')
+    }));
+  };
+
+  return {
+    navigation,
+    source,
+    navigationError,
+    startGPS,
+    startSimulation,
+    stopNavigation
+  };
+};
+
 // Main component
 function AmbulanceRouting({ map, facilities, selectedPoint, targetFacility, onRouteCalculated }) {
   const [nearestFacilities, setNearestFacilities] = useState([]);
+  const [ambulanceBase, setAmbulanceBase] = useState(null);
+  const [osrmStatus, setOsrmStatus] = useState(getOSRMStatus);
+  const [language, setLanguage] = useState(getPreferredLanguage);
+  const [vehicle, setVehicle] = useState(getPreferredVehicle);
   
   const {
     loading,
     error,
+    setError,
     selectedRoute,
     routeDetails,
+    routeOptions,
+    activeOption,
+    selectRouteOption,
     snackbar,
+    setSnackbar,
     calculateRoute,
     clearRoute,
     closeSnackbar
-  } = useRouteCalculation(map, onRouteCalculated);
+  } = useRouteCalculation(map, onRouteCalculated, language, vehicle);
+
+  const changeLanguage = (event, value) => {
+    if (!value) return;
+    setLanguage(value);
+    setPreferredLanguage(value);
+  };
+
+  // A different vehicle may need a different road, so the current trip is routed again
+  const changeVehicle = (event) => {
+    const value = event.target.value;
+    setVehicle(value);
+    setPreferredVehicle(value);
 
-  // Update nearest facilities when selected point changes
+    if (routeDetails && !loading) {
+      const positions = routeDetails.stops.map(stop => stop.position);
+      calculateRoute(positions[0], positions[positions.length - 1], routeDetails.facility, {
+        waypoints: positions.slice(1, -1),
+        stopNames: routeDetails.stops.map(stop => stop.name),
+        vehicle: value
+      });
+    }
+  };
+
+  // Route again from the vehicle, through the stops not yet reached
+  const rerouteFrom = (position, legIndex) => {
+    if (!routeDetails || loading) return;
+    const remaining = routeDetails.stops.slice(legIndex + 1);
+    const destination = remaining[remaining.length - 1];
+    calculateRoute(position, destination.position, routeDetails.facility, {
+      waypoints: remaining.slice(0, -1).map(stop => stop.position),
+      stopNames: ['Ambulance', ...remaining.map(stop => stop.name)],
+      rerouting: true
+    });
+  };
+
+  const {
+    navigation,
+    source: navigationSource,
+    navigationError,
+    startGPS,
+    startSimulation,
+    stopNavigation
+  } = useNavigation(map, selectedRoute, routeDetails, rerouteFrom);
+  const trackInputRef = useRef(null);
+  const [exportAnchor, setExportAnchor] = useState(null);
+  const [airRoute, setAirRoute] = useState(null);
+  const [airLoading, setAirLoading] = useState(false);
+
+  // An air comparison only applies to the trip it was made for
+  useEffect(() => {
+    setAirRoute(null);
+  }, [routeDetails]);
+
+  // Check the golden hour whenever the trip may miss trauma care: the route
+  // ends somewhere other than a trauma centre or arrives late
+  const [goldenHourCheck, setGoldenHourCheck] = useState(null);
   useEffect(() => {
+    setGoldenHourCheck(null);
+    if (!selectedPoint || !routeDetails || facilities.length === 0) return;
+    if (isTraumaCapable(routeDetails.facility) && routeDetails.goldenHour?.status === 'within') return;
+
+    // Time spent reaching the patient counts against the golden hour
+    const elapsed = routeDetails.legs.slice(0, -1).reduce((sum, leg) => sum + leg.duration * 60, 0);
+    const controller = new AbortController();
+    checkGoldenHour(selectedPoint, facilities, { elapsed, vehicle, signal: controller.signal })
+      .then(result => {
+        if (!controller.signal.aborted) setGoldenHourCheck(result);
+      })
+      .catch(err => console.error("Error checking golden hour:", err));
+    return () => controller.abort();
+  }, [routeDetails, selectedPoint, facilities, vehicle]);
+
+  const compareAirAmbulance = async () => {
+    if (!selectedPoint || !routeDetails) return;
+    setAirLoading(true);
+    try {
+      const { facility } = routeDetails;
+      const air = await calculateAirRoute(selectedPoint, [facility.lat, facility.lng]);
+      // The helicopter flies patient to hospital, so compare it with the last road leg only
+      const roadLeg = routeDetails.legs.at(-1) || routeDetails;
+      setAirRoute(air.success
+        ? { ...air, ...compareWithRoad(air, roadLeg.duration * 60) }
+        : air);
+    } catch (err) {
+      setAirRoute({ success: false, error: err.message });
+    } finally {
+      setAirLoading(false);
+    }
+  };
+
+  const exportRouteAs = (format) => {
+    setExportAnchor(null);
+    // The active option is exported as the route, the others as its alternatives
+    const exportResult = {
+      ...routeOptions[activeOption],
+      alternatives: routeOptions.filter((option, index) => index !== activeOption)
+    };
+    const download = downloadRoute(exportResult, format, {
+      name: `Route to ${routeDetails.facility.name}`,
+      stops: routeDetails.stops
+    });
+    setSnackbar({
+      open: true,
+      message: download.success ? `Saved ${download.filename}` : `Export failed: ${download.error}`,
+      severity: download.success ? 'success' : 'error'
+    });
+  };
+
+  const handleTrackFile = (event) => {
+    const [file] = event.target.files;
+    event.target.value = '';
+    if (file) startSimulation(file);
+  };
+
+  const currentInstruction = navigation && routeDetails
+    ? getRouteInstructions(routeDetails, language)[navigation.stepIndex]
+    : null;
+
+  // Update nearest facilities when selected point changes, then reorder them
+  // by road travel time once the matrix comes back
+  useEffect(() => {
+    const controller = new AbortController();
+
     if (selectedPoint && facilities.length > 0) {
       try {
         console.log("Finding nearest facilities to:", selectedPoint);
@@ -252,6 +649,16 @@ function AmbulanceRouting({ map, facilities, selectedPoint, targetFacility, onRo
           ? "No healthcare facilities found near the selected location. Try selecting a different location closer to populated areas."
           : null
         );
+
+        if (nearest.length > 0) {
+          findNearestFacilities(selectedPoint, facilities, { rankBy: 'duration', signal: controller.signal })
+            .then(ranked => {
+              if (!controller.signal.aborted && ranked.length > 0) {
+                setNearestFacilities(ranked);
+              }
+            })
+            .catch(err => console.error("Error ranking facilities by drive time:", err));
+        }
       } catch (err) {
         console.error("Error finding nearest facilities:", err);
         setError(`Failed to find nearby facilities: ${err.message}`);
@@ -260,18 +667,57 @@ function AmbulanceRouting({ map, facilities, selectedPoint, targetFacility, onRo
     } else {
       setNearestFacilities([]);
     }
+
+    return () => controller.abort();
   }, [selectedPoint, facilities]);
 
+  // Route from the ambulance base (if set) via the patient to the facility
+  const routeToFacility = (facility) => {
+    const end = [facility.lat, facility.lng];
+    if (!ambulanceBase) {
+      calculateRoute(selectedPoint, end, facility, {
+        stopNames: ['Patient', facility.name]
+      });
+      return;
+    }
+
+    calculateRoute(ambulanceBase, end, facility, {
+      waypoints: [selectedPoint],
+      stopNames: ['Base', 'Patient', facility.name]
+    });
+  };
+
   // Calculate route when target facility is provided
   useEffect(() => {
     if (selectedPoint && targetFacility) {
-      calculateRoute(
-        selectedPoint,
-        [targetFacility.lat, targetFacility.lng],
-        targetFacility
-      );
+      routeToFacility(targetFacility);
     }
-  }, [selectedPoint, targetFacility]);
+  }, [selectedPoint, targetFacility, ambulanceBase]);
+
+  // Arrival time at the end of each leg, counted from now
+  const getLegArrivals = (legs) => {
+    let elapsed = 0;
+    return legs.map(leg => {
+      elapsed += leg.duration;
+      return getETAText(elapsed);
+    });
+  };
+
+  const getClimbText = (option) => {
+    const climb = option.elevation?.climb ?? option.ascent;
+    return typeof climb === 'number' ? `${Math.round(climb)} m` : 'unknown';
+  };
+
+  const getRoadClassText = (roadClasses = []) => {
+    if (roadClasses.length === 0) return 'road classes unknown';
+    return roadClasses
+      .map(({ roadClass, share }) => `${ROAD_CLASS_LABELS[roadClass] || roadClass} ${Math.round(share * 100)}%`)
+      .join(', ');
+  };
+
+  const formatNavigationDistance = (meters) => (
+    meters >= 1000 ? `${(meters / 1000).toFixed(1)} km` : `${Math.round(meters)} m`
+  );
 
   // Calculate ETA based on travel time
   const getETAText = (minutes) => {
@@ -321,120 +767,20 @@ function AmbulanceRouting({ map, facilities, selectedPoint, targetFacility, onRo
   const displayedFacilities = nearestFacilities;
 
   useEffect(() => {
-    // Initialize OSRM service when component mounts
-    initializeOSRM().catch(err => {
-      console.error('Failed to initialize OSRM:', err);
-      setError('Failed to initialize routing service');
+    let cancelled = false;
+
+    // Probe the OSRM servers when the component mounts
+    initializeOSRM().then(() => {
+      if (!cancelled) {
+        setOsrmStatus(getOSRMStatus());
+      }
     });
 
-    // Cleanup routing control on unmount
     return () => {
-      if (routingControl) {
-        map.removeControl(routingControl);
-      }
+      cancelled = true;
     };
   }, []);
 
-  useEffect(() => {
-    const calculateAndDisplayRoute = async () => {
-      // Clear previous route and error
-      if (routingControl) {
-        map.removeControl(routingControl);
-        setRoutingControl(null);
-      }
-      setError(null);
-
-      // Check if we have both points
-      if (!selectedPoint || !targetFacility) {
-        return;
-      }
-
-      setIsCalculating(true);
-
-      try {
-        // Calculate route using OSRM service
-        const result = await calculateRoute(
-          selectedPoint,
-          [targetFacility.lat, targetFacility.lng],
-          {
-            profile: 'car',
-            alternatives: true,
-            steps: true
-          }
-        );
-
-        if (!result.success) {
-          throw new Error(result.error || 'Failed to calculate route');
-        }
-
-        // Create route line
-        const routeLine = L.polyline(result.route, {
-          color: '#3388ff',
-          weight: 6,
-          opacity: 0.6
-        });
-
-        // Create alternative routes if available
-        const alternativeLines = result.alternatives.map(alt => 
-          L.polyline(alt.route, {
-            color: '#666',
-            weight: 4,
-            opacity: 0.4,
-            dashArray: '10,10'
-          })
-        );
-
-        // Create routing control
-        const control = L.control({ position: 'topright' });
-        
-        control.onAdd = () => {
-          const div = L.DomUtil.create('div', 'routing-info');
-          div.innerHTML = `
-            <div class="routing-box">
-              <h4>Route Information</h4>
-              <p>Distance: ${result.distance.toFixed(1)} km</p>
-              <p>Duration: ${Math.round(result.duration / 60)} minutes</p>
-              ${result.alternatives.length ? 
-                `<p>Alternative routes: ${result.alternatives.length}</p>` : 
-                ''}
-            </div>
-          `;
-          return div;
-        };
-
-        // Add routes to map
-        routeLine.addTo(map);
-        alternativeLines.forEach(line => line.addTo(map));
-        control.addTo(map);
-
-        // Store control for cleanup
-        setRoutingControl(control);
-
-        // Fit map bounds to show entire route
-        const bounds = routeLine.getBounds();
-        map.fitBounds(bounds, { padding: [50, 50] });
-
-        // Notify parent component
-        if (onRouteCalculated) {
-          onRouteCalculated({
-            route: result.route,
-            distance: result.distance,
-            duration: result.duration,
-            alternatives: result.alternatives
-          });
-        }
-
-      } catch (err) {
-        console.error('Route calculation failed:', err);
-        setError(err.message || 'Failed to calculate route');
-      } finally {
-        setIsCalculating(false);
-      }
-    };
-
-    calculateAndDisplayRoute();
-  }, [selectedPoint, targetFacility, map, onRouteCalculated]);
-
   return (
     <RouteErrorBoundary>
       {loading && <LoadingOverlay />}
@@ -486,8 +832,124 @@ function AmbulanceRouting({ map, facilities, selectedPoint, targetFacility, onRo
             <Typography variant="caption">
               Map: {map ? 'Available' : 'Not available'}
             </Typography>
+            <Typography variant="caption">
+              OSRM: {!osrmStatus.initialized
+                ? 'Checking servers...'
+                : osrmStatus.activeServer
+                  ? osrmStatus.activeServer.replace(/^https?:\/\//, '')
+                  : 'No server reachable'}
+            </Typography>
+          </Box>
+
+          <Box sx={{ mb: 2, display: 'flex', alignItems: 'center', gap: 1 }}>
+            <HomeIcon sx={{ fontSize: 20, color: '#1e88e5' }} />
+            <Typography variant="caption" color="text.secondary" sx={{ flexGrow: 1 }}>
+              {ambulanceBase
+                ? `Base: [${ambulanceBase[0].toFixed(4)}, ${ambulanceBase[1].toFixed(4)}]`
+                : 'No ambulance base set'}
+            </Typography>
+            {ambulanceBase ? (
+              <Button size="small" onClick={() => setAmbulanceBase(null)} sx={{ textTransform: 'none' }}>
+                Clear base
+              </Button>
+            ) : (
+              <Button
+                size="small"
+                disabled={!selectedPoint}
+                onClick={() => setAmbulanceBase(selectedPoint)}
+                sx={{ textTransform: 'none' }}
+              >
+                Set as ambulance base
+              </Button>
+            )}
           </Box>
 
+          <Box sx={{ mb: 2, display: 'flex', alignItems: 'center', justifyContent: 'space-between' }}>
+            <Typography variant="caption" color="text.secondary">
+              Directions language
+            </Typography>
+            <ToggleButtonGroup
+              size="small"
+              exclusive
+              value={language}
+              onChange={changeLanguage}
+            >
+              {SUPPORTED_LANGUAGES.map(({ code, name }) => (
+                <ToggleButton key={code} value={code} sx={{ py: 0.25, px: 1, textTransform: 'none' }}>
+                  {name}
+                </ToggleButton>
+              ))}
+            </ToggleButtonGroup>
+          </Box>
+
+          <TextField
+            select
+            fullWidth
+            size="small"
+            label="Vehicle"
+            value={vehicle}
+            onChange={changeVehicle}
+            helperText={VEHICLE_PROFILES[vehicle].description}
+            sx={{ mb: 2 }}
+          >
+            {Object.values(VEHICLE_PROFILES).map(profile => (
+              <MenuItem key={profile.id} value={profile.id}>
+                {profile.name}
+              </MenuItem>
+            ))}
+          </TextField>
+
+          {navigation && (
+            <Card
+              variant="outlined"
+              sx={{ mb: 2, p: 1.5, borderRadius: 2, bgcolor: navigation.offRoute ? '#fff3e0' : '#e3f2fd' }}
+            >
+              <Box sx={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', mb: 0.5 }}>
+                <Typography variant="caption" color="text.secondary">
+                  {navigationSource === 'gps' ? 'Navigating with GPS' : 'Replaying recorded track'}
+                </Typography>
+                <Button
+                  size="small"
+                  color="error"
+                  startIcon={<StopIcon />}
+                  onClick={stopNavigation}
+                  sx={{ textTransform: 'none' }}
+                >
+                  Stop
+                </Button>
+              </Box>
+              {!navigation.position ? (
+                <Typography variant="body2">Waiting for GPS position...</Typography>
+              ) : navigation.arrived ? (
+                <Typography variant="body1" fontWeight={600}>
+                  Arrived at {routeDetails?.facility.name}
+                </Typography>
+              ) : navigation.offRoute ? (
+                <Typography variant="body2" color="warning.dark">
+                  Off route ({Math.round(navigation.distanceFromRoute)} m from the road)
+                  {navigation.needsReroute ? ' - rerouting...' : ''}
+                </Typography>
+              ) : (
+                <>
+                  <Typography variant="body1" fontWeight={600} lang={language}>
+                    {currentInstruction?.instruction}
+                  </Typography>
+                  <Typography variant="caption" color="text.secondary" component="div">
+                    {formatNavigationDistance(navigation.distanceToStepEnd)} to next step ·{' '}
+                    {formatNavigationDistance(navigation.remainingDistance)},{' '}
+                    {Math.round(navigation.remainingDuration / 60)} min remaining
+                  </Typography>
+                </>
+              )}
+            </Card>
+          )}
+
+          {navigationError && (
+            <Alert severity="warning" sx={{ mb: 2 }}>
+              {navigationError}
+            </Alert>
+          )}
+
           {error && (
             <Alert 
               severity="error" 
@@ -548,10 +1010,31 @@ function AmbulanceRouting({ map, facilities, selectedPoint, targetFacility, onRo
                     </Box>
                   </Box>
                   
+                  {routeDetails.legs.length > 1 && (
+                    <Box sx={{ mb: 1 }}>
+                      {routeDetails.legs.map((leg, index) => (
+                        <Box
+                          key={leg.label}
+                          sx={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', mb: 0.5 }}
+                        >
+                          <Box sx={{ display: 'flex', alignItems: 'center' }}>
+                            <Box sx={{ width: 12, height: 4, mr: 1, borderRadius: 1, bgcolor: leg.color }} />
+                            <Typography variant="caption">
+                              {leg.label}
+                            </Typography>
+                          </Box>
+                          <Typography variant="caption" color="text.secondary">
+                            {leg.distance} km · {leg.duration} min · {getLegArrivals(routeDetails.legs)[index]}
+                          </Typography>
+                        </Box>
+                      ))}
+                    </Box>
+                  )}
+                  
                   <Box sx={{ my: 1.5 }}>
                     <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 0.5 }}>
                       <Typography variant="caption" color="text.secondary">
-                        ETA
+                        {routeDetails.legs.length > 1 ? 'ETA at hospital' : 'ETA'}
                       </Typography>
                       <Typography variant="body2" fontWeight={500}>
                         {getETAText(routeDetails.duration)}
@@ -569,8 +1052,186 @@ function AmbulanceRouting({ map, facilities, selectedPoint, targetFacility, onRo
                         sx={{ height: 20, fontSize: '0.7rem' }}
                       />
                     </Box>
+
+                    {routeDetails.goldenHour && (
+                      <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mt: 0.5 }}>
+                        <Typography variant="caption" color="text.secondary">
+                          Golden hour
+                        </Typography>
+                        <Chip 
+                          label={getGoldenHourText(routeDetails.goldenHour)}
+                          size="small"
+                          color={GOLDEN_HOUR_COLORS[routeDetails.goldenHour.status]}
+                          sx={{ height: 20, fontSize: '0.7rem' }}
+                        />
+                      </Box>
+                    )}
+                  </Box>
+
+                  {goldenHourCheck?.success && !goldenHourCheck.withinGoldenHour && (
+                    <Alert
+                      severity="error"
+                      variant="outlined"
+                      icon={<WarningIcon />}
+                      sx={{ mb: 1.5, py: 0, borderRadius: 1 }}
+                    >
+                      <Typography variant="caption" component="div" fontWeight={600}>
+                        Trauma care out of reach: {goldenHourCheck.trauma.facility.name} is {Math.round(goldenHourCheck.trauma.goldenHour.total / 60)} min from injury
+                      </Typography>
+                      {goldenHourCheck.stabilization ? (
+                        <>
+                          <Typography variant="caption" component="div">
+                            Stabilize at {goldenHourCheck.stabilization.facility.name} ({Math.round(goldenHourCheck.stabilization.duration / 60)} min)
+                          </Typography>
+                          {goldenHourCheck.stabilization.transferDuration !== null && (
+                            <Typography variant="caption" component="div">
+                              Then transfer to {goldenHourCheck.trauma.facility.name}: {Math.round(goldenHourCheck.stabilization.transferDuration / 60)} min, arriving after {Math.round(goldenHourCheck.stabilization.totalDuration / 60)} min
+                            </Typography>
+                          )}
+                        </>
+                      ) : (
+                        <Typography variant="caption" component="div">
+                          No emergency-capable Primary or Secondary facility nearby - consider the air ambulance
+                        </Typography>
+                      )}
+                    </Alert>
+                  )}
+                  
+                  {routeOptions.length > 1 && (
+                    <Box sx={{ mb: 1.5 }}>
+                      <Typography variant="caption" color="text.secondary" component="div" sx={{ mb: 0.5 }}>
+                        Compare routes
+                      </Typography>
+                      {routeOptions.map((option, index) => (
+                        <Box
+                          key={index}
+                          onClick={() => selectRouteOption(index)}
+                          sx={{
+                            p: 1,
+                            mb: 0.5,
+                            borderRadius: 1,
+                            cursor: 'pointer',
+                            border: '1px solid',
+                            borderColor: index === activeOption ? 'primary.main' : 'divider',
+                            bgcolor: index === activeOption ? 'rgba(30, 136, 229, 0.08)' : 'transparent'
+                          }}
+                        >
+                          <Box sx={{ display: 'flex', justifyContent: 'space-between' }}>
+                            <Typography variant="body2" fontWeight={600}>
+                              Route {ROUTE_OPTION_LABELS[index]}
+                            </Typography>
+                            <Typography variant="body2">
+                              {Math.round(option.duration / 60)} min · {option.distance.toFixed(1)} km
+                            </Typography>
+                          </Box>
+                          <Typography variant="caption" color="text.secondary" component="div">
+                            Climb {getClimbText(option)} · {getRoadClassText(option.roadClasses)}
+                          </Typography>
+                          {option.closureConflicts?.length > 0 && (
+                            <Typography variant="caption" color="error" component="div">
+                              Crosses closure: {option.closureConflicts.map(closure => closure.name).join(', ')}
+                            </Typography>
+                          )}
+                        </Box>
+                      ))}
+                    </Box>
+                  )}
+                  
+                  <Box sx={{ mb: 1.5 }}>
+                    {!airRoute ? (
+                      <Button
+                        variant="text"
+                        size="small"
+                        startIcon={airLoading ? <CircularProgress size={14} /> : <FlightIcon />}
+                        disabled={airLoading || !selectedPoint}
+                        onClick={compareAirAmbulance}
+                        sx={{ textTransform: 'none', px: 0 }}
+                      >
+                        Compare with air ambulance
+                      </Button>
+                    ) : airRoute.success ? (
+                      <Alert
+                        severity={airRoute.airFaster ? 'info' : 'success'}
+                        variant="outlined"
+                        icon={<FlightIcon />}
+                        sx={{ py: 0, borderRadius: 1 }}
+                      >
+                        <Typography variant="caption" component="div">
+                          Air: {Math.round(airRoute.duration / 60)} min via {airRoute.pickup.name} → {airRoute.dropoff.name}
+                          {airRoute.base && ` (helicopter from ${airRoute.base.name})`}
+                        </Typography>
+                        <Typography variant="caption" component="div" fontWeight={600}>
+                          {airRoute.airFaster
+                            ? `Air is ${Math.round(airRoute.timeSaved / 60)} min faster than road`
+                            : `Road is ${Math.round(-airRoute.timeSaved / 60)} min faster than air`}
+                        </Typography>
+                      </Alert>
+                    ) : (
+                      <Typography variant="caption" color="text.secondary" component="div">
+                        Air ambulance unavailable: {airRoute.error}
+                      </Typography>
+                    )}
                   </Box>
                   
+                  {routeDetails.elevation && (
+                    <>
+                      <ElevationChart elevation={routeDetails.elevation} />
+                      {routeDetails.elevation.highestPoint.elevation >= HIGH_ALTITUDE_THRESHOLD && (
+                        <Alert 
+                          severity="warning" 
+                          variant="outlined"
+                          sx={{ mt: 1, py: 0, borderRadius: 1 }}
+                        >
+                          <Typography variant="caption">
+                            Route reaches {Math.round(routeDetails.elevation.highestPoint.elevation)} m - plan oxygen for cardiac and respiratory patients
+                          </Typography>
+                        </Alert>
+                      )}
+                    </>
+                  )}
+                  
+                  {routeDetails.terrainDelay > 0 && (
+                    <Typography variant="caption" color="text.secondary" component="div">
+                      Includes {routeDetails.terrainDelay} min for gradient and bends
+                    </Typography>
+                  )}
+                  
+                  {routeDetails.providerName && (
+                    <Box sx={{ mt: 1 }}>
+                      <Typography variant="caption" color="text.secondary" component="div">
+                        Routed via {routeDetails.providerName}
+                        {routeDetails.vehicle && ` for ${VEHICLE_PROFILES[routeDetails.vehicle]?.name}`}
+                        {routeDetails.fromCache && ` · cached ${Math.round(routeDetails.cacheAge / 60000)} min ago`}
+                      </Typography>
+                      {routeDetails.providerAttempts
+                        .filter(attempt => attempt.status !== 'success')
+                        .map(attempt => (
+                          <Typography
+                            key={attempt.provider}
+                            variant="caption"
+                            color="text.secondary"
+                            component="div"
+                            sx={{ fontSize: '0.65rem' }}
+                          >
+                            {attempt.name}: {attempt.status} ({attempt.reason})
+                          </Typography>
+                        ))}
+                    </Box>
+                  )}
+                  
+                  {routeDetails.closureConflicts.length > 0 && (
+                    <Alert 
+                      severity="error" 
+                      variant="outlined"
+                      icon={<WarningIcon />}
+                      sx={{ mt: 1.5, py: 0, borderRadius: 1 }}
+                    >
+                      <Typography variant="caption">
+                        Route passes through closed road: {routeDetails.closureConflicts.map(closure => closure.name).join(', ')}
+                      </Typography>
+                    </Alert>
+                  )}
+                  
                   {routeDetails.isDirect && (
                     <Alert 
                       severity="warning" 
@@ -584,13 +1245,68 @@ function AmbulanceRouting({ map, facilities, selectedPoint, targetFacility, onRo
                     </Alert>
                   )}
                   
+                  {!navigation && (
+                    <Box sx={{ mt: 2, display: 'flex', gap: 1 }}>
+                      <Button
+                        variant="contained"
+                        size="small"
+                        startIcon={<NavigationIcon />}
+                        onClick={startGPS}
+                        sx={{ flexGrow: 1, textTransform: 'none' }}
+                      >
+                        Navigate
+                      </Button>
+                      <Tooltip title="Replay a recorded GPS track (GPX, GeoJSON or CSV)">
+                        <Button
+                          variant="outlined"
+                          size="small"
+                          startIcon={<UploadFileIcon />}
+                          onClick={() => trackInputRef.current?.click()}
+                          sx={{ textTransform: 'none' }}
+                        >
+                          Simulate
+                        </Button>
+                      </Tooltip>
+                      <input
+                        ref={trackInputRef}
+                        type="file"
+                        accept=".gpx,.geojson,.json,.csv,.txt"
+                        hidden
+                        onChange={handleTrackFile}
+                      />
+                    </Box>
+                  )}
+                  
+                  <Button
+                    variant="outlined"
+                    size="small"
+                    fullWidth
+                    startIcon={<DownloadIcon />}
+                    disabled={routeOptions.length === 0}
+                    onClick={(event) => setExportAnchor(event.currentTarget)}
+                    sx={{ mt: 1, textTransform: 'none' }}
+                  >
+                    Export Route
+                  </Button>
+                  <Menu
+                    anchorEl={exportAnchor}
+                    open={Boolean(exportAnchor)}
+                    onClose={() => setExportAnchor(null)}
+                  >
+                    {Object.entries(EXPORT_FORMATS).map(([format, { label }]) => (
+                      <MenuItem key={format} dense onClick={() => exportRouteAs(format)}>
+                        {label}
+                      </MenuItem>
+                    ))}
+                  </Menu>
+                  
                   <Button
                     variant="outlined"
                     size="small"
                     fullWidth
                     startIcon={<DeleteIcon />}
                     onClick={clearRoute}
-                    sx={{ mt: 2, textTransform: 'none' }}
+                    sx={{ mt: 1, textTransform: 'none' }}
                   >
                     Clear Route
                   </Button>
@@ -658,6 +1374,7 @@ function AmbulanceRouting({ map, facilities, selectedPoint, targetFacility, onRo
                                   mt: 0.5 
                                 }}>
                                   <Typography variant="caption" color="text.secondary">
+                                    {facility.driveDuration != null && `${Math.round(facility.driveDuration / 60)} min drive · `}
                                     {facility.distance.toFixed(2)} km away
                                   </Typography>
                                   
@@ -667,7 +1384,7 @@ function AmbulanceRouting({ map, facilities, selectedPoint, targetFacility, onRo
                                       color="primary"
                                       onClick={() => {
                                         console.log("Calculate route button clicked for:", facility);
-                                        calculateRoute(selectedPoint, [facility.lat, facility.lng], facility);
+                                        routeToFacility(facility);
                                       }}
                                       sx={{ 
                                         borderRadius: 1, 
@@ -722,6 +1439,66 @@ function AmbulanceRouting({ map, facilities, selectedPoint, targetFacility, onRo
         </Paper>
       </Box>
 
+      {routeDetails && !loading && (
+        <RouteInstructions
+          route={routeDetails}
+          language={language}
+          activeStep={navigation?.position ? navigation.stepIndex : null}
+        />
+      )}
+
+      {routeOptions.map((option, index) => index !== activeOption && (
+        <Polyline
+          key={`option-${index}`}
+          positions={option.route}
+          pathOptions={{ color: '#757575', weight: 5, opacity: 0.6, dashArray: '10, 10' }}
+          eventHandlers={{ click: () => selectRouteOption(index) }}
+        >
+          <MapTooltip sticky>
+            Route {ROUTE_OPTION_LABELS[index]} · {Math.round(option.duration / 60)} min · {option.distance.toFixed(1)} km
+          </MapTooltip>
+        </Polyline>
+      ))}
+
+      {airRoute?.success && (
+        <>
+          {airRoute.legs.map((leg, index) => (
+            <Polyline
+              key={`air-${index}`}
+              positions={leg.geometry}
+              pathOptions={leg.mode === 'air'
+                ? { color: '#8e24aa', weight: 4, opacity: 0.9, dashArray: '2, 8' }
+                : { color: '#8e24aa', weight: 2, opacity: 0.6, dashArray: '4, 6' }}
+            />
+          ))}
+          {[airRoute.pickup, airRoute.dropoff].map(helipad => (
+            <CircleMarker
+              key={helipad.id}
+              center={[helipad.lat, helipad.lng]}
+              radius={7}
+              pathOptions={{ color: '#ffffff', weight: 2, fillColor: '#8e24aa', fillOpacity: 1 }}
+            >
+              <MapTooltip direction="top">{helipad.name}</MapTooltip>
+            </CircleMarker>
+          ))}
+        </>
+      )}
+
+      {navigation?.position && (
+        <CircleMarker
+          center={navigation.position}
+          radius={9}
+          pathOptions={{
+            color: '#ffffff',
+            weight: 3,
+            fillColor: navigation.offRoute ? '#fb8c00' : '#1e88e5',
+            fillOpacity: 1
+          }}
+        >
+          <MapTooltip direction="top">Ambulance</MapTooltip>
+        </CircleMarker>
+      )}
+
       {/* Snackbar for notifications */}
       <Snackbar
         open={snackbar.open}
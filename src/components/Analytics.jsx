@@ -11,7 +11,9 @@ import {
   CardContent,
   LinearProgress,
   Tooltip,
-  Alert
+  Alert,
+  ToggleButton,
+  ToggleButtonGroup
 } from '@mui/material';
 import AnalyticsIcon from '@mui/icons-material/Analytics';
 import LocalHospitalIcon from '@mui/icons-material/LocalHospital';
@@ -19,8 +21,19 @@ import AccessTimeIcon from '@mui/icons-material/AccessTime';
 import PeopleIcon from '@mui/icons-material/People';
 import RouteIcon from '@mui/icons-material/Route';
 import { calculateAnalytics } from '../services/analytics';
-import { fetchHealthcareFacilities, calculateFacilityStats } from '../services/facilities';
-import { calculateHaversineDistance } from '../services/routing';
+import { loadFacilityDataset, subscribeToFacilities } from '../services/facilities';
+import FacilityDataStatus from './FacilityDataStatus';
+import { IPHS_LEVELS, OUTSIDE_IPHS } from '../services/iphs';
+
+// Rows of the facility distribution for each grouping
+const DISTRIBUTION_ROWS = {
+  type: [['Primary', 'Primary'], ['Secondary', 'Secondary'], ['Tertiary', 'Tertiary']],
+  level: [
+    ...IPHS_LEVELS.map(level => [level.id, `${level.name} (${level.id})`]),
+    [OUTSIDE_IPHS, 'Outside IPHS'],
+    ['unclassified', 'Unclassified']
+  ]
+};
 
 // Helper function to get color based on score
 const getColorByScore = (score) => {
@@ -64,24 +77,46 @@ function Analytics({ selectedRegion }) {
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [analytics, setAnalytics] = useState(null);
+  const [grouping, setGrouping] = useState('type');
 
   useEffect(() => {
-    const fetchData = async () => {
+    let active = true;
+    // Dataset the dashboard was calculated from
+    let shown = null;
+
+    // Only the first calculation shows the spinner; refreshes update in place
+    const showDataset = async (dataset) => {
+      if (dataset === shown) return;
+      shown = dataset;
       try {
-        setLoading(true);
-        setError(null);
-        const data = await calculateAnalytics();
+        const data = await calculateAnalytics(dataset);
         console.log('Analytics data:', data);
+        if (!active) return;
         setAnalytics(data);
+        setError(null);
       } catch (err) {
         console.error('Error fetching analytics:', err);
-        setError('Failed to load analytics data. Please try again later.');
+        if (active) setError('Failed to load analytics data. Please try again later.');
       } finally {
-        setLoading(false);
+        if (active) setLoading(false);
       }
     };
 
-    fetchData();
+    // Loading the dataset may broadcast the same one it returns, which is skipped
+    const unsubscribe = subscribeToFacilities(showDataset);
+    loadFacilityDataset()
+      .then(showDataset)
+      .catch(err => {
+        console.error('Error fetching analytics:', err);
+        if (!active) return;
+        setError('Failed to load analytics data. Please try again later.');
+        setLoading(false);
+      });
+
+    return () => {
+      active = false;
+      unsubscribe();
+    };
   }, []);
 
   if (loading) {
@@ -113,23 +148,31 @@ function Analytics({ selectedRegion }) {
       <Typography variant="h5" gutterBottom>
         Healthcare Analytics Dashboard
       </Typography>
+      <FacilityDataStatus dataset={analytics.dataset} sx={{ mb: 2 }} />
       
       <Grid container spacing={2}>
         {/* Facility Distribution */}
         <Grid item xs={12} md={6}>
           <Paper sx={{ p: 2 }}>
-            <Typography variant="h6" gutterBottom>
-              Facility Distribution
-            </Typography>
-            <Typography variant="body2" gutterBottom>
-              Primary: {analytics.totalFacilities.Primary || 0}
-            </Typography>
-            <Typography variant="body2" gutterBottom>
-              Secondary: {analytics.totalFacilities.Secondary || 0}
-            </Typography>
-            <Typography variant="body2" gutterBottom>
-              Tertiary: {analytics.totalFacilities.Tertiary || 0}
-            </Typography>
+            <Box sx={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', mb: 1 }}>
+              <Typography variant="h6">
+                Facility Distribution
+              </Typography>
+              <ToggleButtonGroup
+                size="small"
+                exclusive
+                value={grouping}
+                onChange={(e, value) => value && setGrouping(value)}
+              >
+                <ToggleButton value="type">Type</ToggleButton>
+                <ToggleButton value="level">IPHS level</ToggleButton>
+              </ToggleButtonGroup>
+            </Box>
+            {DISTRIBUTION_ROWS[grouping].map(([key, label]) => (
+              <Typography key={key} variant="body2" gutterBottom>
+                {label}: {(grouping === 'type' ? analytics.totalFacilities : analytics.facilitiesByLevel)[key] || 0}
+              </Typography>
+            ))}
           </Paper>
         </Grid>
 
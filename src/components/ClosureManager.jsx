@@ -0,0 +1,242 @@
+import React, { useRef, useState } from 'react';
+import {
+  Box,
+  Paper,
+  Typography,
+  Button,
+  IconButton,
+  TextField,
+  Select,
+  MenuItem,
+  FormControl,
+  InputLabel,
+  List,
+  ListItem,
+  ListItemText,
+  Chip,
+  Alert,
+  Collapse
+} from '@mui/material';
+import BlockIcon from '@mui/icons-material/Block';
+import DeleteIcon from '@mui/icons-material/Delete';
+import UploadFileIcon from '@mui/icons-material/UploadFile';
+import ExpandMoreIcon from '@mui/icons-material/ExpandMore';
+import ExpandLessIcon from '@mui/icons-material/ExpandLess';
+import {
+  CLOSURE_REASONS,
+  addClosure,
+  removeClosure,
+  importClosures,
+  isClosureActive
+} from '../services/closures';
+
+const emptyForm = { name: '', reason: 'landslide', validFrom: '', validUntil: '' };
+
+// Convert a datetime-local input value to ISO, keeping empty values open-ended
+const toISO = (value) => (value ? new Date(value).toISOString() : null);
+
+const formatUntil = (closure) => {
+  if (!closure.validUntil) return 'until removed';
+  return `until ${new Date(closure.validUntil).toLocaleString([], {
+    day: 'numeric',
+    month: 'short',
+    hour: '2-digit',
+    minute: '2-digit'
+  })}`;
+};
+
+// Panel for drawing, importing and removing road closures
+function ClosureManager({ closures, draft, onStartDraft, onCancelDraft, onUndoPoint }) {
+  const [expanded, setExpanded] = useState(false);
+  const [form, setForm] = useState(emptyForm);
+  const [message, setMessage] = useState(null);
+  const fileInputRef = useRef(null);
+
+  const activeCount = closures.filter(closure => isClosureActive(closure)).length;
+  const minPoints = draft?.type === 'Polygon' ? 3 : 2;
+  const canSave = draft && draft.points.length >= minPoints;
+
+  const handleSave = () => {
+    const coordinates = draft.points.map(([lat, lng]) => [lng, lat]);
+    const result = addClosure({
+      name: form.name || 'Road closure',
+      reason: form.reason,
+      validFrom: toISO(form.validFrom),
+      validUntil: toISO(form.validUntil),
+      geometry: draft.type === 'Polygon'
+        ? { type: 'Polygon', coordinates: [coordinates] }
+        : { type: 'LineString', coordinates }
+    });
+
+    if (!result.success) {
+      setMessage({ severity: 'error', text: result.error });
+      return;
+    }
+
+    setMessage({ severity: 'success', text: `Added closure "${result.closure.name}"` });
+    setForm(emptyForm);
+    onCancelDraft();
+  };
+
+  const handleImport = async (event) => {
+    const file = event.target.files?.[0];
+    event.target.value = '';
+    if (!file) return;
+
+    try {
+      const result = importClosures(JSON.parse(await file.text()));
+      setMessage(result.success
+        ? { severity: 'success', text: `Imported ${result.imported.length} closure(s)${result.skipped ? `, skipped ${result.skipped}` : ''}` }
+        : { severity: 'error', text: result.error });
+    } catch (error) {
+      console.error('[ClosureManager] Import failed:', error);
+      setMessage({ severity: 'error', text: 'Could not read GeoJSON file' });
+    }
+  };
+
+  return (
+    <Paper
+      elevation={3}
+      sx={{
+        position: 'absolute',
+        bottom: 70,
+        left: 20,
+        zIndex: 1000,
+        p: 1.5,
+        width: 300,
+        maxHeight: '45vh',
+        overflow: 'auto'
+      }}
+    >
+      <Box sx={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between' }}>
+        <Typography variant="subtitle2" sx={{ display: 'flex', alignItems: 'center' }}>
+          <BlockIcon sx={{ mr: 1, fontSize: 18, color: '#d32f2f' }} />
+          Road Closures
+        </Typography>
+        <Box sx={{ display: 'flex', alignItems: 'center' }}>
+          <Chip
+            label={`${activeCount} active`}
+            size="small"
+            color={activeCount > 0 ? 'error' : 'default'}
+            sx={{ height: 20, fontSize: '0.7rem' }}
+          />
+          <IconButton size="small" onClick={() => setExpanded(!expanded)}>
+            {expanded ? <ExpandLessIcon fontSize="small" /> : <ExpandMoreIcon fontSize="small" />}
+          </IconButton>
+        </Box>
+      </Box>
+
+      <Collapse in={expanded || Boolean(draft)}>
+        {message && (
+          <Alert severity={message.severity} onClose={() => setMessage(null)} sx={{ mt: 1, py: 0 }}>
+            {message.text}
+          </Alert>
+        )}
+
+        {draft ? (
+          <Box sx={{ mt: 1, display: 'flex', flexDirection: 'column', gap: 1 }}>
+            <Typography variant="caption" color="text.secondary">
+              Click the map to add points ({draft.points.length} so far, at least {minPoints} needed)
+            </Typography>
+            <TextField
+              size="small"
+              label="Description"
+              value={form.name}
+              onChange={(e) => setForm({ ...form, name: e.target.value })}
+            />
+            <FormControl size="small">
+              <InputLabel>Reason</InputLabel>
+              <Select
+                value={form.reason}
+                label="Reason"
+                onChange={(e) => setForm({ ...form, reason: e.target.value })}
+              >
+                {CLOSURE_REASONS.map(reason => (
+                  <MenuItem key={reason} value={reason} sx={{ textTransform: 'capitalize' }}>
+                    {reason}
+                  </MenuItem>
+                ))}
+              </Select>
+            </FormControl>
+            <TextField
+              size="small"
+              type="datetime-local"
+              label="Closed from"
+              InputLabelProps={{ shrink: true }}
+              value={form.validFrom}
+              onChange={(e) => setForm({ ...form, validFrom: e.target.value })}
+            />
+            <TextField
+              size="small"
+              type="datetime-local"
+              label="Reopens at"
+              InputLabelProps={{ shrink: true }}
+              value={form.validUntil}
+              onChange={(e) => setForm({ ...form, validUntil: e.target.value })}
+            />
+            <Box sx={{ display: 'flex', gap: 1 }}>
+              <Button size="small" variant="contained" disabled={!canSave} onClick={handleSave}>
+                Save
+              </Button>
+              <Button size="small" disabled={draft.points.length === 0} onClick={onUndoPoint}>
+                Undo point
+              </Button>
+              <Button size="small" color="inherit" onClick={onCancelDraft}>
+                Cancel
+              </Button>
+            </Box>
+          </Box>
+        ) : (
+          <>
+            <Box sx={{ mt: 1, display: 'flex', gap: 1, flexWrap: 'wrap' }}>
+              <Button size="small" variant="outlined" onClick={() => onStartDraft('LineString')} sx={{ textTransform: 'none' }}>
+                Draw road segment
+              </Button>
+              <Button size="small" variant="outlined" onClick={() => onStartDraft('Polygon')} sx={{ textTransform: 'none' }}>
+                Draw area
+              </Button>
+              <Button
+                size="small"
+                startIcon={<UploadFileIcon />}
+                onClick={() => fileInputRef.current?.click()}
+                sx={{ textTransform: 'none' }}
+              >
+                Import GeoJSON
+              </Button>
+              <input
+                ref={fileInputRef}
+                type="file"
+                accept=".geojson,.json,application/geo+json,application/json"
+                hidden
+                onChange={handleImport}
+              />
+            </Box>
+
+            <List dense disablePadding sx={{ mt: 1 }}>
+              {closures.map(closure => (
+                <ListItem
+                  key={closure.id}
+                  disableGutters
+                  secondaryAction={
+                    <IconButton edge="end" size="small" onClick={() => removeClosure(closure.id)}>
+                      <DeleteIcon fontSize="small" />
+                    </IconButton>
+                  }
+                >
+                  <ListItemText
+                    primary={closure.name}
+                    secondary={`${closure.reason} · ${isClosureActive(closure) ? formatUntil(closure) : 'not active'}`}
+                    primaryTypographyProps={{ variant: 'body2' }}
+                    secondaryTypographyProps={{ variant: 'caption', sx: { textTransform: 'capitalize' } }}
+                  />
+                </ListItem>
+              ))}
+            </List>
+          </>
+        )}
+      </Collapse>
+    </Paper>
+  );
+}
+
+export default ClosureManager;
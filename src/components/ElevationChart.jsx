@@ -0,0 +1,71 @@
+import React from 'react';
+import { Box, Typography } from '@mui/material';
+import { sampleElevationProfile, HIGH_ALTITUDE_THRESHOLD } from '../services/elevation';
+
+const WIDTH = 280;
+const HEIGHT = 90;
+const PADDING = { top: 8, right: 6, bottom: 16, left: 34 };
+
+// Small SVG area chart of altitude against distance along the route
+function ElevationChart({ elevation }) {
+  if (!elevation || elevation.profile.length < 2) return null;
+
+  const points = sampleElevationProfile(elevation.profile);
+  const totalDistance = points[points.length - 1].distance || 1;
+  const minElevation = elevation.lowestPoint.elevation;
+  const maxElevation = Math.max(elevation.highestPoint.elevation, minElevation + 1);
+
+  const plotWidth = WIDTH - PADDING.left - PADDING.right;
+  const plotHeight = HEIGHT - PADDING.top - PADDING.bottom;
+  const x = (distance) => PADDING.left + (distance / totalDistance) * plotWidth;
+  const y = (value) => PADDING.top + (1 - (value - minElevation) / (maxElevation - minElevation)) * plotHeight;
+
+  const line = points.map((point, i) => `${i === 0 ? 'M' : 'L'}${x(point.distance).toFixed(1)},${y(point.elevation).toFixed(1)}`).join(' ');
+  const area = `${line} L${x(totalDistance).toFixed(1)},${PADDING.top + plotHeight} L${PADDING.left},${PADDING.top + plotHeight} Z`;
+  const highest = elevation.highestPoint;
+  const showThreshold = maxElevation >= HIGH_ALTITUDE_THRESHOLD && minElevation < HIGH_ALTITUDE_THRESHOLD;
+
+  return (
+    <Box sx={{ mt: 1 }}>
+      <svg width="100%" viewBox={`0 0 ${WIDTH} ${HEIGHT}`} role="img" aria-label="Route elevation profile">
+        <path d={area} fill="rgba(92, 107, 192, 0.25)" />
+        <path d={line} fill="none" stroke="#5c6bc0" strokeWidth="1.5" />
+        {showThreshold && (
+          <line
+            x1={PADDING.left}
+            x2={WIDTH - PADDING.right}
+            y1={y(HIGH_ALTITUDE_THRESHOLD)}
+            y2={y(HIGH_ALTITUDE_THRESHOLD)}
+            stroke="#e53935"
+            strokeDasharray="3,3"
+            strokeWidth="1"
+          />
+        )}
+        <circle cx={x(highest.distance)} cy={y(highest.elevation)} r="3" fill="#e53935" />
+        <text x={PADDING.left - 4} y={PADDING.top + 4} fontSize="8" textAnchor="end" fill="#666">
+          {Math.round(maxElevation)} m
+        </text>
+        <text x={PADDING.left - 4} y={PADDING.top + plotHeight} fontSize="8" textAnchor="end" fill="#666">
+          {Math.round(minElevation)} m
+        </text>
+        <text x={PADDING.left} y={HEIGHT - 3} fontSize="8" fill="#666">0</text>
+        <text x={WIDTH - PADDING.right} y={HEIGHT - 3} fontSize="8" textAnchor="end" fill="#666">
+          {totalDistance.toFixed(1)} km
+        </text>
+      </svg>
+      <Box sx={{ display: 'flex', justifyContent: 'space-between' }}>
+        <Typography variant="caption" color="text.secondary">
+          Climb {elevation.climb} m
+        </Typography>
+        <Typography variant="caption" color="text.secondary">
+          Max gradient {elevation.maxGradient}%
+        </Typography>
+        <Typography variant="caption" color="text.secondary">
+          High point {Math.round(highest.elevation)} m
+        </Typography>
+      </Box>
+    </Box>
+  );
+}
+
+export default ElevationChart;
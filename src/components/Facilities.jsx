@@ -33,7 +33,10 @@ import AccessibleIcon from '@mui/icons-material/Accessible';
 import PhoneIcon from '@mui/icons-material/Phone';
 import LocationOnIcon from '@mui/icons-material/LocationOn';
 import DirectionsIcon from '@mui/icons-material/Directions';
-import { fetchHealthcareFacilities } from '../services/facilities';
+import { loadFacilityDataset, subscribeToFacilities } from '../services/facilities';
+import FacilityDataStatus from './FacilityDataStatus';
+import { FacilityLevelChip, FacilityTypeFilter } from './FacilityLevel';
+import { matchesFacilityFilter } from '../services/iphs';
 
 // Major areas in Himachal Pradesh
 const AREAS = [
@@ -47,10 +50,9 @@ const AREAS = [
   'Other'
 ];
 
-const FACILITY_TYPES = ['All', 'Primary', 'Secondary', 'Tertiary'];
-
 function Facilities() {
   const [facilities, setFacilities] = useState([]);
+  const [dataset, setDataset] = useState(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [page, setPage] = useState(0);
@@ -65,9 +67,10 @@ function Facilities() {
         setLoading(true);
         setError(null);
         console.log('Fetching healthcare facilities...');
-        const data = await fetchHealthcareFacilities();
-        console.log('Fetched facilities:', data);
-        setFacilities(data);
+        const data = await loadFacilityDataset();
+        console.log('Fetched facilities:', data.facilities.length);
+        setDataset(data);
+        setFacilities(data.facilities);
       } catch (err) {
         console.error('Error loading facilities:', err);
         setError('Failed to load healthcare facilities. Please try again later.');
@@ -77,6 +80,10 @@ function Facilities() {
     };
 
     loadFacilities();
+    return subscribeToFacilities(data => {
+      setDataset(data);
+      setFacilities(data.facilities);
+    });
   }, []);
 
   // Function to determine area based on facility coordinates
@@ -114,7 +121,7 @@ function Facilities() {
           facility.address.toLowerCase().includes(searchTerm.toLowerCase()) ||
           facility.specialties.some(s => s.toLowerCase().includes(searchTerm.toLowerCase()));
         const matchesArea = selectedArea === 'All' || facility.area === selectedArea;
-        const matchesType = selectedType === 'All' || facility.type === selectedType;
+        const matchesType = matchesFacilityFilter(facility, selectedType);
         return matchesSearch && matchesArea && matchesType;
       })
       .sort((a, b) => a.name.localeCompare(b.name));
@@ -169,9 +176,9 @@ function Facilities() {
         Healthcare Facilities
       </Typography>
 
-      <Alert severity="info" sx={{ mb: 3 }}>
+      <Alert severity="info" sx={{ mb: 3 }} action={<FacilityDataStatus dataset={dataset} />}>
         Showing {filteredFacilities.length} healthcare facilities in Himachal Pradesh.
-        Data sourced from OpenStreetMap, last updated: {new Date().toLocaleString()}
+        Data sourced from OpenStreetMap.
       </Alert>
 
       {/* Filters */}
@@ -203,18 +210,7 @@ function Facilities() {
             ))}
           </Select>
         </FormControl>
-        <FormControl size="small" sx={{ minWidth: 200 }}>
-          <InputLabel>Facility Type</InputLabel>
-          <Select
-            value={selectedType}
-            label="Facility Type"
-            onChange={(e) => setSelectedType(e.target.value)}
-          >
-            {FACILITY_TYPES.map(type => (
-              <MenuItem key={type} value={type}>{type}</MenuItem>
-            ))}
-          </Select>
-        </FormControl>
+        <FacilityTypeFilter value={selectedType} onChange={setSelectedType} sx={{ minWidth: 200 }} />
       </Box>
 
       {/* Table */}
@@ -251,6 +247,7 @@ function Facilities() {
                         'success'
                       }
                     />
+                    <FacilityLevelChip facility={facility} sx={{ ml: 0.5 }} />
                   </TableCell>
                   <TableCell>{facility.area}</TableCell>
                   <TableCell>
@@ -260,7 +257,7 @@ function Facilities() {
                     </Box>
                   </TableCell>
                   <TableCell>
-                    {facility.phone && facility.phone !== 'N/A' ? (
+                    {facility.phone ? (
                       <Box sx={{ display: 'flex', alignItems: 'center' }}>
                         <PhoneIcon sx={{ fontSize: 16, mr: 0.5, color: 'text.secondary' }} />
                         <Typography variant="body2">{facility.phone}</Typography>
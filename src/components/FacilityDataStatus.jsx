@@ -0,0 +1,39 @@
+import { Chip, Tooltip } from '@mui/material';
+import CloudDoneIcon from '@mui/icons-material/CloudDone';
+import CloudOffIcon from '@mui/icons-material/CloudOff';
+import WarningIcon from '@mui/icons-material/Warning';
+
+const formatFetchedAt = (fetchedAt) => new Date(fetchedAt).toLocaleString([], {
+  day: 'numeric',
+  month: 'short',
+  hour: '2-digit',
+  minute: '2-digit'
+});
+
+// "Data as of" indicator for the facility dataset in use
+function FacilityDataStatus({ dataset, sx }) {
+  if (!dataset) return null;
+
+  if (dataset.source === 'default') {
+    return (
+      <Tooltip title="OpenStreetMap could not be reached and no saved data exists">
+        <Chip icon={<WarningIcon />} label="Sample data only" size="small" color="warning" sx={sx} />
+      </Tooltip>
+    );
+  }
+
+  const offline = typeof navigator !== 'undefined' && navigator.onLine === false;
+  return (
+    <Tooltip title={dataset.source === 'cache' ? 'Saved on this device' : 'Fetched from OpenStreetMap'}>
+      <Chip
+        icon={offline ? <CloudOffIcon /> : <CloudDoneIcon />}
+        label={`Data as of ${formatFetchedAt(dataset.fetchedAt)}${offline ? ' (offline)' : ''}`}
+        size="small"
+        variant="outlined"
+        sx={sx}
+      />
+    </Tooltip>
+  );
+}
+
+export default FacilityDataStatus;
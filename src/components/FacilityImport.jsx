@@ -0,0 +1,382 @@
+import { useState, useEffect, useMemo, useRef } from 'react';
+import {
+  Box,
+  Typography,
+  Paper,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  TextField,
+  MenuItem,
+  Button,
+  Chip,
+  Alert,
+  Grid,
+  ToggleButton,
+  ToggleButtonGroup,
+  CircularProgress,
+  Stack
+} from '@mui/material';
+import UploadFileIcon from '@mui/icons-material/UploadFile';
+import DeleteIcon from '@mui/icons-material/Delete';
+import CheckIcon from '@mui/icons-material/Check';
+import CallSplitIcon from '@mui/icons-material/CallSplit';
+import MergeTypeIcon from '@mui/icons-material/MergeType';
+import {
+  IMPORT_FORMATS,
+  CSV_FIELDS,
+  REQUIRED_FIELDS,
+  parseCSV,
+  guessCSVMapping,
+  detectImportFormat,
+  parseRegistry,
+  mergeFacilities
+} from '../services/facilityImport';
+import {
+  loadFacilityDataset,
+  getFacilityImport,
+  saveFacilityImport,
+  clearFacilityImport,
+  setDuplicateSeparated
+} from '../services/facilities';
+import FacilityDataStatus from './FacilityDataStatus';
+
+// Rejected rows listed before the rest are summarised
+const MAX_REJECTED_ROWS = 50;
+
+// Pause in typing the source name before the file is parsed and merged again
+const SOURCE_INPUT_DELAY = 500; // ms
+
+const formatValue = (value) => {
+  if (typeof value === 'boolean') return value ? 'Yes' : 'No';
+  return String(value);
+};
+
+function FacilityImport() {
+  const [dataset, setDataset] = useState(null);
+  const [existingImport, setExistingImport] = useState(null);
+  const [file, setFile] = useState(null);
+  const [format, setFormat] = useState('csv');
+  const [source, setSource] = useState('');
+  const [sourceInput, setSourceInput] = useState('');
+  const [mapping, setMapping] = useState({});
+  const [resolutions, setResolutions] = useState({});
+  const [status, setStatus] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const fileInputRef = useRef(null);
+
+  useEffect(() => {
+    loadFacilityDataset().then(setDataset);
+    getFacilityImport().then(setExistingImport);
+  }, []);
+
+  useEffect(() => {
+    const timer = setTimeout(() => setSource(sourceInput), SOURCE_INPUT_DELAY);
+    return () => clearTimeout(timer);
+  }, [sourceInput]);
+
+  const headers = useMemo(
+    () => (file && format === 'csv' ? parseCSV(file.text.split(/\r?\n/)[0] || '').headers : []),
+    [file, format]
+  );
+
+  const parsed = useMemo(
+    () => (file && source ? parseRegistry(file.text, { format, source, mapping, filename: file.name }) : null),
+    [file, format, source, mapping]
+  );
+
+  // Preview the merge as it will be applied, alongside registries imported before
+  const preview = useMemo(() => {
+    if (!parsed?.success || !dataset) return null;
+    const otherRecords = (existingImport?.records || []).filter(record => record.source !== source);
+    return mergeFacilities(dataset.osmFacilities || dataset.facilities, [...otherRecords, ...parsed.records], {
+      resolutions: { ...existingImport?.resolutions, ...resolutions }
+    });
+  }, [parsed, dataset, existingImport, source, resolutions]);
+
+  const handleFile = async (event) => {
+    const [chosen] = event.target.files;
+    event.target.value = '';
+    if (!chosen) return;
+
+    const text = await chosen.text();
+    const detected = detectImportFormat(text, chosen.name);
+    setFile({ name: chosen.name, text });
+    setFormat(detected);
+    setSource(detected);
+    setSourceInput(detected);
+    setMapping(detected === 'csv' ? guessCSVMapping(parseCSV(text.split(/\r?\n/)[0] || '').headers) : {});
+    setResolutions({});
+    setStatus(null);
+  };
+
+  const handleApply = async () => {
+    setSaving(true);
+    const result = await saveFacilityImport({ records: parsed.records, resolutions, source });
+    setSaving(false);
+
+    if (result.success) {
+      if (result.dataset) setDataset(result.dataset);
+      setExistingImport(await getFacilityImport());
+      setStatus({ severity: 'success', message: `Imported ${parsed.records.length} ${source} facilities` });
+      setFile(null);
+      setResolutions({});
+    } else {
+      setStatus({ severity: 'error', message: `Import failed: ${result.error}` });
+    }
+  };
+
+  const handleSeparate = async (key, separate) => {
+    const updated = await setDuplicateSeparated(key, separate);
+    if (updated) setDataset(updated);
+  };
+
+  const duplicateLinks = [
+    ...(dataset?.duplicates?.merges || []).flatMap(merge => merge.links.map(link => ({ ...link, separated: false }))),
+    ...(dataset?.duplicates?.separated || []).map(link => ({ ...link, separated: true }))
+  ];
+
+  const handleClear = async () => {
+    await clearFacilityImport();
+    setExistingImport(null);
+    setDataset(await loadFacilityDataset());
+    setStatus({ severity: 'info', message: 'Removed imported registries' });
+  };
+
+  if (!dataset) {
+    return (
+      <Box sx={{ display: 'flex', justifyContent: 'center', p: 4 }}>
+        <CircularProgress />
+      </Box>
+    );
+  }
+
+  return (
+    <Box sx={{ p: 3 }}>
+      <Typography variant="h4" gutterBottom sx={{ display: 'flex', alignItems: 'center' }}>
+        <UploadFileIcon sx={{ mr: 1 }} />
+        Import Facility Registry
+      </Typography>
+
+      <Alert severity="info" sx={{ mb: 3 }} action={<FacilityDataStatus dataset={dataset} />}>
+        Merge NHM lists, Health Facility Registry exports or other CSV and GeoJSON files with the
+        OpenStreetMap facilities. Records are matched by name and distance; differing values are listed for review.
+      </Alert>
+
+      {status && (
+        <Alert severity={status.severity} sx={{ mb: 2 }} onClose={() => setStatus(null)}>
+          {status.message}
+        </Alert>
+      )}
+
+      {existingImport?.sources?.length > 0 && (
+        <Paper sx={{ p: 2, mb: 3, display: 'flex', alignItems: 'center', gap: 1, flexWrap: 'wrap' }}>
+          <Typography variant="body2">
+            Imported: {existingImport.records.length} records from
+          </Typography>
+          {existingImport.sources.map(name => <Chip key={name} label={name} size="small" />)}
+          <Button size="small" color="error" startIcon={<DeleteIcon />} onClick={handleClear} sx={{ ml: 'auto' }}>
+            Remove imported data
+          </Button>
+        </Paper>
+      )}
+
+      <Paper sx={{ p: 2, mb: 3 }}>
+        <Stack direction="row" spacing={2} alignItems="center" sx={{ mb: 2, flexWrap: 'wrap' }}>
+          <Button variant="outlined" startIcon={<UploadFileIcon />} onClick={() => fileInputRef.current?.click()}>
+            Choose file
+          </Button>
+          <input
+            ref={fileInputRef}
+            type="file"
+            accept=".csv,.txt,.geojson,.json"
+            hidden
+            onChange={handleFile}
+          />
+          <Typography variant="body2" color="text.secondary">
+            {file ? file.name : 'CSV, GeoJSON or HFR JSON'}
+          </Typography>
+        </Stack>
+
+        {file && (
+          <Grid container spacing={2}>
+            <Grid item xs={12} sm={6} md={3}>
+              <TextField select fullWidth size="small" label="Format" value={format} onChange={(e) => setFormat(e.target.value)}>
+                {Object.values(IMPORT_FORMATS).map(option => (
+                  <MenuItem key={option.id} value={option.id}>{option.name}</MenuItem>
+                ))}
+              </TextField>
+            </Grid>
+            <Grid item xs={12} sm={6} md={3}>
+              <TextField
+                fullWidth
+                size="small"
+                label="Source name"
+                helperText="Recorded as the provenance of imported values"
+                value={sourceInput}
+                onChange={(e) => setSourceInput(e.target.value.trim().toLowerCase())}
+                onBlur={() => setSource(sourceInput)}
+              />
+            </Grid>
+            {format === 'csv' && Object.keys(CSV_FIELDS).map(field => (
+              <Grid item xs={6} sm={4} md={2} key={field}>
+                <TextField
+                  select
+                  fullWidth
+                  size="small"
+                  label={REQUIRED_FIELDS.includes(field) ? `${field} *` : field}
+                  value={mapping[field] || ''}
+                  onChange={(e) => setMapping({ ...mapping, [field]: e.target.value || undefined })}
+                >
+                  <MenuItem value="">Not mapped</MenuItem>
+                  {headers.map(header => <MenuItem key={header} value={header}>{header}</MenuItem>)}
+                </TextField>
+              </Grid>
+            ))}
+          </Grid>
+        )}
+      </Paper>
+
+      {parsed && !parsed.success && (
+        <Alert severity="error" sx={{ mb: 3 }}>{parsed.error}</Alert>
+      )}
+
+      {parsed?.rejected.length > 0 && (
+        <Paper sx={{ p: 2, mb: 3 }}>
+          <Typography variant="h6" gutterBottom>
+            Rejected rows ({parsed.rejected.length})
+          </Typography>
+          <TableContainer sx={{ maxHeight: 240 }}>
+            <Table size="small" stickyHeader>
+              <TableHead>
+                <TableRow>
+                  <TableCell>Row</TableCell>
+                  <TableCell>Name</TableCell>
+                  <TableCell>Problem</TableCell>
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {parsed.rejected.slice(0, MAX_REJECTED_ROWS).map(rejected => (
+                  <TableRow key={rejected.row}>
+                    <TableCell>{rejected.row}</TableCell>
+                    <TableCell>{rejected.name}</TableCell>
+                    <TableCell>{rejected.errors.join('; ')}</TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          </TableContainer>
+          {parsed.rejected.length > MAX_REJECTED_ROWS && (
+            <Typography variant="caption" color="text.secondary">
+              and {parsed.rejected.length - MAX_REJECTED_ROWS} more
+            </Typography>
+          )}
+        </Paper>
+      )}
+
+      {preview && (
+        <Paper sx={{ p: 2, mb: 3 }}>
+          <Stack direction="row" spacing={1} sx={{ mb: 2, flexWrap: 'wrap' }}>
+            <Chip label={`${parsed.records.length} valid records`} />
+            <Chip label={`${preview.stats.matched} matched to OSM`} color="primary" />
+            <Chip label={`${preview.stats.added} new facilities`} color="success" />
+            <Chip label={`${preview.conflicts.length} conflicts`} color={preview.conflicts.length > 0 ? 'warning' : 'default'} />
+          </Stack>
+
+          {preview.conflicts.length > 0 && (
+            <TableContainer sx={{ maxHeight: 480, mb: 2 }}>
+              <Table size="small" stickyHeader>
+                <TableHead>
+                  <TableRow>
+                    <TableCell>Facility</TableCell>
+                    <TableCell>Field</TableCell>
+                    <TableCell>Keep value from</TableCell>
+                  </TableRow>
+                </TableHead>
+                <TableBody>
+                  {preview.conflicts.map(conflict => (
+                    <TableRow key={conflict.key}>
+                      <TableCell>{conflict.name}</TableCell>
+                      <TableCell>{conflict.field}</TableCell>
+                      <TableCell>
+                        <ToggleButtonGroup
+                          exclusive
+                          size="small"
+                          value={conflict.resolution}
+                          onChange={(event, value) => value && setResolutions({ ...resolutions, [conflict.key]: value })}
+                        >
+                          {conflict.values.map(option => (
+                            <ToggleButton key={option.source} value={option.source} sx={{ textTransform: 'none' }}>
+                              {option.source}: {formatValue(option.value)}
+                            </ToggleButton>
+                          ))}
+                        </ToggleButtonGroup>
+                      </TableCell>
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            </TableContainer>
+          )}
+
+          <Button
+            variant="contained"
+            startIcon={saving ? <CircularProgress size={16} color="inherit" /> : <CheckIcon />}
+            disabled={saving || sourceInput !== source}
+            onClick={handleApply}
+          >
+            Apply import
+          </Button>
+        </Paper>
+      )}
+
+      {duplicateLinks.length > 0 && (
+        <Paper sx={{ p: 2, mb: 3 }}>
+          <Typography variant="h6" gutterBottom>
+            Merged duplicates ({dataset.duplicates.merges.length})
+          </Typography>
+          <Typography variant="body2" color="text.secondary" sx={{ mb: 1 }}>
+            OSM facilities mapped more than once are shown as one. Keep a pair separate if they are different places.
+          </Typography>
+          <TableContainer sx={{ maxHeight: 480 }}>
+            <Table size="small" stickyHeader>
+              <TableHead>
+                <TableRow>
+                  <TableCell>Facilities</TableCell>
+                  <TableCell>Reason</TableCell>
+                  <TableCell>Apart</TableCell>
+                  <TableCell />
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {duplicateLinks.map(link => (
+                  <TableRow key={link.key} sx={{ opacity: link.separated ? 0.6 : 1 }}>
+                    <TableCell>
+                      {link.names[0]} ({link.from}) ↔ {link.names[1]} ({link.to})
+                    </TableCell>
+                    <TableCell>{link.reason}</TableCell>
+                    <TableCell>{Math.round(link.distance * 1000)} m</TableCell>
+                    <TableCell align="right">
+                      <Button
+                        size="small"
+                        startIcon={link.separated ? <MergeTypeIcon /> : <CallSplitIcon />}
+                        onClick={() => handleSeparate(link.key, !link.separated)}
+                      >
+                        {link.separated ? 'Merge' : 'Keep separate'}
+                      </Button>
+                    </TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          </TableContainer>
+        </Paper>
+      )}
+    </Box>
+  );
+}
+
+export default FacilityImport;
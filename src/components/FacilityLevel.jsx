@@ -0,0 +1,50 @@
+import { Chip, Tooltip, FormControl, InputLabel, Select, MenuItem, ListSubheader } from '@mui/material';
+import { FACILITY_TYPES } from '../services/facilitySchema';
+import { IPHS_LEVELS, OUTSIDE_IPHS, getFacilityLevel, getIphsLevelById, formatIphsLevel } from '../services/iphs';
+
+const BASIS_TEXT = {
+  registry: 'registry category',
+  name: 'facility name',
+  beds: 'bed count',
+  tags: 'OpenStreetMap tags'
+};
+
+// IPHS level of a facility with how sure the classification is
+export function FacilityLevelChip({ facility, sx }) {
+  if (!facility?.iphs?.level) return null;
+
+  const level = getFacilityLevel(facility);
+  const { confidence, basis } = facility.iphs;
+  const name = level === OUTSIDE_IPHS
+    ? 'Not part of the public health hierarchy'
+    : getIphsLevelById(facility.iphs.level)?.name;
+  const title = `${name} - ${Math.round(confidence * 100)}% confidence from the ${BASIS_TEXT[basis] || 'available data'}`;
+
+  return (
+    <Tooltip title={level ? title : `Possibly ${title}`}>
+      <Chip label={formatIphsLevel(facility)} size="small" variant="outlined" sx={sx} />
+    </Tooltip>
+  );
+}
+
+// Filter by the coarse facility type or by IPHS level
+export function FacilityTypeFilter({ value, onChange, ...props }) {
+  return (
+    <FormControl size="small" {...props}>
+      <InputLabel>Facility Type</InputLabel>
+      <Select value={value} label="Facility Type" onChange={(e) => onChange(e.target.value)}>
+        <MenuItem value="All">All Types</MenuItem>
+        <ListSubheader>Type</ListSubheader>
+        {FACILITY_TYPES.map(type => (
+          <MenuItem key={type} value={type}>{type} Healthcare</MenuItem>
+        ))}
+        <ListSubheader>IPHS level</ListSubheader>
+        {IPHS_LEVELS.map(level => (
+          <MenuItem key={level.id} value={level.id}>{level.name} ({level.id})</MenuItem>
+        ))}
+        <MenuItem value={OUTSIDE_IPHS}>Outside IPHS (pharmacies, private)</MenuItem>
+        <MenuItem value="unclassified">Unclassified</MenuItem>
+      </Select>
+    </FormControl>
+  );
+}
@@ -6,7 +6,9 @@ import MedicalServicesIcon from '@mui/icons-material/MedicalServices';
 import LocalPharmacyIcon from '@mui/icons-material/LocalPharmacy';
 import AccessibleIcon from '@mui/icons-material/Accessible';
 import LocalHospitalIcon from '@mui/icons-material/LocalHospital';
+import TimelapseIcon from '@mui/icons-material/Timelapse';
 import L from 'leaflet';
+import { FacilityLevelChip } from './FacilityLevel';
 
 // Create marker icons for each facility type
 const createFacilityIcon = (type) => {
@@ -36,7 +38,15 @@ const createFacilityIcon = (type) => {
   });
 };
 
-export function FacilityMarker({ facility, position, onCalculateRoute, selectedPoint }) {
+export function FacilityMarker({
+  facility,
+  position,
+  onCalculateRoute,
+  selectedPoint,
+  onShowCoverage,
+  coverageActive = false,
+  coverageLoading = false
+}) {
   console.log('[FacilityMarker] Rendering facility:', {
     id: facility.id,
     name: facility.name,
@@ -95,6 +105,13 @@ export function FacilityMarker({ facility, position, onCalculateRoute, selectedP
     }
   };
   
+  const handleShowCoverage = (e) => {
+    e.preventDefault();
+    if (onShowCoverage) {
+      onShowCoverage(facility);
+    }
+  };
+  
   // Safe function to create marker (wrapped in try/catch)
   try {
     return (
@@ -115,6 +132,7 @@ export function FacilityMarker({ facility, position, onCalculateRoute, selectedP
                 color={getFacilityColor(facility.type)}
                 sx={{ height: 24 }}
               />
+              <FacilityLevelChip facility={facility} sx={{ height: 24 }} />
               
               {facility.emergency && (
                 <Chip 
@@ -144,7 +162,7 @@ export function FacilityMarker({ facility, position, onCalculateRoute, selectedP
                 {facility.address}
               </Typography>
               
-              {facility.phone !== 'N/A' && (
+              {facility.phone && (
                 <Typography variant="body2" sx={{ mt: 0.5, fontSize: '0.875rem' }}>
                   📞 <a href={`tel:${facility.phone}`} style={{ textDecoration: 'none' }}>{facility.phone}</a>
                 </Typography>
@@ -205,6 +223,23 @@ export function FacilityMarker({ facility, position, onCalculateRoute, selectedP
                 </Typography>
               )}
               
+              {onShowCoverage && (
+                <Button
+                  fullWidth
+                  variant={coverageActive ? 'contained' : 'outlined'}
+                  color="secondary"
+                  size="small"
+                  startIcon={<TimelapseIcon />}
+                  onClick={handleShowCoverage}
+                  disabled={coverageLoading}
+                  sx={{ textTransform: 'none' }}
+                >
+                  {coverageLoading
+                    ? 'Calculating coverage...'
+                    : coverageActive ? 'Hide drive-time coverage' : 'Show drive-time coverage'}
+                </Button>
+              )}
+              
               <Button
                 fullWidth
                 variant="outlined"
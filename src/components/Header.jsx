@@ -28,6 +28,7 @@ function Header({ selectedRegion, setSelectedRegion }) {
     { text: 'Map View', path: '/' },
     { text: 'Facilities', path: '/facilities' },
     { text: 'Analytics', path: '/analytics' },
+    { text: 'Import', path: '/import' },
     { text: 'About', path: '/about' }
   ];
 
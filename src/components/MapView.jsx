@@ -1,15 +1,23 @@
 import React, { useEffect, useState, useRef, useCallback, useReducer } from 'react';
-import { MapContainer, TileLayer, Marker, Popup, LayersControl, useMap, GeoJSON, useMapEvents } from 'react-leaflet';
+import { MapContainer, TileLayer, Marker, Popup, LayersControl, useMap, GeoJSON, useMapEvents, Polyline, Polygon } from 'react-leaflet';
 import L from 'leaflet';
-import { Box, Typography, Paper, CircularProgress, TextField, Button, Divider, FormControl, InputLabel, Select, MenuItem } from '@mui/material';
+import { Box, Typography, Paper, CircularProgress, TextField, Button, Divider } from '@mui/material';
 import SearchIcon from '@mui/icons-material/Search';
 import DirectionsIcon from '@mui/icons-material/Directions';
 import LocalHospitalIcon from '@mui/icons-material/LocalHospital';
 import LayersIcon from '@mui/icons-material/Layers';
-import { fetchHealthcareFacilities } from '../services/osm';
-import { fetchMajorRoads } from '../services/routing';
+import { loadFacilityDataset, subscribeToFacilities } from '../services/facilities';
+import { isValidFacility } from '../services/facilitySchema';
+import FacilityDataStatus from './FacilityDataStatus';
+import { FacilityTypeFilter } from './FacilityLevel';
+import { matchesFacilityFilter } from '../services/iphs';
+import { fetchMajorRoads, prewarmRouteCache } from '../services/routing';
+import { calculateIsochrones } from '../services/isochrones';
+import { getClosures, isClosureActive, getClosureFeatures, subscribeToClosures } from '../services/closures';
+import { getFacilityIndex } from '../services/spatialIndex';
 import AmbulanceRouting, { RouteMapLayer } from './AmbulanceRouting';
 import { FacilityMarker } from './FacilityMarker';
+import ClosureManager from './ClosureManager';
 
 // Coordinates for Himachal Pradesh
 const HP_CENTER = [31.1048, 77.1734]; // Coordinates for Shimla, capital of Himachal Pradesh
@@ -65,12 +73,17 @@ function MapCenterUpdater({ center, zoom }) {
 }
 
 // Component to handle map click events
-function MapClickHandler({ setSelectedPoint }) {
+function MapClickHandler({ setSelectedPoint, onDraftPoint }) {
   const mapEvents = useMapEvents({
     click: (e) => {
       console.log('Map clicked at', e.latlng);
       // Convert to array format [lat, lng] for consistency
       const point = [e.latlng.lat, e.latlng.lng];
+      // While a closure is being drawn, clicks add its vertices instead
+      if (onDraftPoint) {
+        onDraftPoint(point);
+        return;
+      }
       console.log('Setting selected point to:', point);
       setSelectedPoint(point);
     }
@@ -80,6 +93,25 @@ function MapClickHandler({ setSelectedPoint }) {
   return null;
 }
 
+// Leaflet bounds as [[south, west], [north, east]]
+const toBoundsArray = (bounds) => [
+  [bounds.getSouth(), bounds.getWest()],
+  [bounds.getNorth(), bounds.getEast()]
+];
+
+// Reports the visible map area, padded so markers just off screen are ready when panning
+function MapBoundsTracker({ onBoundsChange }) {
+  const map = useMapEvents({
+    moveend: () => onBoundsChange(toBoundsArray(map.getBounds().pad(0.25)))
+  });
+
+  useEffect(() => {
+    onBoundsChange(toBoundsArray(map.getBounds().pad(0.25)));
+  }, [map, onBoundsChange]);
+
+  return null;
+}
+
 // Custom road styles based on type
 const getRoadStyle = (feature) => {
   const isNationalHighway = feature.properties.type === 'national_highway';
@@ -93,6 +125,33 @@ const getRoadStyle = (feature) => {
   };
 };
 
+// Active road closures are drawn in red, hatched for areas
+const getClosureStyle = (feature) => ({
+  color: '#b71c1c',
+  weight: feature.geometry.type === 'LineString' ? 7 : 2,
+  opacity: 0.9,
+  dashArray: '4, 6',
+  fillColor: '#e53935',
+  fillOpacity: 0.25
+});
+
+// Colours for drive-time coverage bands, keyed by minutes
+const ISOCHRONE_COLORS = {
+  15: '#2e7d32',
+  30: '#f9a825',
+  60: '#c62828'
+};
+
+const getIsochroneStyle = (feature) => {
+  const color = ISOCHRONE_COLORS[feature.properties.minutes] || '#6a1b9a';
+  return {
+    color,
+    weight: 2,
+    fillColor: color,
+    fillOpacity: 0.15
+  };
+};
+
 // Create a wrapper component for AmbulanceRouting that uses useMap hook
 function AmbulanceRoutingLayer({ facilities, selectedPoint, targetFacility, onRouteCalculated }) {
   const map = useMap();
@@ -119,6 +178,7 @@ const MAP_ACTIONS = {
   SET_MAJOR_ROADS: 'SET_MAJOR_ROADS',
   SET_ROUTE_INFO: 'SET_ROUTE_INFO',
   SET_FILTERS: 'SET_FILTERS',
+  SET_ISOCHRONES: 'SET_ISOCHRONES',
   RESET_STATE: 'RESET_STATE'
 };
 
@@ -137,6 +197,12 @@ const initialState = {
   filters: {
     searchTerm: '',
     facilityType: 'All'
+  },
+  isochrones: {
+    facility: null,
+    data: null,
+    method: null,
+    loading: false
   }
 };
 
@@ -157,6 +223,8 @@ function mapReducer(state, action) {
       return { ...state, routeInfo: action.payload };
     case MAP_ACTIONS.SET_FILTERS:
       return { ...state, filters: { ...state.filters, ...action.payload } };
+    case MAP_ACTIONS.SET_ISOCHRONES:
+      return { ...state, isochrones: { ...state.isochrones, ...action.payload } };
     case MAP_ACTIONS.RESET_STATE:
       return { ...initialState };
     default:
@@ -167,8 +235,14 @@ function mapReducer(state, action) {
 function MapView({ selectedRegion }) {
   const [state, dispatch] = useReducer(mapReducer, initialState);
   const [map, setMap] = useState(null);
+  const [closures, setClosures] = useState(getClosures);
+  const [closureDraft, setClosureDraft] = useState(null);
+  const [viewBounds, setViewBounds] = useState(null);
+  const [dataset, setDataset] = useState(null);
   const mapRef = useRef(null);
   const abortControllerRef = useRef(null);
+  // Coverage request in flight, abandoned when another facility is picked or coverage is turned off
+  const coverageRequestRef = useRef(null);
   
   // Debug when state changes
   useEffect(() => {
@@ -190,9 +264,11 @@ function MapView({ selectedRegion }) {
         dispatch({ type: MAP_ACTIONS.SET_ERROR, payload: null });
         
         console.log('[MapView] Fetching healthcare facilities...');
-        const facilitiesData = await fetchHealthcareFacilities(signal);
-        
+        const data = await loadFacilityDataset();
+        const facilitiesData = data.facilities;
+
         if (signal.aborted) return;
+        setDataset(data);
         
         console.log('[MapView] Received facilities:', {
           count: facilitiesData.length,
@@ -201,12 +277,8 @@ function MapView({ selectedRegion }) {
         
         // Validate facilities before setting state
         const validFacilities = facilitiesData.filter(facility => {
-          const isValid = facility && 
-                         typeof facility.lat === 'number' && 
-                         typeof facility.lng === 'number' && 
-                         !isNaN(facility.lat) && 
-                         !isNaN(facility.lng);
-          
+          const isValid = isValidFacility(facility);
+
           if (!isValid) {
             console.warn('[MapView] Invalid facility:', facility);
           }
@@ -243,6 +315,60 @@ function MapView({ selectedRegion }) {
     };
   }, [selectedRegion]);
 
+  // Load the major road network in the background; it also feeds the offline router
+  useEffect(() => {
+    const controller = new AbortController();
+
+    fetchMajorRoads(undefined, { signal: controller.signal }).then(roads => {
+      if (!controller.signal.aborted) {
+        dispatch({ type: MAP_ACTIONS.SET_MAJOR_ROADS, payload: roads });
+      }
+    });
+
+    return () => controller.abort();
+  }, [selectedRegion]);
+
+  // Pre-warm cached routes to Tertiary facilities once per dataset; refresh
+  // broadcasts and remounts with the same data do not start another run
+  useEffect(() => {
+    if (!dataset) return undefined;
+
+    const controller = new AbortController();
+    prewarmRouteCache(dataset.facilities.filter(isValidFacility), {
+      signal: controller.signal,
+      datasetKey: `${dataset.source}:${dataset.fetchedAt}`
+    }).catch(err => console.warn('[MapView] Route cache pre-warm failed:', err));
+
+    return () => controller.abort();
+  }, [dataset]);
+
+  useEffect(() => () => coverageRequestRef.current?.abort(), []);
+
+  // Show refreshed facilities once a background refresh completes
+  useEffect(() => subscribeToFacilities(data => {
+    setDataset(data);
+    dispatch({ type: MAP_ACTIONS.SET_FACILITIES, payload: data.facilities.filter(isValidFacility) });
+  }), []);
+
+  // Keep the closures overlay in sync with the closure store
+  useEffect(() => subscribeToClosures(setClosures), []);
+
+  const handleStartClosureDraft = useCallback((type) => {
+    setClosureDraft({ type, points: [] });
+  }, []);
+
+  const handleCancelClosureDraft = useCallback(() => {
+    setClosureDraft(null);
+  }, []);
+
+  const handleClosureDraftPoint = useCallback((point) => {
+    setClosureDraft(draft => ({ ...draft, points: [...draft.points, point] }));
+  }, []);
+
+  const handleUndoClosureDraftPoint = useCallback(() => {
+    setClosureDraft(draft => ({ ...draft, points: draft.points.slice(0, -1) }));
+  }, []);
+
   const handleRouteCalculated = useCallback((route, details, snappedPoints) => {
     console.log('[MapView] Route calculated:', { route, details });
     dispatch({ 
@@ -294,13 +420,58 @@ function MapView({ selectedRegion }) {
     });
   }, [state.selectedPoint]);
 
+  const handleShowCoverage = useCallback(async (facility) => {
+    coverageRequestRef.current?.abort();
+    coverageRequestRef.current = null;
+
+    // Toggle off when the same facility is selected again
+    if (state.isochrones.facility?.id === facility.id) {
+      dispatch({
+        type: MAP_ACTIONS.SET_ISOCHRONES,
+        payload: { facility: null, data: null, method: null, loading: false }
+      });
+      return;
+    }
+
+    dispatch({
+      type: MAP_ACTIONS.SET_ISOCHRONES,
+      payload: { facility, data: null, method: null, loading: true }
+    });
+
+    const controller = new AbortController();
+    coverageRequestRef.current = controller;
+    const result = await calculateIsochrones([facility.lat, facility.lng], { signal: controller.signal });
+    // Coverage for a facility no longer shown is dropped
+    if (controller.signal.aborted) return;
+    coverageRequestRef.current = null;
+    if (!result.success) {
+      console.warn('[MapView] Drive-time coverage unavailable:', result.error);
+    }
+
+    dispatch({
+      type: MAP_ACTIONS.SET_ISOCHRONES,
+      payload: {
+        data: result.success ? result.isochrones : null,
+        method: result.method || null,
+        loading: false
+      }
+    });
+  }, [state.isochrones.facility]);
+
+  const activeClosures = closures.filter(closure => isClosureActive(closure));
+
   // Filter facilities based on current filters
-  const filteredFacilities = state.facilities.filter(facility => {
+  const matchesFilters = (facility) => {
     const matchesSearch = facility.name.toLowerCase().includes(state.filters.searchTerm.toLowerCase()) || 
                          facility.address.toLowerCase().includes(state.filters.searchTerm.toLowerCase());
-    const matchesType = state.filters.facilityType === 'All' || facility.type === state.filters.facilityType;
+    const matchesType = matchesFacilityFilter(facility, state.filters.facilityType);
     return matchesSearch && matchesType;
-  });
+  };
+  const filteredFacilities = state.facilities.filter(matchesFilters);
+  // Only markers in and around the visible area are drawn
+  const visibleFacilities = viewBounds
+    ? getFacilityIndex(state.facilities).withinBounds(viewBounds).filter(matchesFilters)
+    : filteredFacilities;
   
   // Debug log for facilities with invalid coordinates
   useEffect(() => {
@@ -370,22 +541,11 @@ function MapView({ selectedRegion }) {
             sx={{ mb: 2 }}
           />
         </form>
-        <FormControl fullWidth size="small">
-          <InputLabel>Facility Type</InputLabel>
-          <Select
-            value={state.filters.facilityType}
-            label="Facility Type"
-            onChange={(e) => handleFilterChange(e.target.value)}
-          >
-            <MenuItem value="All">All Types</MenuItem>
-            <MenuItem value="Primary">Primary Healthcare</MenuItem>
-            <MenuItem value="Secondary">Secondary Healthcare</MenuItem>
-            <MenuItem value="Tertiary">Tertiary Healthcare</MenuItem>
-          </Select>
-        </FormControl>
+        <FacilityTypeFilter fullWidth value={state.filters.facilityType} onChange={handleFilterChange} />
         <Typography variant="body2" color="text.secondary" sx={{ mt: 2 }}>
           Showing {filteredFacilities.length} facilities
         </Typography>
+        <FacilityDataStatus dataset={dataset} sx={{ mt: 1 }} />
         <Divider sx={{ my: 2 }} />
         <Typography variant="body2" color="text.secondary">
           Click anywhere on the map to set a starting point for ambulance routing
@@ -415,7 +575,11 @@ function MapView({ selectedRegion }) {
         <MapCenterUpdater center={HP_CENTER} zoom={DEFAULT_ZOOM} />
         
         {/* Map click handler */}
-        <MapClickHandler setSelectedPoint={handleSelectedPointChange} />
+        <MapClickHandler
+          setSelectedPoint={handleSelectedPointChange}
+          onDraftPoint={closureDraft ? handleClosureDraftPoint : null}
+        />
+        <MapBoundsTracker onBoundsChange={setViewBounds} />
         
         <LayersControl position="topright">
           <LayersControl.BaseLayer checked name="OpenStreetMap">
@@ -452,10 +616,56 @@ function MapView({ selectedRegion }) {
               <Box sx={{ display: 'none' }} />
             )}
           </LayersControl.Overlay>
+
+          <LayersControl.Overlay checked name="Road Closures">
+            {activeClosures.length > 0 ? (
+              <GeoJSON
+                key={activeClosures.map(closure => closure.id).join(',')}
+                data={getClosureFeatures(activeClosures)}
+                style={getClosureStyle}
+                onEachFeature={(feature, layer) => {
+                  const { name, reason, validUntil } = feature.properties;
+                  layer.bindTooltip(
+                    `${name} (${reason})${validUntil ? ` until ${new Date(validUntil).toLocaleString()}` : ''}`,
+                    { permanent: false, direction: 'auto' }
+                  );
+                }}
+              />
+            ) : (
+              <Box sx={{ display: 'none' }} />
+            )}
+          </LayersControl.Overlay>
+
+          <LayersControl.Overlay checked name="Drive-time Coverage">
+            {state.isochrones.data ? (
+              <GeoJSON
+                key={`${state.isochrones.facility?.id}-${state.isochrones.method}`}
+                data={state.isochrones.data}
+                style={getIsochroneStyle}
+                onEachFeature={(feature, layer) => {
+                  layer.bindTooltip(
+                    `${state.isochrones.facility?.name}: within ${feature.properties.minutes} min`,
+                    { permanent: false, direction: 'auto' }
+                  );
+                }}
+              />
+            ) : (
+              <Box sx={{ display: 'none' }} />
+            )}
+          </LayersControl.Overlay>
         </LayersControl>
 
+        {/* Closure being drawn */}
+        {closureDraft && closureDraft.points.length > 0 && (
+          closureDraft.type === 'Polygon' ? (
+            <Polygon positions={closureDraft.points} pathOptions={{ color: '#b71c1c', dashArray: '4, 6' }} />
+          ) : (
+            <Polyline positions={closureDraft.points} pathOptions={{ color: '#b71c1c', weight: 7, dashArray: '4, 6' }} />
+          )
+        )}
+
         {/* Facility markers */}
-        {filteredFacilities
+        {visibleFacilities
           .filter(facility => 
             typeof facility.lat === 'number' && 
             typeof facility.lng === 'number' && 
@@ -469,6 +679,9 @@ function MapView({ selectedRegion }) {
               position={[facility.lat, facility.lng]}
               selectedPoint={state.selectedPoint}
               onCalculateRoute={handleCalculateRoute}
+              onShowCoverage={handleShowCoverage}
+              coverageActive={state.isochrones.facility?.id === facility.id}
+              coverageLoading={state.isochrones.loading && state.isochrones.facility?.id === facility.id}
             />
           ))}
 
@@ -542,9 +755,34 @@ function MapView({ selectedRegion }) {
             <Box sx={{ width: 20, height: 3, backgroundColor: '#ff8800', borderStyle: 'dashed' }} />
             <Typography variant="body2">State Highway (SH)</Typography>
           </Box>
+          {activeClosures.length > 0 && (
+            <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+              <Box sx={{ width: 20, height: 12, backgroundColor: 'rgba(229, 57, 53, 0.25)', border: '2px dashed #b71c1c' }} />
+              <Typography variant="body2">Road closure</Typography>
+            </Box>
+          )}
+          {state.isochrones.data && (
+            <>
+              <Divider />
+              {Object.entries(ISOCHRONE_COLORS).map(([minutes, color]) => (
+                <Box key={minutes} sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+                  <Box sx={{ width: 20, height: 12, backgroundColor: color, opacity: 0.5, border: `1px solid ${color}` }} />
+                  <Typography variant="body2">Within {minutes} min drive</Typography>
+                </Box>
+              ))}
+            </>
+          )}
         </Box>
       </Paper>
       
+      <ClosureManager
+        closures={closures}
+        draft={closureDraft}
+        onStartDraft={handleStartClosureDraft}
+        onCancelDraft={handleCancelClosureDraft}
+        onUndoPoint={handleUndoClosureDraftPoint}
+      />
+      
       {/* Debug output */}
       <div id="debug-info" style={{ 
         position: 'absolute', 
@@ -1,25 +1,35 @@
 import React from 'react';
-import { getRouteInstructions } from '../services/osrmService';
+import { getRouteInstructions, getManeuverIcon } from '../services/instructions';
 import '../styles/routing.css';
 
-const RouteInstructions = ({ route }) => {
+const HEADINGS = {
+  en: 'Turn-by-Turn Directions',
+  hi: 'मार्ग निर्देश'
+};
+
+const RouteInstructions = ({ route, language = 'en', activeStep = null }) => {
   if (!route || !route.legs) {
     return null;
   }
 
-  const instructions = getRouteInstructions(route);
+  const instructions = getRouteInstructions(route, language);
 
   if (instructions.length === 0) {
     return null;
   }
 
   return (
-    <div className="route-instructions">
-      <h4>Turn-by-Turn Directions</h4>
+    <div className="route-instructions" lang={language}>
+      <h4>{HEADINGS[language] || HEADINGS.en}</h4>
       {instructions.map((step, index) => (
-        <div key={index} className="instruction-step">
+        <div
+          key={index}
+          className={index === activeStep ? 'instruction-step active' : 'instruction-step'}
+          // Keep the step being driven in view while navigating
+          ref={index === activeStep ? (element) => element?.scrollIntoView({ block: 'nearest' }) : undefined}
+        >
           <div className="instruction-icon">
-            {getDirectionIcon(step.instruction)}
+            {getManeuverIcon(step.maneuver)}
           </div>
           <div className="instruction-content">
             <div className="instruction-text">
@@ -35,31 +45,6 @@ const RouteInstructions = ({ route }) => {
   );
 };
 
-// Helper function to get appropriate icon based on instruction
-const getDirectionIcon = (instruction) => {
-  const lowerInstruction = instruction.toLowerCase();
-  
-  if (lowerInstruction.includes('turn right')) {
-    return '➡️';
-  } else if (lowerInstruction.includes('turn left')) {
-    return '⬅️';
-  } else if (lowerInstruction.includes('continue')) {
-    return '⬆️';
-  } else if (lowerInstruction.includes('arrive')) {
-    return '🏁';
-  } else if (lowerInstruction.includes('roundabout')) {
-    return '🔄';
-  } else if (lowerInstruction.includes('u-turn')) {
-    return '↩️';
-  } else if (lowerInstruction.includes('merge')) {
-    return '↗️';
-  } else if (lowerInstruction.includes('exit')) {
-    return '↘️';
-  } else {
-    return '•';
-  }
-};
-
 // Helper function to format distance
 const formatDistance = (meters) => {
   if (meters >= 1000) {
@@ -68,4 +53,4 @@ const formatDistance = (meters) => {
   return `${Math.round(meters)} m`;
 };
 
-export default RouteInstructions; 
\ No newline at end of file
+export default RouteInstructions; 
@@ -0,0 +1,247 @@
+// Air ambulance routing between helipads for valleys that roads serve poorly,
+// e.g. Lahaul-Spiti and Kinnaur
+import { overpassApi } from './osm';
+import { estimateDirectDuration } from './travelTime';
+
+/**
+ * Helicopter profile
+ * cruiseSpeed in km/h; times in seconds.
+ * startupTime covers crew call-out and engine start at the helicopter base,
+ * takeoffLandingTime is added to every flight, turnaroundTime is spent loading
+ * the patient at the pickup helipad and handoverTime unloading at the other end.
+ * maxPadDistance (km) is the furthest a patient or hospital may be from a helipad.
+ */
+export const HELICOPTER_PROFILE = {
+  cruiseSpeed: 200,
+  startupTime: 15 * 60,
+  takeoffLandingTime: 5 * 60,
+  turnaroundTime: 15 * 60,
+  handoverTime: 5 * 60,
+  maxPadDistance: 30
+};
+
+// Points per great-circle flight line drawn on the map
+const FLIGHT_PATH_POINTS = 32;
+
+let cachedHelipads = null;
+
+const toRad = (degrees) => degrees * Math.PI / 180;
+const toDeg = (radians) => radians * 180 / Math.PI;
+
+/**
+ * Great-circle distance between two [lat, lng] points in km
+ */
+export const greatCircleDistance = (a, b) => {
+  const R = 6371;
+  const dLat = toRad(b[0] - a[0]);
+  const dLng = toRad(b[1] - a[1]);
+  const h = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRad(a[0])) * Math.cos(toRad(b[0])) * Math.sin(dLng / 2) ** 2;
+  return 2 * R * Math.atan2(Math.sqrt(h), Math.sqrt(1 - h));
+};
+
+/**
+ * Points along the great circle between two [lat, lng] points
+ * @param {Array} a [lat, lng]
+ * @param {Array} b [lat, lng]
+ * @param {number} count Number of points including both ends
+ * @returns {Array} Array of [lat, lng]
+ */
+export const greatCirclePath = (a, b, count = FLIGHT_PATH_POINTS) => {
+  const [lat1, lng1, lat2, lng2] = [a[0], a[1], b[0], b[1]].map(toRad);
+  const angle = greatCircleDistance(a, b) / 6371;
+  if (angle === 0) return [a, b];
+
+  return Array.from({ length: count }, (_, i) => {
+    const fraction = i / (count - 1);
+    const A = Math.sin((1 - fraction) * angle) / Math.sin(angle);
+    const B = Math.sin(fraction * angle) / Math.sin(angle);
+    const x = A * Math.cos(lat1) * Math.cos(lng1) + B * Math.cos(lat2) * Math.cos(lng2);
+    const y = A * Math.cos(lat1) * Math.sin(lng1) + B * Math.cos(lat2) * Math.sin(lng2);
+    const z = A * Math.sin(lat1) + B * Math.sin(lat2);
+    return [toDeg(Math.atan2(z, Math.sqrt(x * x + y * y))), toDeg(Math.atan2(y, x))];
+  });
+};
+
+/**
+ * Convert Overpass elements to helipads
+ * @param {Array} elements Overpass nodes, ways and relations with center
+ * @returns {Array} [{ id, name, type, lat, lng, elevation }]
+ */
+export const parseHelipads = (elements = []) => elements
+  .map(element => {
+    const tags = element.tags || {};
+    const lat = element.lat ?? element.center?.lat;
+    const lng = element.lon ?? element.center?.lon;
+    if (typeof lat !== 'number' || typeof lng !== 'number') return null;
+
+    const type = tags.aeroway === 'heliport' ? 'heliport' : 'helipad';
+    return {
+      id: `${element.type}/${element.id}`,
+      name: tags.name || tags['name:en'] || (type === 'heliport' ? 'Heliport' : 'Helipad'),
+      type,
+      lat,
+      lng,
+      elevation: tags.ele ? parseFloat(tags.ele) : null
+    };
+  })
+  .filter(Boolean);
+
+/**
+ * Fetch helipads and heliports in Himachal Pradesh from OpenStreetMap
+ * @param {Object} options { signal, force }
+ * @returns {Promise<Object>} { success, helipads, error }
+ */
+export const fetchHelipads = async (options = {}) => {
+  if (cachedHelipads && !options.force) {
+    return { success: true, helipads: cachedHelipads };
+  }
+
+  const query = `
+    [out:json][timeout:60];
+    area["name"="Himachal Pradesh"]["admin_level"="4"]->.hp;
+    (
+      nwr["aeroway"="helipad"](area.hp);
+      nwr["aeroway"="heliport"](area.hp);
+    );
+    out center tags;
+  `;
+
+  try {
+    const response = await overpassApi(query, options.signal);
+    if (!response.ok) {
+      throw new Error(`Overpass returned ${response.status}`);
+    }
+
+    const data = await response.json();
+    cachedHelipads = parseHelipads(data.elements);
+    console.log(`[AirRouting] Loaded ${cachedHelipads.length} helipads`);
+    return { success: true, helipads: cachedHelipads };
+  } catch (error) {
+    if (error.name === 'AbortError') throw error;
+    console.error('[AirRouting] Failed to fetch helipads:', error);
+    return { success: false, helipads: [], error: error.message };
+  }
+};
+
+/**
+ * Nearest helipad to a point
+ * @param {Array} point [lat, lng]
+ * @param {Array} helipads Helipads from fetchHelipads
+ * @param {Function} filter Optional predicate on helipads
+ * @returns {Object|null} { helipad, distance } with distance in km
+ */
+export const findNearestHelipad = (point, helipads, filter = () => true) => {
+  return helipads
+    .filter(filter)
+    .map(helipad => ({ helipad, distance: greatCircleDistance(point, [helipad.lat, helipad.lng]) }))
+    .reduce((nearest, candidate) => (!nearest || candidate.distance < nearest.distance ? candidate : nearest), null);
+};
+
+const flightDuration = (distance, profile) => (distance / profile.cruiseSpeed) * 3600 + profile.takeoffLandingTime;
+
+const padPosition = (helipad) => [helipad.lat, helipad.lng];
+
+/**
+ * Plan an air evacuation: ground transfer from the patient to the nearest
+ * helipad, a great-circle flight to the helipad nearest the hospital and a
+ * ground transfer to the hospital. When heliports are known, the helicopter
+ * flies from the nearest one to the pickup helipad while the patient is on
+ * the way there.
+ * @param {Array} patient [lat, lng]
+ * @param {Array} hospital [lat, lng]
+ * @param {Object} options { helipads, profile, signal }
+ * @returns {Promise<Object>} { success, route, distance, duration, legs, pickup, dropoff, base, timeline, error }
+ */
+export const calculateAirRoute = async (patient, hospital, options = {}) => {
+  const profile = { ...HELICOPTER_PROFILE, ...options.profile };
+
+  let helipads = options.helipads;
+  if (!helipads) {
+    const result = await fetchHelipads({ signal: options.signal });
+    if (!result.success) return { success: false, error: result.error };
+    helipads = result.helipads;
+  }
+  if (helipads.length === 0) {
+    return { success: false, error: 'No helipads available' };
+  }
+
+  const pickup = findNearestHelipad(patient, helipads);
+  const dropoff = findNearestHelipad(hospital, helipads);
+  if (pickup.distance > profile.maxPadDistance) {
+    return { success: false, error: `Nearest helipad to the patient is ${pickup.distance.toFixed(0)} km away` };
+  }
+  if (dropoff.distance > profile.maxPadDistance) {
+    return { success: false, error: `Nearest helipad to the hospital is ${dropoff.distance.toFixed(0)} km away` };
+  }
+  if (pickup.helipad.id === dropoff.helipad.id) {
+    return { success: false, error: 'Patient and hospital share the nearest helipad' };
+  }
+
+  const base = findNearestHelipad(padPosition(pickup.helipad), helipads, helipad => helipad.type === 'heliport');
+  const positioning = base && base.helipad.id !== pickup.helipad.id
+    ? { distance: base.distance, duration: profile.startupTime + flightDuration(base.distance, profile) }
+    : { distance: 0, duration: profile.startupTime };
+
+  const toPad = { distance: pickup.distance, duration: estimateDirectDuration(pickup.distance, true) };
+  const flightDistance = greatCircleDistance(padPosition(pickup.helipad), padPosition(dropoff.helipad));
+  const flight = { distance: flightDistance, duration: flightDuration(flightDistance, profile) };
+  const fromPad = { distance: dropoff.distance, duration: estimateDirectDuration(dropoff.distance, true) };
+
+  // The helicopter and the patient converge on the pickup helipad in parallel
+  const timeline = {
+    readyAtPickup: Math.max(positioning.duration, toPad.duration),
+    positioning: positioning.duration,
+    groundToPad: toPad.duration,
+    turnaround: profile.turnaroundTime,
+    flight: flight.duration,
+    handover: profile.handoverTime,
+    groundFromPad: fromPad.duration
+  };
+  const duration = timeline.readyAtPickup + timeline.turnaround + timeline.flight +
+    timeline.handover + timeline.groundFromPad;
+
+  const flightPath = greatCirclePath(padPosition(pickup.helipad), padPosition(dropoff.helipad));
+  const legs = [
+    { mode: 'ground', distance: toPad.distance * 1000, duration: toPad.duration, geometry: [patient, padPosition(pickup.helipad)] },
+    { mode: 'air', distance: flight.distance * 1000, duration: flight.duration, geometry: flightPath },
+    { mode: 'ground', distance: fromPad.distance * 1000, duration: fromPad.duration, geometry: [padPosition(dropoff.helipad), hospital] }
+  ];
+
+  console.log(`[AirRouting] ${pickup.helipad.name} -> ${dropoff.helipad.name}: ${Math.round(duration / 60)} min`);
+
+  return {
+    success: true,
+    mode: 'air',
+    route: [patient, ...flightPath, hospital],
+    distance: toPad.distance + flight.distance + fromPad.distance,
+    duration,
+    legs,
+    pickup: { ...pickup.helipad, distance: pickup.distance },
+    dropoff: { ...dropoff.helipad, distance: dropoff.distance },
+    base: base && base.helipad.id !== pickup.helipad.id ? { ...base.helipad, distance: base.distance } : null,
+    timeline
+  };
+};
+
+/**
+ * Compare an air evacuation with the road route
+ * @param {Object} airRoute Result of calculateAirRoute
+ * @param {number} roadDuration Road route duration in seconds
+ * @returns {Object} { airFaster, timeSaved } with timeSaved in seconds, negative when road is faster
+ */
+export const compareWithRoad = (airRoute, roadDuration) => {
+  const timeSaved = roadDuration - airRoute.duration;
+  return { airFaster: timeSaved > 0, timeSaved };
+};
+
+export default {
+  HELICOPTER_PROFILE,
+  greatCircleDistance,
+  greatCirclePath,
+  parseHelipads,
+  fetchHelipads,
+  findNearestHelipad,
+  calculateAirRoute,
+  compareWithRoad
+};
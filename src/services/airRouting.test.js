@@ -0,0 +1,73 @@
+import { jest } from '@jest/globals';
+import {
+  greatCircleDistance,
+  greatCirclePath,
+  fetchHelipads,
+  calculateAirRoute,
+  compareWithRoad
+} from './airRouting';
+
+const elements = [
+  { type: 'node', id: 1, lat: 32.5714, lon: 77.0318, tags: { aeroway: 'helipad', name: 'Keylong helipad' } },
+  { type: 'node', id: 2, lat: 31.5912, lon: 78.4422, tags: { aeroway: 'helipad', name: 'Reckong Peo helipad' } },
+  { type: 'way', id: 3, center: { lat: 31.0830, lon: 77.0670 }, tags: { aeroway: 'heliport', name: 'Shimla heliport', ele: '1546' } },
+  { type: 'node', id: 4, lat: 32.2432, lon: 77.1892, tags: { aeroway: 'helipad', name: 'Manali helipad' } }
+];
+
+const keylongPatient = [32.5800, 77.0400];
+const igmcShimla = [31.1048, 77.1734];
+
+describe('Air routing', () => {
+  beforeEach(() => {
+    global.fetch = jest.fn(() => Promise.resolve({
+      ok: true,
+      json: () => Promise.resolve({ elements })
+    }));
+  });
+
+  test('great-circle distance and path between helipads', () => {
+    expect(greatCircleDistance([31.0830, 77.0670], [32.5714, 77.0318])).toBeCloseTo(165.5, 0);
+
+    const path = greatCirclePath([31.0830, 77.0670], [32.5714, 77.0318], 5);
+    expect(path).toHaveLength(5);
+    expect(path[0][0]).toBeCloseTo(31.0830);
+    expect(path[4][1]).toBeCloseTo(77.0318);
+  });
+
+  test('fetchHelipads reads helipads and heliports through Overpass', async () => {
+    const { success, helipads } = await fetchHelipads({ force: true });
+
+    expect(success).toBe(true);
+    expect(global.fetch.mock.calls[0][1].body).toContain(encodeURIComponent('"aeroway"="helipad"'));
+    expect(helipads).toHaveLength(4);
+    expect(helipads[2]).toMatchObject({ id: 'way/3', type: 'heliport', lat: 31.0830, elevation: 1546 });
+  });
+
+  test('calculateAirRoute flies from the patient helipad to the hospital helipad', async () => {
+    const air = await calculateAirRoute(keylongPatient, igmcShimla);
+
+    expect(air.success).toBe(true);
+    expect(air.pickup.name).toBe('Keylong helipad');
+    expect(air.dropoff.name).toBe('Shimla heliport');
+    expect(air.base.name).toBe('Shimla heliport');
+    expect(air.legs.map(leg => leg.mode)).toEqual(['ground', 'air', 'ground']);
+    // Positioning from Shimla takes longer than driving to the Keylong pad
+    expect(air.timeline.readyAtPickup).toBe(air.timeline.positioning);
+    expect(air.duration).toBeGreaterThan(air.timeline.flight + air.timeline.turnaround);
+  });
+
+  test('calculateAirRoute needs helipads near both ends', async () => {
+    const helipads = [{ id: 'node/9', name: 'Kaza helipad', type: 'helipad', lat: 32.2260, lng: 78.0720 }];
+
+    expect((await calculateAirRoute(keylongPatient, igmcShimla, { helipads })).error).toMatch(/patient/);
+    expect((await calculateAirRoute(keylongPatient, igmcShimla, { helipads: [] })).error).toBe('No helipads available');
+  });
+
+  test('compareWithRoad reports the time air saves', async () => {
+    const air = await calculateAirRoute(keylongPatient, igmcShimla);
+
+    // The road from Keylong to Shimla takes around ten hours
+    expect(compareWithRoad(air, 10 * 3600)).toMatchObject({ airFaster: true });
+    expect(compareWithRoad(air, 30 * 60).airFaster).toBe(false);
+  });
+});
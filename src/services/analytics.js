@@ -1,15 +1,18 @@
-import { fetchHealthcareFacilities, calculateFacilityStats } from './facilities';
-import { calculateHaversineDistance } from './routing';
+import { loadFacilityDataset, calculateFacilityStats } from './facilities';
+import { getFacilityIndex } from './spatialIndex';
 
 /**
  * Calculate analytics based on real facility data
+ * @param {Object} current Dataset to use instead of loading the current one
  * @returns {Promise<Object>} Analytics data
  */
-export const calculateAnalytics = async () => {
+export const calculateAnalytics = async (current) => {
   try {
     // Fetch facilities data
-    const facilities = await fetchHealthcareFacilities();
+    const dataset = current || await loadFacilityDataset();
+    const { facilities } = dataset;
     const stats = calculateFacilityStats(facilities);
+    const facilityIndex = getFacilityIndex(facilities);
 
     // Population centers in Himachal Pradesh with 2011 census data
     const populationCenters = [
@@ -29,15 +32,10 @@ export const calculateAnalytics = async () => {
     let within20km = 0;
 
     populationCenters.forEach(center => {
-      const nearestFacility = facilities.reduce((nearest, facility) => {
-        const distance = calculateHaversineDistance(
-          center.lat,
-          center.lng,
-          facility.lat,
-          facility.lng
-        );
-        return distance < nearest.distance ? { distance, type: facility.type } : nearest;
-      }, { distance: Infinity, type: null });
+      const [nearest] = facilityIndex.nearest([center.lat, center.lng], 1, { maxDistance: 20 });
+      const nearestFacility = nearest
+        ? { distance: nearest.distance, type: nearest.item.type }
+        : { distance: Infinity, type: null };
 
       if (nearestFacility.distance <= 5) {
         within5km += center.population;
@@ -114,9 +112,9 @@ export const calculateAnalytics = async () => {
     ];
 
     const accessibility = districts.map(district => {
-      const facilitiesInDistrict = facilities.filter(f => 
-        calculateHaversineDistance(district.lat, district.lng, f.lat, f.lng) <= 30
-      );
+      const facilitiesInDistrict = facilityIndex
+        .withinRadius([district.lat, district.lng], 30)
+        .map(({ item }) => item);
 
       const score = Math.min(100, Math.round(
         (facilitiesInDistrict.length * 20) +
@@ -132,6 +130,7 @@ export const calculateAnalytics = async () => {
 
     return {
       totalFacilities: stats.byType,
+      facilitiesByLevel: stats.byLevel,
       populationCoverage: {
         within5km: ((within5km / totalPopulation) * 100).toFixed(1),
         within10km: ((within10km / totalPopulation) * 100).toFixed(1),
@@ -141,7 +140,8 @@ export const calculateAnalytics = async () => {
       responseTimes,
       facilityDensity,
       specialtyCoverage,
-      accessibility
+      accessibility,
+      dataset: { fetchedAt: dataset.fetchedAt, source: dataset.source }
     };
   } catch (error) {
     console.error('Error calculating analytics:', error);
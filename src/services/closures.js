@@ -0,0 +1,346 @@
+// Road closures (landslides, snow, floods) that routing must avoid
+import { bbox, booleanIntersects, buffer, feature, featureCollection, lineString } from '@turf/turf';
+import { edgeKey } from './localRouting';
+
+export const CLOSURE_REASONS = ['landslide', 'snow', 'flood', 'accident', 'roadwork', 'other'];
+
+// Closed road segments are widened into areas so ORS and the road graph can avoid them
+export const DEFAULT_LINE_BUFFER = 30; // meters
+
+const STORAGE_KEY = 'gshealth.roadClosures';
+
+let closures = [];
+const listeners = new Set();
+
+/**
+ * Load saved closures from the browser, if any
+ */
+const loadClosures = () => {
+  try {
+    if (typeof localStorage === 'undefined') return [];
+    const saved = JSON.parse(localStorage.getItem(STORAGE_KEY) || '[]');
+    return Array.isArray(saved) ? saved : [];
+  } catch (error) {
+    console.warn('[Closures] Could not load saved closures:', error);
+    return [];
+  }
+};
+
+/**
+ * Save closures and tell subscribers about the change
+ */
+const commit = (next) => {
+  closures = next;
+  try {
+    if (typeof localStorage !== 'undefined') {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(closures));
+    }
+  } catch (error) {
+    console.warn('[Closures] Could not save closures:', error);
+  }
+  listeners.forEach(listener => listener(closures));
+};
+
+closures = loadClosures();
+
+const toTime = (value) => (value === null || value === undefined ? null : new Date(value).getTime());
+
+const isPosition = (position) => {
+  return Array.isArray(position) && position.length >= 2 &&
+    typeof position[0] === 'number' && typeof position[1] === 'number';
+};
+
+/**
+ * Check a closure geometry is a usable GeoJSON Polygon or LineString
+ */
+const validateGeometry = (geometry) => {
+  if (geometry?.type === 'LineString') {
+    return geometry.coordinates?.length >= 2 && geometry.coordinates.every(isPosition);
+  }
+  if (geometry?.type === 'Polygon') {
+    const ring = geometry.coordinates?.[0];
+    return Array.isArray(ring) && ring.length >= 4 && ring.every(isPosition);
+  }
+  return false;
+};
+
+/**
+ * Close a polygon ring if its last position does not repeat the first
+ */
+const closeRing = (geometry) => {
+  if (geometry.type !== 'Polygon') return geometry;
+  return {
+    ...geometry,
+    coordinates: geometry.coordinates.map(ring => {
+      const first = ring[0];
+      const last = ring[ring.length - 1];
+      return first[0] === last[0] && first[1] === last[1] ? ring : [...ring, first];
+    })
+  };
+};
+
+/**
+ * Add a road closure
+ * @param {Object} closure Closure definition
+ * @param {Object} closure.geometry GeoJSON Polygon or LineString ([lng, lat] positions)
+ * @param {string} closure.name Description shown to dispatchers
+ * @param {string} closure.reason One of CLOSURE_REASONS
+ * @param {string} closure.validFrom ISO time the closure starts, or null for now
+ * @param {string} closure.validUntil ISO time the closure ends, or null until removed
+ * @param {number} closure.bufferMeters Width added either side of closed road segments
+ * @returns {Object} { success, closure } or { success: false, error }
+ */
+export const addClosure = ({
+  geometry,
+  name = 'Road closure',
+  reason = 'other',
+  validFrom = null,
+  validUntil = null,
+  bufferMeters = DEFAULT_LINE_BUFFER,
+  source = 'drawn'
+}) => {
+  const candidate = geometry?.type === 'Polygon' ? closeRing(geometry) : geometry;
+  if (!validateGeometry(candidate)) {
+    return { success: false, error: 'Closures need a Polygon or LineString geometry' };
+  }
+
+  if (validFrom && validUntil && toTime(validUntil) <= toTime(validFrom)) {
+    return { success: false, error: 'Closure must end after it starts' };
+  }
+
+  const closure = {
+    id: `closure-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+    name,
+    reason: CLOSURE_REASONS.includes(reason) ? reason : 'other',
+    geometry: candidate,
+    validFrom,
+    validUntil,
+    bufferMeters,
+    source,
+    createdAt: new Date().toISOString()
+  };
+
+  commit([...closures, closure]);
+  console.log(`[Closures] Added ${closure.reason} closure "${closure.name}"`);
+
+  return { success: true, closure };
+};
+
+/**
+ * Remove a road closure
+ * @param {string} id Closure id
+ */
+export const removeClosure = (id) => {
+  commit(closures.filter(closure => closure.id !== id));
+};
+
+/**
+ * Remove every road closure
+ */
+export const clearClosures = () => {
+  commit([]);
+};
+
+/**
+ * Get every road closure, including expired and future ones
+ * @returns {Array} Closures
+ */
+export const getClosures = () => closures;
+
+/**
+ * Check whether a closure applies at a given time
+ * @param {Object} closure Closure
+ * @param {Date|number} at Time to check, defaults to now
+ * @returns {boolean} True while the closure is in force
+ */
+export const isClosureActive = (closure, at = Date.now()) => {
+  const time = new Date(at).getTime();
+  const from = toTime(closure.validFrom);
+  const until = toTime(closure.validUntil);
+  return (from === null || from <= time) && (until === null || time < until);
+};
+
+/**
+ * Get the closures in force at a given time
+ * @param {Date|number} at Time to check, defaults to now
+ * @returns {Array} Active closures
+ */
+export const getActiveClosures = (at = Date.now()) => {
+  return closures.filter(closure => isClosureActive(closure, at));
+};
+
+/**
+ * Listen for closures being added or removed
+ * @param {Function} listener Called with the full closure list
+ * @returns {Function} Unsubscribe
+ */
+export const subscribeToClosures = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+/**
+ * Import closures from GeoJSON, e.g. a file shared by the PWD
+ * Polygons and LineStrings (and their Multi variants) are imported; feature
+ * properties name, reason, validFrom and validUntil are used when present.
+ * @param {Object} geojson FeatureCollection, Feature or bare geometry
+ * @param {Object} defaults Values for properties the features do not set
+ * @returns {Object} { success, imported, skipped }
+ */
+export const importClosures = (geojson, defaults = {}) => {
+  const features = geojson?.type === 'FeatureCollection'
+    ? geojson.features || []
+    : geojson?.type === 'Feature' ? [geojson] : [feature(geojson)];
+
+  const imported = [];
+  let skipped = 0;
+
+  features.forEach(item => {
+    const geometry = item?.geometry;
+    const properties = item?.properties || {};
+    const parts = geometry?.type === 'MultiPolygon'
+      ? geometry.coordinates.map(coordinates => ({ type: 'Polygon', coordinates }))
+      : geometry?.type === 'MultiLineString'
+        ? geometry.coordinates.map(coordinates => ({ type: 'LineString', coordinates }))
+        : [geometry];
+
+    parts.forEach(part => {
+      const result = addClosure({
+        ...defaults,
+        geometry: part,
+        name: properties.name || defaults.name,
+        reason: properties.reason || defaults.reason,
+        validFrom: properties.validFrom ?? defaults.validFrom ?? null,
+        validUntil: properties.validUntil ?? defaults.validUntil ?? null,
+        source: 'imported'
+      });
+      if (result.success) {
+        imported.push(result.closure);
+      } else {
+        skipped++;
+      }
+    });
+  });
+
+  if (imported.length === 0) {
+    return { success: false, error: 'No Polygon or LineString closures found', imported, skipped };
+  }
+
+  return { success: true, imported, skipped };
+};
+
+/**
+ * Area covered by a closure, buffering closed road segments
+ * @param {Object} closure Closure
+ * @returns {Object} GeoJSON Polygon Feature
+ */
+export const getClosureArea = (closure) => {
+  if (closure.geometry.type === 'Polygon') {
+    return feature(closure.geometry, { id: closure.id });
+  }
+  const area = buffer(lineString(closure.geometry.coordinates), closure.bufferMeters || DEFAULT_LINE_BUFFER, {
+    units: 'meters'
+  });
+  return { ...area, properties: { id: closure.id } };
+};
+
+/**
+ * Build the ORS avoid_polygons option for a set of closures
+ * @param {Array} activeClosures Closures to avoid
+ * @returns {Object|null} GeoJSON MultiPolygon geometry, or null if there is nothing to avoid
+ */
+export const getAvoidPolygons = (activeClosures = getActiveClosures()) => {
+  if (activeClosures.length === 0) return null;
+
+  return {
+    type: 'MultiPolygon',
+    coordinates: activeClosures.map(closure => getClosureArea(closure).geometry.coordinates)
+  };
+};
+
+/**
+ * Find the closures a route passes through
+ * @param {Array} route Array of [lat, lng]
+ * @param {Array} activeClosures Closures to check
+ * @returns {Array} Closures crossed by the route
+ */
+export const findRouteClosures = (route, activeClosures = getActiveClosures()) => {
+  if (!Array.isArray(route) || route.length < 2 || activeClosures.length === 0) return [];
+
+  const line = lineString(route.map(([lat, lng]) => [lng, lat]));
+  return activeClosures.filter(closure => booleanIntersects(line, getClosureArea(closure)));
+};
+
+/**
+ * Find road graph edges that pass through closures
+ * @param {Object} graph Road graph from buildRoadGraph
+ * @param {Array} activeClosures Closures to check
+ * @returns {Set} Edge keys (both directions) that are closed
+ */
+export const findClosedEdges = (graph, activeClosures = getActiveClosures()) => {
+  const closed = new Set();
+  if (!graph || activeClosures.length === 0) return closed;
+
+  const areas = activeClosures.map(closure => {
+    const area = getClosureArea(closure);
+    return { area, box: bbox(area) };
+  });
+
+  graph.adjacency.forEach((edges, fromId) => {
+    const from = graph.nodes.get(fromId);
+    edges.forEach(edge => {
+      if (closed.has(edgeKey(fromId, edge.to))) return;
+
+      const to = graph.nodes.get(edge.to);
+      const minLng = Math.min(from.lng, to.lng);
+      const maxLng = Math.max(from.lng, to.lng);
+      const minLat = Math.min(from.lat, to.lat);
+      const maxLat = Math.max(from.lat, to.lat);
+      const segment = lineString([[from.lng, from.lat], [to.lng, to.lat]]);
+
+      const isClosed = areas.some(({ area, box }) =>
+        minLng <= box[2] && maxLng >= box[0] && minLat <= box[3] && maxLat >= box[1] &&
+        booleanIntersects(segment, area)
+      );
+
+      if (isClosed) {
+        closed.add(edgeKey(fromId, edge.to));
+        closed.add(edgeKey(edge.to, fromId));
+      }
+    });
+  });
+
+  return closed;
+};
+
+/**
+ * Closures as a FeatureCollection for map display
+ * @param {Array} list Closures to include
+ * @returns {Object} GeoJSON FeatureCollection with closure details in properties
+ */
+export const getClosureFeatures = (list = getActiveClosures()) => {
+  return featureCollection(list.map(closure => feature(closure.geometry, {
+    id: closure.id,
+    name: closure.name,
+    reason: closure.reason,
+    validFrom: closure.validFrom,
+    validUntil: closure.validUntil
+  })));
+};
+
+export default {
+  CLOSURE_REASONS,
+  addClosure,
+  removeClosure,
+  clearClosures,
+  getClosures,
+  isClosureActive,
+  getActiveClosures,
+  subscribeToClosures,
+  importClosures,
+  getClosureArea,
+  getAvoidPolygons,
+  findRouteClosures,
+  findClosedEdges,
+  getClosureFeatures
+};
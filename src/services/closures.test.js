@@ -0,0 +1,137 @@
+import {
+  addClosure,
+  clearClosures,
+  getActiveClosures,
+  importClosures,
+  getAvoidPolygons,
+  findRouteClosures,
+  findClosedEdges
+} from './closures';
+import { buildRoadGraph, calculateGraphRoute, calculateGraphMatrix, findReachableNodes } from './localRouting';
+
+// Two ways from Kaza to Losar: a short highway and a slower loop to the north
+const roadData = {
+  type: 'FeatureCollection',
+  features: [
+    {
+      type: 'Feature',
+      properties: { highway: 'primary', name: 'NH505' },
+      geometry: { type: 'LineString', coordinates: [[78.00, 32.20], [78.05, 32.20], [78.10, 32.20]] }
+    },
+    {
+      type: 'Feature',
+      properties: { highway: 'tertiary', name: 'Village Loop' },
+      geometry: { type: 'LineString', coordinates: [[78.00, 32.20], [78.05, 32.25], [78.10, 32.20]] }
+    }
+  ]
+};
+
+// Landslide blocking the highway east of the first junction
+const landslide = {
+  type: 'LineString',
+  coordinates: [[78.07, 32.19], [78.07, 32.21]]
+};
+
+describe('Road closures', () => {
+  beforeEach(() => {
+    clearClosures();
+  });
+
+  test('only closures inside their validity window are active', () => {
+    addClosure({ geometry: landslide, name: 'Current slide', reason: 'landslide' });
+    addClosure({
+      geometry: landslide,
+      name: 'Snow last winter',
+      reason: 'snow',
+      validFrom: '2024-01-01T00:00:00Z',
+      validUntil: '2024-03-01T00:00:00Z'
+    });
+
+    expect(getActiveClosures().map(closure => closure.name)).toEqual(['Current slide']);
+    expect(getActiveClosures(new Date('2024-02-01T00:00:00Z'))).toHaveLength(2);
+  });
+
+  test('rejects closures without a usable geometry or window', () => {
+    expect(addClosure({ geometry: { type: 'Point', coordinates: [78, 32] } }).success).toBe(false);
+    expect(addClosure({
+      geometry: landslide,
+      validFrom: '2024-03-01T00:00:00Z',
+      validUntil: '2024-01-01T00:00:00Z'
+    }).success).toBe(false);
+  });
+
+  test('importClosures splits multi-geometries and keeps feature properties', () => {
+    const result = importClosures({
+      type: 'FeatureCollection',
+      features: [
+        {
+          type: 'Feature',
+          properties: { name: 'Rohtang snow', reason: 'snow' },
+          geometry: {
+            type: 'MultiPolygon',
+            coordinates: [
+              [[[77.2, 32.3], [77.3, 32.3], [77.3, 32.4], [77.2, 32.3]]],
+              [[[77.4, 32.3], [77.5, 32.3], [77.5, 32.4], [77.4, 32.3]]]
+            ]
+          }
+        },
+        { type: 'Feature', properties: {}, geometry: { type: 'Point', coordinates: [77, 32] } }
+      ]
+    });
+
+    expect(result.success).toBe(true);
+    expect(result.imported).toHaveLength(2);
+    expect(result.skipped).toBe(1);
+    expect(result.imported[0]).toMatchObject({ name: 'Rohtang snow', reason: 'snow', source: 'imported' });
+  });
+
+  test('buffers closed road segments into ORS avoid polygons', () => {
+    addClosure({ geometry: landslide, reason: 'landslide' });
+
+    const avoid = getAvoidPolygons();
+
+    expect(avoid.type).toBe('MultiPolygon');
+    expect(avoid.coordinates).toHaveLength(1);
+    expect(getAvoidPolygons([])).toBeNull();
+  });
+
+  test('detects routes crossing a closure', () => {
+    addClosure({ geometry: landslide, name: 'NH505 slide', reason: 'landslide' });
+
+    const crossing = findRouteClosures([[32.20, 78.00], [32.20, 78.10]]);
+    const clear = findRouteClosures([[32.20, 78.00], [32.25, 78.05], [32.20, 78.10]]);
+
+    expect(crossing.map(closure => closure.name)).toEqual(['NH505 slide']);
+    expect(clear).toEqual([]);
+  });
+
+  test('closed graph edges send the offline route around the closure', () => {
+    addClosure({ geometry: landslide, reason: 'landslide' });
+    const graph = buildRoadGraph(roadData);
+
+    const open = calculateGraphRoute(graph, [32.20, 78.00], [32.20, 78.10]);
+    const blockedEdges = findClosedEdges(graph);
+    const detour = calculateGraphRoute(graph, [32.20, 78.00], [32.20, 78.10], { blockedEdges });
+
+    expect(blockedEdges.size).toBe(2);
+    expect(open.legs[0].steps[0].name).toBe('NH505');
+    expect(detour.legs[0].steps[0].name).toBe('Village Loop');
+    expect(detour.route).toContainEqual([32.25, 78.05]);
+  });
+
+  test('closed graph edges also apply to matrices and reachable areas', () => {
+    addClosure({ geometry: landslide, reason: 'landslide' });
+    const graph = buildRoadGraph(roadData);
+    const blockedEdges = findClosedEdges(graph);
+
+    const open = calculateGraphMatrix(graph, [[32.20, 78.00]], [[32.20, 78.10]]);
+    const closed = calculateGraphMatrix(graph, [[32.20, 78.00]], [[32.20, 78.10]], { blockedEdges });
+    expect(closed.durations[0][0]).toBeGreaterThan(open.durations[0][0]);
+
+    const budget = open.durations[0][0] + 1;
+    const reachesLosar = (options) => findReachableNodes(graph, [32.20, 78.00], budget, options)
+      .some(({ node }) => node.lat === 32.20 && node.lng === 78.10);
+    expect(reachesLosar()).toBe(true);
+    expect(reachesLosar({ blockedEdges })).toBe(false);
+  });
+});
@@ -0,0 +1,90 @@
+// Elevation profile and climb statistics for routes with 3D geometry
+import { calculateDistance } from './localRouting';
+
+// Gradients are measured over at least this distance so DEM noise between
+// closely spaced vertices does not produce impossible slopes
+const GRADIENT_WINDOW = 0.2; // km
+
+// Altitude above which crews should plan for hypoxia (e.g. Rohtang, Kunzum)
+export const HIGH_ALTITUDE_THRESHOLD = 3000; // m
+
+/**
+ * Build an elevation profile from route points
+ * @param {Array} points Array of [lat, lng, elevation]
+ * @returns {Object|null} { profile, climb, descent, maxGradient, highestPoint, lowestPoint },
+ *   or null when the points carry no elevation
+ */
+export const buildElevationProfile = (points) => {
+  if (!Array.isArray(points) || points.length < 2 || points.some(point => typeof point[2] !== 'number')) {
+    return null;
+  }
+
+  const profile = [];
+  let distance = 0;
+  let climb = 0;
+  let descent = 0;
+
+  points.forEach(([lat, lng, elevation], i) => {
+    if (i > 0) {
+      const [prevLat, prevLng, prevElevation] = points[i - 1];
+      distance += calculateDistance(prevLat, prevLng, lat, lng);
+      const change = elevation - prevElevation;
+      if (change > 0) climb += change;
+      else descent -= change;
+    }
+    profile.push({ distance, elevation, lat, lng });
+  });
+
+  // Steepest slope over a sliding window, in percent
+  let maxGradient = 0;
+  let windowStart = 0;
+  for (let i = 1; i < profile.length; i++) {
+    while (windowStart < i - 1 && profile[i].distance - profile[windowStart + 1].distance >= GRADIENT_WINDOW) {
+      windowStart++;
+    }
+    const run = (profile[i].distance - profile[windowStart].distance) * 1000;
+    if (run >= GRADIENT_WINDOW * 1000) {
+      const gradient = Math.abs(profile[i].elevation - profile[windowStart].elevation) / run * 100;
+      maxGradient = Math.max(maxGradient, gradient);
+    }
+  }
+
+  const highestPoint = profile.reduce((highest, point) => (point.elevation > highest.elevation ? point : highest));
+  const lowestPoint = profile.reduce((lowest, point) => (point.elevation < lowest.elevation ? point : lowest));
+
+  return {
+    profile,
+    climb: Math.round(climb),
+    descent: Math.round(descent),
+    maxGradient: Math.round(maxGradient * 10) / 10,
+    highestPoint,
+    lowestPoint
+  };
+};
+
+/**
+ * Reduce a profile to at most maxPoints evenly spaced samples for charting,
+ * always keeping the highest point
+ * @param {Array} profile Profile points from buildElevationProfile
+ * @param {number} maxPoints Maximum number of samples
+ * @returns {Array} Sampled profile
+ */
+export const sampleElevationProfile = (profile, maxPoints = 200) => {
+  if (!Array.isArray(profile) || profile.length <= maxPoints) return profile || [];
+
+  const step = (profile.length - 1) / (maxPoints - 1);
+  const highest = profile.reduce((best, point) => (point.elevation > best.elevation ? point : best));
+  const samples = Array.from({ length: maxPoints }, (_, i) => profile[Math.round(i * step)]);
+
+  if (!samples.includes(highest)) {
+    samples.push(highest);
+    samples.sort((a, b) => a.distance - b.distance);
+  }
+  return samples;
+};
+
+export default {
+  HIGH_ALTITUDE_THRESHOLD,
+  buildElevationProfile,
+  sampleElevationProfile
+};
@@ -0,0 +1,36 @@
+import { buildElevationProfile, sampleElevationProfile } from './elevation';
+
+// Manali up to Rohtang Pass and down towards Gramphu
+const pass = [
+  [32.2432, 77.1892, 2050],
+  [32.2900, 77.1950, 2700],
+  [32.3300, 77.2200, 3400],
+  [32.3716, 77.2466, 3978],
+  [32.3900, 77.2900, 3200]
+];
+
+describe('Elevation profile', () => {
+  test('summarises climb, descent and the highest point', () => {
+    const result = buildElevationProfile(pass);
+
+    expect(result.profile).toHaveLength(5);
+    expect(result.profile[0].distance).toBe(0);
+    expect(result.climb).toBe(1928);
+    expect(result.descent).toBe(778);
+    expect(result.highestPoint).toMatchObject({ elevation: 3978, lat: 32.3716 });
+    expect(result.maxGradient).toBeGreaterThan(10);
+  });
+
+  test('returns null without elevation data', () => {
+    expect(buildElevationProfile([[32.2, 77.1], [32.3, 77.2]])).toBeNull();
+  });
+
+  test('sampling keeps the highest point', () => {
+    const profile = Array.from({ length: 500 }, (_, i) => ({ distance: i / 10, elevation: i === 333 ? 4000 : 2000 }));
+
+    const samples = sampleElevationProfile(profile, 50);
+
+    expect(samples.length).toBeLessThanOrEqual(51);
+    expect(samples.some(point => point.elevation === 4000)).toBe(true);
+  });
+});
@@ -1,108 +1,407 @@
+// Facility dataset: loaded from OpenStreetMap, kept in IndexedDB so the app
+// starts instantly and keeps working offline, and refreshed in the background
+import localforage from 'localforage';
 import { overpassApi } from './osm';
+import { fromOverpassElement, normalizeFacility, validateFacility } from './facilitySchema';
+import { mergeFacilities } from './facilityImport';
+import { dedupeFacilities } from './facilityDedup';
+import { IPHS_LEVELS, OUTSIDE_IPHS, getFacilityLevel } from './iphs';
+
+// Bump when the facility schema changes so older stored datasets are refetched
+export const FACILITY_DATASET_VERSION = 2;
+
+// Enable this to use default facilities instead of actual API data (for debugging)
+const USE_DEFAULT_FACILITIES = false;
+
+const DATASET_KEY = 'dataset';
+const IMPORT_KEY = 'import';
+const SEPARATED_KEY = 'separated-duplicates';
+
+const store = localforage.createInstance({
+  name: 'gshealth',
+  storeName: 'facilities'
+});
+
+// Latest OSM dataset: { version, fetchedAt, source ('network', 'cache' or 'default'), facilities }
+let osmDataset = null;
+// The OSM dataset merged with imported registries, as handed to pages
+let currentDataset = null;
+// Imported registries: { records, resolutions, sources, importedAt }; undefined until read
+let facilityImport;
+// Duplicate links a reviewer kept apart; undefined until read
+let separatedDuplicates;
+let refreshRequest = null;
+const listeners = new Set();
+
+const FACILITIES_QUERY = `
+  [out:json][timeout:60];
+  area["name"="Himachal Pradesh"]["admin_level"="4"]->.searchArea;
+  (
+    // Hospitals and clinics
+    nwr["amenity"="hospital"](area.searchArea);
+    nwr["healthcare"="hospital"](area.searchArea);
+    nwr["amenity"="clinic"](area.searchArea);
+    nwr["healthcare"="clinic"](area.searchArea);
+    nwr["healthcare"="centre"](area.searchArea);
+    nwr["healthcare"="health_post"](area.searchArea);
+
+    // Doctors
+    nwr["healthcare"="doctor"](area.searchArea);
+    nwr["amenity"="doctors"](area.searchArea);
+
+    // Pharmacies
+    nwr["amenity"="pharmacy"](area.searchArea);
+    nwr["healthcare"="pharmacy"](area.searchArea);
+  );
+  out body center qt;
+`;
+
+/**
+ * Convert Overpass elements to canonical facilities, dropping duplicates and
+ * anything that fails validation
+ * @param {Array} elements Overpass elements
+ * @returns {Array} Facilities
+ */
+export const parseFacilities = (elements = []) => {
+  const facilitiesById = new Map();
+
+  elements.forEach(element => {
+    const facility = fromOverpassElement(element);
+    // Keep the first copy of an element that is listed twice
+    if (!facility || facilitiesById.has(facility.id)) return;
+
+    const { valid, errors } = validateFacility(facility);
+    if (!valid) {
+      console.warn(`[Facilities] Skipping ${facility.id}:`, errors.join('; '));
+      return;
+    }
+    facilitiesById.set(facility.id, facility);
+  });
+
+  return Array.from(facilitiesById.values());
+};
+
+const isOnline = () => typeof navigator === 'undefined' || navigator.onLine !== false;
+
+/**
+ * Imported registries, read from storage on first use
+ */
+export const getFacilityImport = async () => {
+  if (facilityImport === undefined) {
+    try {
+      facilityImport = (await store.getItem(IMPORT_KEY)) || null;
+    } catch (error) {
+      console.warn('[Facilities] Could not read imported registries:', error);
+      facilityImport = null;
+    }
+  }
+  return facilityImport;
+};
+
+/**
+ * Link keys of duplicates a reviewer kept apart, read from storage on first use
+ */
+export const getSeparatedDuplicates = async () => {
+  if (separatedDuplicates === undefined) {
+    try {
+      separatedDuplicates = (await store.getItem(SEPARATED_KEY)) || [];
+    } catch (error) {
+      console.warn('[Facilities] Could not read separated duplicates:', error);
+      separatedDuplicates = [];
+    }
+  }
+  return separatedDuplicates;
+};
+
+/**
+ * Merge duplicate OSM facilities, then merge imported registries into them
+ * osmFacilities keeps the deduplicated OSM facilities for importing further
+ * registries and duplicates reports the merges for review.
+ */
+const buildDataset = (dataset, imported, separated) => {
+  const deduped = dedupeFacilities(dataset.facilities, { separated });
+  const duplicates = { merges: deduped.merges, separated: deduped.separated };
+
+  if (!imported?.records?.length) {
+    return { ...dataset, facilities: deduped.facilities, osmFacilities: deduped.facilities, conflicts: [], duplicates };
+  }
+  const merged = mergeFacilities(deduped.facilities, imported.records, { resolutions: imported.resolutions });
+  return { ...dataset, facilities: merged.facilities, osmFacilities: deduped.facilities, conflicts: merged.conflicts, duplicates };
+};
 
 /**
- * Fetch healthcare facilities from OpenStreetMap
- * @returns {Promise<Array>} Array of healthcare facilities
+ * Make an OSM dataset current, deduplicated and with imports applied, and
+ * tell subscribers about it
  */
-export const fetchHealthcareFacilities = async () => {
+const setDataset = async (dataset) => {
+  osmDataset = dataset;
+  currentDataset = buildDataset(dataset, await getFacilityImport(), await getSeparatedDuplicates());
+  listeners.forEach(listener => listener(currentDataset));
+  return currentDataset;
+};
+
+/**
+ * Stored dataset, or null when there is none for the current version
+ */
+const readStoredDataset = async () => {
   try {
-    // Himachal Pradesh bounding box
-    const bbox = {
-      south: 30.3868,
-      west: 75.5762,
-      north: 33.2569,
-      east: 79.0538
-    };
-
-    // Overpass query for healthcare facilities
-    const query = `
-      [out:json][timeout:25];
-      area["name:en"="Himachal Pradesh"]->.searchArea;
-      (
-        // Primary Healthcare
-        nwr["amenity"="clinic"](area.searchArea);
-        nwr["healthcare"="centre"](area.searchArea);
-        nwr["healthcare"="health_post"](area.searchArea);
-        
-        // Secondary Healthcare
-        nwr["amenity"="hospital"]["healthcare"!="tertiary"](area.searchArea);
-        
-        // Tertiary Healthcare
-        nwr["amenity"="hospital"]["healthcare"="tertiary"](area.searchArea);
-      );
-      out body;
-      >;
-      out skel qt;
-    `;
-
-    const response = await overpassApi(query);
-    
-    if (!response.ok) {
-      throw new Error('Failed to fetch healthcare facilities');
+    const stored = await store.getItem(DATASET_KEY);
+    if (!stored || stored.version !== FACILITY_DATASET_VERSION || !Array.isArray(stored.facilities)) {
+      return null;
     }
+    return { ...stored, source: 'cache' };
+  } catch (error) {
+    console.warn('[Facilities] Could not read stored dataset:', error);
+    return null;
+  }
+};
 
-    const data = await response.json();
-    
-    // Process and categorize facilities
-    const facilities = data.elements
-      .filter(element => element.type === 'node' || element.type === 'way')
-      .map(element => {
-        const tags = element.tags || {};
-        
-        // Determine facility type
-        let type = 'Primary';
-        if (tags.healthcare === 'tertiary' || tags.emergency === 'yes') {
-          type = 'Tertiary';
-        } else if (tags.amenity === 'hospital') {
-          type = 'Secondary';
-        }
+/**
+ * Fetch facilities from Overpass, throwing when none can be loaded
+ */
+const fetchFromOverpass = async () => {
+  const response = await overpassApi(FACILITIES_QUERY);
+  if (!response.ok) {
+    throw new Error(`Failed to fetch facilities: ${response.status} ${response.statusText}`);
+  }
 
-        // Extract specialties
-        const specialties = [];
-        if (tags.healthcare_speciality) {
-          specialties.push(...tags.healthcare_speciality.split(';'));
-        }
-        if (tags.emergency === 'yes') specialties.push('Emergency');
-        if (tags.surgery === 'yes') specialties.push('Surgery');
-        if (tags.maternity === 'yes') specialties.push('Maternity');
-
-        // Get coordinates
-        let lat, lng;
-        if (element.type === 'node') {
-          lat = element.lat;
-          lng = element.lon;
-        } else if (element.type === 'way' && element.center) {
-          lat = element.center.lat;
-          lng = element.center.lon;
-        }
+  const data = await response.json();
+  const facilities = parseFacilities(data.elements);
+  console.log(`[Facilities] Loaded ${facilities.length} facilities from ${data.elements?.length || 0} elements`);
+  if (facilities.length === 0) {
+    throw new Error('No valid facilities found');
+  }
+  return facilities;
+};
 
-        // Only include facilities with valid coordinates
-        if (!lat || !lng) return null;
-
-        return {
-          id: element.id.toString(),
-          name: tags.name || tags['name:en'] || 'Unnamed Facility',
-          type,
-          lat,
-          lng,
-          specialties: specialties.length > 0 ? specialties : ['General'],
-          address: tags['addr:full'] || tags['addr:street'] || '',
-          phone: tags.phone || tags['contact:phone'] || '',
-          emergency: tags.emergency === 'yes',
-          wheelchair: tags.wheelchair === 'yes',
-          beds: parseInt(tags.beds) || null,
-          opening_hours: tags.opening_hours || '24/7'
-        };
+/**
+ * Fetch the latest facilities, store them and make them current
+ * Concurrent calls share one request.
+ * @returns {Promise<Object>} Dataset
+ */
+export const refreshFacilities = () => {
+  if (!refreshRequest) {
+    refreshRequest = fetchFromOverpass()
+      .then(async facilities => {
+        const dataset = { version: FACILITY_DATASET_VERSION, fetchedAt: Date.now(), facilities };
+        try {
+          await store.setItem(DATASET_KEY, dataset);
+        } catch (error) {
+          console.warn('[Facilities] Could not store dataset:', error);
+        }
+        return setDataset({ ...dataset, source: 'network' });
       })
-      .filter(facility => facility !== null);
+      .finally(() => {
+        refreshRequest = null;
+      });
+  }
+  return refreshRequest;
+};
 
-    return facilities;
+/**
+ * Load the facility dataset
+ * Every page goes through this loader, so they all see the same facilities.
+ * A stored dataset is returned straight away and refreshed in the background
+ * when online; subscribers hear about the refreshed data. Without a stored
+ * dataset the facilities are fetched, and the default facilities are only
+ * used when that fails too.
+ * @param {Object} options { force } to wait for fresh data
+ * @returns {Promise<Object>} { version, fetchedAt, source, facilities }
+ */
+export const loadFacilityDataset = async (options = {}) => {
+  if (USE_DEFAULT_FACILITIES) {
+    console.log('[Facilities] Using default facilities (debug mode)');
+    return { version: FACILITY_DATASET_VERSION, fetchedAt: null, source: 'default', facilities: getDefaultFacilities() };
+  }
+
+  if (currentDataset && !options.force) {
+    return currentDataset;
+  }
+
+  const stored = osmDataset || await readStoredDataset();
+  if (stored && !options.force) {
+    const dataset = await setDataset(stored);
+    if (isOnline()) {
+      refreshFacilities().catch(error => console.warn('[Facilities] Background refresh failed:', error.message));
+    }
+    return dataset;
+  }
+
+  try {
+    return await refreshFacilities();
+  } catch (error) {
+    if (currentDataset) {
+      console.warn('[Facilities] Refresh failed, keeping current dataset:', error.message);
+      return currentDataset;
+    }
+    if (stored) {
+      console.warn('[Facilities] Refresh failed, keeping stored dataset:', error.message);
+      return setDataset(stored);
+    }
+    console.error('[Facilities] Error fetching facilities, using defaults:', error);
+    return { version: FACILITY_DATASET_VERSION, fetchedAt: null, source: 'default', facilities: getDefaultFacilities() };
+  }
+};
+
+/**
+ * Load healthcare facilities in Himachal Pradesh
+ * @param {Object} options Options for loadFacilityDataset
+ * @returns {Promise<Array>} Canonical facilities
+ */
+export const fetchHealthcareFacilities = async (options = {}) => (await loadFacilityDataset(options)).facilities;
+
+/**
+ * Get notified when the facility dataset changes, e.g. after a background refresh
+ * @param {Function} listener Called with the dataset
+ * @returns {Function} Unsubscribe
+ */
+export const subscribeToFacilities = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+/**
+ * Save imported registry records and the chosen conflict resolutions, and
+ * apply them to the current dataset
+ * Records from a source replace any earlier import from the same source.
+ * @param {Object} imported { records, resolutions, source }
+ * @returns {Promise<Object>} { success, dataset, error }
+ */
+export const saveFacilityImport = async ({ records, resolutions = {}, source }) => {
+  const previous = await getFacilityImport();
+  const next = {
+    records: [...(previous?.records || []).filter(record => record.source !== source), ...records],
+    resolutions: { ...previous?.resolutions, ...resolutions },
+    sources: [...new Set([...(previous?.sources || []), source])],
+    importedAt: Date.now()
+  };
+
+  try {
+    await store.setItem(IMPORT_KEY, next);
   } catch (error) {
-    console.error('Error fetching healthcare facilities:', error);
-    throw error;
+    console.error('[Facilities] Could not save imported registries:', error);
+    return { success: false, error: error.message };
+  }
+
+  facilityImport = next;
+  console.log(`[Facilities] Imported ${records.length} ${source} records`);
+  return { success: true, dataset: osmDataset ? await setDataset(osmDataset) : null };
+};
+
+/**
+ * Remove every imported registry, leaving the OSM facilities
+ */
+export const clearFacilityImport = async () => {
+  try {
+    await store.removeItem(IMPORT_KEY);
+  } catch (error) {
+    console.warn('[Facilities] Could not clear imported registries:', error);
+  }
+  facilityImport = null;
+  if (osmDataset) await setDataset(osmDataset);
+};
+
+/**
+ * Keep two facilities the duplicate check linked apart, or merge them again
+ * @param {string} key Link key from the duplicates report
+ * @param {boolean} separate True to keep them apart
+ * @returns {Promise<Object|null>} Rebuilt dataset
+ */
+export const setDuplicateSeparated = async (key, separate) => {
+  const current = await getSeparatedDuplicates();
+  separatedDuplicates = separate
+    ? [...new Set([...current, key])]
+    : current.filter(separatedKey => separatedKey !== key);
+
+  try {
+    await store.setItem(SEPARATED_KEY, separatedDuplicates);
+  } catch (error) {
+    console.warn('[Facilities] Could not save separated duplicates:', error);
+  }
+  return osmDataset ? setDataset(osmDataset) : null;
+};
+
+/**
+ * Forget the stored and in-memory dataset, imports and duplicate overrides
+ */
+export const clearFacilityCache = async () => {
+  osmDataset = null;
+  currentDataset = null;
+  facilityImport = undefined;
+  separatedDuplicates = undefined;
+  try {
+    await Promise.all([DATASET_KEY, IMPORT_KEY, SEPARATED_KEY].map(key => store.removeItem(key)));
+  } catch (error) {
+    console.warn('[Facilities] Could not clear stored dataset:', error);
   }
 };
 
+/**
+ * Default facilities for debugging and as a fallback when Overpass is unavailable
+ */
+export const getDefaultFacilities = () => [
+  {
+    id: 'default1',
+    name: 'Regional Hospital Shimla',
+    type: 'Tertiary',
+    lat: 31.1048,
+    lng: 77.1734,
+    address: 'Shimla, Himachal Pradesh',
+    phone: '+91 123-456-7890',
+    emergency: true,
+    wheelchair: 'yes',
+    specialties: ['Emergency Care', 'Surgery', 'Cardiology', 'Pediatrics']
+  },
+  {
+    id: 'default2',
+    name: 'District Clinic Dharamshala',
+    type: 'Secondary',
+    lat: 32.2143,
+    lng: 76.3196,
+    address: 'Dharamshala, Himachal Pradesh',
+    phone: '+91 123-456-7891',
+    emergency: false,
+    wheelchair: 'limited',
+    specialties: ['General Medicine', 'Orthopedics']
+  },
+  {
+    id: 'default3',
+    name: 'Community Health Center Manali',
+    type: 'Primary',
+    lat: 32.2396,
+    lng: 77.1887,
+    address: 'Manali, Himachal Pradesh',
+    phone: '+91 123-456-7892',
+    emergency: false,
+    wheelchair: 'no',
+    specialties: ['General Medicine', 'Vaccination']
+  },
+  {
+    id: 'default4',
+    name: 'Hill View Pharmacy',
+    type: 'Primary',
+    lat: 31.0893,
+    lng: 77.1835,
+    address: 'Shimla, Himachal Pradesh',
+    phone: '+91 123-456-7893',
+    emergency: false,
+    wheelchair: 'yes',
+    specialties: ['Pharmacy', 'General Medicine']
+  },
+  {
+    id: 'default5',
+    name: 'Mountain Emergency Hospital',
+    type: 'Tertiary',
+    lat: 31.6340,
+    lng: 77.1166,
+    address: 'Rampur, Himachal Pradesh',
+    phone: '+91 123-456-7894',
+    emergency: true,
+    wheelchair: 'yes',
+    specialties: ['Emergency Care', 'Trauma Care', 'Surgery']
+  }
+].map(facility => normalizeFacility({ ...facility, source: 'default' }));
+
 /**
  * Calculate facility statistics
  * @param {Array} facilities List of healthcare facilities
@@ -116,16 +415,24 @@ export const calculateFacilityStats = (facilities) => {
       Secondary: 0,
       Tertiary: 0
     },
+    byLevel: {
+      ...Object.fromEntries(IPHS_LEVELS.map(level => [level.id, 0])),
+      [OUTSIDE_IPHS]: 0,
+      unclassified: 0
+    },
     specialties: new Set(),
     emergency: 0,
     wheelchair: 0
   };
 
   facilities.forEach(facility => {
-    stats.byType[facility.type]++;
+    const level = getFacilityLevel(facility);
+    // Pharmacies and private clinics are counted by level only, not as Primary care
+    if (level !== OUTSIDE_IPHS) stats.byType[facility.type]++;
+    stats.byLevel[level || 'unclassified']++;
     facility.specialties.forEach(specialty => stats.specialties.add(specialty));
     if (facility.emergency) stats.emergency++;
-    if (facility.wheelchair) stats.wheelchair++;
+    if (facility.wheelchair === 'yes') stats.wheelchair++;
   });
 
   return {
@@ -135,6 +442,18 @@ export const calculateFacilityStats = (facilities) => {
 };
 
 export default {
+  FACILITY_DATASET_VERSION,
+  parseFacilities,
+  refreshFacilities,
+  loadFacilityDataset,
   fetchHealthcareFacilities,
+  subscribeToFacilities,
+  getFacilityImport,
+  saveFacilityImport,
+  clearFacilityImport,
+  getSeparatedDuplicates,
+  setDuplicateSeparated,
+  clearFacilityCache,
+  getDefaultFacilities,
   calculateFacilityStats
 }; 
\ No newline at end of file
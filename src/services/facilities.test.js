@@ -0,0 +1,155 @@
+import { jest } from '@jest/globals';
+import {
+  FACILITY_DATASET_VERSION,
+  loadFacilityDataset,
+  fetchHealthcareFacilities,
+  refreshFacilities,
+  subscribeToFacilities,
+  saveFacilityImport,
+  clearFacilityImport,
+  setDuplicateSeparated,
+  clearFacilityCache,
+  parseFacilities,
+  calculateFacilityStats
+} from './facilities';
+import localforage from 'localforage';
+import { isValidFacility, normalizeFacility } from './facilitySchema';
+
+const elements = [
+  { type: 'node', id: 1, lat: 31.1048, lon: 77.1734, tags: { amenity: 'hospital', name: 'IGMC Shimla', emergency: 'yes', wheelchair: 'yes' } },
+  { type: 'way', id: 2, center: { lat: 31.7088, lon: 76.9320 }, tags: { amenity: 'hospital', name: 'Zonal Hospital Mandi', beds: '300' } },
+  { type: 'node', id: 1, lat: 31.1048, lon: 77.1734, tags: { amenity: 'hospital', name: 'IGMC Shimla', emergency: 'yes' } },
+  { type: 'node', id: 3, lat: 32.2396, lon: 77.1887, tags: { shop: 'bakery', name: 'Not a clinic' } }
+];
+
+const overpassResponse = (body, ok = true) => jest.fn(() => Promise.resolve({
+  ok,
+  status: ok ? 200 : 504,
+  statusText: ok ? 'OK' : 'Gateway Timeout',
+  json: () => Promise.resolve(body)
+}));
+
+describe('Facility loader', () => {
+  test('parses, de-duplicates and validates Overpass elements', () => {
+    const facilities = parseFacilities(elements);
+
+    expect(facilities.map(f => f.id)).toEqual(['node/1', 'way/2']);
+    expect(facilities.every(isValidFacility)).toBe(true);
+    expect(facilities[1].type).toBe('Secondary');
+  });
+
+  test('counts pharmacies by level but not as Primary care', () => {
+    const stats = calculateFacilityStats(parseFacilities([
+      ...elements,
+      { type: 'node', id: 4, lat: 31.1050, lon: 77.1740, tags: { amenity: 'pharmacy', name: 'Shimla Chemists' } }
+    ]));
+
+    expect(stats.total).toBe(3);
+    expect(stats.byType).toEqual({ Primary: 0, Secondary: 1, Tertiary: 1 });
+    expect(stats.byLevel).toMatchObject({ MC: 1, DH: 1, none: 1 });
+  });
+
+  describe('dataset', () => {
+    beforeEach(async () => {
+      await clearFacilityCache();
+    });
+
+    test('falls back to valid default facilities only without a stored dataset', async () => {
+      global.fetch = overpassResponse({}, false);
+
+      const dataset = await loadFacilityDataset();
+
+      expect(dataset.source).toBe('default');
+      expect(dataset.facilities.length).toBeGreaterThan(0);
+      expect(dataset.facilities.every(isValidFacility)).toBe(true);
+    });
+
+    test('stores fetched facilities and shares them between pages', async () => {
+      global.fetch = overpassResponse({ elements });
+
+      const first = await loadFacilityDataset();
+      const second = await fetchHealthcareFacilities();
+
+      expect(first).toMatchObject({ source: 'network', version: FACILITY_DATASET_VERSION });
+      expect(first.fetchedAt).toEqual(expect.any(Number));
+      expect(second).toBe(first.facilities);
+      expect(global.fetch).toHaveBeenCalledTimes(1);
+      expect(calculateFacilityStats(second)).toMatchObject({ total: 2, emergency: 1, wheelchair: 1 });
+    });
+
+    test('loads the stored dataset first and refreshes it in the background', async () => {
+      global.fetch = overpassResponse({ elements });
+      const stored = await loadFacilityDataset();
+      await clearFacilityCache();
+      await localforage.createInstance({ name: 'gshealth', storeName: 'facilities' })
+        .setItem('dataset', { version: FACILITY_DATASET_VERSION, fetchedAt: 1000, facilities: stored.facilities.slice(0, 1) });
+
+      const listener = jest.fn();
+      const unsubscribe = subscribeToFacilities(listener);
+      const cached = await loadFacilityDataset();
+      expect(cached).toMatchObject({ source: 'cache', fetchedAt: 1000 });
+      expect(cached.facilities).toHaveLength(1);
+
+      const refreshed = await refreshFacilities();
+      unsubscribe();
+      expect(refreshed.facilities).toHaveLength(2);
+      expect(listener).toHaveBeenLastCalledWith(expect.objectContaining({ source: 'network' }));
+      expect(await fetchHealthcareFacilities()).toBe(refreshed.facilities);
+    });
+
+    test('keeps the current dataset when a refresh fails', async () => {
+      global.fetch = overpassResponse({ elements });
+      await loadFacilityDataset();
+      global.fetch = overpassResponse({}, false);
+
+      const dataset = await loadFacilityDataset({ force: true });
+
+      expect(dataset.source).not.toBe('default');
+      expect(dataset.facilities).toHaveLength(2);
+    });
+
+    test('applies imported registries to every refresh until cleared', async () => {
+      global.fetch = overpassResponse({ elements });
+      await loadFacilityDataset();
+      const record = normalizeFacility({ id: 'hfr:1', name: 'IGMC Shimla', type: 'Tertiary', lat: 31.1049, lng: 77.1735, beds: 800, source: 'hfr' });
+
+      const saved = await saveFacilityImport({ records: [record], source: 'hfr' });
+      expect(saved.dataset.facilities.find(f => f.id === 'node/1')).toMatchObject({ beds: 800, provenance: { beds: 'hfr' } });
+
+      const refreshed = await refreshFacilities();
+      expect(refreshed.facilities).toHaveLength(2);
+      expect(refreshed.osmFacilities.find(f => f.id === 'node/1').beds).toBeNull();
+      expect(refreshed.facilities.find(f => f.id === 'node/1').beds).toBe(800);
+
+      await clearFacilityImport();
+      expect((await fetchHealthcareFacilities()).find(f => f.id === 'node/1').beds).toBeNull();
+    });
+
+    test('merges duplicate facilities unless a reviewer keeps them separate', async () => {
+      const building = { type: 'way', id: 4, center: { lat: 31.1050, lon: 77.1736 }, tags: { amenity: 'hospital', name: 'IGMC Shimla', phone: '+91 177 280 4251' } };
+      global.fetch = overpassResponse({ elements: [...elements, building] });
+
+      const merged = await loadFacilityDataset();
+      expect(merged.facilities).toHaveLength(2);
+      expect(merged.duplicates.merges[0]).toMatchObject({ facilityIds: ['node/1', 'way/4'] });
+      expect(merged.facilities.find(f => f.mergedFrom)).toMatchObject({ emergency: true, phone: '+91 177 280 4251' });
+
+      const [link] = merged.duplicates.merges[0].links;
+      const separated = await setDuplicateSeparated(link.key, true);
+      expect(separated.facilities).toHaveLength(3);
+      expect(separated.duplicates.separated.map(l => l.key)).toEqual([link.key]);
+
+      const refreshed = await refreshFacilities();
+      expect(refreshed.facilities).toHaveLength(3);
+      expect((await setDuplicateSeparated(link.key, false)).facilities).toHaveLength(2);
+    });
+
+    test('ignores datasets stored by an older version', async () => {
+      await localforage.createInstance({ name: 'gshealth', storeName: 'facilities' })
+        .setItem('dataset', { version: FACILITY_DATASET_VERSION - 1, fetchedAt: 1000, facilities: [] });
+      global.fetch = overpassResponse({ elements });
+
+      expect((await loadFacilityDataset()).source).toBe('network');
+    });
+  });
+});
@@ -0,0 +1,246 @@
+// Find facilities listed more than once - a hospital mapped as both a node and
+// a building way, a pharmacy inside a hospital, or the same centre from two
+// sources - and merge each group into one facility
+import { FACILITY_TYPES, UNNAMED_FACILITY } from './facilitySchema';
+import { nameSimilarity } from './facilityImport';
+import { getFacilityIndex } from './spatialIndex';
+import { getIphsType } from './iphs';
+
+/**
+ * Duplicate detection defaults
+ * maxDistance in km is how far apart two copies of a facility may be,
+ * minSimilarity is the lowest name similarity (0 to 1) for named copies,
+ * copyDistance is how close an unnamed copy must be when it is not the
+ * building of the other and pharmacyDistance is how close a pharmacy must be
+ * to belong to a hospital.
+ */
+export const DEDUP_OPTIONS = {
+  maxDistance: 0.15,
+  minSimilarity: 0.8,
+  copyDistance: 0.03,
+  pharmacyDistance: 0.1
+};
+
+// Fields taken from another copy when the kept facility has no value
+const FILL_FIELDS = ['address', 'phone', 'wheelchair', 'beds', 'opening_hours'];
+
+/**
+ * OSM kind of facility, e.g. 'hospital' or 'pharmacy'; null for registry facilities
+ */
+const getKind = (facility) => {
+  const value = facility.tags?.healthcare || facility.tags?.amenity;
+  if (!value) return null;
+  return value === 'doctors' ? 'doctor' : value;
+};
+
+const isUnnamed = (facility) => facility.name === UNNAMED_FACILITY;
+
+// Building outlines usually carry more tags than the node placed inside them
+const elementRank = (facility) => (/^(way|relation)\//.test(facility.id) ? 1 : 0);
+
+// Every name a facility goes by, so Devanagari names can match through name:en
+const getNames = (facility) => [
+  facility.name,
+  facility.tags?.['name:en'],
+  facility.tags?.alt_name,
+  facility.tags?.old_name
+].filter(name => name && name !== UNNAMED_FACILITY);
+
+const bestSimilarity = (a, b) => Math.max(
+  0,
+  ...getNames(a).flatMap(left => getNames(b).map(right => nameSimilarity(left, right)))
+);
+
+/**
+ * Key for the link between two facilities, independent of order
+ */
+export const getLinkKey = (a, b) => [a, b].sort().join('|');
+
+/**
+ * Why two nearby facilities are one, or null when they are not
+ */
+const linkReason = (a, b, distance, options) => {
+  const [kindA, kindB] = [getKind(a), getKind(b)];
+
+  const [pharmacy, hospital] = kindA === 'pharmacy' ? [a, b] : [b, a];
+  if (getKind(pharmacy) === 'pharmacy' && getKind(hospital) === 'hospital') {
+    const belongs = distance <= options.pharmacyDistance &&
+      (isUnnamed(pharmacy) || bestSimilarity(pharmacy, hospital) >= 0.5);
+    return belongs ? { reason: 'pharmacy inside hospital', similarity: bestSimilarity(a, b) } : null;
+  }
+
+  if (kindA && kindB && kindA !== kindB) return null;
+  if (isUnnamed(a) || isUnnamed(b)) {
+    if (!kindA || kindA !== kindB) return null;
+    // Without a name only an overlap tells: a node inside its building, or the same spot
+    const overlaps = elementRank(a) !== elementRank(b) || distance <= options.copyDistance;
+    return overlaps ? { reason: 'unnamed copy', similarity: 0 } : null;
+  }
+
+  const similarity = bestSimilarity(a, b);
+  return similarity >= options.minSimilarity ? { reason: 'same name', similarity } : null;
+};
+
+/**
+ * Find pairs of facilities that are the same place
+ * @param {Array} facilities Canonical facilities
+ * @param {Object} options Overrides of DEDUP_OPTIONS
+ * @returns {Array} [{ key, from, to, names, reason, distance, similarity }] with from and to as facility ids
+ */
+export const findDuplicateLinks = (facilities, options = {}) => {
+  const settings = { ...DEDUP_OPTIONS, ...options };
+  const index = getFacilityIndex(facilities);
+  const radius = Math.max(settings.maxDistance, settings.pharmacyDistance);
+  const links = [];
+
+  facilities.forEach(facility => {
+    index.withinRadius([facility.lat, facility.lng], radius).forEach(({ item, distance }) => {
+      // Each pair once
+      if (item.id <= facility.id) return;
+      const pharmacyPair = getKind(facility) === 'pharmacy' || getKind(item) === 'pharmacy';
+      if (distance > settings.maxDistance && !pharmacyPair) return;
+
+      const link = linkReason(facility, item, distance, settings);
+      if (link) {
+        links.push({
+          key: getLinkKey(facility.id, item.id),
+          from: facility.id,
+          to: item.id,
+          names: [facility.name, item.name],
+          distance,
+          ...link
+        });
+      }
+    });
+  });
+
+  return links;
+};
+
+const completeness = (facility) =>
+  FILL_FIELDS.filter(field => facility[field] !== null && facility[field] !== '').length +
+  (isUnnamed(facility) ? 0 : 2);
+
+/**
+ * Merge copies of one facility into the most complete one
+ */
+const mergeGroup = (group) => {
+  const places = group.filter(facility => getKind(facility) !== 'pharmacy');
+  const candidates = places.length > 0 ? places : group;
+  const [kept] = [...candidates].sort((a, b) =>
+    completeness(b) - completeness(a) || elementRank(b) - elementRank(a));
+  const others = [...candidates.filter(facility => facility !== kept), ...group.filter(facility => !candidates.includes(facility))];
+
+  const merged = { ...kept };
+  if (isUnnamed(merged)) {
+    merged.name = others.find(facility => !isUnnamed(facility))?.name || merged.name;
+  }
+  FILL_FIELDS.forEach(field => {
+    if (merged[field] === null || merged[field] === '') {
+      const donor = others.find(facility => facility[field] !== null && facility[field] !== '');
+      if (donor) merged[field] = donor[field];
+    }
+  });
+
+  merged.iphs = candidates.reduce((best, facility) =>
+    ((facility.iphs?.confidence || 0) > (best?.confidence || 0) ? facility.iphs : best), kept.iphs);
+  // The type follows the level when it is known, otherwise the highest type wins
+  merged.type = getIphsType(merged.iphs) || candidates.reduce((type, facility) =>
+    (FACILITY_TYPES.indexOf(facility.type) > FACILITY_TYPES.indexOf(type) ? facility.type : type), kept.type);
+  merged.emergency = candidates.some(facility => facility.emergency);
+  merged.specialties = [...new Set([
+    ...group.flatMap(facility => facility.specialties),
+    ...(group.length > candidates.length ? ['Pharmacy'] : [])
+  ])];
+  merged.mergedFrom = group.map(facility => facility.id);
+  return merged;
+};
+
+/**
+ * Whether two groups of copies can become one: no pair across them was
+ * separated by a reviewer and their named places pass the name test with
+ * each other. A pharmacy is named after its hospital, not a copy of it.
+ */
+const canJoin = (left, right, separated, options) => left.every(a => right.every(b => {
+  if (separated.has(getLinkKey(a.id, b.id))) return false;
+  if (isUnnamed(a) || isUnnamed(b)) return true;
+  if ((getKind(a) === 'pharmacy') !== (getKind(b) === 'pharmacy')) return true;
+  return bestSimilarity(a, b) >= options.minSimilarity;
+}));
+
+/**
+ * Merge duplicate facilities
+ * Copies are grouped closest link first, and a link is skipped when it would
+ * join groups that fail canJoin. A pharmacy joins only the nearest hospital
+ * it can and never links two hospitals.
+ * @param {Array} facilities Canonical facilities
+ * @param {Object} options DEDUP_OPTIONS overrides and separated, link keys
+ *   a reviewer decided are different facilities
+ * @returns {Object} { facilities, merges, separated } where merges reports each
+ *   merged facility with the links applied and separated lists the overridden links
+ */
+export const dedupeFacilities = (facilities, options = {}) => {
+  const { separated: separatedKeys = [], ...matchOptions } = options;
+  const settings = { ...DEDUP_OPTIONS, ...matchOptions };
+  const keep = new Set(separatedKeys);
+  const links = findDuplicateLinks(facilities, matchOptions);
+  const active = links
+    .filter(link => !keep.has(link.key))
+    .sort((a, b) => a.distance - b.distance);
+
+  // Each facility's group, shared by every member
+  const groupOf = new Map(facilities.map(facility => [facility.id, [facility]]));
+  const join = (link) => {
+    const [left, right] = [groupOf.get(link.from), groupOf.get(link.to)];
+    if (left === right || !canJoin(left, right, keep, settings)) return false;
+    left.push(...right);
+    right.forEach(facility => groupOf.set(facility.id, left));
+    return true;
+  };
+  const isPharmacyLink = (link) => link.reason === 'pharmacy inside hospital';
+
+  const applied = [];
+  active.filter(link => !isPharmacyLink(link)).forEach(link => {
+    if (join(link)) applied.push(link);
+  });
+  active.filter(isPharmacyLink).forEach(link => {
+    const pharmacy = getKind(groupOf.get(link.from).find(facility => facility.id === link.from)) === 'pharmacy'
+      ? link.from
+      : link.to;
+    const joined = groupOf.get(pharmacy).some(facility => getKind(facility) !== 'pharmacy');
+    if (!joined && join(link)) applied.push(link);
+  });
+
+  // Groups and their members in the order of the facilities
+  const order = new Map(facilities.map((facility, i) => [facility.id, i]));
+  const groups = [...new Set(facilities.map(facility => groupOf.get(facility.id)))]
+    .map(group => group.sort((a, b) => order.get(a.id) - order.get(b.id)));
+
+  const merges = [];
+  const result = groups.map(group => {
+    if (group.length === 1) return group[0];
+
+    const merged = mergeGroup(group);
+    merges.push({
+      id: merged.id,
+      name: merged.name,
+      facilityIds: merged.mergedFrom,
+      names: group.map(facility => facility.name),
+      links: applied.filter(link => merged.mergedFrom.includes(link.from))
+    });
+    return merged;
+  });
+
+  if (merges.length > 0) {
+    console.log(`[FacilityDedup] Merged ${merges.reduce((sum, merge) => sum + merge.facilityIds.length, 0)} facilities into ${merges.length}`);
+  }
+
+  return { facilities: result, merges, separated: links.filter(link => keep.has(link.key)) };
+};
+
+export default {
+  DEDUP_OPTIONS,
+  getLinkKey,
+  findDuplicateLinks,
+  dedupeFacilities
+};
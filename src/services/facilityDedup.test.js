@@ -0,0 +1,123 @@
+import { findDuplicateLinks, dedupeFacilities, getLinkKey } from './facilityDedup';
+import { parseFacilities } from './facilities';
+import { isValidFacility, normalizeFacility } from './facilitySchema';
+
+// The same hospital as a node and a building way, a pharmacy inside it and
+// an unrelated clinic across the road
+const elements = [
+  { type: 'node', id: 10, lat: 31.10480, lon: 77.17340, tags: { amenity: 'hospital', name: 'Govt. Hospital Sanjauli', phone: '0177-2640000' } },
+  { type: 'way', id: 20, center: { lat: 31.10510, lon: 77.17360 }, tags: { amenity: 'hospital', name: 'Government Hospital Sanjauli', emergency: 'yes', beds: '120' } },
+  { type: 'node', id: 30, lat: 31.10490, lon: 77.17380, tags: { amenity: 'pharmacy' } },
+  { type: 'node', id: 40, lat: 31.10460, lon: 77.17420, tags: { amenity: 'clinic', name: 'Sharma Dental Clinic' } },
+  { type: 'node', id: 50, lat: 31.50000, lon: 77.50000, tags: { amenity: 'clinic', name: 'राजकीय आयुर्वेदिक औषधालय', 'name:en': 'Ayurvedic Dispensary Nankhari' } },
+  { type: 'node', id: 51, lat: 31.50050, lon: 77.50020, tags: { amenity: 'clinic', name: 'Ayurvedic Dispensary Nankhari' } }
+];
+
+describe('Facility deduplication', () => {
+  const facilities = parseFacilities(elements);
+
+  test('links copies by proximity, name and kind', () => {
+    const links = findDuplicateLinks(facilities);
+
+    expect(links.map(link => [link.key, link.reason])).toEqual([
+      ['node/10|way/20', 'same name'],
+      ['node/10|node/30', 'pharmacy inside hospital'],
+      ['node/30|way/20', 'pharmacy inside hospital'],
+      ['node/50|node/51', 'same name']
+    ]);
+  });
+
+  test('merges each group into one facility linked to its sources', () => {
+    const { facilities: merged, merges } = dedupeFacilities(facilities);
+    const hospital = merged.find(facility => facility.mergedFrom?.includes('way/20'));
+
+    expect(merged).toHaveLength(3);
+    expect(hospital).toMatchObject({
+      id: 'way/20',
+      name: 'Government Hospital Sanjauli',
+      type: 'Secondary',
+      emergency: true,
+      phone: '0177-2640000',
+      beds: 120,
+      iphs: { level: 'DH', basis: 'beds' }
+    });
+    expect(hospital.mergedFrom.sort()).toEqual(['node/10', 'node/30', 'way/20']);
+    expect(hospital.specialties).toContain('Pharmacy');
+    expect(merges).toHaveLength(2);
+    // The pharmacy joins through the nearer copy only
+    expect(merges[0].links.map(link => link.key)).toEqual(['node/10|way/20', 'node/30|way/20']);
+    expect(merged.every(isValidFacility)).toBe(true);
+  });
+
+  test('the merged type follows the most confident level', () => {
+    const { facilities: [merged] } = dedupeFacilities([
+      normalizeFacility({ id: 'hfr:1', name: 'Civil Hospital Rampur', type: 'Tertiary', lat: 31.4497, lng: 77.63, iphs: { level: 'MC', confidence: 0.4, basis: 'beds' } }),
+      normalizeFacility({ id: 'nhm:1', name: 'Civil Hospital Rampur', type: 'Secondary', lat: 31.4498, lng: 77.63, iphs: { level: 'SDH', confidence: 0.9, basis: 'registry' } })
+    ]);
+
+    expect(merged).toMatchObject({ type: 'Secondary', iphs: { level: 'SDH' } });
+  });
+
+  test('keeps separated links apart and reports them', () => {
+    const separated = [getLinkKey('node/10', 'node/30'), getLinkKey('way/20', 'node/30')];
+    const result = dedupeFacilities(facilities, { separated });
+
+    expect(result.facilities).toHaveLength(4);
+    expect(result.facilities.find(facility => facility.id === 'node/30').mergedFrom).toBeUndefined();
+    expect(result.separated.map(link => link.key).sort()).toEqual([...separated].sort());
+  });
+
+  test('a pharmacy joins only its nearest hospital', () => {
+    const { facilities: merged } = dedupeFacilities(parseFacilities([
+      { type: 'node', id: 60, lat: 31.20000, lon: 77.20000, tags: { amenity: 'hospital', name: 'Kamla Nehru Hospital' } },
+      { type: 'node', id: 61, lat: 31.20130, lon: 77.20000, tags: { amenity: 'hospital', name: 'Deen Dayal Upadhyay Hospital' } },
+      { type: 'node', id: 62, lat: 31.20060, lon: 77.20000, tags: { amenity: 'pharmacy' } }
+    ]));
+
+    expect(merged).toHaveLength(2);
+    expect(merged.find(facility => facility.id === 'node/60').mergedFrom).toEqual(['node/60', 'node/62']);
+    expect(merged.find(facility => facility.id === 'node/61').mergedFrom).toBeUndefined();
+  });
+
+  test('unnamed copies must overlap', () => {
+    const pharmacies = [0, 1, 2, 3, 4].map(i => (
+      { type: 'node', id: 70 + i, lat: 31.30000 + i * 0.0009, lon: 77.30000, tags: { amenity: 'pharmacy' } }
+    ));
+    const clinics = [
+      { type: 'node', id: 80, lat: 31.40000, lon: 77.40000, tags: { amenity: 'clinic', name: 'Sharma Clinic' } },
+      { type: 'node', id: 81, lat: 31.40040, lon: 77.40000, tags: { amenity: 'clinic' } },
+      { type: 'node', id: 82, lat: 31.40060, lon: 77.40010, tags: { amenity: 'clinic' } }
+    ];
+
+    expect(dedupeFacilities(parseFacilities(pharmacies)).facilities).toHaveLength(5);
+    // The clinic next door is not a copy, the node on the same spot is
+    expect(findDuplicateLinks(parseFacilities(clinics)).map(link => link.key)).toEqual(['node/81|node/82']);
+  });
+
+  test('a group never holds places that fail the name test with each other', () => {
+    const { facilities: merged } = dedupeFacilities(parseFacilities([
+      { type: 'node', id: 90, lat: 31.45000, lon: 77.63000, tags: { amenity: 'hospital', name: 'Civil Hospital Rampur' } },
+      { type: 'way', id: 91, center: { lat: 31.45040, lon: 77.63000 }, tags: { amenity: 'hospital' } },
+      { type: 'node', id: 92, lat: 31.45100, lon: 77.63000, tags: { amenity: 'hospital', name: 'Khaneri Eye Hospital' } }
+    ]));
+
+    expect(merged).toHaveLength(2);
+    expect(merged.find(facility => facility.mergedFrom).mergedFrom.sort()).toEqual(['node/90', 'way/91']);
+  });
+
+  test('a separated pair stays apart when other links connect it', () => {
+    const copies = parseFacilities([
+      { type: 'node', id: 100, lat: 31.24000, lon: 77.11000, tags: { amenity: 'hospital', name: 'CHC Sunni' } },
+      { type: 'way', id: 101, center: { lat: 31.24050, lon: 77.11000 }, tags: { amenity: 'hospital', name: 'Community Health Centre Sunni' } },
+      { type: 'node', id: 102, lat: 31.24020, lon: 77.11000, tags: { amenity: 'hospital', name: 'CHC Sunni' } }
+    ]);
+    const separated = [getLinkKey('node/100', 'way/101')];
+
+    const result = dedupeFacilities(copies, { separated });
+    const holding = (id) => result.facilities.find(facility => (facility.mergedFrom || [facility.id]).includes(id));
+
+    expect(result.facilities).toHaveLength(2);
+    expect(holding('node/100')).not.toBe(holding('way/101'));
+    expect(result.separated.map(link => link.key)).toEqual(separated);
+  });
+});
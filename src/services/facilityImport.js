@@ -0,0 +1,509 @@
+// Import facility registries (NHM lists, Health Facility Registry exports and
+// other GeoJSON or CSV files) and merge them with the OSM facilities
+import { centroid } from '@turf/turf';
+import { FACILITY_TYPES, isValidCoordinate, normalizeFacility, validateFacility } from './facilitySchema';
+import { getFacilityIndex } from './spatialIndex';
+import { classifyIphsLevel, getIphsType } from './iphs';
+
+export const IMPORT_FORMATS = {
+  csv: { id: 'csv', name: 'CSV', extensions: ['.csv', '.txt'] },
+  geojson: { id: 'geojson', name: 'GeoJSON', extensions: ['.geojson'] },
+  hfr: { id: 'hfr', name: 'HFR JSON', extensions: ['.json'] }
+};
+
+/**
+ * Facility fields a CSV column or GeoJSON property can map to, with the
+ * column names recognised for each. name, lat and lng are required.
+ */
+export const CSV_FIELDS = {
+  id: ['id', 'facility_id', 'facilityid', 'code', 'nin'],
+  name: ['name', 'facility_name', 'facilityname', 'facility'],
+  type: ['type', 'facility_type', 'facilitytype', 'category', 'level'],
+  lat: ['lat', 'latitude', 'y'],
+  lng: ['lng', 'lon', 'long', 'longitude', 'x'],
+  address: ['address', 'location', 'village'],
+  phone: ['phone', 'contact', 'mobile', 'telephone', 'contact_number'],
+  emergency: ['emergency', 'emergency_services', '24x7'],
+  beds: ['beds', 'bed_count', 'total_beds', 'no_of_beds']
+};
+
+export const REQUIRED_FIELDS = ['name', 'lat', 'lng'];
+
+// Fields that are merged between matched facilities and can conflict
+export const MERGE_FIELDS = ['name', 'type', 'address', 'phone', 'emergency', 'wheelchair', 'beds', 'opening_hours'];
+
+// Registry facility types, first match wins
+const REGISTRY_TYPE_PATTERNS = [
+  ['Tertiary', /tertiary|medical college|aiims|super.?speciality|institute/i],
+  ['Secondary', /secondary|district|civil|sub.?divisional|zonal|regional|community health|\bchc\b|\bs?dh\b/i],
+  ['Primary', /primary|\bphc\b|sub.?cent|\bh?sc\b|dispensary|clinic|health post|wellness/i]
+];
+
+// Abbreviations and transliterated Hindi words replaced before names are
+// compared; ownership words are dropped as sources use them inconsistently
+const NAME_WORDS = {
+  phc: 'primary health centre',
+  chc: 'community health centre',
+  sc: 'sub centre',
+  hsc: 'health sub centre',
+  dh: 'district hospital',
+  sdh: 'sub divisional hospital',
+  hosp: 'hospital',
+  center: 'centre',
+  aspatal: 'hospital',
+  haspatal: 'hospital',
+  chikitsalaya: 'hospital',
+  chikitsalay: 'hospital',
+  swasthya: 'health',
+  kendra: 'centre',
+  upkendra: 'sub centre',
+  prathmik: 'primary',
+  prathamik: 'primary',
+  samudayik: 'community',
+  zila: 'district',
+  jila: 'district',
+  govt: '',
+  government: '',
+  rajkiya: '',
+  sarkari: '',
+  the: ''
+};
+
+// Spelling variants common in romanised place names, e.g. Dharamshala and Dharamsala
+const SPELLING_VARIANTS = [[/aa/g, 'a'], [/ee/g, 'i'], [/oo/g, 'u'], [/sh/g, 's'], [/w/g, 'v']];
+
+/**
+ * Match defaults
+ * maxDistance in km is how far apart a registry record and an OSM facility
+ * may be; minSimilarity is the lowest name similarity (0 to 1) accepted.
+ */
+export const MATCH_OPTIONS = {
+  maxDistance: 0.5,
+  minSimilarity: 0.6
+};
+
+const normalizeKey = (key) => String(key).trim().toLowerCase().replace(/[^a-z0-9]+/g, '_');
+
+/**
+ * Parse CSV text with a header row; quoted fields may contain commas and newlines
+ * @param {string} text CSV text
+ * @returns {Object} { headers, rows } with rows keyed by header
+ */
+export const parseCSV = (text) => {
+  const lines = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      lines.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field || row.length > 0) {
+    row.push(field);
+    lines.push(row);
+  }
+
+  const [headerLine = [], ...body] = lines.filter(line => line.some(value => value.trim()));
+  const headers = headerLine.map(header => header.trim());
+  return {
+    headers,
+    rows: body.map(values => Object.fromEntries(headers.map((header, i) => [header, (values[i] ?? '').trim()])))
+  };
+};
+
+/**
+ * Guess which column holds each facility field from the column names
+ * @param {Array} headers Column names
+ * @returns {Object} field => column name, for the fields that were recognised
+ */
+export const guessCSVMapping = (headers = []) => Object.fromEntries(
+  Object.entries(CSV_FIELDS)
+    .map(([field, aliases]) => [field, headers.find(header => aliases.includes(normalizeKey(header)))])
+    .filter(([, header]) => header)
+);
+
+/**
+ * Detect the format of an import file
+ * @param {string} text File contents
+ * @param {string} filename File name
+ * @returns {string} 'csv', 'geojson' or 'hfr'
+ */
+export const detectImportFormat = (text, filename = '') => {
+  const content = (text || '').trim();
+  if (!content.startsWith('{') && !content.startsWith('[')) return 'csv';
+  if (/\.geojson$/i.test(filename) || /"type"\s*:\s*"Feature(Collection)?"/.test(content)) return 'geojson';
+  return 'hfr';
+};
+
+/**
+ * Facility type for a registry category such as "PHC" or "District Hospital"
+ * @param {string} value Registry category
+ * @param {number} beds Bed count, used when the category says nothing
+ * @returns {string} Facility type
+ */
+export const classifyRegistryType = (value, beds) => {
+  const label = String(value || '').trim();
+  const exact = FACILITY_TYPES.find(type => type.toLowerCase() === label.toLowerCase());
+  if (exact) return exact;
+
+  const match = REGISTRY_TYPE_PATTERNS.find(([, pattern]) => pattern.test(label));
+  if (match) return match[0];
+  return parseInt(beds) > 50 ? 'Secondary' : 'Primary';
+};
+
+const toBoolean = (value) => (
+  value === true || /^(yes|y|true|1|24x7|available)$/i.test(String(value ?? '').trim())
+);
+
+/**
+ * Turn mapped values into a canonical registry facility
+ * @returns {Object} { facility } or { errors }
+ */
+const toRegistryFacility = (values, source, index) => {
+  const errors = [];
+  const lat = typeof values.lat === 'number' ? values.lat : parseFloat(values.lat);
+  const lng = typeof values.lng === 'number' ? values.lng : parseFloat(values.lng);
+
+  if (!values.name || !String(values.name).trim()) errors.push('name is missing');
+  if (!isValidCoordinate(lat, lng)) {
+    errors.push(`invalid coordinates "${values.lat ?? ''}, ${values.lng ?? ''}"`);
+  } else if (lat === 0 && lng === 0) {
+    errors.push('coordinates are 0, 0');
+  }
+  if (errors.length > 0) return { errors };
+
+  const name = String(values.name).trim();
+  const iphs = classifyIphsLevel({ name, beds: values.beds, registryType: values.type });
+  const facility = normalizeFacility({
+    id: `${source}:${values.id ?? index + 1}`,
+    name,
+    type: getIphsType(iphs) || classifyRegistryType(values.type, values.beds),
+    lat,
+    lng,
+    address: values.address ? String(values.address) : '',
+    phone: values.phone ? String(values.phone) : '',
+    emergency: toBoolean(values.emergency),
+    beds: values.beds,
+    source,
+    iphs
+  });
+
+  const validation = validateFacility(facility);
+  return validation.valid ? { facility } : { errors: validation.errors };
+};
+
+const mapValues = (object, mapping) => Object.fromEntries(
+  Object.entries(mapping)
+    .filter(([, key]) => key)
+    .map(([field, key]) => [field, object[key]])
+);
+
+const readCSV = (text, options) => {
+  const { headers, rows } = parseCSV(text);
+  const mapping = { ...guessCSVMapping(headers), ...options.mapping };
+  const missing = REQUIRED_FIELDS.filter(field => !mapping[field] || !headers.includes(mapping[field]));
+  if (missing.length > 0) {
+    throw new Error(`No column mapped to ${missing.join(', ')}`);
+  }
+  // Spreadsheet row numbers, counting the header as row 1
+  return rows.map((row, i) => ({ values: mapValues(row, mapping), row: i + 2 }));
+};
+
+const readGeoJSON = (text, options) => {
+  const geojson = JSON.parse(text);
+  const features = geojson.type === 'FeatureCollection' ? geojson.features || [] : [geojson];
+
+  return features.map((feature, i) => {
+    const properties = feature.properties || {};
+    const mapping = { ...guessCSVMapping(Object.keys(properties)), ...options.mapping };
+    // Buildings and campuses drawn as areas are placed at their centre
+    const [lng, lat] = !feature.geometry ? []
+      : feature.geometry.type === 'Point' ? feature.geometry.coordinates
+        : centroid(feature.geometry).geometry.coordinates;
+    return { values: { ...mapValues(properties, mapping), id: properties[mapping.id] ?? feature.id, lat, lng }, row: i + 1 };
+  });
+};
+
+const readHFR = (text) => {
+  const data = JSON.parse(text);
+  const records = Array.isArray(data) ? data : data.facilities || data.data || data.results || [];
+
+  return records.map((record, i) => ({
+    values: {
+      id: record.facilityId ?? record.id,
+      name: record.facilityName ?? record.name,
+      type: record.facilityType?.name ?? record.facilityType ?? record.facilitySubType,
+      lat: record.latitude ?? record.lat,
+      lng: record.longitude ?? record.lng ?? record.lon,
+      address: record.address ?? [record.addressLine1, record.addressLine2, record.subDistrictName, record.districtName]
+        .filter(Boolean)
+        .join(', '),
+      phone: record.contactNumber ?? record.facilityContactNumber ?? record.phone,
+      emergency: record.emergencyServices ?? record.emergency,
+      beds: record.totalBeds ?? record.numberOfBeds ?? record.beds
+    },
+    row: i + 1
+  }));
+};
+
+/**
+ * Parse a registry file into canonical facilities
+ * @param {string} text File contents
+ * @param {Object} options { format, mapping (field => column), source (provenance label, defaults to the format), filename }
+ * @returns {Object} { success, format, source, records, rejected: [{ row, errors }], error }
+ */
+export const parseRegistry = (text, options = {}) => {
+  const format = options.format || detectImportFormat(text, options.filename);
+  const source = options.source || format;
+
+  try {
+    const entries = format === 'csv'
+      ? readCSV(text, options)
+      : format === 'geojson' ? readGeoJSON(text, options) : readHFR(text);
+
+    const records = [];
+    const rejected = [];
+    entries.forEach(({ values, row }, i) => {
+      const result = toRegistryFacility(values, source, i);
+      if (result.facility) {
+        records.push(result.facility);
+      } else {
+        rejected.push({ row, name: values.name || '', errors: result.errors });
+      }
+    });
+
+    console.log(`[FacilityImport] Parsed ${records.length} ${source} records, rejected ${rejected.length}`);
+    if (records.length === 0) {
+      return { success: false, format, source, records, rejected, error: 'No valid facilities found' };
+    }
+    return { success: true, format, source, records, rejected };
+  } catch (error) {
+    console.error('[FacilityImport] Could not parse registry:', error);
+    return { success: false, format, source, records: [], rejected: [], error: error.message };
+  }
+};
+
+const normalizeName = (name) => SPELLING_VARIANTS.reduce(
+  (text, [pattern, replacement]) => text.replace(pattern, replacement),
+  String(name || '')
+    .toLowerCase()
+    .replace(/&/g, ' and ')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim()
+    .split(' ')
+    .map(word => NAME_WORDS[word] ?? word)
+    .filter(Boolean)
+    .join(' ')
+);
+
+const bigrams = (text) => {
+  const compact = text.replace(/ /g, '');
+  return Array.from({ length: Math.max(compact.length - 1, 0) }, (_, i) => compact.slice(i, i + 2));
+};
+
+/**
+ * Similarity of two facility names from 0 to 1, after expanding common
+ * abbreviations such as PHC and CHC, transliterated words such as aspatal and
+ * dropping Govt. (Dice coefficient of letter pairs)
+ */
+export const nameSimilarity = (a, b) => {
+  const [left, right] = [normalizeName(a), normalizeName(b)];
+  if (!left || !right) return 0;
+  if (left === right) return 1;
+
+  const pairs = bigrams(left);
+  const remaining = bigrams(right);
+  const total = pairs.length + remaining.length;
+  let shared = 0;
+  pairs.forEach(pair => {
+    const index = remaining.indexOf(pair);
+    if (index !== -1) {
+      shared++;
+      remaining.splice(index, 1);
+    }
+  });
+  return total === 0 ? 0 : (2 * shared) / total;
+};
+
+/**
+ * Best OSM match for a registry facility
+ * @param {Object} record Registry facility
+ * @param {Array} facilities OSM facilities
+ * @param {Object} options { maxDistance, minSimilarity, exclude (Set of facility ids already matched) }
+ * @returns {Object|null} { facility, distance, similarity }
+ */
+export const matchFacility = (record, facilities, options = {}) => {
+  const { maxDistance, minSimilarity, exclude = new Set() } = { ...MATCH_OPTIONS, ...options };
+
+  return getFacilityIndex(facilities)
+    .withinRadius([record.lat, record.lng], maxDistance, { filter: facility => !exclude.has(facility.id) })
+    .map(({ item, distance }) => ({ facility: item, distance, similarity: nameSimilarity(record.name, item.name) }))
+    .filter(candidate => candidate.similarity >= minSimilarity)
+    .reduce((best, candidate) => (
+      !best || candidate.similarity > best.similarity ||
+        (candidate.similarity === best.similarity && candidate.distance < best.distance)
+        ? candidate
+        : best
+    ), null);
+};
+
+// false only means a source did not mark the facility, e.g. no emergency tag
+const isEmpty = (value) => value === null || value === undefined || value === '' || value === false;
+
+const sameValue = (field, a, b) => {
+  if (field === 'name') return normalizeName(a) === normalizeName(b);
+  if (field === 'phone') return String(a).replace(/\D/g, '').slice(-10) === String(b).replace(/\D/g, '').slice(-10);
+  if (typeof a === 'string' && typeof b === 'string') return a.trim().toLowerCase() === b.trim().toLowerCase();
+  return a === b;
+};
+
+const withProvenance = (facility) => ({
+  ...facility,
+  provenance: Object.fromEntries(['lat', 'lng', 'specialties', 'iphs', ...MERGE_FIELDS].map(field => [field, facility.source]))
+});
+
+/**
+ * Merge an OSM facility with the registry records matched to it
+ * Fields only one source has are filled in; differing values are kept from
+ * the resolution chosen for them, or OSM, and reported as conflicts.
+ */
+const mergeMatched = (facility, records, resolutions) => {
+  const merged = withProvenance(facility);
+  const conflicts = [];
+
+  MERGE_FIELDS.forEach(field => {
+    const values = [facility, ...records]
+      .map(source => ({ source: source.source, value: source[field] }))
+      .filter(({ value }) => !isEmpty(value));
+    if (values.length === 0) return;
+
+    const distinct = values.filter((candidate, i) =>
+      values.findIndex(other => sameValue(field, other.value, candidate.value)) === i);
+    let chosen = values[0];
+
+    if (distinct.length > 1) {
+      const key = `${facility.id}:${field}`;
+      chosen = distinct.find(candidate => candidate.source === resolutions[key]) || distinct[0];
+      conflicts.push({ key, facilityId: facility.id, name: facility.name, field, values: distinct, resolution: chosen.source });
+    }
+
+    merged[field] = chosen.value;
+    merged.provenance[field] = chosen.source;
+  });
+
+  const specialties = [facility, ...records].filter(source => source.specialties.length > 0);
+  merged.specialties = [...new Set(specialties.flatMap(source => source.specialties))];
+  merged.provenance.specialties = specialties.map(source => source.source).join('+') || facility.source;
+  merged.registryIds = records.map(record => record.id);
+
+  // The most confident IPHS level wins, registry categories usually outrank
+  // OSM names, and the type follows it. A type chosen by a reviewer stands
+  // instead, with the most confident level that agrees with it.
+  const typeKey = `${facility.id}:type`;
+  const typeConflict = conflicts.find(conflict => conflict.key === typeKey);
+  const typeResolved = Boolean(typeConflict) && typeConflict.resolution === resolutions[typeKey];
+  const ranked = [facility, ...records].sort((a, b) => (b.iphs?.confidence || 0) - (a.iphs?.confidence || 0));
+  const agreesWithType = (source) => {
+    const levelType = getIphsType(source.iphs);
+    return !levelType || levelType === merged.type;
+  };
+  const classified = typeResolved ? ranked.find(agreesWithType) : ranked[0];
+  merged.iphs = classified ? classified.iphs : { level: null, confidence: 0, basis: null };
+  merged.provenance.iphs = classified ? classified.source : merged.provenance.type;
+
+  const levelType = getIphsType(merged.iphs);
+  if (levelType && levelType !== merged.type) {
+    merged.type = levelType;
+    merged.provenance.type = classified.source;
+    if (typeConflict) {
+      typeConflict.resolution = typeConflict.values.find(candidate => candidate.value === levelType)?.source || classified.source;
+    }
+  }
+
+  return { facility: merged, conflicts };
+};
+
+/**
+ * Merge registry facilities into the OSM facilities
+ * Every facility in the result carries provenance, the source of each field.
+ * @param {Array} facilities OSM facilities
+ * @param {Array} records Registry facilities from parseRegistry
+ * @param {Object} options { resolutions (conflict key => chosen source), maxDistance, minSimilarity }
+ * @returns {Object} { facilities, matches, conflicts, stats }
+ */
+export const mergeFacilities = (facilities, records, options = {}) => {
+  const { resolutions = {}, ...matchOptions } = options;
+  const matchedRecords = new Map();
+  const claimed = new Map();
+  const matches = [];
+  const added = [];
+
+  records.forEach(record => {
+    // A registry lists each facility once, so one of its records per OSM facility
+    if (!claimed.has(record.source)) claimed.set(record.source, new Set());
+    const exclude = claimed.get(record.source);
+    const match = matchFacility(record, facilities, { ...matchOptions, exclude });
+
+    if (!match) {
+      added.push(withProvenance(record));
+      return;
+    }
+    exclude.add(match.facility.id);
+    matchedRecords.set(match.facility.id, [...(matchedRecords.get(match.facility.id) || []), record]);
+    matches.push({ recordId: record.id, facilityId: match.facility.id, distance: match.distance, similarity: match.similarity });
+  });
+
+  const conflicts = [];
+  const merged = facilities.map(facility => {
+    if (!matchedRecords.has(facility.id)) return withProvenance(facility);
+    const result = mergeMatched(facility, matchedRecords.get(facility.id), resolutions);
+    conflicts.push(...result.conflicts);
+    return result.facility;
+  });
+
+  return {
+    facilities: [...merged, ...added],
+    matches,
+    conflicts,
+    stats: { records: records.length, matched: matches.length, added: added.length, conflicts: conflicts.length }
+  };
+};
+
+export default {
+  IMPORT_FORMATS,
+  CSV_FIELDS,
+  REQUIRED_FIELDS,
+  MERGE_FIELDS,
+  MATCH_OPTIONS,
+  parseCSV,
+  guessCSVMapping,
+  detectImportFormat,
+  classifyRegistryType,
+  parseRegistry,
+  nameSimilarity,
+  matchFacility,
+  mergeFacilities
+};
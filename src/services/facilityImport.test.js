@@ -0,0 +1,124 @@
+import {
+  parseCSV,
+  guessCSVMapping,
+  detectImportFormat,
+  classifyRegistryType,
+  parseRegistry,
+  nameSimilarity,
+  matchFacility,
+  mergeFacilities
+} from './facilityImport';
+import { normalizeFacility, isValidFacility } from './facilitySchema';
+
+const osm = [
+  normalizeFacility({ id: 'node/1', name: 'CHC Sunni', type: 'Primary', lat: 31.2406, lng: 77.1083, phone: '0177-2787233', source: 'osm' }),
+  normalizeFacility({ id: 'way/2', name: 'Civil Hospital Rampur', type: 'Secondary', lat: 31.4497, lng: 77.6300, emergency: true, source: 'osm' })
+];
+
+const csv = [
+  'Facility Name,Category,Latitude,Longitude,Contact,Beds',
+  '"Community Health Centre, Sunni",CHC,31.2408,77.1085,+91 177 278 7233,30',
+  'PHC Kaza,PHC,32.2276,78.0710,,6',
+  'Broken Row,PHC,not-a-number,77.1'
+].join('\n');
+
+describe('Facility import', () => {
+  test('parses quoted CSV and guesses the column mapping', () => {
+    const { headers, rows } = parseCSV(csv);
+
+    expect(rows[0]['Facility Name']).toBe('Community Health Centre, Sunni');
+    expect(guessCSVMapping(headers)).toEqual({
+      name: 'Facility Name',
+      type: 'Category',
+      lat: 'Latitude',
+      lng: 'Longitude',
+      phone: 'Contact',
+      beds: 'Beds'
+    });
+  });
+
+  test('detects formats and classifies registry categories', () => {
+    expect(detectImportFormat(csv)).toBe('csv');
+    expect(detectImportFormat('{"type":"FeatureCollection","features":[]}')).toBe('geojson');
+    expect(detectImportFormat('[{"facilityId":"IN0210"}]', 'hfr.json')).toBe('hfr');
+
+    expect(classifyRegistryType('PHC')).toBe('Primary');
+    expect(classifyRegistryType('District Hospital')).toBe('Secondary');
+    expect(classifyRegistryType('Government Medical College')).toBe('Tertiary');
+    expect(classifyRegistryType('', 120)).toBe('Secondary');
+  });
+
+  test('rejects rows with invalid coordinates', () => {
+    const result = parseRegistry(csv, { source: 'nhm' });
+
+    expect(result.success).toBe(true);
+    expect(result.records).toHaveLength(2);
+    expect(result.records.every(isValidFacility)).toBe(true);
+    expect(result.records[0]).toMatchObject({ id: 'nhm:1', source: 'nhm', type: 'Secondary', beds: 30 });
+    expect(result.rejected).toEqual([{ row: 4, name: 'Broken Row', errors: ['invalid coordinates "not-a-number, 77.1"'] }]);
+  });
+
+  test('uses a configured column mapping and reports missing columns', () => {
+    const text = 'title,y,x\nPHC Tabo,32.0926,78.3827';
+
+    expect(parseRegistry(text).error).toBe('No column mapped to name');
+    expect(parseRegistry(text, { mapping: { name: 'title' } }).records[0].name).toBe('PHC Tabo');
+  });
+
+  test('reads GeoJSON points, areas and HFR exports', () => {
+    const campus = [[[77.17, 31.10], [77.18, 31.10], [77.18, 31.11], [77.17, 31.11], [77.17, 31.10]]];
+    const geojson = parseRegistry(JSON.stringify({
+      type: 'FeatureCollection',
+      features: [
+        { type: 'Feature', id: 9, geometry: { type: 'Point', coordinates: [78.0710, 32.2276] }, properties: { name: 'PHC Kaza' } },
+        { type: 'Feature', id: 10, geometry: { type: 'Polygon', coordinates: campus }, properties: { name: 'IGMC Shimla' } }
+      ]
+    }));
+    const hfr = parseRegistry(JSON.stringify({
+      facilities: [{ facilityId: 'IN0210000123', facilityName: 'PHC Kaza', facilityType: { name: 'Primary Health Centre' }, latitude: '32.2276', longitude: '78.0710', districtName: 'Lahaul and Spiti', emergencyServices: 'Yes' }]
+    }), { format: 'hfr' });
+
+    expect(geojson.records[0]).toMatchObject({ id: 'geojson:9', lat: 32.2276, lng: 78.071 });
+    expect(geojson.records[1].lat).toBeCloseTo(31.105);
+    expect(geojson.records[1].lng).toBeCloseTo(77.175);
+    expect(hfr.records[0]).toMatchObject({ id: 'hfr:IN0210000123', type: 'Primary', emergency: true, address: 'Lahaul and Spiti' });
+    expect(hfr.records[0].iphs).toEqual({ level: 'PHC', confidence: 0.9, basis: 'registry' });
+  });
+
+  test('matches names despite abbreviations and spelling', () => {
+    expect(nameSimilarity('CHC Sunni', 'Community Health Centre, Sunni')).toBe(1);
+    expect(nameSimilarity('Civil Hospital Rampur', 'Civil Hospital Rampur Bushahr')).toBeGreaterThan(0.8);
+    expect(nameSimilarity('Civil Hospital Rampur', 'PHC Kaza')).toBeLessThan(0.3);
+
+    const [sunni] = parseRegistry(csv).records;
+    expect(matchFacility(sunni, osm).facility.id).toBe('node/1');
+    expect(matchFacility({ ...sunni, lat: 31.3 }, osm)).toBeNull();
+  });
+
+  test('merges matched records with provenance and reports conflicts', () => {
+    const { records } = parseRegistry(csv, { source: 'nhm' });
+    const result = mergeFacilities(osm, records);
+    const sunni = result.facilities.find(facility => facility.id === 'node/1');
+
+    expect(result.stats).toEqual({ records: 2, matched: 1, added: 1, conflicts: 1 });
+    // The type follows the registry's CHC level
+    expect(sunni).toMatchObject({ name: 'CHC Sunni', type: 'Secondary', beds: 30, registryIds: ['nhm:1'] });
+    expect(sunni.provenance).toMatchObject({ name: 'osm', type: 'nhm', beds: 'nhm', phone: 'osm', lat: 'osm', iphs: 'nhm' });
+    expect(sunni.iphs).toMatchObject({ level: 'CHC', basis: 'registry' });
+    expect(result.conflicts[0]).toMatchObject({ key: 'node/1:type', field: 'type', resolution: 'nhm' });
+    expect(result.conflicts[0].values).toEqual([{ source: 'osm', value: 'Primary' }, { source: 'nhm', value: 'Secondary' }]);
+    expect(result.facilities.find(facility => facility.id === 'nhm:2').provenance.name).toBe('nhm');
+    expect(result.facilities.every(isValidFacility)).toBe(true);
+  });
+
+  test('a reviewer choosing the type drops levels that disagree with it', () => {
+    const { records } = parseRegistry(csv, { source: 'nhm' });
+    const resolved = mergeFacilities(osm, records, { resolutions: { 'node/1:type': 'osm' } });
+    const sunni = resolved.facilities.find(facility => facility.id === 'node/1');
+
+    expect(sunni.type).toBe('Primary');
+    expect(sunni.provenance.type).toBe('osm');
+    expect(sunni.iphs.level).toBeNull();
+    expect(resolved.conflicts[0].resolution).toBe('osm');
+  });
+});
@@ -0,0 +1,211 @@
+// Canonical facility model shared by every page, with adapters from the
+// sources facilities come from and a validator for the result
+import { IPHS_LEVELS, OUTSIDE_IPHS, classifyIphsLevel, getIphsType } from './iphs';
+
+export const FACILITY_TYPES = ['Primary', 'Secondary', 'Tertiary'];
+
+export const WHEELCHAIR_ACCESS = ['yes', 'limited', 'no'];
+
+// Name given to facilities no source names
+export const UNNAMED_FACILITY = 'Unnamed Facility';
+
+/**
+ * Facility fields
+ * id is a string, prefixed with the OSM element type for OSM facilities.
+ * wheelchair is 'yes', 'limited', 'no' or null when unknown.
+ * address and phone are empty strings when unknown; beds and opening_hours are null.
+ * source records where the facility came from and tags keeps the raw OSM tags.
+ * Facilities merged with registries also have provenance, the source of each
+ * field's value, and registryIds, the registry records matched to them.
+ * Facilities merged from duplicates have mergedFrom, the ids of every copy.
+ * iphs is the inferred IPHS level, { level, confidence, basis } from classifyIphsLevel.
+ */
+export const FACILITY_FIELDS = [
+  'id', 'name', 'type', 'lat', 'lng', 'address', 'phone', 'emergency',
+  'wheelchair', 'specialties', 'beds', 'opening_hours', 'source', 'tags',
+  'provenance', 'registryIds', 'mergedFrom', 'iphs'
+];
+
+/**
+ * Check that a latitude and longitude are usable numbers
+ */
+export const isValidCoordinate = (lat, lng) => (
+  typeof lat === 'number' &&
+  typeof lng === 'number' &&
+  !isNaN(lat) &&
+  !isNaN(lng) &&
+  lat >= -90 &&
+  lat <= 90 &&
+  lng >= -180 &&
+  lng <= 180
+);
+
+const isHospital = (tags) => tags.amenity === 'hospital' || tags.healthcare === 'hospital';
+
+/**
+ * Facility type from OSM tags alone, for facilities without a confident IPHS level
+ * healthcare=tertiary is Tertiary, hospitals with more than 50 beds or
+ * facility_type=secondary are Secondary and every other healthcare facility
+ * is Primary. An emergency department says nothing about the level of care.
+ * @param {Object} tags OSM tags
+ * @returns {string|null} Facility type, or null for non-healthcare tags
+ */
+export const classifyFacility = (tags = {}) => {
+  if (tags.healthcare === 'tertiary') return 'Tertiary';
+  if (isHospital(tags)) {
+    if (parseInt(tags.beds) > 50 || tags.facility_type === 'secondary') return 'Secondary';
+    return 'Primary';
+  }
+  if (tags.healthcare || ['clinic', 'doctors', 'pharmacy'].includes(tags.amenity)) {
+    return 'Primary';
+  }
+  return null;
+};
+
+const formatAddress = (tags) => {
+  if (tags['addr:full']) return tags['addr:full'];
+  return ['addr:street', 'addr:city', 'addr:state']
+    .map(key => tags[key])
+    .filter(Boolean)
+    .join(', ');
+};
+
+const getSpecialties = (tags) => {
+  const specialties = tags.healthcare_speciality
+    ? tags.healthcare_speciality.split(';').map(specialty => specialty.trim()).filter(Boolean)
+    : [];
+  if (tags.emergency === 'yes') specialties.push('Emergency');
+  if (tags.surgery === 'yes') specialties.push('Surgery');
+  if (tags.maternity === 'yes') specialties.push('Maternity');
+  return specialties;
+};
+
+const toWheelchair = (value) => {
+  if (value === true) return 'yes';
+  if (value === false) return 'no';
+  return WHEELCHAIR_ACCESS.includes(value) ? value : null;
+};
+
+const toBeds = (value) => {
+  const beds = parseInt(value);
+  return beds > 0 ? beds : null;
+};
+
+/**
+ * Bring a facility from any source to the canonical shape, filling defaults
+ * @param {Object} facility Facility-like object
+ * @returns {Object} Canonical facility
+ */
+export const normalizeFacility = (facility) => ({
+  id: String(facility.id),
+  name: facility.name || UNNAMED_FACILITY,
+  type: facility.type,
+  lat: facility.lat,
+  lng: facility.lng,
+  address: facility.address && facility.address !== 'Address not available' ? facility.address : '',
+  phone: facility.phone && facility.phone !== 'N/A' ? facility.phone : '',
+  emergency: facility.emergency === true,
+  wheelchair: toWheelchair(facility.wheelchair),
+  specialties: Array.isArray(facility.specialties) ? facility.specialties : [],
+  beds: toBeds(facility.beds),
+  opening_hours: facility.opening_hours || null,
+  source: facility.source || 'unknown',
+  tags: facility.tags || {},
+  iphs: facility.iphs || classifyIphsLevel({ name: facility.name, tags: facility.tags, beds: facility.beds })
+});
+
+/**
+ * Convert an Overpass element to a canonical facility
+ * @param {Object} element Overpass node, way or relation with center
+ * @returns {Object|null} Facility, or null when it is not a usable healthcare facility
+ */
+export const fromOverpassElement = (element) => {
+  const tags = element.tags || {};
+  const lat = element.lat ?? element.center?.lat;
+  const lng = element.lon ?? element.center?.lon;
+  if (!classifyFacility(tags) || !isValidCoordinate(lat, lng)) return null;
+
+  const name = tags.name || tags['name:en'] || tags.operator;
+  const iphs = classifyIphsLevel({ name, tags });
+  return normalizeFacility({
+    id: `${element.type}/${element.id}`,
+    name,
+    type: getIphsType(iphs) || classifyFacility(tags),
+    lat,
+    lng,
+    address: formatAddress(tags),
+    phone: tags.phone || tags['contact:phone'],
+    emergency: tags.emergency === 'yes',
+    wheelchair: tags.wheelchair,
+    specialties: getSpecialties(tags),
+    beds: tags.beds,
+    opening_hours: tags.opening_hours,
+    source: 'osm',
+    tags,
+    iphs
+  });
+};
+
+const isValidIphs = (iphs) => (
+  typeof iphs === 'object' && iphs !== null &&
+  (iphs.level === null || iphs.level === OUTSIDE_IPHS || IPHS_LEVELS.some(level => level.id === iphs.level)) &&
+  typeof iphs.confidence === 'number' && iphs.confidence >= 0 && iphs.confidence <= 1
+);
+
+/**
+ * Check a facility against the canonical schema
+ * @param {Object} facility Facility to check
+ * @returns {Object} { valid, errors } with one message per problem
+ */
+export const validateFacility = (facility) => {
+  if (!facility || typeof facility !== 'object') {
+    return { valid: false, errors: ['Facility is not an object'] };
+  }
+
+  const errors = [];
+  if (typeof facility.id !== 'string' || !facility.id) errors.push('id must be a non-empty string');
+  if (typeof facility.name !== 'string' || !facility.name) errors.push('name must be a non-empty string');
+  if (!FACILITY_TYPES.includes(facility.type)) errors.push(`type must be one of ${FACILITY_TYPES.join(', ')}`);
+  if (!isValidCoordinate(facility.lat, facility.lng)) errors.push('lat and lng must be valid coordinates');
+  if (typeof facility.address !== 'string') errors.push('address must be a string');
+  if (typeof facility.phone !== 'string') errors.push('phone must be a string');
+  if (typeof facility.emergency !== 'boolean') errors.push('emergency must be a boolean');
+  if (facility.wheelchair !== null && !WHEELCHAIR_ACCESS.includes(facility.wheelchair)) {
+    errors.push(`wheelchair must be null or one of ${WHEELCHAIR_ACCESS.join(', ')}`);
+  }
+  if (!Array.isArray(facility.specialties) || facility.specialties.some(specialty => typeof specialty !== 'string')) {
+    errors.push('specialties must be an array of strings');
+  }
+  if (facility.beds !== null && !(Number.isInteger(facility.beds) && facility.beds > 0)) {
+    errors.push('beds must be null or a positive integer');
+  }
+  if (facility.opening_hours !== null && typeof facility.opening_hours !== 'string') {
+    errors.push('opening_hours must be null or a string');
+  }
+  if (facility.provenance !== undefined && (typeof facility.provenance !== 'object' || facility.provenance === null)) {
+    errors.push('provenance must be an object');
+  }
+  if (facility.iphs !== undefined && !isValidIphs(facility.iphs)) {
+    errors.push('iphs must be an IPHS level with a confidence between 0 and 1');
+  }
+
+  return { valid: errors.length === 0, errors };
+};
+
+/**
+ * Whether a facility matches the canonical schema
+ */
+export const isValidFacility = (facility) => validateFacility(facility).valid;
+
+export default {
+  FACILITY_TYPES,
+  WHEELCHAIR_ACCESS,
+  UNNAMED_FACILITY,
+  FACILITY_FIELDS,
+  isValidCoordinate,
+  classifyFacility,
+  normalizeFacility,
+  fromOverpassElement,
+  validateFacility,
+  isValidFacility
+};
@@ -0,0 +1,87 @@
+import { classifyFacility, fromOverpassElement, normalizeFacility, validateFacility, isValidFacility } from './facilitySchema';
+
+const hospital = {
+  type: 'way',
+  id: 42,
+  center: { lat: 31.1048, lon: 77.1734 },
+  tags: {
+    amenity: 'hospital',
+    name: 'IGMC Shimla',
+    emergency: 'yes',
+    wheelchair: 'limited',
+    beds: '800',
+    opening_hours: '24/7',
+    'addr:street': 'Circular Road',
+    'addr:city': 'Shimla',
+    healthcare_speciality: 'surgery; orthopaedics'
+  }
+};
+
+describe('Facility schema', () => {
+  test('classifies OSM tags into facility types', () => {
+    expect(classifyFacility({ amenity: 'hospital', emergency: 'yes' })).toBe('Primary');
+    expect(classifyFacility({ healthcare: 'tertiary' })).toBe('Tertiary');
+    expect(classifyFacility({ amenity: 'hospital', beds: '120' })).toBe('Secondary');
+    expect(classifyFacility({ amenity: 'hospital' })).toBe('Primary');
+    expect(classifyFacility({ amenity: 'pharmacy' })).toBe('Primary');
+    expect(classifyFacility({ amenity: 'school' })).toBeNull();
+  });
+
+  test('converts an Overpass element to the canonical shape', () => {
+    const facility = fromOverpassElement(hospital);
+
+    expect(facility).toMatchObject({
+      id: 'way/42',
+      name: 'IGMC Shimla',
+      type: 'Tertiary',
+      lat: 31.1048,
+      lng: 77.1734,
+      address: 'Circular Road, Shimla',
+      phone: '',
+      emergency: true,
+      wheelchair: 'limited',
+      specialties: ['surgery', 'orthopaedics', 'Emergency'],
+      beds: 800,
+      opening_hours: '24/7',
+      source: 'osm',
+      iphs: { level: 'MC', basis: 'name' }
+    });
+    expect(validateFacility(facility)).toEqual({ valid: true, errors: [] });
+  });
+
+  test('skips elements that are not usable facilities', () => {
+    expect(fromOverpassElement({ type: 'node', id: 1, lat: 31, lon: 77, tags: { amenity: 'school' } })).toBeNull();
+    expect(fromOverpassElement({ type: 'way', id: 2, tags: { amenity: 'clinic' } })).toBeNull();
+  });
+
+  test('normalizes legacy fields', () => {
+    const facility = normalizeFacility({
+      id: 7,
+      name: 'PHC Kaza',
+      type: 'Primary',
+      lat: 32.2276,
+      lng: 78.0710,
+      phone: 'N/A',
+      address: 'Address not available',
+      wheelchair: true,
+      beds: 'unknown'
+    });
+
+    expect(facility).toMatchObject({ id: '7', phone: '', address: '', wheelchair: 'yes', beds: null, specialties: [] });
+    expect(isValidFacility(facility)).toBe(true);
+  });
+
+  test('reports every schema problem', () => {
+    const { valid, errors } = validateFacility({
+      ...fromOverpassElement(hospital),
+      id: 42,
+      type: 'Hospital',
+      wheelchair: true,
+      lat: 120
+    });
+
+    expect(valid).toBe(false);
+    expect(errors).toHaveLength(4);
+    expect(isValidFacility(null)).toBe(false);
+  });
+});
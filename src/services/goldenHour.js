@@ -0,0 +1,49 @@
+// Golden hour for trauma: a patient should reach a trauma-capable Tertiary
+// facility within 60 minutes of injury
+
+export const GOLDEN_HOUR = 60 * 60; // seconds
+
+// Past this share of the golden hour a route is flagged as at risk
+const AT_RISK_SHARE = 0.75;
+
+// Time to resuscitate at a stabilization point before the onward transfer
+export const STABILIZATION_TIME = 20 * 60; // seconds
+
+/**
+ * Whether a facility can take a major trauma patient
+ * Facility data has no trauma level yet, so every Tertiary facility counts.
+ * @param {Object} facility Facility with type
+ * @returns {boolean} True for trauma-capable facilities
+ */
+export const isTraumaCapable = (facility) => facility?.type === 'Tertiary';
+
+/**
+ * Whether a facility can stabilize a patient on the way to a trauma centre
+ * @param {Object} facility Facility with type and emergency
+ * @returns {boolean} True for Primary and Secondary facilities with an emergency department
+ */
+export const isStabilizationPoint = (facility) =>
+  Boolean(facility?.emergency) && ['Primary', 'Secondary'].includes(facility.type);
+
+/**
+ * Golden hour status of a journey
+ * @param {number} duration Journey time in seconds
+ * @param {number} elapsed Seconds already passed since injury
+ * @returns {Object} { status ('within', 'at-risk' or 'exceeded'), total, remaining } in seconds
+ */
+export const getGoldenHourStatus = (duration, elapsed = 0) => {
+  const total = elapsed + duration;
+  const status = total > GOLDEN_HOUR
+    ? 'exceeded'
+    : total > GOLDEN_HOUR * AT_RISK_SHARE ? 'at-risk' : 'within';
+
+  return { status, total, remaining: GOLDEN_HOUR - total };
+};
+
+export default {
+  GOLDEN_HOUR,
+  STABILIZATION_TIME,
+  isTraumaCapable,
+  isStabilizationPoint,
+  getGoldenHourStatus
+};
@@ -0,0 +1,22 @@
+import { GOLDEN_HOUR, getGoldenHourStatus, isTraumaCapable, isStabilizationPoint } from './goldenHour';
+
+describe('Golden hour', () => {
+  test('status moves from within to at-risk to exceeded', () => {
+    expect(getGoldenHourStatus(20 * 60)).toEqual({ status: 'within', total: 1200, remaining: 2400 });
+    expect(getGoldenHourStatus(50 * 60).status).toBe('at-risk');
+    expect(getGoldenHourStatus(GOLDEN_HOUR).status).toBe('at-risk');
+    expect(getGoldenHourStatus(GOLDEN_HOUR + 60).remaining).toBe(-60);
+  });
+
+  test('time since injury counts against the golden hour', () => {
+    expect(getGoldenHourStatus(30 * 60, 35 * 60)).toMatchObject({ status: 'exceeded', total: 3900 });
+  });
+
+  test('only Tertiary facilities take trauma; Primary and Secondary with emergency stabilize', () => {
+    expect(isTraumaCapable({ type: 'Tertiary' })).toBe(true);
+    expect(isTraumaCapable({ type: 'Secondary', emergency: true })).toBe(false);
+    expect(isStabilizationPoint({ type: 'Primary', emergency: true })).toBe(true);
+    expect(isStabilizationPoint({ type: 'Secondary', emergency: false })).toBe(false);
+    expect(isStabilizationPoint({ type: 'Tertiary', emergency: true })).toBe(false);
+  });
+});
@@ -1,10 +1,24 @@
 // Google Maps routing service
 import axios from 'axios';
+import polyline from '@mapbox/polyline';
+
+// Get API key from environment, supporting both Vite and Jest environments
+const getApiKey = () => {
+  if (typeof import.meta !== 'undefined' && import.meta.env) {
+    return import.meta.env.VITE_GOOGLE_MAPS_API_KEY;
+  }
+  return process.env.VITE_GOOGLE_MAPS_API_KEY;
+};
 
 // Constants
-const GOOGLE_MAPS_API_KEY = process.env.REACT_APP_GOOGLE_MAPS_API_KEY;
+const GOOGLE_MAPS_API_KEY = getApiKey();
 const BASE_URL = 'https://maps.googleapis.com/maps/api/directions/json';
 
+/**
+ * Check whether a Google Maps API key has been configured
+ */
+export const isGoogleMapsConfigured = () => Boolean(GOOGLE_MAPS_API_KEY);
+
 /**
  * Calculate route between two points using Google Maps Directions API
  */
@@ -22,11 +36,13 @@ export const calculateRoute = async (start, end, options = {}) => {
     // Format coordinates for Google Maps API
     const origin = `${start[0]},${start[1]}`;
     const destination = `${end[0]},${end[1]}`;
+    const waypoints = (options.waypoints || []).map(([lat, lng]) => `${lat},${lng}`).join('|');
 
     // Build request URL with parameters
     const params = new URLSearchParams({
       origin,
       destination,
+      ...(waypoints && { waypoints }),
       mode,
       alternatives: alternatives.toString(),
       optimize: optimize.toString(),
@@ -37,7 +53,7 @@ export const calculateRoute = async (start, end, options = {}) => {
     });
 
     // Make request to Google Maps Directions API
-    const response = await axios.get(`${BASE_URL}?${params}`);
+    const response = await axios.get(`${BASE_URL}?${params}`, { signal: options.signal });
 
     if (response.data.status !== 'OK') {
       throw new Error(`Google Maps API Error: ${response.data.status}`);
@@ -49,17 +65,14 @@ export const calculateRoute = async (start, end, options = {}) => {
 
     // Extract route coordinates from encoded polyline
     const decodePath = (encoded) => {
-      const poly = require('@mapbox/polyline');
-      return poly.decode(encoded).map(([lat, lng]) => [lat, lng]);
+      return polyline.decode(encoded).map(([lat, lng]) => [lat, lng]);
     };
 
-    // Process main route
-    const route = {
-      success: true,
-      route: decodePath(mainRoute.overview_polyline.points),
-      distance: mainRoute.legs[0].distance.value / 1000, // Convert to km
-      duration: mainRoute.legs[0].duration.value, // Seconds
-      legs: mainRoute.legs.map(leg => ({
+    const formatRoute = (googleRoute) => ({
+      route: decodePath(googleRoute.overview_polyline.points),
+      distance: googleRoute.legs.reduce((sum, leg) => sum + leg.distance.value, 0) / 1000, // Convert to km
+      duration: googleRoute.legs.reduce((sum, leg) => sum + leg.duration.value, 0), // Seconds
+      legs: googleRoute.legs.map(leg => ({
         distance: leg.distance.value,
         duration: leg.duration.value,
         steps: leg.steps.map(step => ({
@@ -68,12 +81,14 @@ export const calculateRoute = async (start, end, options = {}) => {
           instruction: step.html_instructions,
           maneuver: step.maneuver || ''
         }))
-      })),
-      alternatives: alternativeRoutes.map(route => ({
-        route: decodePath(route.overview_polyline.points),
-        distance: route.legs[0].distance.value / 1000,
-        duration: route.legs[0].duration.value
       }))
+    });
+
+    // Process main route
+    const route = {
+      success: true,
+      ...formatRoute(mainRoute),
+      alternatives: alternativeRoutes.map(formatRoute)
     };
 
     return route;
@@ -151,6 +166,7 @@ export const calculateETA = async (start, end) => {
 };
 
 export default {
+  isGoogleMapsConfigured,
   calculateRoute,
   getRouteDetails,
   calculateETA
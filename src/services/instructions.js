@@ -0,0 +1,285 @@
+// Localized turn-by-turn instructions built from structured maneuvers
+// ({ type, modifier, exit, bearing_after }) rather than provider text
+
+export const SUPPORTED_LANGUAGES = [
+  { code: 'en', name: 'English' },
+  { code: 'hi', name: 'हिन्दी' }
+];
+export const DEFAULT_LANGUAGE = 'en';
+
+// Instruction languages each provider can return itself
+export const PROVIDER_LANGUAGES = {
+  ors: ['cs', 'da', 'de', 'en', 'eo', 'es', 'fi', 'fr', 'gr', 'he', 'hu', 'id', 'it', 'ja', 'nb', 'ne', 'nl', 'pl', 'pt', 'ro', 'ru', 'tr', 'uk', 'vi', 'zh'],
+  google: ['en', 'hi', 'bn', 'gu', 'kn', 'ml', 'mr', 'pa', 'ta', 'te', 'ur']
+};
+
+const STORAGE_KEY = 'gshealth.language';
+
+/**
+ * Language for a provider request: the requested one if the provider
+ * supports it, otherwise English (text is then rebuilt from maneuvers)
+ * @param {string} provider Provider id
+ * @param {string} language Requested language code
+ * @returns {string} Language code to send
+ */
+export const getProviderLanguage = (provider, language = DEFAULT_LANGUAGE) =>
+  (PROVIDER_LANGUAGES[provider] || []).includes(language) ? language : DEFAULT_LANGUAGE;
+
+/**
+ * Saved UI language, falling back to English
+ */
+export const getPreferredLanguage = () => {
+  try {
+    const saved = typeof localStorage !== 'undefined' && localStorage.getItem(STORAGE_KEY);
+    return SUPPORTED_LANGUAGES.some(({ code }) => code === saved) ? saved : DEFAULT_LANGUAGE;
+  } catch (error) {
+    return DEFAULT_LANGUAGE;
+  }
+};
+
+/**
+ * Remember the UI language
+ * @param {string} language Language code
+ */
+export const setPreferredLanguage = (language) => {
+  try {
+    if (typeof localStorage !== 'undefined') {
+      localStorage.setItem(STORAGE_KEY, language);
+    }
+  } catch (error) {
+    console.warn('[Instructions] Could not save language:', error);
+  }
+};
+
+// ORS instruction type codes
+const ORS_MANEUVERS = {
+  0: { type: 'turn', modifier: 'left' },
+  1: { type: 'turn', modifier: 'right' },
+  2: { type: 'turn', modifier: 'sharp left' },
+  3: { type: 'turn', modifier: 'sharp right' },
+  4: { type: 'turn', modifier: 'slight left' },
+  5: { type: 'turn', modifier: 'slight right' },
+  6: { type: 'continue', modifier: 'straight' },
+  7: { type: 'roundabout' },
+  8: { type: 'exit roundabout' },
+  9: { type: 'continue', modifier: 'uturn' },
+  10: { type: 'arrive' },
+  11: { type: 'depart' },
+  12: { type: 'fork', modifier: 'slight left' },
+  13: { type: 'fork', modifier: 'slight right' }
+};
+
+/**
+ * Structured maneuver for an ORS step
+ * @param {Object} step ORS step with type and exit_number
+ * @returns {Object|null} { type, modifier, exit }
+ */
+export const normalizeORSManeuver = (step) => {
+  const maneuver = ORS_MANEUVERS[step.type];
+  if (!maneuver) return null;
+  return step.exit_number ? { ...maneuver, exit: step.exit_number } : { ...maneuver };
+};
+
+/**
+ * Structured maneuver for a Google Directions maneuver string
+ * such as 'turn-slight-left', 'roundabout-right' or 'uturn-left'
+ * @param {string} maneuver Google maneuver
+ * @returns {Object|null} { type, modifier }
+ */
+export const normalizeGoogleManeuver = (maneuver) => {
+  if (!maneuver) return null;
+
+  const side = maneuver.endsWith('left') ? 'left' : maneuver.endsWith('right') ? 'right' : undefined;
+  if (maneuver.startsWith('uturn')) return { type: 'continue', modifier: 'uturn' };
+  if (maneuver.startsWith('roundabout')) return { type: 'roundabout' };
+  if (maneuver.startsWith('turn-slight')) return { type: 'turn', modifier: `slight ${side}` };
+  if (maneuver.startsWith('turn-sharp')) return { type: 'turn', modifier: `sharp ${side}` };
+  if (maneuver.startsWith('turn')) return { type: 'turn', modifier: side };
+  if (maneuver.startsWith('fork') || maneuver.startsWith('keep')) return { type: 'fork', modifier: `slight ${side}` };
+  if (maneuver.startsWith('ramp')) return { type: 'off ramp', modifier: side };
+  if (maneuver === 'merge') return { type: 'merge' };
+  if (maneuver === 'straight') return { type: 'continue', modifier: 'straight' };
+  return null;
+};
+
+const PHRASES = {
+  en: {
+    compass: ['north', 'northeast', 'east', 'southeast', 'south', 'southwest', 'west', 'northwest'],
+    ordinal: (n) => ['1st', '2nd', '3rd', '4th', '5th', '6th', '7th', '8th', '9th', '10th'][n - 1] || `${n}th`,
+    direction: (modifier) => modifier.replace('uturn', 'U-turn'),
+    side: (side) => side,
+    roundabout: 'the roundabout'
+  },
+  hi: {
+    compass: ['उत्तर', 'उत्तर-पूर्व', 'पूर्व', 'दक्षिण-पूर्व', 'दक्षिण', 'दक्षिण-पश्चिम', 'पश्चिम', 'उत्तर-पश्चिम'],
+    ordinal: (n) => ['पहला', 'दूसरा', 'तीसरा', 'चौथा', 'पाँचवाँ', 'छठा', 'सातवाँ', 'आठवाँ', 'नौवाँ', 'दसवाँ'][n - 1] || `${n}वाँ`,
+    direction: (modifier) => ({
+      left: 'बाएँ',
+      right: 'दाएँ',
+      'sharp left': 'तीखे बाएँ',
+      'sharp right': 'तीखे दाएँ',
+      'slight left': 'हल्के बाएँ',
+      'slight right': 'हल्के दाएँ',
+      straight: 'सीधे',
+      uturn: 'यू-टर्न'
+    })[modifier] || modifier,
+    side: (side) => (side === 'left' ? 'बाईं' : 'दाईं'),
+    roundabout: 'गोलचक्कर'
+  }
+};
+
+const onRoad = (road) => (road ? ` onto ${road}` : '');
+const hiOnRoad = (road) => (road ? `${road} पर ` : '');
+const hiThenRoad = (road) => (road ? ` और ${road} पर जाएँ` : '');
+
+// Sentence templates; each receives the resolved phrases for one step
+const TEMPLATES = {
+  en: {
+    depart: ({ compass, road }) => `Head ${compass || 'out'}${road ? ` on ${road}` : ''}`,
+    arrive: ({ side }) => `Arrive at your destination${side ? `, on the ${side}` : ''}`,
+    roundabout: ({ place, exit, road }) => (exit
+      ? `Enter ${place} and take the ${exit} exit${onRoad(road)}`
+      : `Enter ${place}${road ? ` and exit onto ${road}` : ''}`),
+    'roundabout turn': ({ direction, road }) => `At the roundabout, turn ${direction}${onRoad(road)}`,
+    'exit roundabout': ({ road }) => `Exit the roundabout${onRoad(road)}`,
+    merge: ({ direction, road }) => `Merge${direction ? ` ${direction}` : ''}${onRoad(road)}`,
+    'on ramp': ({ direction, road }) => `Take the ramp${direction ? ` on the ${direction}` : ''}${onRoad(road)}`,
+    'off ramp': ({ direction, road }) => `Take the exit${direction ? ` on the ${direction}` : ''}${onRoad(road)}`,
+    fork: ({ side, road }) => `Keep ${side || 'straight'} at the fork${onRoad(road)}`,
+    'end of road': ({ direction, road }) => `At the end of the road, turn ${direction}${onRoad(road)}`,
+    'new name': ({ road }) => `Continue${onRoad(road)}`,
+    'use lane': ({ direction }) => `Use the lane to go ${direction || 'straight'}`,
+    uturn: ({ road }) => `Make a U-turn${onRoad(road)}`,
+    straight: ({ road }) => `Continue straight${onRoad(road)}`,
+    continue: ({ direction, road }) => `Continue ${direction}${onRoad(road)}`,
+    turn: ({ direction, road }) => `Turn ${direction}${onRoad(road)}`,
+    direct: ({ mountainous }) => `Follow direct route to destination${mountainous ? ' (mountainous terrain)' : ''}`
+  },
+  hi: {
+    depart: ({ compass, road }) => `${hiOnRoad(road)}${compass ? `${compass} की ओर ` : ''}चलें`,
+    arrive: ({ side }) => `अपने गंतव्य पर पहुँचें${side ? `, जो ${side} ओर है` : ''}`,
+    roundabout: ({ place, exit, road }) => (exit
+      ? `${place} में प्रवेश करें और ${exit} निकास लें${road ? `, ${road} की ओर` : ''}`
+      : `${place} में प्रवेश करें${road ? ` और ${road} पर निकलें` : ''}`),
+    'roundabout turn': ({ direction, road }) => `गोलचक्कर पर ${direction} मुड़ें${hiThenRoad(road)}`,
+    'exit roundabout': ({ road }) => `गोलचक्कर से निकलें${hiThenRoad(road)}`,
+    merge: ({ side, road }) => `${road ? `${road} में ` : ''}${side ? `${side} ओर से ` : ''}शामिल हों`,
+    'on ramp': ({ side, road }) => `${side ? `${side} ओर का ` : ''}रैंप लें${hiThenRoad(road)}`,
+    'off ramp': ({ side, road }) => `${side ? `${side} ओर का ` : ''}निकास लें${hiThenRoad(road)}`,
+    fork: ({ side, road }) => `दोराहे पर ${side ? `${side} ओर` : 'सीधे'} रहें${hiThenRoad(road)}`,
+    'end of road': ({ direction, road }) => `सड़क के अंत में ${hiOnRoad(road)}${direction} मुड़ें`,
+    'new name': ({ road }) => `${hiOnRoad(road)}आगे बढ़ते रहें`,
+    'use lane': ({ direction }) => `${direction || 'सीधे'} जाने के लिए लेन का उपयोग करें`,
+    uturn: ({ road }) => `${hiOnRoad(road)}यू-टर्न लें`,
+    straight: ({ road }) => `${hiOnRoad(road)}सीधे चलते रहें`,
+    continue: ({ direction, road }) => `${hiOnRoad(road)}${direction} चलते रहें`,
+    turn: ({ direction, road }) => `${hiOnRoad(road)}${direction} मुड़ें`,
+    direct: ({ mountainous }) => `गंतव्य तक सीधा मार्ग लें${mountainous ? ' (पहाड़ी इलाका)' : ''}`
+  }
+};
+
+/**
+ * Road description used in instructions, e.g. "Mall Road (NH5)"
+ */
+const describeRoad = (step) => {
+  const { name, ref } = step;
+  if (name && ref && !name.includes(ref)) return `${name} (${ref})`;
+  return name || ref || '';
+};
+
+/**
+ * Template key for a maneuver type and modifier
+ */
+const getTemplateKey = (type, modifier) => {
+  if (type === 'rotary') return 'roundabout';
+  if (type === 'exit rotary') return 'exit roundabout';
+  if (TEMPLATES.en[type] && !['continue', 'turn'].includes(type)) return type;
+  if (modifier === 'uturn') return 'uturn';
+  if (!modifier || modifier === 'straight') return 'straight';
+  return type === 'continue' ? 'continue' : 'turn';
+};
+
+/**
+ * Turn a step's maneuver (type, modifier, exit, bearing) into an instruction
+ * @param {Object} step Route step with maneuver, name and ref
+ * @param {string} language Language code
+ * @returns {string} Instruction text
+ */
+export const buildInstruction = (step, language = DEFAULT_LANGUAGE) => {
+  const lang = TEMPLATES[language] ? language : DEFAULT_LANGUAGE;
+  const phrases = PHRASES[lang];
+  const maneuver = step.maneuver || {};
+  const { type, modifier, exit } = maneuver;
+  const lateral = modifier?.includes('left') ? 'left' : modifier?.includes('right') ? 'right' : null;
+  const bearing = maneuver.bearing_after;
+
+  return TEMPLATES[lang][getTemplateKey(type, modifier)]({
+    road: describeRoad(step),
+    direction: modifier && modifier !== 'straight' ? phrases.direction(modifier) : '',
+    side: lateral ? phrases.side(lateral) : '',
+    compass: typeof bearing === 'number'
+      ? phrases.compass[Math.round(((bearing % 360) + 360) % 360 / 45) % 8]
+      : '',
+    exit: exit ? phrases.ordinal(exit) : null,
+    place: type === 'rotary' && step.rotary_name ? step.rotary_name : phrases.roundabout,
+    mountainous: maneuver.mountainous
+  });
+};
+
+/**
+ * Flatten a route's legs into a list of instructions in one language
+ * Provider text is kept when it is already in that language; otherwise the
+ * text is rebuilt from the step's maneuver where there is one.
+ * @param {Object} route Route result with legs
+ * @param {string} language Language code
+ * @returns {Array} [{ instruction, distance, duration, maneuver, name }]
+ */
+export const getRouteInstructions = (route, language = DEFAULT_LANGUAGE) => {
+  if (!route?.legs) return [];
+
+  return route.legs.flatMap(leg => (leg.steps || []).map(step => {
+    const providerText = step.instruction && (step.language || DEFAULT_LANGUAGE) === language;
+    return {
+      instruction: providerText || !step.maneuver
+        ? step.instruction || ''
+        : buildInstruction(step, language),
+      distance: step.distance,
+      duration: step.duration,
+      maneuver: step.maneuver || null,
+      name: step.name || ''
+    };
+  }));
+};
+
+/**
+ * Icon for a maneuver
+ * @param {Object} maneuver { type, modifier }
+ * @returns {string} Emoji icon
+ */
+export const getManeuverIcon = (maneuver) => {
+  const { type, modifier = '' } = maneuver || {};
+
+  if (type === 'arrive') return '🏁';
+  if (type === 'depart') return '🚑';
+  if (['roundabout', 'rotary', 'roundabout turn', 'exit roundabout', 'exit rotary'].includes(type)) return '🔄';
+  if (modifier === 'uturn') return '↩️';
+  if (type === 'merge' || type === 'on ramp') return '↗️';
+  if (type === 'off ramp') return '↘️';
+  if (modifier.includes('left')) return modifier.includes('slight') ? '↖️' : '⬅️';
+  if (modifier.includes('right')) return modifier.includes('slight') ? '↗️' : '➡️';
+  if (type) return '⬆️';
+  return '•';
+};
+
+export default {
+  SUPPORTED_LANGUAGES,
+  DEFAULT_LANGUAGE,
+  getProviderLanguage,
+  getPreferredLanguage,
+  setPreferredLanguage,
+  normalizeORSManeuver,
+  normalizeGoogleManeuver,
+  buildInstruction,
+  getRouteInstructions,
+  getManeuverIcon
+};
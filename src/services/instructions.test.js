@@ -0,0 +1,83 @@
+import {
+  buildInstruction,
+  getRouteInstructions,
+  normalizeORSManeuver,
+  normalizeGoogleManeuver,
+  getProviderLanguage,
+  getManeuverIcon
+} from './instructions';
+
+describe('Localized instructions', () => {
+  test('buildInstruction describes common maneuvers in English', () => {
+    expect(buildInstruction({
+      name: 'Mall Road',
+      maneuver: { type: 'depart', bearing_after: 92 }
+    })).toBe('Head east on Mall Road');
+
+    expect(buildInstruction({
+      name: 'Cart Road',
+      ref: 'NH5',
+      maneuver: { type: 'turn', modifier: 'sharp left' }
+    })).toBe('Turn sharp left onto Cart Road (NH5)');
+
+    expect(buildInstruction({
+      name: 'Circular Road',
+      maneuver: { type: 'roundabout', modifier: 'right', exit: 2 }
+    })).toBe('Enter the roundabout and take the 2nd exit onto Circular Road');
+
+    expect(buildInstruction({ maneuver: { type: 'continue', modifier: 'uturn' } })).toBe('Make a U-turn');
+    expect(buildInstruction({ maneuver: { type: 'arrive', modifier: 'left' } }))
+      .toBe('Arrive at your destination, on the left');
+  });
+
+  test('buildInstruction writes the same maneuvers in Hindi', () => {
+    expect(buildInstruction({
+      name: 'Cart Road',
+      maneuver: { type: 'turn', modifier: 'right' }
+    }, 'hi')).toBe('Cart Road पर दाएँ मुड़ें');
+
+    expect(buildInstruction({
+      maneuver: { type: 'roundabout', exit: 2 }
+    }, 'hi')).toBe('गोलचक्कर में प्रवेश करें और दूसरा निकास लें');
+
+    expect(buildInstruction({ maneuver: { type: 'arrive', modifier: 'right' } }, 'hi'))
+      .toBe('अपने गंतव्य पर पहुँचें, जो दाईं ओर है');
+
+    // Unknown languages fall back to English
+    expect(buildInstruction({ maneuver: { type: 'arrive' } }, 'xx')).toBe('Arrive at your destination');
+  });
+
+  test('provider maneuvers are normalized to one structure', () => {
+    expect(normalizeORSManeuver({ type: 3 })).toEqual({ type: 'turn', modifier: 'sharp right' });
+    expect(normalizeORSManeuver({ type: 7, exit_number: 3 })).toEqual({ type: 'roundabout', exit: 3 });
+    expect(normalizeGoogleManeuver('turn-slight-left')).toEqual({ type: 'turn', modifier: 'slight left' });
+    expect(normalizeGoogleManeuver('uturn-right')).toEqual({ type: 'continue', modifier: 'uturn' });
+    expect(normalizeGoogleManeuver('')).toBeNull();
+
+    expect(getProviderLanguage('ors', 'hi')).toBe('en');
+    expect(getProviderLanguage('google', 'hi')).toBe('hi');
+  });
+
+  test('getRouteInstructions keeps provider text in the same language and rebuilds the rest', () => {
+    const route = {
+      legs: [
+        { steps: [{ instruction: 'Head north', distance: 100, duration: 10, maneuver: { type: 'depart', bearing_after: 0 } }] },
+        { steps: [{ instruction: 'गंतव्य', language: 'hi', distance: 0, duration: 0, maneuver: { type: 'arrive' } }] },
+        { steps: [{ instruction: 'Follow the track', distance: 50, duration: 5 }] }
+      ]
+    };
+
+    expect(getRouteInstructions(route).map(step => step.instruction))
+      .toEqual(['Head north', 'Arrive at your destination', 'Follow the track']);
+    expect(getRouteInstructions(route, 'hi').map(step => step.instruction))
+      .toEqual(['उत्तर की ओर चलें', 'गंतव्य', 'Follow the track']);
+    expect(getRouteInstructions(null)).toEqual([]);
+  });
+
+  test('icons come from the maneuver rather than the text', () => {
+    expect(getManeuverIcon({ type: 'turn', modifier: 'left' })).toBe('⬅️');
+    expect(getManeuverIcon({ type: 'roundabout', exit: 1 })).toBe('🔄');
+    expect(getManeuverIcon({ type: 'arrive' })).toBe('🏁');
+    expect(getManeuverIcon(null)).toBe('•');
+  });
+});
@@ -0,0 +1,170 @@
+// Indian Public Health Standards (IPHS) levels of care, from the village
+// Sub-Centre up to the Medical College, inferred from whatever a source says
+// about a facility
+
+/**
+ * IPHS levels, lowest first, with the coarse facility type each belongs to
+ */
+export const IPHS_LEVELS = [
+  { id: 'SC', name: 'Sub-Centre', type: 'Primary' },
+  { id: 'PHC', name: 'Primary Health Centre', type: 'Primary' },
+  { id: 'CHC', name: 'Community Health Centre', type: 'Secondary' },
+  { id: 'SDH', name: 'Sub-District Hospital', type: 'Secondary' },
+  { id: 'DH', name: 'District Hospital', type: 'Secondary' },
+  { id: 'MC', name: 'Medical College', type: 'Tertiary' }
+];
+
+// Level of pharmacies, private clinics and other facilities outside the hierarchy
+export const OUTSIDE_IPHS = 'none';
+
+// Levels guessed with less confidence are not used for filters, stats or the type
+export const MIN_LEVEL_CONFIDENCE = 0.5;
+
+// Name and registry category patterns, first match wins so Sub-District
+// Hospital is not read as District Hospital
+const LEVEL_PATTERNS = [
+  ['MC', /medical college|\baiims\b|\bigmc\b|\bpgi(mer)?\b|institute of medical sciences/i],
+  ['SDH', /sub.?divisional|sub.?district|civil hospital|\bsdh\b/i],
+  ['DH', /district hospital|zonal hospital|regional hospital|\bdh\b/i],
+  ['CHC', /community health|\bchc\b/i],
+  ['SC', /sub.?cent(re|er)|health sub|\bh?sc\b/i],
+  ['PHC', /primary health|\bphc\b|\bhwc\b|wellness|dispensary/i]
+];
+
+// Hospital level from its bed count alone, highest first
+const BED_LEVELS = [[500, 'MC'], [100, 'DH'], [50, 'SDH'], [10, 'CHC'], [0, 'PHC']];
+
+// OSM amenity and healthcare values that are never part of the public hierarchy
+const OUTSIDE_KINDS = [
+  'pharmacy', 'chemist', 'dentist', 'doctors', 'doctor', 'optometrist', 'laboratory',
+  'physiotherapist', 'alternative', 'blood_donation', 'psychotherapist', 'podiatrist'
+];
+
+const GOVERNMENT_OPERATOR = /\bgov(ernmen)?t\b|\bnhm\b|national health mission|health department|\bstate\b|\bpublic\b/i;
+const PRIVATE_OPERATOR = /private|\bpvt\b|\bltd\b|limited|\btrust\b/i;
+
+/**
+ * IPHS level by id
+ */
+export const getIphsLevelById = (id) => IPHS_LEVELS.find(level => level.id === id);
+
+const matchLevel = (text) => LEVEL_PATTERNS.find(([, pattern]) => pattern.test(text || ''))?.[0];
+
+const levelForBeds = (beds) => BED_LEVELS.find(([min]) => beds > min)?.[1];
+
+const round = (confidence) => Math.round(Math.min(confidence, 1) * 100) / 100;
+
+/**
+ * Infer the IPHS level of a facility
+ * Pharmacies and the like are outside the hierarchy whatever their name.
+ * Otherwise a registry category is trusted most; private facilities are
+ * outside the hierarchy, and the rest are read from the facility name, then
+ * OSM tags and the bed count. Agreeing beds and a government operator raise
+ * the confidence.
+ * @param {Object} facility { name, tags, beds, registryType } where registryType
+ *   is the category from an imported registry, e.g. "Primary Health Centre"
+ * @returns {Object} { level, confidence, basis } with level an IPHS level id,
+ *   OUTSIDE_IPHS or null, confidence 0 to 1 and basis 'registry', 'name', 'tags' or 'beds'
+ */
+export const classifyIphsLevel = ({ name, tags = {}, beds, registryType } = {}) => {
+  const bedCount = parseInt(beds ?? tags.beds) || 0;
+  const operator = [tags.operator, tags['operator:type']].filter(Boolean).join(' ');
+  const government = tags['operator:type'] === 'government' || tags['operator:type'] === 'public' ||
+    GOVERNMENT_OPERATOR.test(tags.operator || '');
+  const privateOperator = !government && (tags['operator:type'] === 'private' || PRIVATE_OPERATOR.test(operator));
+  const bonus = (level) => (bedCount > 0 && levelForBeds(bedCount) === level ? 0.05 : 0) + (government ? 0.05 : 0);
+
+  // A "District Hospital Pharmacy" is still a pharmacy
+  const kind = tags.healthcare || tags.amenity;
+  if (OUTSIDE_KINDS.includes(kind)) {
+    return { level: OUTSIDE_IPHS, confidence: 0.9, basis: 'tags' };
+  }
+
+  const registryLevel = matchLevel(registryType);
+  if (registryLevel) {
+    return { level: registryLevel, confidence: round(0.9 + bonus(registryLevel)), basis: 'registry' };
+  }
+  if (privateOperator) {
+    return { level: OUTSIDE_IPHS, confidence: 0.7, basis: 'tags' };
+  }
+
+  const names = [name, tags['name:en'], tags.official_name, tags.alt_name];
+  const nameLevel = names.map(matchLevel).find(Boolean);
+  if (nameLevel) {
+    return { level: nameLevel, confidence: round(0.8 + bonus(nameLevel)), basis: 'name' };
+  }
+
+  const support = government ? 0.1 : 0;
+  if (kind === 'hospital' || tags.amenity === 'hospital') {
+    if (bedCount > 0) {
+      const level = levelForBeds(bedCount);
+      // Bed counts alone cannot tell a teaching hospital from a large district one
+      return { level, confidence: round((level === 'MC' ? 0.4 : 0.5) + support), basis: 'beds' };
+    }
+    return { level: 'CHC', confidence: round(0.3 + support), basis: 'tags' };
+  }
+  if (kind === 'tertiary') {
+    return { level: 'MC', confidence: round(0.4 + support), basis: 'tags' };
+  }
+  if (kind === 'clinic' || kind === 'centre') {
+    if (bedCount > 10) return { level: 'CHC', confidence: round(0.4 + support), basis: 'beds' };
+    return { level: 'PHC', confidence: round((bedCount > 0 ? 0.5 : 0.3) + support), basis: bedCount > 0 ? 'beds' : 'tags' };
+  }
+
+  return { level: null, confidence: 0, basis: null };
+};
+
+/**
+ * IPHS level of a facility when it is known with enough confidence
+ * @param {Object} facility Facility with iphs
+ * @returns {string|null} IPHS level id, OUTSIDE_IPHS or null when unclassified
+ */
+export const getFacilityLevel = (facility) => (
+  facility?.iphs?.level && facility.iphs.confidence >= MIN_LEVEL_CONFIDENCE ? facility.iphs.level : null
+);
+
+/**
+ * Coarse facility type implied by an IPHS classification
+ * @param {Object} iphs Result of classifyIphsLevel
+ * @returns {string|null} Facility type, or null when the level is unknown or outside IPHS
+ */
+export const getIphsType = (iphs) => (
+  getIphsLevelById(getFacilityLevel({ iphs }))?.type || null
+);
+
+/**
+ * Whether a facility passes a type or level filter
+ * Pharmacies and other facilities outside IPHS belong to no level of care,
+ * so they match no coarse type either.
+ * @param {Object} facility Facility
+ * @param {string} filter 'All', a facility type, an IPHS level id, OUTSIDE_IPHS
+ *   or 'unclassified'
+ * @returns {boolean} True when the facility matches
+ */
+export const matchesFacilityFilter = (facility, filter) => {
+  if (!filter || filter === 'All') return true;
+  if (getIphsLevelById(filter) || filter === OUTSIDE_IPHS) return getFacilityLevel(facility) === filter;
+  if (filter === 'unclassified') return getFacilityLevel(facility) === null;
+  return facility.type === filter && getFacilityLevel(facility) !== OUTSIDE_IPHS;
+};
+
+/**
+ * Short label for a facility's IPHS level, e.g. "PHC" or "Outside IPHS"
+ */
+export const formatIphsLevel = (facility) => {
+  const level = getFacilityLevel(facility);
+  if (level === OUTSIDE_IPHS) return 'Outside IPHS';
+  return level || 'Unclassified';
+};
+
+export default {
+  IPHS_LEVELS,
+  OUTSIDE_IPHS,
+  MIN_LEVEL_CONFIDENCE,
+  getIphsLevelById,
+  classifyIphsLevel,
+  getFacilityLevel,
+  getIphsType,
+  matchesFacilityFilter,
+  formatIphsLevel
+};
@@ -0,0 +1,75 @@
+import {
+  OUTSIDE_IPHS,
+  classifyIphsLevel,
+  getFacilityLevel,
+  getIphsType,
+  matchesFacilityFilter
+} from './iphs';
+import { fromOverpassElement } from './facilitySchema';
+
+const element = (id, tags) => ({ type: 'node', id, lat: 31.1, lon: 77.1, tags });
+
+describe('IPHS classification', () => {
+  test('reads the level from names and registry categories', () => {
+    expect(classifyIphsLevel({ name: 'PHC Kaza' })).toEqual({ level: 'PHC', confidence: 0.8, basis: 'name' });
+    expect(classifyIphsLevel({ name: 'Sub Divisional Civil Hospital Rampur' }).level).toBe('SDH');
+    expect(classifyIphsLevel({ name: 'Zonal Hospital Mandi' }).level).toBe('DH');
+    expect(classifyIphsLevel({ name: 'Health Sub Centre Tabo' }).level).toBe('SC');
+    expect(classifyIphsLevel({ name: 'अस्पताल', tags: { 'name:en': 'Dr. RPGMC Tanda Medical College' } }).level).toBe('MC');
+    expect(classifyIphsLevel({ name: 'Sunni Hospital', registryType: 'Sub District Hospital' }))
+      .toEqual({ level: 'SDH', confidence: 0.9, basis: 'registry' });
+  });
+
+  test('agreeing beds and a government operator raise the confidence', () => {
+    const tags = { amenity: 'hospital', operator: 'Government of Himachal Pradesh', beds: '300' };
+
+    expect(classifyIphsLevel({ name: 'District Hospital Chamba', tags }).confidence).toBe(0.9);
+    expect(classifyIphsLevel({ name: 'Hospital Chamba', tags })).toEqual({ level: 'DH', confidence: 0.6, basis: 'beds' });
+    expect(classifyIphsLevel({ name: 'Hospital', tags: { amenity: 'hospital', beds: '800' } }).confidence)
+      .toBeLessThan(0.5);
+  });
+
+  test('keeps pharmacies and private clinics out of the hierarchy', () => {
+    expect(classifyIphsLevel({ tags: { amenity: 'pharmacy' } }).level).toBe(OUTSIDE_IPHS);
+    expect(classifyIphsLevel({ name: 'City Care', tags: { amenity: 'clinic', 'operator:type': 'private' } }).level)
+      .toBe(OUTSIDE_IPHS);
+    expect(classifyIphsLevel({ tags: { shop: 'bakery' } })).toEqual({ level: null, confidence: 0, basis: null });
+  });
+
+  test('the kind and operator outrank a public-sounding name', () => {
+    expect(classifyIphsLevel({ name: 'District Hospital Pharmacy', tags: { amenity: 'pharmacy' } }).level)
+      .toBe(OUTSIDE_IPHS);
+    expect(classifyIphsLevel({ name: 'Jan Aushadhi Kendra CHC Kaza', tags: { healthcare: 'pharmacy' } }).level)
+      .toBe(OUTSIDE_IPHS);
+    expect(classifyIphsLevel({
+      name: 'Fortis Super Speciality Hospital',
+      tags: { amenity: 'hospital', operator: 'Fortis Healthcare Ltd' }
+    })).toEqual({ level: OUTSIDE_IPHS, confidence: 0.7, basis: 'tags' });
+    expect(classifyIphsLevel({ name: 'Super Speciality Block', tags: { amenity: 'hospital' } }).level).not.toBe('MC');
+  });
+
+  test('an emergency department alone does not make a facility Tertiary', () => {
+    const clinic = fromOverpassElement(element(1, { amenity: 'hospital', emergency: 'yes' }));
+    const college = fromOverpassElement(element(2, { amenity: 'hospital', name: 'IGMC Shimla' }));
+    const pharmacy = fromOverpassElement(element(3, { amenity: 'pharmacy', name: 'Shimla Chemists' }));
+
+    expect(clinic.type).toBe('Primary');
+    expect(getFacilityLevel(clinic)).toBeNull();
+    expect(college.type).toBe('Tertiary');
+    expect(getIphsType(pharmacy.iphs)).toBeNull();
+    expect(getFacilityLevel(pharmacy)).toBe(OUTSIDE_IPHS);
+  });
+
+  test('filters by coarse type or IPHS level', () => {
+    const chc = fromOverpassElement(element(4, { amenity: 'hospital', name: 'CHC Nirmand' }));
+    const pharmacy = fromOverpassElement(element(5, { amenity: 'pharmacy' }));
+
+    expect(matchesFacilityFilter(chc, 'All')).toBe(true);
+    expect(matchesFacilityFilter(chc, 'Secondary')).toBe(true);
+    expect(matchesFacilityFilter(chc, 'CHC')).toBe(true);
+    expect(matchesFacilityFilter(chc, 'PHC')).toBe(false);
+    expect(matchesFacilityFilter(pharmacy, 'Primary')).toBe(false);
+    expect(matchesFacilityFilter(pharmacy, 'PHC')).toBe(false);
+    expect(matchesFacilityFilter(pharmacy, OUTSIDE_IPHS)).toBe(true);
+  });
+});
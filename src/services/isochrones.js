@@ -0,0 +1,156 @@
+// Drive-time coverage polygons (isochrones) around a facility
+import axios from 'axios';
+import { concave, convex, featureCollection, point } from '@turf/turf';
+import { getRoadGraph, findReachableNodes } from './localRouting';
+import { getActiveClosures, getAvoidPolygons, findClosedEdges } from './closures';
+import { ORS_API_KEY, ORS_BASE_URL, DEFAULT_TIMEOUT, validateApiKey, isAbortError } from './routingConfig';
+import { getSpeedProfile, getORSOptions } from './vehicleProfiles';
+
+// 15, 30 and 60 minutes in seconds
+export const DEFAULT_ISOCHRONE_RANGES = [900, 1800, 3600];
+
+// Longest hull edge (km) before the concave hull splits; road nodes on
+// mountain highways are sparse, so this is generous
+const MAX_HULL_EDGE = 15;
+
+/**
+ * Order isochrones largest first so smaller bands draw on top
+ */
+const sortByRange = (features) => [...features].sort((a, b) => b.properties.value - a.properties.value);
+
+/**
+ * Calculate isochrones using OpenRouteService, avoiding closures like routes do
+ */
+const calculateORSIsochrones = async (center, ranges, closures, options = {}) => {
+  try {
+    const avoidPolygons = closures.length > 0 ? getAvoidPolygons(closures) : null;
+    const { profile, options: vehicleOptions } = getORSOptions(options.vehicle);
+    const requestOptions = {
+      ...vehicleOptions,
+      ...(avoidPolygons && { avoid_polygons: avoidPolygons })
+    };
+
+    const response = await axios.post(
+      `${ORS_BASE_URL}/v2/isochrones/${profile}`,
+      {
+        locations: [[center[1], center[0]]],
+        range: ranges,
+        range_type: 'time',
+        ...(Object.keys(requestOptions).length > 0 && { options: requestOptions })
+      },
+      {
+        headers: {
+          'Authorization': ORS_API_KEY,
+          'Content-Type': 'application/json',
+          'Accept': 'application/json'
+        },
+        timeout: DEFAULT_TIMEOUT,
+        signal: options.signal
+      }
+    );
+
+    const features = response.data?.features;
+    if (!Array.isArray(features) || features.length === 0) {
+      return { success: false, error: 'ORS returned no isochrones' };
+    }
+
+    return {
+      success: true,
+      isochrones: featureCollection(sortByRange(features.map(feature => ({
+        ...feature,
+        properties: {
+          ...feature.properties,
+          minutes: Math.round(feature.properties.value / 60)
+        }
+      }))))
+    };
+  } catch (error) {
+    if (isAbortError(error)) {
+      return { success: false, aborted: true, error: 'Isochrone request cancelled' };
+    }
+    console.error('[Isochrones] ORS isochrones failed:', error);
+    return { success: false, error: error.response?.data?.error?.message || error.message };
+  }
+};
+
+/**
+ * Calculate isochrones from the cached road graph by taking a hull
+ * around every node reachable within each range
+ */
+const calculateGraphIsochrones = (graph, center, ranges, closures, options = {}) => {
+  const blockedEdges = findClosedEdges(graph, closures);
+  const reachable = findReachableNodes(graph, center, Math.max(...ranges), { ...options, blockedEdges });
+  if (!reachable) {
+    return { success: false, error: 'Facility is not near any cached road' };
+  }
+
+  const features = ranges
+    .map(range => {
+      const points = reachable
+        .filter(({ duration }) => duration <= range)
+        .map(({ node }) => point([node.lng, node.lat]));
+      points.push(point([center[1], center[0]]));
+
+      if (points.length < 3) return null;
+
+      const collection = featureCollection(points);
+      const hull = concave(collection, { maxEdge: MAX_HULL_EDGE, units: 'kilometers' }) || convex(collection);
+      if (!hull) return null;
+
+      return {
+        ...hull,
+        properties: { value: range, minutes: Math.round(range / 60) }
+      };
+    })
+    .filter(Boolean);
+
+  if (features.length === 0) {
+    return { success: false, error: 'Too few reachable roads to build coverage polygons' };
+  }
+
+  return { success: true, isochrones: featureCollection(sortByRange(features)) };
+};
+
+/**
+ * Calculate drive-time coverage polygons around a point
+ * @param {Array} center [lat, lng]
+ * @param {Object} options Optional parameters
+ * @param {Array} options.ranges Travel times in seconds
+ * @param {string} options.vehicle Vehicle profile id
+ * @param {Array} options.closures Closures to avoid, defaults to the active ones
+ * @param {AbortSignal} options.signal Cancels the request
+ * @returns {Promise<Object>} { success, isochrones (GeoJSON FeatureCollection), method, aborted }
+ */
+export const calculateIsochrones = async (center, options = {}) => {
+  const ranges = options.ranges || DEFAULT_ISOCHRONE_RANGES;
+
+  if (!Array.isArray(center) || center.length !== 2 ||
+      typeof center[0] !== 'number' || typeof center[1] !== 'number') {
+    return { success: false, error: 'Invalid coordinates provided for isochrones' };
+  }
+
+  console.log('[Isochrones] Calculating isochrones:', { center, ranges });
+
+  const closures = options.closures || getActiveClosures();
+  if (validateApiKey()) {
+    const orsResult = await calculateORSIsochrones(center, ranges, closures, options);
+    if (orsResult.success || orsResult.aborted) {
+      return orsResult.success ? { ...orsResult, method: 'ors' } : orsResult;
+    }
+  }
+
+  const graph = getRoadGraph(getSpeedProfile(options.vehicle));
+  if (graph) {
+    const localResult = calculateGraphIsochrones(graph, center, ranges, closures, options);
+    if (localResult.success) {
+      return { ...localResult, method: 'local-graph' };
+    }
+    return localResult;
+  }
+
+  return { success: false, error: 'No isochrone provider available' };
+};
+
+export default {
+  calculateIsochrones
+};
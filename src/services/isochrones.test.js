@@ -0,0 +1,77 @@
+import { jest } from '@jest/globals';
+import { calculateIsochrones } from './isochrones';
+import { setRoadNetwork } from './localRouting';
+import { addClosure, clearClosures } from './closures';
+import axios from 'axios';
+
+jest.mock('axios');
+
+// Three roads leaving Kaza at different speeds
+const roadData = {
+  type: 'FeatureCollection',
+  features: [
+    {
+      type: 'Feature',
+      properties: { highway: 'trunk', name: 'North Road' },
+      geometry: { type: 'LineString', coordinates: [[78.07, 32.22], [78.07, 32.30], [78.07, 32.40]] }
+    },
+    {
+      type: 'Feature',
+      properties: { highway: 'primary', name: 'East Road' },
+      geometry: { type: 'LineString', coordinates: [[78.07, 32.22], [78.15, 32.22], [78.25, 32.22]] }
+    },
+    {
+      type: 'Feature',
+      properties: { highway: 'secondary', name: 'South Road' },
+      geometry: { type: 'LineString', coordinates: [[78.07, 32.22], [78.02, 32.15]] }
+    }
+  ]
+};
+
+describe('Isochrones', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    clearClosures();
+    axios.post.mockRejectedValue(new Error('API Error'));
+    setRoadNetwork(roadData);
+  });
+
+  test('falls back to nested polygons from the road graph', async () => {
+    const result = await calculateIsochrones([32.22, 78.07], { ranges: [900, 1800] });
+
+    expect(result.success).toBe(true);
+    expect(result.method).toBe('local-graph');
+    expect(result.isochrones.features.map(f => f.properties.minutes)).toEqual([30, 15]);
+    result.isochrones.features.forEach(feature => {
+      expect(['Polygon', 'MultiPolygon']).toContain(feature.geometry.type);
+    });
+  });
+
+  test('fails when the point is far from any cached road', async () => {
+    const result = await calculateIsochrones([31.1048, 77.1734]);
+
+    expect(result.success).toBe(false);
+  });
+
+  test('asks ORS with the vehicle profile and around active closures', async () => {
+    axios.post.mockResolvedValueOnce({
+      data: { features: [{ type: 'Feature', geometry: { type: 'Polygon', coordinates: [] }, properties: { value: 900 } }] }
+    });
+    addClosure({ geometry: { type: 'LineString', coordinates: [[78.10, 32.21], [78.10, 32.23]] }, reason: 'landslide' });
+
+    const result = await calculateIsochrones([32.22, 78.07], { ranges: [900], vehicle: 'als' });
+    const [url, body] = axios.post.mock.calls[0];
+
+    expect(result.method).toBe('ors');
+    expect(url).toContain('/v2/isochrones/driving-hgv');
+    expect(body.options.avoid_polygons.type).toBe('MultiPolygon');
+  });
+
+  test('stops without a fallback when the request is cancelled', async () => {
+    axios.post.mockRejectedValueOnce(Object.assign(new Error('canceled'), { name: 'CanceledError' }));
+
+    const result = await calculateIsochrones([32.22, 78.07], { ranges: [900] });
+
+    expect(result).toMatchObject({ success: false, aborted: true });
+  });
+});
@@ -1,58 +1,6 @@
-import axios from 'axios';
-
-/**
- * Finds the nearest node in the road network to a given point
- * @param {Array} point [lat, lon] coordinates
- * @param {Object} options Optional parameters
- * @returns {Object} Nearest node with its coordinates and metadata
- */
-export const findNearestNode = async (point, options = {}) => {
-  const [lat, lon] = point;
-  const maxDistance = options.maxDistance || 10; // km
-  const radius = maxDistance * 1000; // Convert to meters
-
-  try {
-    const query = `
-      [out:json][timeout:25];
-      (
-        way["highway"](around:${radius},${lat},${lon});
-      );
-      (._;>;);
-      out body;
-    `;
-
-    const response = await axios.post('https://overpass-api.de/api/interpreter', query);
-    const nodes = response.data.elements.filter(el => el.type === 'node');
-
-    if (nodes.length === 0) {
-      return {
-        success: false,
-        error: 'No road nodes found within the specified radius'
-      };
-    }
-
-    // Find the nearest node
-    const nearest = nodes.reduce((closest, node) => {
-      const distance = calculateDistance(lat, lon, node.lat, node.lon);
-      if (!closest || distance < closest.distance) {
-        return { node, distance };
-      }
-      return closest;
-    }, null);
-
-    return {
-      success: true,
-      node: nearest.node,
-      distance: nearest.distance
-    };
-  } catch (error) {
-    console.error('Error finding nearest node:', error);
-    return {
-      success: false,
-      error: 'Failed to find nearest node'
-    };
-  }
-};
+import { AMBULANCE_PROFILE, calculateCurvature, estimateSegmentDuration, getMaxSpeed } from './travelTime';
+import { isRoadAllowed } from './vehicleProfiles';
+import { createPointIndex } from './spatialIndex';
 
 /**
  * Calculates the distance between two points using the Haversine formula
@@ -81,4 +29,436 @@ export const calculateDistance = (lat1, lon1, lat2, lon2) => {
  */
 const toRad = (degrees) => {
   return degrees * Math.PI / 180;
-}; 
\ No newline at end of file
+};
+
+// Upper bound used by the A* heuristic so it never overestimates travel time
+const MAX_ROAD_SPEED = getMaxSpeed(AMBULANCE_PROFILE);
+
+// Speed assumed between the clicked point and the nearest graph node
+const ACCESS_SPEED = 15;
+
+/**
+ * Minimal binary heap keyed on priority, used by the graph search
+ */
+class MinHeap {
+  constructor() {
+    this.items = [];
+  }
+
+  get size() {
+    return this.items.length;
+  }
+
+  push(value, priority) {
+    this.items.push({ value, priority });
+    let i = this.items.length - 1;
+    while (i > 0) {
+      const parent = (i - 1) >> 1;
+      if (this.items[parent].priority <= this.items[i].priority) break;
+      [this.items[parent], this.items[i]] = [this.items[i], this.items[parent]];
+      i = parent;
+    }
+  }
+
+  pop() {
+    const top = this.items[0];
+    const last = this.items.pop();
+    if (this.items.length > 0) {
+      this.items[0] = last;
+      let i = 0;
+      for (;;) {
+        const left = 2 * i + 1;
+        const right = left + 1;
+        let smallest = i;
+        if (left < this.items.length && this.items[left].priority < this.items[smallest].priority) smallest = left;
+        if (right < this.items.length && this.items[right].priority < this.items[smallest].priority) smallest = right;
+        if (smallest === i) break;
+        [this.items[smallest], this.items[i]] = [this.items[i], this.items[smallest]];
+        i = smallest;
+      }
+    }
+    return top;
+  }
+}
+
+/**
+ * Key used to merge ways that share an OSM node
+ * @param {number} lat Latitude
+ * @param {number} lng Longitude
+ * @returns {string} Node key
+ */
+const nodeKey = (lat, lng) => `${lat.toFixed(6)},${lng.toFixed(6)}`;
+
+/**
+ * Key for one direction of a graph edge, used to block edges such as closed roads
+ * @param {string} fromId Node id the edge leaves
+ * @param {string} toId Node id the edge enters
+ * @returns {string} Edge key
+ */
+export const edgeKey = (fromId, toId) => `${fromId}|${toId}`;
+
+/**
+ * Builds a weighted, undirected road graph from GeoJSON LineStrings
+ * such as those returned by fetchMajorRoads. Edge durations come from the
+ * travel time model: road class, the curvature of the whole way and, when
+ * coordinates carry an altitude, the gradient of each edge. When the
+ * profile carries a vehicle, roads it cannot use are left out.
+ * @param {Object} roadData GeoJSON FeatureCollection of roads
+ * @param {Object} profile Speed profile from travelTime or getSpeedProfile
+ * @returns {Object} Graph with nodes and adjacency lists
+ */
+export const buildRoadGraph = (roadData, profile = AMBULANCE_PROFILE) => {
+  const nodes = new Map();
+  const adjacency = new Map();
+
+  const addNode = (lat, lng) => {
+    const id = nodeKey(lat, lng);
+    if (!nodes.has(id)) {
+      nodes.set(id, { id, lat, lng });
+      adjacency.set(id, []);
+    }
+    return id;
+  };
+
+  (roadData?.features || []).forEach(feature => {
+    if (feature.geometry?.type !== 'LineString') return;
+
+    const properties = feature.properties || {};
+    if (profile.vehicle && !isRoadAllowed(properties, profile.vehicle)) return;
+
+    const highway = properties.highway || 'unknown';
+    const coordinates = feature.geometry.coordinates;
+    const curvature = calculateCurvature(coordinates.map(([lng, lat]) => [lat, lng]));
+
+    for (let i = 0; i < coordinates.length - 1; i++) {
+      const [lng1, lat1, alt1] = coordinates[i];
+      const [lng2, lat2, alt2] = coordinates[i + 1];
+      const from = addNode(lat1, lng1);
+      const to = addNode(lat2, lng2);
+      if (from === to) continue;
+
+      const distance = calculateDistance(lat1, lng1, lat2, lng2);
+      const rise = alt1 !== undefined && alt2 !== undefined ? alt2 - alt1 : 0;
+      const road = { distance, highway, importance: properties.importance, curvature };
+      const edge = {
+        distance,
+        name: properties.name || 'Unnamed Road',
+        ref: properties.ref || '',
+        highway,
+        importance: properties.importance
+      };
+
+      // Climbing is slower than descending, so each direction gets its own cost
+      adjacency.get(from).push({
+        ...edge,
+        to,
+        duration: estimateSegmentDuration({ ...road, ascent: Math.max(rise, 0), descent: Math.max(-rise, 0) }, profile)
+      });
+      adjacency.get(to).push({
+        ...edge,
+        to: from,
+        duration: estimateSegmentDuration({ ...road, ascent: Math.max(-rise, 0), descent: Math.max(rise, 0) }, profile)
+      });
+    }
+  });
+
+  console.log(`[LocalRouting] Built road graph with ${nodes.size} nodes`);
+
+  return {
+    nodes,
+    adjacency,
+    nodeIndex: createPointIndex(Array.from(nodes.values()), node => [node.lat, node.lng]),
+    maxSpeed: getMaxSpeed(profile)
+  };
+};
+
+/**
+ * Finds the graph node closest to a point
+ * @param {Object} graph Road graph from buildRoadGraph
+ * @param {Array} point [lat, lng]
+ * @param {number} maxDistance Maximum snapping distance in km
+ * @returns {Object|null} Nearest node and its distance in km
+ */
+export const findNearestGraphNode = (graph, point, maxDistance = 10) => {
+  const [nearest] = graph.nodeIndex.nearest(point, 1, { maxDistance });
+  return nearest ? { node: nearest.item, distance: nearest.distance } : null;
+};
+
+/**
+ * Runs A* over the road graph, minimising travel time
+ * @param {Object} graph Road graph from buildRoadGraph
+ * @param {string} startId Start node id
+ * @param {string} endId End node id
+ * @param {Object} options Optional parameters
+ * @param {Set} options.blockedEdges Edge keys (see edgeKey) that may not be used
+ * @returns {Array|null} Edges along the path, or null when unreachable
+ */
+export const findGraphPath = (graph, startId, endId, options = {}) => {
+  const blockedEdges = options.blockedEdges || new Set();
+  const target = graph.nodes.get(endId);
+  const heuristic = (id) => {
+    const node = graph.nodes.get(id);
+    return (calculateDistance(node.lat, node.lng, target.lat, target.lng) / (graph.maxSpeed || MAX_ROAD_SPEED)) * 3600;
+  };
+
+  const costs = new Map([[startId, 0]]);
+  const previous = new Map();
+  const visited = new Set();
+  const queue = new MinHeap();
+  queue.push(startId, heuristic(startId));
+
+  while (queue.size > 0) {
+    const { value: current } = queue.pop();
+    if (current === endId) break;
+    if (visited.has(current)) continue;
+    visited.add(current);
+
+    for (const edge of graph.adjacency.get(current)) {
+      if (blockedEdges.has(edgeKey(current, edge.to))) continue;
+
+      const cost = costs.get(current) + edge.duration;
+      if (cost < (costs.has(edge.to) ? costs.get(edge.to) : Infinity)) {
+        costs.set(edge.to, cost);
+        previous.set(edge.to, { from: current, edge });
+        queue.push(edge.to, cost + heuristic(edge.to));
+      }
+    }
+  }
+
+  if (startId !== endId && !previous.has(endId)) return null;
+
+  const path = [];
+  let current = endId;
+  while (current !== startId) {
+    const step = previous.get(current);
+    path.unshift({ ...step.edge, from: step.from });
+    current = step.from;
+  }
+  return path;
+};
+
+/**
+ * Calculates a route over the road graph between two points
+ * @param {Object} graph Road graph from buildRoadGraph
+ * @param {Array} start [lat, lng]
+ * @param {Array} end [lat, lng]
+ * @param {Object} options Optional parameters
+ * @returns {Object} Route in the common { route, distance, duration, legs } shape
+ */
+export const calculateGraphRoute = (graph, start, end, options = {}) => {
+  const maxSnapDistance = options.maxSnapDistance || 10; // km
+
+  const origin = findNearestGraphNode(graph, start, maxSnapDistance);
+  const destination = findNearestGraphNode(graph, end, maxSnapDistance);
+  if (!origin || !destination) {
+    return {
+      success: false,
+      error: `No road within ${maxSnapDistance}km of the ${origin ? 'destination' : 'start point'}`
+    };
+  }
+
+  const path = findGraphPath(graph, origin.node.id, destination.node.id, options);
+  if (!path) {
+    return { success: false, error: 'No connected road path between the points' };
+  }
+
+  // Collapse consecutive edges on the same road into one step
+  const steps = [];
+  path.forEach(edge => {
+    const last = steps[steps.length - 1];
+    if (last && last.name === edge.name) {
+      last.distance += edge.distance * 1000;
+      last.duration += edge.duration;
+    } else {
+      steps.push({
+        distance: edge.distance * 1000,
+        duration: edge.duration,
+        instruction: `${steps.length === 0 ? 'Head out on' : 'Continue onto'} ${edge.name}`,
+        name: edge.name,
+        type: steps.length === 0 ? 'depart' : 'continue',
+        maneuver: { type: steps.length === 0 ? 'depart' : 'new name' }
+      });
+    }
+  });
+
+  const accessDistance = origin.distance + destination.distance;
+  const accessDuration = (accessDistance / ACCESS_SPEED) * 3600;
+  const roadDistance = path.reduce((sum, edge) => sum + edge.distance, 0);
+  const roadDuration = path.reduce((sum, edge) => sum + edge.duration, 0);
+
+  if (steps.length > 0) {
+    steps[0].distance += origin.distance * 1000;
+    steps[0].duration += (origin.distance / ACCESS_SPEED) * 3600;
+  }
+
+  steps.push({
+    distance: destination.distance * 1000,
+    duration: (destination.distance / ACCESS_SPEED) * 3600,
+    instruction: 'Arrive at destination',
+    name: '',
+    type: 'arrive',
+    maneuver: { type: 'arrive' }
+  });
+
+  const distance = roadDistance + accessDistance;
+  const duration = roadDuration + accessDuration;
+  const nodeIds = [origin.node.id, ...path.map(edge => edge.to)];
+
+  return {
+    success: true,
+    route: [
+      start,
+      ...nodeIds.map(id => {
+        const node = graph.nodes.get(id);
+        return [node.lat, node.lng];
+      }),
+      end
+    ],
+    distance,
+    duration,
+    legs: [{
+      distance: distance * 1000,
+      duration,
+      steps
+    }]
+  };
+};
+
+// Road network shared by the offline router, matrix and isochrone fallbacks
+let cachedRoadData = null;
+// Graphs are built per speed profile since each vehicle has its own roads and speeds
+const cachedRoadGraphs = new Map();
+
+/**
+ * Replace the road network used for offline routing
+ * @param {Object} roadData GeoJSON FeatureCollection of roads
+ */
+export const setRoadNetwork = (roadData) => {
+  cachedRoadData = roadData;
+  cachedRoadGraphs.clear();
+};
+
+/**
+ * Get the routing graph for the current road network, building it on first use
+ * @param {Object} profile Speed profile, e.g. from getSpeedProfile
+ * @returns {Object|null} Road graph, or null when no roads are loaded
+ */
+export const getRoadGraph = (profile = AMBULANCE_PROFILE) => {
+  if (!cachedRoadData || !cachedRoadData.features || cachedRoadData.features.length === 0) {
+    return null;
+  }
+  if (!cachedRoadGraphs.has(profile.id)) {
+    cachedRoadGraphs.set(profile.id, buildRoadGraph(cachedRoadData, profile));
+  }
+  return cachedRoadGraphs.get(profile.id);
+};
+
+/**
+ * Runs Dijkstra from one node to every reachable node
+ * @param {Object} graph Road graph from buildRoadGraph
+ * @param {string} sourceId Start node id
+ * @param {Object} options Optional parameters
+ * @param {Set} options.blockedEdges Edge keys (see edgeKey) that may not be used
+ * @returns {Map} Node id -> { duration, distance } from the source
+ */
+export const findGraphCosts = (graph, sourceId, options = {}) => {
+  const maxDuration = options.maxDuration ?? Infinity; // seconds
+  const blockedEdges = options.blockedEdges || new Set();
+
+  const costs = new Map([[sourceId, { duration: 0, distance: 0 }]]);
+  const visited = new Set();
+  const queue = new MinHeap();
+  queue.push(sourceId, 0);
+
+  while (queue.size > 0) {
+    const { value: current } = queue.pop();
+    if (visited.has(current)) continue;
+    visited.add(current);
+
+    const base = costs.get(current);
+    for (const edge of graph.adjacency.get(current)) {
+      if (blockedEdges.has(edgeKey(current, edge.to))) continue;
+
+      const duration = base.duration + edge.duration;
+      if (duration > maxDuration) continue;
+      if (!costs.has(edge.to) || duration < costs.get(edge.to).duration) {
+        costs.set(edge.to, { duration, distance: base.distance + edge.distance });
+        queue.push(edge.to, duration);
+      }
+    }
+  }
+
+  return costs;
+};
+
+/**
+ * Calculates a travel time matrix over the road graph
+ * @param {Object} graph Road graph from buildRoadGraph
+ * @param {Array} origins Array of [lat, lng]
+ * @param {Array} destinations Array of [lat, lng]
+ * @param {Object} options Optional parameters
+ * @param {Set} options.blockedEdges Edge keys (see edgeKey) that may not be used
+ * @returns {Object} { success, durations, distances } with null for unreachable pairs
+ */
+export const calculateGraphMatrix = (graph, origins, destinations, options = {}) => {
+  const maxSnapDistance = options.maxSnapDistance || 10; // km
+  const snappedDestinations = destinations.map(point => findNearestGraphNode(graph, point, maxSnapDistance));
+
+  const durations = [];
+  const distances = [];
+
+  origins.forEach(point => {
+    const origin = findNearestGraphNode(graph, point, maxSnapDistance);
+    const costs = origin ? findGraphCosts(graph, origin.node.id, { blockedEdges: options.blockedEdges }) : new Map();
+
+    const durationRow = [];
+    const distanceRow = [];
+    snappedDestinations.forEach(destination => {
+      const cost = destination && costs.get(destination.node.id);
+      if (!cost) {
+        durationRow.push(null);
+        distanceRow.push(null);
+        return;
+      }
+      const accessDistance = origin.distance + destination.distance;
+      durationRow.push(cost.duration + (accessDistance / ACCESS_SPEED) * 3600);
+      distanceRow.push(cost.distance + accessDistance);
+    });
+
+    durations.push(durationRow);
+    distances.push(distanceRow);
+  });
+
+  const reachable = durations.some(row => row.some(value => value !== null));
+  return reachable
+    ? { success: true, durations, distances }
+    : { success: false, error: 'No origin/destination pair is connected by the road graph' };
+};
+
+/**
+ * Finds every graph node reachable from a point within a travel time
+ * @param {Object} graph Road graph from buildRoadGraph
+ * @param {Array} point [lat, lng]
+ * @param {number} maxDuration Travel time budget in seconds
+ * @param {Object} options Optional parameters
+ * @param {Set} options.blockedEdges Edge keys (see edgeKey) that may not be used
+ * @returns {Array|null} Reachable nodes with their travel time, or null if the point is off the network
+ */
+export const findReachableNodes = (graph, point, maxDuration, options = {}) => {
+  const maxSnapDistance = options.maxSnapDistance || 10; // km
+
+  const origin = findNearestGraphNode(graph, point, maxSnapDistance);
+  if (!origin) return null;
+
+  const accessDuration = (origin.distance / ACCESS_SPEED) * 3600;
+  const costs = findGraphCosts(graph, origin.node.id, {
+    maxDuration: maxDuration - accessDuration,
+    blockedEdges: options.blockedEdges
+  });
+
+  return Array.from(costs.entries()).map(([id, cost]) => ({
+    node: graph.nodes.get(id),
+    duration: cost.duration + accessDuration,
+    distance: cost.distance + origin.distance
+  }));
+};
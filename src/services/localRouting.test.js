@@ -0,0 +1,65 @@
+import { buildRoadGraph, findNearestGraphNode, calculateGraphRoute } from './localRouting';
+
+// Small road network around Kaza: a primary road with a secondary spur
+const roadData = {
+  type: 'FeatureCollection',
+  features: [
+    {
+      type: 'Feature',
+      properties: { id: 1, highway: 'primary', name: 'Kaza Road', importance: 2 },
+      geometry: {
+        type: 'LineString',
+        coordinates: [[78.071, 32.227], [78.080, 32.235], [78.090, 32.245]]
+      }
+    },
+    {
+      type: 'Feature',
+      properties: { id: 2, highway: 'secondary', name: 'Rangrik Link', importance: 3 },
+      geometry: {
+        type: 'LineString',
+        coordinates: [[78.080, 32.235], [78.070, 32.240]]
+      }
+    }
+  ]
+};
+
+describe('Local Routing', () => {
+  test('buildRoadGraph joins ways that share a node', () => {
+    const graph = buildRoadGraph(roadData);
+
+    expect(graph.nodes.size).toBe(4);
+    // The junction node connects to both roads
+    expect(graph.adjacency.get('32.235000,78.080000')).toHaveLength(3);
+  });
+
+  test('findNearestGraphNode respects the snapping distance', () => {
+    const graph = buildRoadGraph(roadData);
+
+    expect(findNearestGraphNode(graph, [32.2271, 78.0711]).node.id).toBe('32.227000,78.071000');
+    expect(findNearestGraphNode(graph, [31.1048, 77.1734])).toBeNull();
+  });
+
+  test('calculateGraphRoute follows the road network', () => {
+    const graph = buildRoadGraph(roadData);
+    const start = [32.2271, 78.0711];
+    const end = [32.2401, 78.0701];
+
+    const result = calculateGraphRoute(graph, start, end);
+
+    expect(result.success).toBe(true);
+    expect(result.route[0]).toEqual(start);
+    expect(result.route[result.route.length - 1]).toEqual(end);
+    expect(result.route).toContainEqual([32.235, 78.080]);
+    expect(result.legs[0].steps.map(step => step.name)).toEqual(['Kaza Road', 'Rangrik Link', '']);
+    expect(result.legs[0].distance).toBeCloseTo(result.distance * 1000, 6);
+  });
+
+  test('calculateGraphRoute fails when points are off the network', () => {
+    const graph = buildRoadGraph(roadData);
+
+    const result = calculateGraphRoute(graph, [31.1048, 77.1734], [32.2401, 78.0701]);
+
+    expect(result.success).toBe(false);
+    expect(result.error).toMatch(/No road within/);
+  });
+});
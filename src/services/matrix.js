@@ -0,0 +1,183 @@
+// Road-network travel time matrices (many origins x many destinations)
+import axios from 'axios';
+import { getRoadGraph, calculateGraphMatrix } from './localRouting';
+import { ORS_API_KEY, ORS_BASE_URL, DEFAULT_TIMEOUT, validateApiKey, createTimeoutSignal } from './routingConfig';
+import { getOSRMServers } from './osrmService';
+import { getActiveClosures, findClosedEdges } from './closures';
+import { getVehicleProfile, getSpeedProfile, getORSOptions } from './vehicleProfiles';
+
+/**
+ * Check that every point is a [lat, lng] pair of numbers
+ */
+const isValidPointList = (points) => {
+  return Array.isArray(points) && points.length > 0 && points.every(point =>
+    Array.isArray(point) &&
+    point.length === 2 &&
+    typeof point[0] === 'number' &&
+    typeof point[1] === 'number'
+  );
+};
+
+/**
+ * Calculate matrix using the OpenRouteService matrix endpoint
+ */
+const calculateORSMatrix = async (origins, destinations, options = {}) => {
+  try {
+    // The matrix endpoint takes the profile but not vehicle restrictions
+    const { profile } = getORSOptions(options.vehicle);
+    const locations = [...origins, ...destinations].map(([lat, lng]) => [lng, lat]);
+
+    const response = await axios.post(
+      `${ORS_BASE_URL}/v2/matrix/${profile}`,
+      {
+        locations,
+        sources: origins.map((_, i) => i),
+        destinations: destinations.map((_, i) => origins.length + i),
+        metrics: ['duration', 'distance'],
+        units: 'km'
+      },
+      {
+        headers: {
+          'Authorization': ORS_API_KEY,
+          'Content-Type': 'application/json',
+          'Accept': 'application/json'
+        },
+        timeout: DEFAULT_TIMEOUT,
+        signal: options.signal
+      }
+    );
+
+    const { durations, distances } = response.data;
+    if (!Array.isArray(durations)) {
+      return { success: false, error: 'ORS returned no durations' };
+    }
+
+    return { success: true, durations, distances };
+  } catch (error) {
+    console.error('[Matrix] ORS matrix failed:', error);
+    return { success: false, error: error.response?.data?.error?.message || error.message };
+  }
+};
+
+/**
+ * Calculate matrix using the OSRM table service
+ */
+const calculateOSRMMatrix = async (origins, destinations, options = {}) => {
+  const profile = getVehicleProfile(options.vehicle).osrm;
+
+  const coordinates = [...origins, ...destinations]
+    .map(([lat, lng]) => `${lng},${lat}`)
+    .join(';');
+  const params = new URLSearchParams({
+    sources: origins.map((_, i) => i).join(';'),
+    destinations: destinations.map((_, i) => origins.length + i).join(';'),
+    annotations: 'duration,distance'
+  });
+
+  for (const server of getOSRMServers()) {
+    const request = createTimeoutSignal(options.signal);
+    try {
+      const response = await fetch(
+        `${server}/table/v1/${profile}/${coordinates}?${params}`,
+        { signal: request.signal }
+      );
+
+      request.clear();
+
+      if (!response.ok) continue;
+
+      const result = await response.json();
+      if (result.code !== 'Ok' || !Array.isArray(result.durations)) continue;
+
+      return {
+        success: true,
+        durations: result.durations,
+        distances: result.distances
+          ? result.distances.map(row => row.map(value => (value === null ? null : value / 1000)))
+          : null
+      };
+    } catch (error) {
+      request.clear();
+      if (options.signal?.aborted) {
+        return { success: false, error: 'Request cancelled' };
+      }
+      console.warn(`[Matrix] OSRM table failed with server ${server}:`, error);
+      continue;
+    }
+  }
+
+  return { success: false, error: 'All OSRM servers failed' };
+};
+
+/**
+ * Calculate matrix over the cached road graph for the vehicle, without closed roads
+ */
+const calculateLocalMatrix = (origins, destinations, closures, options = {}) => {
+  const graph = getRoadGraph(getSpeedProfile(options.vehicle));
+  if (!graph) return { success: false, error: 'No road network cached' };
+
+  const blockedEdges = findClosedEdges(graph, closures);
+  return calculateGraphMatrix(graph, origins, destinations, { ...options, blockedEdges });
+};
+
+/**
+ * Calculate road-network travel times between every origin and destination
+ * Providers are tried in the order ORS, OSRM, offline road graph. ORS and OSRM
+ * tables cannot avoid areas, so while closures are active the road graph goes
+ * first; network results used then are marked closuresIgnored.
+ * @param {Array} origins Array of [lat, lng]
+ * @param {Array} destinations Array of [lat, lng]
+ * @param {Object} options { vehicle (profile id), closures (defaults to the active ones), signal }
+ * @returns {Promise<Object>} { success, durations (seconds), distances (km), method, closuresIgnored }
+ *   where durations[i][j] is the time from origins[i] to destinations[j], or null if unreachable
+ */
+export const calculateMatrix = async (origins, destinations, options = {}) => {
+  if (!isValidPointList(origins) || !isValidPointList(destinations)) {
+    return { success: false, error: 'Invalid coordinates provided for matrix calculation' };
+  }
+
+  console.log(`[Matrix] Calculating ${origins.length}x${destinations.length} matrix`);
+
+  const closures = options.closures || getActiveClosures();
+  const networkResult = (result, method) => ({
+    ...result,
+    method,
+    ...(closures.length > 0 && { closuresIgnored: true })
+  });
+
+  if (closures.length > 0) {
+    const localResult = calculateLocalMatrix(origins, destinations, closures, options);
+    if (localResult.success) {
+      return { ...localResult, method: 'local-graph' };
+    }
+  }
+
+  if (validateApiKey()) {
+    const orsResult = await calculateORSMatrix(origins, destinations, options);
+    if (orsResult.success) {
+      return networkResult(orsResult, 'ors');
+    }
+  }
+
+  const osrmResult = await calculateOSRMMatrix(origins, destinations, options);
+  if (osrmResult.success) {
+    return networkResult(osrmResult, 'osrm');
+  }
+
+  if (options.signal?.aborted) {
+    return { success: false, aborted: true, error: 'Matrix request cancelled' };
+  }
+
+  if (closures.length === 0) {
+    const localResult = calculateLocalMatrix(origins, destinations, closures, options);
+    if (localResult.success) {
+      return { ...localResult, method: 'local-graph' };
+    }
+  }
+
+  return { success: false, error: 'No matrix provider could calculate travel times' };
+};
+
+export default {
+  calculateMatrix
+};
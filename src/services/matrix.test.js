@@ -0,0 +1,96 @@
+import { jest } from '@jest/globals';
+import { calculateMatrix } from './matrix';
+import { setRoadNetwork } from './localRouting';
+import { addClosure, clearClosures } from './closures';
+import axios from 'axios';
+
+jest.mock('axios');
+
+// A fast highway from Kaza to Losar and a slower loop to the north
+const roadData = {
+  type: 'FeatureCollection',
+  features: [
+    {
+      type: 'Feature',
+      properties: { highway: 'primary', name: 'NH505' },
+      geometry: { type: 'LineString', coordinates: [[78.00, 32.20], [78.05, 32.20], [78.10, 32.20]] }
+    },
+    {
+      type: 'Feature',
+      properties: { highway: 'tertiary', name: 'Village Loop' },
+      geometry: { type: 'LineString', coordinates: [[78.00, 32.20], [78.05, 32.25], [78.10, 32.20]] }
+    }
+  ]
+};
+
+const landslide = { type: 'LineString', coordinates: [[78.07, 32.19], [78.07, 32.21]] };
+
+const origins = [[32.20, 78.00]];
+const destinations = [[32.20, 78.10]];
+
+const osrmTable = () => jest.fn(() => Promise.resolve({
+  ok: true,
+  json: () => Promise.resolve({ code: 'Ok', durations: [[600]], distances: [[9500]] })
+}));
+
+describe('Matrix', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    clearClosures();
+    setRoadNetwork(roadData);
+    axios.post.mockResolvedValue({ data: { durations: [[540]], distances: [[9.4]] } });
+    global.fetch = osrmTable();
+  });
+
+  test('uses ORS first with the profile of the vehicle', async () => {
+    const result = await calculateMatrix(origins, destinations, { vehicle: 'als' });
+
+    expect(result).toMatchObject({ success: true, method: 'ors', durations: [[540]] });
+    expect(result.closuresIgnored).toBeUndefined();
+    expect(axios.post.mock.calls[0][0]).toContain('/v2/matrix/driving-hgv');
+    expect(global.fetch).not.toHaveBeenCalled();
+  });
+
+  test('falls back to OSRM with its own profile name', async () => {
+    axios.post.mockRejectedValue(new Error('API Error'));
+
+    const result = await calculateMatrix(origins, destinations, { vehicle: 'als' });
+
+    expect(result).toMatchObject({ success: true, method: 'osrm', durations: [[600]], distances: [[9.5]] });
+    expect(global.fetch.mock.calls[0][0]).toContain('/table/v1/driving/');
+  });
+
+  test('falls back to the road graph when no network provider answers', async () => {
+    axios.post.mockRejectedValue(new Error('API Error'));
+    global.fetch = jest.fn(() => Promise.reject(new Error('Network error')));
+
+    const result = await calculateMatrix(origins, destinations);
+
+    expect(result.success).toBe(true);
+    expect(result.method).toBe('local-graph');
+    expect(result.durations[0][0]).toBeGreaterThan(0);
+  });
+
+  test('routes around active closures on the road graph before asking providers', async () => {
+    axios.post.mockRejectedValue(new Error('API Error'));
+    global.fetch = jest.fn(() => Promise.reject(new Error('Network error')));
+    const open = await calculateMatrix(origins, destinations);
+
+    global.fetch = osrmTable();
+    addClosure({ geometry: landslide, reason: 'landslide' });
+    const closed = await calculateMatrix(origins, destinations);
+
+    expect(closed.method).toBe('local-graph');
+    expect(closed.durations[0][0]).toBeGreaterThan(open.durations[0][0]);
+    expect(global.fetch).not.toHaveBeenCalled();
+  });
+
+  test('marks provider results that could not avoid closures', async () => {
+    setRoadNetwork(null);
+    addClosure({ geometry: landslide, reason: 'landslide' });
+
+    const result = await calculateMatrix(origins, destinations);
+
+    expect(result).toMatchObject({ success: true, method: 'ors', closuresIgnored: true });
+  });
+});
@@ -0,0 +1,379 @@
+// Live navigation along a calculated route: snapping GPS fixes to the route,
+// following the current instruction and deciding when to reroute
+import { calculateDistance } from './localRouting';
+
+export const OFF_ROUTE_THRESHOLD = 50; // m from the route before a fix counts as off route
+export const OFF_ROUTE_FIXES = 3; // consecutive off-route fixes before rerouting
+export const ARRIVAL_RADIUS = 30; // m
+
+// Fixes may snap slightly behind the last position (GPS jitter), but not to
+// parts of the route far behind, which on switchbacks can be closer than
+// the stretch being driven
+const SNAP_LOOKBEHIND = 200; // m
+
+/**
+ * Distance in meters between two [lat, lng] points
+ */
+const metersBetween = (a, b) => calculateDistance(a[0], a[1], b[0], b[1]) * 1000;
+
+/**
+ * Closest point to p on the segment a-b, using a local flat projection
+ * @returns {Object} { point, t } where t is the fraction along the segment
+ */
+const projectOnSegment = (p, a, b) => {
+  const scale = Math.cos((a[0] * Math.PI) / 180);
+  const dx = (b[1] - a[1]) * scale;
+  const dy = b[0] - a[0];
+  const lengthSquared = dx * dx + dy * dy;
+  const t = lengthSquared === 0
+    ? 0
+    : Math.max(0, Math.min(1, (((p[1] - a[1]) * scale) * dx + (p[0] - a[0]) * dy) / lengthSquared));
+
+  return { point: [a[0] + t * (b[0] - a[0]), a[1] + t * (b[1] - a[1])], t };
+};
+
+/**
+ * Snap a position to the route polyline
+ * @param {Array} position [lat, lng]
+ * @param {Array} route Route points [[lat, lng], ...]
+ * @param {Array} cumulative Distance in m from the start to each route point
+ * @param {number} fromDistance Ignore segments ending before this distance
+ * @returns {Object|null} { point, distanceAlong, distanceFromRoute, segmentIndex }
+ */
+export const snapToRoute = (position, route, cumulative, fromDistance = 0) => {
+  let best = null;
+
+  for (let i = 0; i < route.length - 1; i++) {
+    if (cumulative[i + 1] < fromDistance) continue;
+
+    const { point, t } = projectOnSegment(position, route[i], route[i + 1]);
+    const distanceFromRoute = metersBetween(position, point);
+    if (!best || distanceFromRoute < best.distanceFromRoute) {
+      best = {
+        point,
+        distanceAlong: cumulative[i] + t * (cumulative[i + 1] - cumulative[i]),
+        distanceFromRoute,
+        segmentIndex: i
+      };
+    }
+  }
+  return best;
+};
+
+/**
+ * Start navigating a route
+ * Step and leg lengths are scaled to the polyline so provider rounding
+ * does not leave the last steps unreachable.
+ * @param {Object} route { route: [[lat, lng], ...], legs: [{ distance, duration, steps }] }
+ * @returns {Object} Navigation state
+ */
+export const createNavigation = (route) => {
+  const points = route.route || [];
+  const cumulative = points.reduce((distances, point, i) => {
+    distances.push(i === 0 ? 0 : distances[i - 1] + metersBetween(points[i - 1], point));
+    return distances;
+  }, []);
+  const length = cumulative[cumulative.length - 1] || 0;
+
+  const legs = route.legs || [];
+  const stepDistance = legs.reduce(
+    (sum, leg) => sum + (leg.steps || []).reduce((legSum, step) => legSum + (step.distance || 0), 0),
+    0
+  );
+  const scale = stepDistance > 0 ? length / stepDistance : 0;
+
+  const steps = [];
+  const legEnds = [];
+  let position = 0;
+  legs.forEach((leg, legIndex) => {
+    (leg.steps || []).forEach(step => {
+      const start = position;
+      position += (step.distance || 0) * scale;
+      steps.push({ ...step, legIndex, index: steps.length, start, end: position });
+    });
+    legEnds.push(position);
+  });
+
+  return {
+    route: points,
+    cumulative,
+    length,
+    steps,
+    legEnds,
+    progress: 0,
+    stepIndex: 0,
+    legIndex: 0,
+    position: null,
+    snapped: null,
+    distanceFromRoute: null,
+    offRouteCount: 0,
+    offRoute: false,
+    needsReroute: false,
+    arrived: false
+  };
+};
+
+/**
+ * Time left in seconds, from the steps still ahead
+ */
+const getRemainingDuration = (steps, stepIndex, progress) => {
+  return steps.slice(stepIndex).reduce((sum, step, i) => {
+    if (i > 0) return sum + (step.duration || 0);
+    const stepLength = step.end - step.start;
+    const left = stepLength > 0 ? (step.end - progress) / stepLength : 1;
+    return sum + (step.duration || 0) * Math.max(0, Math.min(1, left));
+  }, 0);
+};
+
+/**
+ * Apply a GPS fix to the navigation state
+ * A fix further than the threshold (or its own accuracy, if worse) from the
+ * route counts as off route; several in a row set needsReroute.
+ * @param {Object} state Navigation state from createNavigation
+ * @param {Object} fix { lat, lng, accuracy, timestamp }
+ * @param {Object} options { threshold, fixesBeforeReroute }
+ * @returns {Object} New navigation state, with distanceToStepEnd,
+ *   remainingDistance (m) and remainingDuration (s)
+ */
+export const updateNavigation = (state, fix, options = {}) => {
+  const { threshold = OFF_ROUTE_THRESHOLD, fixesBeforeReroute = OFF_ROUTE_FIXES } = options;
+  const position = [fix.lat, fix.lng];
+
+  if (state.route.length < 2) {
+    return { ...state, position };
+  }
+
+  const snapped = snapToRoute(position, state.route, state.cumulative, state.progress - SNAP_LOOKBEHIND);
+  const allowance = Math.max(threshold, fix.accuracy || 0);
+
+  if (snapped.distanceFromRoute > allowance) {
+    const offRouteCount = state.offRouteCount + 1;
+    return {
+      ...state,
+      position,
+      snapped: null,
+      distanceFromRoute: snapped.distanceFromRoute,
+      offRouteCount,
+      offRoute: true,
+      needsReroute: offRouteCount >= fixesBeforeReroute
+    };
+  }
+
+  // Never move backwards along the route because of jitter
+  const progress = Math.max(state.progress, snapped.distanceAlong);
+  const lastStep = Math.max(0, state.steps.length - 1);
+  const found = state.steps.findIndex(step => step.end > progress);
+  const stepIndex = found === -1 ? lastStep : found;
+  const foundLeg = state.legEnds.findIndex(end => end > progress);
+  const legIndex = foundLeg === -1 ? Math.max(0, state.legEnds.length - 1) : foundLeg;
+  const remainingDistance = Math.max(0, state.length - progress);
+  const destination = state.route[state.route.length - 1];
+  const arrived = state.arrived ||
+    remainingDistance <= ARRIVAL_RADIUS ||
+    metersBetween(position, destination) <= ARRIVAL_RADIUS;
+
+  return {
+    ...state,
+    progress,
+    stepIndex: arrived ? lastStep : stepIndex,
+    legIndex,
+    position,
+    snapped: snapped.point,
+    distanceFromRoute: snapped.distanceFromRoute,
+    offRouteCount: 0,
+    offRoute: false,
+    needsReroute: false,
+    arrived,
+    distanceToStepEnd: state.steps[stepIndex] ? Math.max(0, state.steps[stepIndex].end - progress) : 0,
+    remainingDistance,
+    remainingDuration: getRemainingDuration(state.steps, stepIndex, progress)
+  };
+};
+
+/**
+ * Convert a browser GeolocationPosition to a fix
+ */
+const toFix = (position) => ({
+  lat: position.coords.latitude,
+  lng: position.coords.longitude,
+  accuracy: position.coords.accuracy,
+  heading: position.coords.heading,
+  speed: position.coords.speed,
+  timestamp: position.timestamp
+});
+
+/**
+ * Follow the device position with the Geolocation API
+ * @param {Function} onFix Called with each fix
+ * @param {Function} onError Called with a GeolocationPositionError or Error
+ * @returns {Function} Stops watching
+ */
+export const watchGPS = (onFix, onError) => {
+  if (typeof navigator === 'undefined' || !navigator.geolocation) {
+    onError?.(new Error('Geolocation is not supported by this browser'));
+    return () => {};
+  }
+
+  const watchId = navigator.geolocation.watchPosition(
+    position => onFix(toFix(position)),
+    error => onError?.(error),
+    { enableHighAccuracy: true, maximumAge: 1000, timeout: 15000 }
+  );
+  return () => navigator.geolocation.clearWatch(watchId);
+};
+
+const toTimestamp = (value) => {
+  if (value === undefined || value === null || value === '') return null;
+  const numeric = Number(value);
+  const time = Number.isNaN(numeric) ? Date.parse(value) : numeric;
+  return Number.isNaN(time) ? null : time;
+};
+
+/**
+ * Parse GPX track or route points
+ */
+const parseGPX = (text) => {
+  const doc = new DOMParser().parseFromString(text, 'application/xml');
+  if (doc.getElementsByTagName('parsererror').length > 0) {
+    throw new Error('Invalid GPX file');
+  }
+
+  const points = ['trkpt', 'rtept', 'wpt']
+    .map(tag => Array.from(doc.getElementsByTagName(tag)))
+    .find(elements => elements.length > 0) || [];
+
+  return points.map(point => ({
+    lat: parseFloat(point.getAttribute('lat')),
+    lng: parseFloat(point.getAttribute('lon')),
+    timestamp: toTimestamp(point.getElementsByTagName('time')[0]?.textContent)
+  }));
+};
+
+/**
+ * Parse a GeoJSON LineString (with optional coordTimes) or Point features
+ */
+const parseGeoJSONTrack = (text) => {
+  const data = JSON.parse(text);
+  const features = data.type === 'FeatureCollection' ? data.features : [data];
+
+  return features.flatMap(feature => {
+    const { geometry, properties = {} } = feature;
+    if (geometry?.type === 'Point') {
+      const [lng, lat] = geometry.coordinates;
+      return [{
+        lat,
+        lng,
+        accuracy: properties.accuracy,
+        timestamp: toTimestamp(properties.time ?? properties.timestamp)
+      }];
+    }
+    if (geometry?.type === 'LineString') {
+      const times = properties.coordTimes || [];
+      return geometry.coordinates.map(([lng, lat], i) => ({ lat, lng, timestamp: toTimestamp(times[i]) }));
+    }
+    return [];
+  });
+};
+
+/**
+ * Parse "lat,lng[,timestamp[,accuracy]]" lines; a header line is skipped
+ */
+const parseCSVTrack = (text) => {
+  return text
+    .split(/\r?\n/)
+    .map(line => line.trim())
+    .filter(line => line && !line.startsWith('#'))
+    .map(line => line.split(/[,;\t]/).map(value => value.trim()))
+    .filter(([lat, lng]) => !Number.isNaN(parseFloat(lat)) && !Number.isNaN(parseFloat(lng)))
+    .map(([lat, lng, timestamp, accuracy]) => ({
+      lat: parseFloat(lat),
+      lng: parseFloat(lng),
+      timestamp: toTimestamp(timestamp),
+      accuracy: accuracy ? parseFloat(accuracy) : undefined
+    }));
+};
+
+/**
+ * Parse a recorded GPS track (GPX, GeoJSON or CSV) into fixes
+ * @param {string} text File contents
+ * @returns {Array} [{ lat, lng, timestamp, accuracy }]
+ */
+export const parseGPSTrack = (text) => {
+  const content = (text || '').trim();
+  const fixes = content.startsWith('<')
+    ? parseGPX(content)
+    : content.startsWith('{')
+      ? parseGeoJSONTrack(content)
+      : parseCSVTrack(content);
+
+  const valid = fixes.filter(fix => Number.isFinite(fix.lat) && Number.isFinite(fix.lng));
+  if (valid.length === 0) {
+    throw new Error('No track points found');
+  }
+  return valid;
+};
+
+/**
+ * Read a GPS track from a File chosen by the user
+ * @param {File} file GPX, GeoJSON or CSV file
+ * @returns {Promise<Object>} { success, fixes, error }
+ */
+export const loadGPSTrack = async (file) => {
+  try {
+    const fixes = parseGPSTrack(await file.text());
+    console.log(`[Navigation] Loaded ${fixes.length} fixes from ${file.name}`);
+    return { success: true, fixes };
+  } catch (error) {
+    console.error('[Navigation] Could not read GPS track:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Replay recorded fixes as if they came from the GPS
+ * Gaps between timestamps are kept (divided by speedup); fixes without
+ * timestamps are played at a fixed interval.
+ * @param {Array} fixes Fixes from parseGPSTrack
+ * @param {Function} onFix Called with each fix, timestamped with the replay time
+ * @param {Object} options { interval, speedup, onEnd }
+ * @returns {Function} Stops the replay
+ */
+export const playGPSTrack = (fixes, onFix, options = {}) => {
+  const { interval = 1000, speedup = 1, onEnd } = options;
+  let timeoutId = null;
+  let index = 0;
+
+  const next = () => {
+    const fix = fixes[index];
+    onFix({ ...fix, accuracy: fix.accuracy ?? 10, timestamp: Date.now() });
+    index++;
+
+    if (index >= fixes.length) {
+      onEnd?.();
+      return;
+    }
+
+    const gap = fix.timestamp !== null && fixes[index].timestamp !== null && fixes[index].timestamp > fix.timestamp
+      ? fixes[index].timestamp - fix.timestamp
+      : interval;
+    timeoutId = setTimeout(next, gap / speedup);
+  };
+
+  if (fixes.length > 0) {
+    timeoutId = setTimeout(next, 0);
+  }
+  return () => clearTimeout(timeoutId);
+};
+
+export default {
+  OFF_ROUTE_THRESHOLD,
+  OFF_ROUTE_FIXES,
+  ARRIVAL_RADIUS,
+  snapToRoute,
+  createNavigation,
+  updateNavigation,
+  watchGPS,
+  parseGPSTrack,
+  loadGPSTrack,
+  playGPSTrack
+};
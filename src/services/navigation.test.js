@@ -0,0 +1,105 @@
+import { jest } from '@jest/globals';
+import { readFileSync } from 'fs';
+import {
+  createNavigation,
+  updateNavigation,
+  parseGPSTrack,
+  playGPSTrack
+} from './navigation';
+
+// East along the Cart Road, then left up towards Sanjauli
+const route = {
+  route: [[31.100, 77.170], [31.100, 77.180], [31.110, 77.180]],
+  legs: [{
+    distance: 2065,
+    duration: 240,
+    steps: [
+      { distance: 950, duration: 100, instruction: 'Head east on Cart Road', maneuver: { type: 'depart' } },
+      { distance: 1115, duration: 140, instruction: 'Turn left onto Sanjauli Road', maneuver: { type: 'turn', modifier: 'left' } },
+      { distance: 0, duration: 0, instruction: 'Arrive at your destination', maneuver: { type: 'arrive' } }
+    ]
+  }]
+};
+
+const track = readFileSync(new URL('./__fixtures__/sanjauli-drive.gpx', import.meta.url), 'utf8');
+
+describe('Navigation', () => {
+  test('parseGPSTrack reads GPX, GeoJSON and CSV tracks', () => {
+    const gpx = parseGPSTrack(track);
+    expect(gpx).toHaveLength(7);
+    expect(gpx[1]).toMatchObject({ lat: 31.1001, lng: 77.174 });
+    expect(gpx[1].timestamp - gpx[0].timestamp).toBe(20000);
+
+    const geojson = parseGPSTrack(JSON.stringify({
+      type: 'Feature',
+      properties: {},
+      geometry: { type: 'LineString', coordinates: [[77.17, 31.1], [77.18, 31.1]] }
+    }));
+    expect(geojson.map(fix => [fix.lat, fix.lng])).toEqual([[31.1, 77.17], [31.1, 77.18]]);
+
+    const csv = parseGPSTrack('lat,lng,time\n31.1,77.17,1000\n31.1,77.18,2000');
+    expect(csv).toHaveLength(2);
+    expect(csv[1].timestamp).toBe(2000);
+
+    expect(() => parseGPSTrack('nothing here')).toThrow('No track points found');
+  });
+
+  test('a simulated drive advances the step and asks for a reroute after leaving the route', () => {
+    const states = parseGPSTrack(track).reduce((history, fix) => {
+      const previous = history[history.length - 1] || createNavigation(route);
+      return [...history, updateNavigation(previous, fix)];
+    }, []);
+
+    expect(states[0].stepIndex).toBe(0);
+    expect(states[2].stepIndex).toBe(0);
+    expect(states[2].distanceToStepEnd).toBeLessThan(250);
+    expect(states[3].stepIndex).toBe(1);
+    expect(states[3].offRoute).toBe(false);
+
+    // Three fixes east of the road before a reroute is requested
+    expect(states[4].offRoute).toBe(true);
+    expect(states[5].needsReroute).toBe(false);
+    expect(states[6].needsReroute).toBe(true);
+    // Off-route fixes do not move the vehicle along the route
+    expect(states[6].progress).toBe(states[3].progress);
+  });
+
+  test('arriving near the destination selects the last step', () => {
+    const start = updateNavigation(createNavigation(route), { lat: 31.1, lng: 77.172 });
+    const end = updateNavigation(start, { lat: 31.1099, lng: 77.1801 });
+
+    expect(start.arrived).toBe(false);
+    expect(start.remainingDuration).toBeGreaterThan(200);
+    expect(end.arrived).toBe(true);
+    expect(end.stepIndex).toBe(2);
+  });
+
+  test('playGPSTrack replays fixes with their recorded spacing', () => {
+    jest.useFakeTimers();
+    const onFix = jest.fn();
+    const onEnd = jest.fn();
+
+    playGPSTrack(parseGPSTrack(track), onFix, { speedup: 10, onEnd });
+
+    jest.advanceTimersByTime(0);
+    expect(onFix).toHaveBeenCalledTimes(1);
+    jest.advanceTimersByTime(2000); // 20 s of track at 10x
+    expect(onFix).toHaveBeenCalledTimes(2);
+    jest.advanceTimersByTime(10000);
+    expect(onFix).toHaveBeenCalledTimes(7);
+    expect(onEnd).toHaveBeenCalled();
+
+    jest.useRealTimers();
+  });
+
+  test('playGPSTrack gives fixes without a recorded accuracy the default', () => {
+    jest.useFakeTimers();
+    const onFix = jest.fn();
+
+    playGPSTrack(parseGPSTrack('31.1,77.172\n31.1005,77.1725,,25'), onFix);
+    jest.advanceTimersByTime(1000);
+
+    expect(onFix.mock.calls.map(([fix]) => fix.accuracy)).toEqual([10, 25]);
+    jest.useRealTimers();
+  });
+});
@@ -0,0 +1,134 @@
+// OSRM server selection and health
+import { OSRM_SERVERS, DEFAULT_TIMEOUT, createTimeoutSignal } from './routingConfig';
+
+// Short route inside Shimla used to check a server can actually route
+const PROBE_COORDINATES = '77.1734,31.1048;77.1780,31.1030';
+
+const serverStatus = new Map(
+  OSRM_SERVERS.map(url => [url, { url, healthy: null, latency: null, checkedAt: null, error: null }])
+);
+let activeServer = null;
+let initialization = null;
+
+/**
+ * Check one OSRM server with a small route request
+ */
+const probeServer = async (url, timeout) => {
+  const request = createTimeoutSignal(undefined, timeout);
+  const startedAt = Date.now();
+
+  try {
+    const response = await fetch(
+      `${url}/route/v1/driving/${PROBE_COORDINATES}?overview=false`,
+      { signal: request.signal }
+    );
+    const result = response.ok ? await response.json() : null;
+    const healthy = result?.code === 'Ok';
+
+    return {
+      url,
+      healthy,
+      latency: Date.now() - startedAt,
+      checkedAt: Date.now(),
+      error: healthy ? null : `Unexpected response (${response.status})`
+    };
+  } catch (error) {
+    return {
+      url,
+      healthy: false,
+      latency: null,
+      checkedAt: Date.now(),
+      error: error.name === 'AbortError' ? `Timed out after ${timeout}ms` : error.message
+    };
+  } finally {
+    request.clear();
+  }
+};
+
+/**
+ * Probe every configured OSRM server and pick the fastest healthy one
+ * Concurrent callers share the same probe.
+ * @param {Object} options { timeout, force }
+ * @returns {Promise<Object>} { success, activeServer, servers }
+ */
+export const initializeOSRM = async (options = {}) => {
+  const { timeout = DEFAULT_TIMEOUT, force = false } = options;
+
+  if (initialization && !force) return initialization;
+
+  initialization = (async () => {
+    console.log('[OSRM] Probing servers...');
+    const results = await Promise.all(OSRM_SERVERS.map(url => probeServer(url, timeout)));
+    results.forEach(result => serverStatus.set(result.url, result));
+
+    const healthy = results
+      .filter(result => result.healthy)
+      .sort((a, b) => a.latency - b.latency);
+    activeServer = healthy[0]?.url || null;
+
+    if (activeServer) {
+      console.log(`[OSRM] Using ${activeServer} (${healthy[0].latency}ms)`);
+    } else {
+      console.warn('[OSRM] No healthy servers found');
+      // Let the next caller probe again rather than caching the outage
+      initialization = null;
+    }
+
+    return {
+      success: Boolean(activeServer),
+      activeServer,
+      servers: results
+    };
+  })();
+
+  return initialization;
+};
+
+/**
+ * Current OSRM server status
+ * @returns {Object} { initialized, activeServer, servers }
+ */
+export const getOSRMStatus = () => ({
+  initialized: Array.from(serverStatus.values()).some(server => server.checkedAt !== null),
+  activeServer,
+  servers: Array.from(serverStatus.values())
+});
+
+/**
+ * Servers in the order they should be tried: the active one first, then
+ * other healthy or unchecked servers, then those that failed their probe
+ * @returns {Array} Server base URLs
+ */
+export const getOSRMServers = () => {
+  const rank = (url) => {
+    if (url === activeServer) return 0;
+    const { healthy } = serverStatus.get(url);
+    return healthy === false ? 2 : 1;
+  };
+  return [...OSRM_SERVERS].sort((a, b) => rank(a) - rank(b));
+};
+
+/**
+ * Record the outcome of a real request so a failing server loses its place
+ * @param {string} url Server base URL
+ * @param {boolean} healthy Whether the request succeeded
+ * @param {string} error Error message for failures
+ */
+export const reportOSRMResult = (url, healthy, error = null) => {
+  const status = serverStatus.get(url);
+  if (!status) return;
+
+  serverStatus.set(url, { ...status, healthy, checkedAt: Date.now(), error: healthy ? null : error });
+  if (!healthy && activeServer === url) {
+    activeServer = OSRM_SERVERS.find(server => server !== url && serverStatus.get(server).healthy) || null;
+  } else if (healthy && !activeServer) {
+    activeServer = url;
+  }
+};
+
+export default {
+  initializeOSRM,
+  getOSRMStatus,
+  getOSRMServers,
+  reportOSRMResult
+};
@@ -0,0 +1,28 @@
+import { jest } from '@jest/globals';
+import { initializeOSRM, getOSRMServers, reportOSRMResult } from './osrmService';
+import { OSRM_SERVERS } from './routingConfig';
+
+describe('OSRM service', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('initializeOSRM picks a healthy server and failures demote it', async () => {
+    const [failing, healthy] = OSRM_SERVERS;
+    global.fetch.mockImplementation((url) => Promise.resolve({
+      ok: true,
+      status: 200,
+      json: () => Promise.resolve({ code: url.startsWith(failing) ? 'NoRoute' : 'Ok' })
+    }));
+
+    const result = await initializeOSRM({ force: true });
+
+    expect(result.success).toBe(true);
+    expect(result.activeServer).toBe(healthy);
+    expect(getOSRMServers()[0]).toBe(healthy);
+    expect(getOSRMServers()[OSRM_SERVERS.length - 1]).toBe(failing);
+
+    reportOSRMResult(healthy, false, 'HTTP 503');
+    expect(getOSRMServers()[0]).not.toBe(healthy);
+  });
+});
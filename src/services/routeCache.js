@@ -0,0 +1,136 @@
+// Persistent cache of calculated routes, so repeated facility clicks do not
+// spend ORS quota and recent routes stay available when connectivity drops
+import localforage from 'localforage';
+
+export const ROUTE_CACHE_TTL = 6 * 60 * 60 * 1000; // 6 hours
+export const ROUTE_CACHE_MAX_ENTRIES = 200;
+
+// About 11 m at Himachal latitudes; clicks closer than this share a route
+const COORDINATE_PRECISION = 4;
+
+const INDEX_KEY = '__index__';
+
+const store = localforage.createInstance({
+  name: 'gshealth',
+  storeName: 'routes'
+});
+
+/**
+ * Build the cache key for a request
+ * @param {Array} stops Array of [lat, lng], start to end
+ * @param {Object} options { profile, closures }
+ * @returns {string} Cache key
+ */
+export const getRouteCacheKey = (stops, options = {}) => {
+  const points = stops
+    .map(([lat, lng]) => `${lat.toFixed(COORDINATE_PRECISION)},${lng.toFixed(COORDINATE_PRECISION)}`)
+    .join(';');
+  const closureIds = (options.closures || []).map(closure => closure.id).sort().join(',');
+  return `route:${options.profile || 'driving-car'}:${points}:${closureIds}`;
+};
+
+/**
+ * Index of cached keys and when they were stored
+ */
+const readIndex = async () => (await store.getItem(INDEX_KEY)) || {};
+
+/**
+ * Look up a cached route
+ * @param {Array} stops Array of [lat, lng], start to end
+ * @param {Object} options { profile, closures, ttl }
+ * @returns {Promise<Object|null>} Route marked fromCache with cachedAt/cacheAge, or null
+ */
+export const getCachedRoute = async (stops, options = {}) => {
+  const { ttl = ROUTE_CACHE_TTL } = options;
+  const key = getRouteCacheKey(stops, options);
+
+  try {
+    const entry = await store.getItem(key);
+    if (!entry) return null;
+
+    const age = Date.now() - entry.cachedAt;
+    if (age > ttl) {
+      await removeCachedRoute(key);
+      return null;
+    }
+
+    console.log(`[RouteCache] Hit for ${key} (${Math.round(age / 60000)} min old)`);
+    return {
+      ...entry.result,
+      fromCache: true,
+      cachedAt: entry.cachedAt,
+      cacheAge: age
+    };
+  } catch (error) {
+    console.warn('[RouteCache] Read failed:', error);
+    return null;
+  }
+};
+
+/**
+ * Store a route, evicting the oldest entries above the size limit
+ * @param {Array} stops Array of [lat, lng], start to end
+ * @param {Object} options { profile, closures, maxEntries }
+ * @param {Object} result Successful route result
+ */
+export const cacheRoute = async (stops, options, result) => {
+  if (!result?.success) return;
+
+  const { maxEntries = ROUTE_CACHE_MAX_ENTRIES } = options;
+  const key = getRouteCacheKey(stops, options);
+  const cachedAt = Date.now();
+
+  try {
+    await store.setItem(key, { result, cachedAt });
+
+    const index = { ...(await readIndex()), [key]: cachedAt };
+    const keys = Object.keys(index).sort((a, b) => index[a] - index[b]);
+    const evicted = keys.slice(0, Math.max(0, keys.length - maxEntries));
+
+    await Promise.all(evicted.map(evictedKey => store.removeItem(evictedKey)));
+    evicted.forEach(evictedKey => delete index[evictedKey]);
+    await store.setItem(INDEX_KEY, index);
+  } catch (error) {
+    console.warn('[RouteCache] Write failed:', error);
+  }
+};
+
+/**
+ * Remove one cached route
+ * @param {string} key Cache key
+ */
+export const removeCachedRoute = async (key) => {
+  const index = await readIndex();
+  delete index[key];
+  await store.removeItem(key);
+  await store.setItem(INDEX_KEY, index);
+};
+
+/**
+ * Remove every cached route
+ */
+export const clearRouteCache = async () => {
+  await store.clear();
+};
+
+/**
+ * Summary of the cache contents
+ * @returns {Promise<Object>} { entries, oldest, newest } with timestamps in ms
+ */
+export const getRouteCacheStats = async () => {
+  const times = Object.values(await readIndex());
+  return {
+    entries: times.length,
+    oldest: times.length ? Math.min(...times) : null,
+    newest: times.length ? Math.max(...times) : null
+  };
+};
+
+export default {
+  getRouteCacheKey,
+  getCachedRoute,
+  cacheRoute,
+  removeCachedRoute,
+  clearRouteCache,
+  getRouteCacheStats
+};
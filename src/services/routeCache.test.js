@@ -0,0 +1,50 @@
+import { jest } from '@jest/globals';
+import { getCachedRoute, cacheRoute, clearRouteCache, getRouteCacheStats, getRouteCacheKey } from './routeCache';
+
+const route = { success: true, route: [[31.1, 77.17], [31.2, 77.2]], distance: 12, duration: 900, legs: [] };
+const stops = [[31.1048, 77.1734], [31.2, 77.2]];
+
+describe('Route cache', () => {
+  beforeEach(async () => {
+    await clearRouteCache();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('keys on rounded stops, profile and closures', () => {
+    expect(getRouteCacheKey(stops)).toBe(getRouteCacheKey([[31.10481, 77.17339], [31.2, 77.2]]));
+    expect(getRouteCacheKey(stops)).not.toBe(getRouteCacheKey(stops, { profile: 'cycling-regular' }));
+    expect(getRouteCacheKey(stops)).not.toBe(getRouteCacheKey(stops, { closures: [{ id: 'closure-1' }] }));
+  });
+
+  test('marks hits as fromCache and expires them after the TTL', async () => {
+    await cacheRoute(stops, {}, route);
+
+    const hit = await getCachedRoute(stops);
+    expect(hit).toMatchObject({ distance: 12, fromCache: true });
+
+    jest.spyOn(Date, 'now').mockReturnValue(Date.now() + 7 * 60 * 60 * 1000);
+    expect(await getCachedRoute(stops)).toBeNull();
+  });
+
+  test('does not cache failed routes', async () => {
+    await cacheRoute(stops, {}, { success: false, error: 'No route' });
+
+    expect(await getCachedRoute(stops)).toBeNull();
+  });
+
+  test('evicts the oldest entries above the size limit', async () => {
+    let now = 1000;
+    jest.spyOn(Date, 'now').mockImplementation(() => now++);
+
+    for (let i = 0; i < 3; i++) {
+      await cacheRoute([[31 + i / 10, 77], [31.5, 77.5]], { maxEntries: 2 }, route);
+    }
+
+    expect((await getRouteCacheStats()).entries).toBe(2);
+    expect(await getCachedRoute([[31, 77], [31.5, 77.5]])).toBeNull();
+    expect(await getCachedRoute([[31.2, 77], [31.5, 77.5]])).not.toBeNull();
+  });
+});
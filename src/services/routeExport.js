@@ -0,0 +1,297 @@
+// Export calculated routes for handheld GPS units, Google Earth and QGIS
+import polyline from '@mapbox/polyline';
+
+const CREATOR = 'GSHealth Emergency Routing';
+
+/**
+ * Escape text for use in XML content and attributes
+ */
+const escapeXML = (text) => String(text ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;');
+
+/**
+ * Route points split by leg, falling back to the whole route as one leg
+ */
+const getLegGeometries = (result) => {
+  const legs = (result.legs || []).filter(leg => leg.geometry?.length > 1);
+  return legs.length > 0 && legs.length === result.legs.length
+    ? legs.map(leg => leg.geometry)
+    : [result.route];
+};
+
+/**
+ * Elevation for each route point, when the profile matches the geometry
+ */
+const getElevations = (result) => {
+  const profile = result.elevation?.profile;
+  return profile && profile.length === result.route.length
+    ? new Map(result.route.map((point, i) => [point, profile[i].elevation]))
+    : null;
+};
+
+const formatDuration = (seconds) => `${Math.round(seconds / 60)} min`;
+
+/**
+ * GPX 1.1 with the stops as waypoints, the route as a track with one
+ * segment per leg, and each alternative as a further track
+ * @param {Object} result Route result
+ * @param {Object} options { name, stops: [{ position, name }] }
+ * @returns {string} GPX document
+ */
+export const toGPX = (result, options = {}) => {
+  const { name = 'Route', stops = [] } = options;
+  const elevations = getElevations(result);
+
+  const trackPoint = (point) => {
+    const elevation = elevations?.get(point);
+    return `      <trkpt lat="${point[0]}" lon="${point[1]}">${
+      typeof elevation === 'number' ? `<ele>${elevation}</ele>` : ''
+    }</trkpt>`;
+  };
+  const track = (trackName, description, segments) => [
+    '  <trk>',
+    `    <name>${escapeXML(trackName)}</name>`,
+    `    <desc>${escapeXML(description)}</desc>`,
+    ...segments.map(points => ['    <trkseg>', ...points.map(trackPoint), '    </trkseg>'].join('\n')),
+    '  </trk>'
+  ].join('\n');
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<gpx version="1.1" creator="${CREATOR}" xmlns="http://www.topografix.com/GPX/1/1">`,
+    `  <metadata><name>${escapeXML(name)}</name><time>${new Date().toISOString()}</time></metadata>`,
+    ...stops.map(stop => `  <wpt lat="${stop.position[0]}" lon="${stop.position[1]}"><name>${escapeXML(stop.name)}</name></wpt>`),
+    track(name, `${result.distance.toFixed(1)} km, ${formatDuration(result.duration)}`, getLegGeometries(result)),
+    ...(result.alternatives || []).map((alternative, i) => track(
+      `${name} (alternative ${i + 1})`,
+      `${alternative.distance.toFixed(1)} km, ${formatDuration(alternative.duration)}`,
+      [alternative.route]
+    )),
+    '</gpx>'
+  ].join('\n');
+};
+
+/**
+ * KML with the stops as points and the route and alternatives as lines
+ * @param {Object} result Route result
+ * @param {Object} options { name, stops: [{ position, name }] }
+ * @returns {string} KML document
+ */
+export const toKML = (result, options = {}) => {
+  const { name = 'Route', stops = [] } = options;
+  const coordinates = (points) => points.map(([lat, lng]) => `${lng},${lat}`).join(' ');
+  const line = (lineName, description, style, points) => [
+    '    <Placemark>',
+    `      <name>${escapeXML(lineName)}</name>`,
+    `      <description>${escapeXML(description)}</description>`,
+    `      <styleUrl>#${style}</styleUrl>`,
+    `      <LineString><tessellate>1</tessellate><coordinates>${coordinates(points)}</coordinates></LineString>`,
+    '    </Placemark>'
+  ].join('\n');
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<kml xmlns="http://www.opengis.net/kml/2.2">',
+    '  <Document>',
+    `    <name>${escapeXML(name)}</name>`,
+    '    <Style id="route"><LineStyle><color>ff8140ff</color><width>5</width></LineStyle></Style>',
+    '    <Style id="alternative"><LineStyle><color>a0808080</color><width>4</width></LineStyle></Style>',
+    ...stops.map(stop => [
+      '    <Placemark>',
+      `      <name>${escapeXML(stop.name)}</name>`,
+      `      <Point><coordinates>${stop.position[1]},${stop.position[0]}</coordinates></Point>`,
+      '    </Placemark>'
+    ].join('\n')),
+    line(name, `${result.distance.toFixed(1)} km, ${formatDuration(result.duration)}`, 'route', result.route),
+    ...(result.alternatives || []).map((alternative, i) => line(
+      `${name} (alternative ${i + 1})`,
+      `${alternative.distance.toFixed(1)} km, ${formatDuration(alternative.duration)}`,
+      'alternative',
+      alternative.route
+    )),
+    '  </Document>',
+    '</kml>'
+  ].join('\n');
+};
+
+/**
+ * GeoJSON FeatureCollection with the full route, one feature per leg
+ * carrying its steps, the stops and any alternatives
+ * @param {Object} result Route result
+ * @param {Object} options { name, stops: [{ position, name }] }
+ * @returns {Object} FeatureCollection
+ */
+export const toGeoJSON = (result, options = {}) => {
+  const { name = 'Route', stops = [] } = options;
+  const lineString = (points) => ({
+    type: 'LineString',
+    coordinates: points.map(([lat, lng]) => [lng, lat])
+  });
+  const legGeometries = getLegGeometries(result);
+
+  return {
+    type: 'FeatureCollection',
+    features: [
+      {
+        type: 'Feature',
+        properties: {
+          kind: 'route',
+          name,
+          distance: result.distance,
+          duration: result.duration,
+          provider: result.providerName || result.routingMethod || null,
+          ascent: result.ascent ?? null,
+          descent: result.descent ?? null
+        },
+        geometry: lineString(result.route)
+      },
+      ...(result.legs || []).map((leg, index) => ({
+        type: 'Feature',
+        properties: {
+          kind: 'leg',
+          index,
+          from: stops[index]?.name || null,
+          to: stops[index + 1]?.name || null,
+          distance: leg.distance / 1000,
+          duration: leg.duration,
+          steps: (leg.steps || []).map(step => ({
+            instruction: step.instruction,
+            name: step.name || '',
+            distance: step.distance,
+            duration: step.duration,
+            maneuver: step.maneuver || null
+          }))
+        },
+        geometry: lineString(legGeometries.length === result.legs.length ? legGeometries[index] : result.route)
+      })),
+      ...stops.map((stop, index) => ({
+        type: 'Feature',
+        properties: { kind: 'stop', index, name: stop.name },
+        geometry: { type: 'Point', coordinates: [stop.position[1], stop.position[0]] }
+      })),
+      ...(result.alternatives || []).map((alternative, index) => ({
+        type: 'Feature',
+        properties: {
+          kind: 'alternative',
+          index,
+          distance: alternative.distance,
+          duration: alternative.duration
+        },
+        geometry: lineString(alternative.route)
+      }))
+    ]
+  };
+};
+
+/**
+ * Encoded polylines (precision 5), the route first and then each alternative
+ * @param {Object} result Route result
+ * @returns {Array} Encoded polyline strings
+ */
+export const toEncodedPolylines = (result) => [
+  polyline.encode(result.route),
+  ...(result.alternatives || []).map(alternative => polyline.encode(alternative.route))
+];
+
+export const EXPORT_FORMATS = {
+  gpx: {
+    label: 'GPX (GPS units)',
+    extension: 'gpx',
+    mimeType: 'application/gpx+xml',
+    build: toGPX
+  },
+  kml: {
+    label: 'KML (Google Earth)',
+    extension: 'kml',
+    mimeType: 'application/vnd.google-earth.kml+xml',
+    build: toKML
+  },
+  geojson: {
+    label: 'GeoJSON (QGIS)',
+    extension: 'geojson',
+    mimeType: 'application/geo+json',
+    build: (result, options) => JSON.stringify(toGeoJSON(result, options), null, 2)
+  },
+  polyline: {
+    label: 'Encoded polyline',
+    extension: 'txt',
+    mimeType: 'text/plain',
+    build: (result) => toEncodedPolylines(result).join('\n')
+  }
+};
+
+/**
+ * File name safe version of a route name
+ */
+const toFileName = (name) => name
+  .toLowerCase()
+  .replace(/[^a-z0-9]+/g, '-')
+  .replace(/^-+|-+$/g, '') || 'route';
+
+/**
+ * Build an export file for a route
+ * @param {Object} result Route result with route, legs and alternatives
+ * @param {string} format One of EXPORT_FORMATS
+ * @param {Object} options { name, stops }
+ * @returns {Object} { success, content, filename, mimeType, error }
+ */
+export const exportRoute = (result, format, options = {}) => {
+  const exporter = EXPORT_FORMATS[format];
+  if (!exporter) {
+    return { success: false, error: `Unknown export format: ${format}` };
+  }
+  if (!result?.route || result.route.length < 2) {
+    return { success: false, error: 'No route to export' };
+  }
+
+  try {
+    const date = new Date().toISOString().slice(0, 10);
+    return {
+      success: true,
+      content: exporter.build(result, options),
+      filename: `${toFileName(options.name || 'route')}-${date}.${exporter.extension}`,
+      mimeType: exporter.mimeType
+    };
+  } catch (error) {
+    console.error(`[RouteExport] ${format} export failed:`, error);
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Export a route and download it in the browser
+ * @param {Object} result Route result
+ * @param {string} format One of EXPORT_FORMATS
+ * @param {Object} options { name, stops }
+ * @returns {Object} { success, filename, error }
+ */
+export const downloadRoute = (result, format, options = {}) => {
+  const file = exportRoute(result, format, options);
+  if (!file.success) return file;
+
+  const url = URL.createObjectURL(new Blob([file.content], { type: file.mimeType }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = file.filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+
+  console.log(`[RouteExport] Downloaded ${file.filename}`);
+  return { success: true, filename: file.filename };
+};
+
+export default {
+  EXPORT_FORMATS,
+  toGPX,
+  toKML,
+  toGeoJSON,
+  toEncodedPolylines,
+  exportRoute,
+  downloadRoute
+};
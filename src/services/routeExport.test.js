@@ -0,0 +1,85 @@
+import polyline from '@mapbox/polyline';
+import { toGPX, toKML, toGeoJSON, toEncodedPolylines, exportRoute } from './routeExport';
+
+const route = [[31.1048, 77.1734], [31.1060, 77.1800], [31.1200, 77.1900]];
+
+const result = {
+  success: true,
+  route,
+  distance: 2.4,
+  duration: 420,
+  providerName: 'OSRM',
+  legs: [
+    {
+      distance: 700,
+      duration: 120,
+      geometry: route.slice(0, 2),
+      steps: [{ instruction: 'Head east on Cart Road', name: 'Cart Road', distance: 700, duration: 120, maneuver: { type: 'depart' } }]
+    },
+    {
+      distance: 1700,
+      duration: 300,
+      geometry: route.slice(1),
+      steps: [{ instruction: 'Arrive at your destination', name: '', distance: 0, duration: 0, maneuver: { type: 'arrive' } }]
+    }
+  ],
+  alternatives: [{ route: [route[0], [31.1100, 77.1750], route[2]], distance: 2.9, duration: 510 }]
+};
+
+const options = {
+  name: 'IGMC Shimla & back',
+  stops: [
+    { position: route[0], name: 'Base' },
+    { position: route[1], name: 'Patient' },
+    { position: route[2], name: 'IGMC <Shimla>' }
+  ]
+};
+
+describe('Route export', () => {
+  test('GPX has stop waypoints, a segment per leg and alternative tracks', () => {
+    const gpx = toGPX(result, options);
+    const doc = new DOMParser().parseFromString(gpx, 'application/xml');
+
+    expect(doc.getElementsByTagName('parsererror')).toHaveLength(0);
+    expect(doc.getElementsByTagName('wpt')).toHaveLength(3);
+    expect(doc.getElementsByTagName('trk')).toHaveLength(2);
+    expect(doc.getElementsByTagName('trk')[0].getElementsByTagName('trkseg')).toHaveLength(2);
+    expect(gpx).toContain('IGMC &lt;Shimla&gt;');
+  });
+
+  test('KML lists coordinates as lng,lat', () => {
+    const kml = toKML(result, options);
+    const doc = new DOMParser().parseFromString(kml, 'application/xml');
+
+    expect(doc.getElementsByTagName('parsererror')).toHaveLength(0);
+    expect(doc.getElementsByTagName('Placemark')).toHaveLength(5);
+    expect(kml).toContain('77.1734,31.1048 77.18,31.106');
+  });
+
+  test('GeoJSON carries leg and step properties', () => {
+    const collection = toGeoJSON(result, options);
+    const kinds = collection.features.map(feature => feature.properties.kind);
+    const firstLeg = collection.features.find(feature => feature.properties.kind === 'leg');
+
+    expect(kinds).toEqual(['route', 'leg', 'leg', 'stop', 'stop', 'stop', 'alternative']);
+    expect(firstLeg.properties).toMatchObject({ index: 0, from: 'Base', to: 'Patient', distance: 0.7 });
+    expect(firstLeg.properties.steps[0].instruction).toBe('Head east on Cart Road');
+    expect(firstLeg.geometry.coordinates[0]).toEqual([77.1734, 31.1048]);
+  });
+
+  test('encoded polylines decode back to the route', () => {
+    const [main, alternative] = toEncodedPolylines(result);
+    expect(polyline.decode(main)).toEqual(route);
+    expect(polyline.decode(alternative)).toHaveLength(3);
+  });
+
+  test('exportRoute names the file and rejects bad input', () => {
+    const file = exportRoute(result, 'gpx', options);
+    expect(file.success).toBe(true);
+    expect(file.filename).toMatch(/^igmc-shimla-back-\d{4}-\d{2}-\d{2}\.gpx$/);
+    expect(file.mimeType).toBe('application/gpx+xml');
+
+    expect(exportRoute(result, 'shp').success).toBe(false);
+    expect(exportRoute({ route: [] }, 'gpx').error).toBe('No route to export');
+  });
+});
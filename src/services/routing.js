@@ -1,38 +1,59 @@
 // OpenRouteService API for routing
-import { findNearestNode, calculateDistance as calcLocalDistance } from './localRouting';
+import { calculateDistance as calcLocalDistance, setRoadNetwork, getRoadGraph, calculateGraphRoute } from './localRouting';
 import axios from 'axios';
-
-// Get API key from environment, supporting both Vite and Jest environments
-const getApiKey = () => {
-  if (typeof import.meta !== 'undefined' && import.meta.env) {
-    return import.meta.env.VITE_ORS_API_KEY;
-  }
-  return process.env.VITE_ORS_API_KEY;
-};
-
-const ORS_API_KEY = getApiKey();
-const ORS_BASE_URL = 'https://api.openrouteservice.org';
-const OSRM_SERVERS = [
-  'https://routing.openstreetmap.de',
-  'https://osrm.server2.com',  // Add your fallback servers
-];
-const DEFAULT_TIMEOUT = 10000; // 10 seconds
+import { calculateRoute as calculateGoogleRoute, isGoogleMapsConfigured } from './googleMapsService';
+import { registerProvider, runProviderChain, willProviderSnap, getProviderHealth } from './routingProviders';
+import { calculateMatrix } from './matrix';
+import {
+  ORS_API_KEY,
+  ORS_BASE_URL,
+  OSRM_SERVERS,
+  DEFAULT_TIMEOUT,
+  COMMON_DISPATCH_POINTS,
+  validateApiKey,
+  isAbortError,
+  createTimeoutSignal
+} from './routingConfig';
+import { getActiveClosures, getAvoidPolygons, findRouteClosures, findClosedEdges } from './closures';
+import { estimateDirectDuration, applyTravelTimeModel } from './travelTime';
+import { getCachedRoute, cacheRoute } from './routeCache';
+import { buildElevationProfile } from './elevation';
+import { getOSRMServers, reportOSRMResult } from './osrmService';
+import { buildInstruction, normalizeORSManeuver, normalizeGoogleManeuver, getProviderLanguage } from './instructions';
+import { DEFAULT_VEHICLE, getVehicleProfile, getSpeedProfile, getORSOptions } from './vehicleProfiles';
+import { overpassApi } from './osm';
+import { getFacilityIndex, getRoadSegmentIndex } from './spatialIndex';
+import { STABILIZATION_TIME, getGoldenHourStatus, isTraumaCapable, isStabilizationPoint } from './goldenHour';
 
 // Cache for road network data
 let cachedRoadData = null;
 
-// Validate API key format and presence
-const validateApiKey = () => {
-  if (!ORS_API_KEY) {
-    console.error('OpenRouteService API key is missing. Please add it to your .env file.');
-    return false;
-  }
-  if (ORS_API_KEY === 'your_api_key_here') {
-    console.error('Please replace the placeholder API key in .env with your actual OpenRouteService API key.');
-    return false;
-  }
-  return true;
-};
+// Alternatives requested from providers that offer them
+const MAX_ALTERNATIVES = 2;
+
+// Farthest the origin or destination is moved onto a road before routing
+const MAX_SNAP_DISTANCE = 2; // km
+
+// Overpass snaps kept per point rounded to about 10 m, so repeated routes from
+// the same patient or facility do not query again
+const SNAP_PRECISION = 4; // decimal places
+const MAX_CACHED_SNAPS = 200;
+const snapCache = new Map();
+
+// Pre-warm work done this session: datasets already pre-warmed and dispatch
+// point to facility pairs that gave no cacheable route, so neither is retried
+const prewarmedDatasets = new Set();
+const failedPrewarmPairs = new Set();
+
+// Roads a patient or hospital can be snapped to
+const SNAP_HIGHWAYS = '^(motorway|trunk|primary|secondary|tertiary|unclassified|residential)$';
+
+// Road classes recognised from step names and refs, e.g. "NH5", "SH 13"
+const ROAD_CLASS_PATTERNS = [
+  { roadClass: 'national_highway', pattern: /\bNH[\s-]?\d+/i },
+  { roadClass: 'state_highway', pattern: /\bSH[\s-]?\d+/i },
+  { roadClass: 'district_road', pattern: /\b(MDR|ODR)[\s-]?\d*/i }
+];
 
 /**
  * Convert coordinates from [lat, lng] to [lng, lat] format
@@ -72,7 +93,7 @@ const calculateDistance = (lat1, lon1, lat2, lon2) => {
 /**
  * Create a direct (straight-line) route between points
  */
-const createDirectRoute = (start, end, isMountainous = false) => {
+const createDirectRoute = (start, end, isMountainous = false, profile) => {
   // Handle invalid coordinates
   if (!start || !end || !Array.isArray(start) || !Array.isArray(end) ||
       start.length !== 2 || end.length !== 2 ||
@@ -86,9 +107,8 @@ const createDirectRoute = (start, end, isMountainous = false) => {
   }
 
   const distance = calcLocalDistance(start[0], start[1], end[0], end[1]);
-  // Use slower speed estimation for mountainous terrain
-  const avgSpeed = isMountainous ? 20 : 30; // km/h
-  const duration = (distance / avgSpeed) * 3600; // Convert to seconds
+  // Winding hill roads are assumed for mountainous terrain
+  const duration = estimateDirectDuration(distance, isMountainous, profile);
 
   return {
     success: true,
@@ -103,7 +123,8 @@ const createDirectRoute = (start, end, isMountainous = false) => {
         duration,
         instruction: `Follow direct route to destination${isMountainous ? ' (mountainous terrain)' : ''}`,
         name: isMountainous ? 'Direct mountain route' : 'Direct route',
-        type: 'direct'
+        type: 'direct',
+        maneuver: { type: 'direct', mountainous: isMountainous }
       }]
     }],
     directRoute: true,
@@ -112,23 +133,168 @@ const createDirectRoute = (start, end, isMountainous = false) => {
   };
 };
 
+/**
+ * Ordered list of stops for a request: start, any waypoints, end
+ */
+const getStops = (start, end, options = {}) => [start, ...(options.waypoints || []), end];
+
+/**
+ * Check a point is a [lat, lng] pair of numbers
+ */
+const isValidPoint = (point) => {
+  return Array.isArray(point) && point.length === 2 &&
+    typeof point[0] === 'number' && typeof point[1] === 'number';
+};
+
+/**
+ * Index of the route vertex closest to a point, searching from a given index
+ */
+const findClosestRouteIndex = (route, point, fromIndex = 0) => {
+  let closestIndex = fromIndex;
+  let minDistance = Infinity;
+  for (let i = fromIndex; i < route.length; i++) {
+    const distance = calculateDistance(point[0], point[1], route[i][0], route[i][1]);
+    if (distance < minDistance) {
+      minDistance = distance;
+      closestIndex = i;
+    }
+  }
+  return closestIndex;
+};
+
+/**
+ * Make sure every leg carries its own geometry, splitting the full route
+ * at the vertices closest to each intermediate stop when a provider does
+ * not report leg boundaries
+ */
+const attachLegGeometry = (result, stops) => {
+  if (!result.success || !Array.isArray(result.legs)) return result;
+  if (result.legs.every(leg => Array.isArray(leg.geometry))) return result;
+
+  if (result.legs.length === 1) {
+    return { ...result, legs: [{ ...result.legs[0], geometry: result.route }] };
+  }
+
+  const boundaries = [0];
+  stops.slice(1, -1).forEach(stop => {
+    boundaries.push(findClosestRouteIndex(result.route, stop, boundaries[boundaries.length - 1]));
+  });
+  boundaries.push(result.route.length - 1);
+
+  return {
+    ...result,
+    legs: result.legs.map((leg, i) => ({
+      ...leg,
+      geometry: leg.geometry || result.route.slice(boundaries[i], boundaries[i + 1] + 1)
+    }))
+  };
+};
+
+/**
+ * Share of a route on each road class, from step refs, names and text
+ * @returns {Array} [{ roadClass, distance (km), share }], longest first
+ */
+const summarizeRoadClasses = (legs = []) => {
+  const totals = {};
+  legs.flatMap(leg => leg.steps || []).forEach(step => {
+    const text = `${step.ref || ''} ${step.name || ''} ${step.instruction || ''}`;
+    const match = ROAD_CLASS_PATTERNS.find(({ pattern }) => pattern.test(text));
+    const roadClass = match ? match.roadClass : 'other_road';
+    totals[roadClass] = (totals[roadClass] || 0) + (step.distance || 0);
+  });
+
+  const total = Object.values(totals).reduce((sum, distance) => sum + distance, 0);
+  return Object.entries(totals)
+    .filter(([, distance]) => distance > 0)
+    .map(([roadClass, distance]) => ({ roadClass, distance: distance / 1000, share: distance / total }))
+    .sort((a, b) => b.distance - a.distance);
+};
+
+/**
+ * Join single-leg routes calculated stop by stop into one multi-leg route
+ */
+const combineLegRoutes = (results) => {
+  const failed = results.find(result => !result.success);
+  if (failed) return failed;
+
+  return {
+    ...results[0],
+    success: true,
+    route: results.flatMap((result, i) => (i === 0 ? result.route : result.route.slice(1))),
+    distance: results.reduce((sum, result) => sum + result.distance, 0),
+    duration: results.reduce((sum, result) => sum + result.duration, 0),
+    legs: results.flatMap(result => result.legs.map(leg => ({ ...leg, geometry: leg.geometry || result.route })))
+  };
+};
+
+/**
+ * Convert one ORS GeoJSON feature to the common route shape
+ */
+const parseORSFeature = (feature, instructionLanguage) => {
+  const coordinates_reversed = feature.geometry.coordinates.map(([lon, lat]) => [lat, lon]);
+  // With elevation: true each position is [lon, lat, metres]
+  const elevation = buildElevationProfile(
+    feature.geometry.coordinates.map(([lon, lat, altitude]) => [lat, lon, altitude])
+  );
+  const properties = feature.properties;
+  const totalDistance = properties.summary?.distance ??
+    properties.segments.reduce((sum, segment) => sum + segment.distance, 0);
+  const totalDuration = properties.summary?.duration ??
+    properties.segments.reduce((sum, segment) => sum + segment.duration, 0);
+  const stepWayPoints = properties.segments.map(segment => segment.steps.flatMap(step => step.way_points || []));
+
+  return {
+    success: true,
+    route: coordinates_reversed,
+    distance: totalDistance / 1000,
+    duration: totalDuration,
+    ascent: properties.ascent,
+    descent: properties.descent,
+    elevation,
+    legs: properties.segments.map((segment, i) => ({
+      distance: segment.distance,
+      duration: segment.duration,
+      // Steps carry way_points indexes into the full geometry
+      geometry: stepWayPoints[i].length > 0
+        ? coordinates_reversed.slice(Math.min(...stepWayPoints[i]), Math.max(...stepWayPoints[i]) + 1)
+        : undefined,
+      steps: segment.steps.map(step => ({
+        distance: step.distance,
+        duration: step.duration,
+        instruction: step.instruction,
+        language: instructionLanguage,
+        name: step.name || '',
+        type: step.type,
+        maneuver: normalizeORSManeuver(step)
+      }))
+    }))
+  };
+};
+
 /**
  * Calculate route using OpenRouteService
  */
 const calculateORSRoute = async (start, end, options = {}) => {
   try {
     const {
-      profile = 'driving-car',
       preference = 'fastest',
-      units = 'km',
+      units = 'm',
       language = 'en'
     } = options;
 
+    // ORS has no Hindi; its English text is rebuilt from the maneuvers for display
+    const instructionLanguage = getProviderLanguage('ors', language);
+
     // Format coordinates for ORS (needs [lon, lat] format)
-    const coordinates = [
-      [start[1], start[0]],  // Convert [lat, lon] to [lon, lat]
-      [end[1], end[0]]
-    ];
+    const coordinates = getStops(start, end, options).map(([lat, lon]) => [lon, lat]);
+    // ORS only calculates alternative routes between two points
+    const alternatives = options.alternatives ?? coordinates.length === 2;
+    const avoidPolygons = options.closures?.length ? getAvoidPolygons(options.closures) : null;
+    const { profile, options: vehicleOptions } = getORSOptions(options.vehicle);
+    const requestOptions = {
+      ...vehicleOptions,
+      ...(avoidPolygons && { avoid_polygons: avoidPolygons })
+    };
 
     const response = await axios.post(
       `${ORS_BASE_URL}/v2/directions/${profile}/geojson`,
@@ -136,41 +302,28 @@ const calculateORSRoute = async (start, end, options = {}) => {
         coordinates,
         preference,
         units,
-        language,
+        language: instructionLanguage,
         instructions: true,
-        elevation: true
+        elevation: true,
+        ...(alternatives && {
+          alternative_routes: { target_count: MAX_ALTERNATIVES + 1, share_factor: 0.6, weight_factor: 1.4 }
+        }),
+        ...(Object.keys(requestOptions).length > 0 && { options: requestOptions })
       },
       {
         headers: {
           'Authorization': ORS_API_KEY,
           'Content-Type': 'application/json',
           'Accept': 'application/json'
-        }
+        },
+        signal: options.signal
       }
     );
 
-    const route = response.data;
-    const coordinates_reversed = route.features[0].geometry.coordinates.map(([lon, lat]) => [lat, lon]);
-    const properties = route.features[0].properties;
-
+    const [main, ...others] = response.data.features.map(feature => parseORSFeature(feature, instructionLanguage));
     return {
-      success: true,
-      route: coordinates_reversed,
-      distance: properties.segments[0].distance / 1000,
-      duration: properties.segments[0].duration,
-      ascent: properties.ascent,
-      descent: properties.descent,
-      legs: properties.segments.map(segment => ({
-        distance: segment.distance,
-        duration: segment.duration,
-        steps: segment.steps.map(step => ({
-          distance: step.distance,
-          duration: step.duration,
-          instruction: step.instruction,
-          name: step.name || '',
-          type: step.type
-        }))
-      }))
+      ...main,
+      alternatives: others.slice(0, MAX_ALTERNATIVES)
     };
   } catch (error) {
     console.error('[ORS] Route calculation failed:', error);
@@ -178,22 +331,61 @@ const calculateORSRoute = async (start, end, options = {}) => {
   }
 };
 
+/**
+ * Convert one OSRM route to the common route shape
+ */
+const parseOSRMRoute = (osrmRoute, language) => ({
+  success: true,
+  route: osrmRoute.geometry.coordinates.map(([lon, lat]) => [lat, lon]),
+  distance: osrmRoute.distance / 1000,
+  duration: osrmRoute.duration,
+  legs: osrmRoute.legs.map(leg => ({
+    distance: leg.distance,
+    duration: leg.duration,
+    geometry: leg.steps.length > 0
+      ? leg.steps.flatMap((step, i) =>
+          (step.geometry?.coordinates || [])
+            .slice(i === 0 ? 0 : 1)
+            .map(([lon, lat]) => [lat, lon]))
+      : undefined,
+    steps: leg.steps.map(step => ({
+      distance: step.distance,
+      duration: step.duration,
+      name: step.name || '',
+      ref: step.ref,
+      // OSRM returns no text, so instructions are built in the requested language
+      instruction: buildInstruction(step, language),
+      language,
+      type: step.maneuver?.type,
+      maneuver: step.maneuver && {
+        type: step.maneuver.type,
+        modifier: step.maneuver.modifier,
+        exit: step.maneuver.exit,
+        bearing_after: step.maneuver.bearing_after
+      }
+    }))
+  }))
+});
+
 /**
  * Calculate route using OSRM
  */
 const calculateOSRMRoute = async (start, end, options = {}) => {
+  const stops = getStops(start, end, options);
+  const profile = getVehicleProfile(options.vehicle).osrm;
   const {
-    profile = 'driving',
-    alternatives = true,
+    // OSRM only offers alternatives for two-point requests
+    alternatives = stops.length === 2,
     steps = true,
     annotations = true,
     geometries = 'geojson',
     overview = 'full',
-    radiuses = '2000;2000'
+    radiuses = stops.map(() => 2000).join(';'),
+    language = 'en'
   } = options;
 
   // Format coordinates for OSRM
-  const coordinates = `${start[1]},${start[0]};${end[1]},${end[0]}`;
+  const coordinates = stops.map(([lat, lon]) => `${lon},${lat}`).join(';');
   const params = new URLSearchParams({
     alternatives: alternatives.toString(),
     steps: steps.toString(),
@@ -204,47 +396,37 @@ const calculateOSRMRoute = async (start, end, options = {}) => {
     gaps: 'split'
   });
 
-  for (const server of OSRM_SERVERS) {
+  for (const server of getOSRMServers()) {
+    const request = createTimeoutSignal(options.signal);
     try {
-      const controller = new AbortController();
-      const timeoutId = setTimeout(() => controller.abort(), DEFAULT_TIMEOUT);
-
       const response = await fetch(
         `${server}/route/v1/${profile}/${coordinates}?${params}`,
-        { signal: controller.signal }
+        { signal: request.signal }
       );
 
-      clearTimeout(timeoutId);
+      request.clear();
 
-      if (!response.ok) continue;
+      if (!response.ok) {
+        reportOSRMResult(server, false, `HTTP ${response.status}`);
+        continue;
+      }
 
       const result = await response.json();
       if (!result.routes?.length) continue;
 
-      const mainRoute = result.routes[0];
+      reportOSRMResult(server, true);
+      const [main, ...others] = result.routes.map(osrmRoute => parseOSRMRoute(osrmRoute, language));
       return {
-        success: true,
-        route: mainRoute.geometry.coordinates.map(([lon, lat]) => [lat, lon]),
-        distance: mainRoute.distance / 1000,
-        duration: mainRoute.duration,
-        legs: mainRoute.legs.map(leg => ({
-          distance: leg.distance,
-          duration: leg.duration,
-          steps: leg.steps.map(step => ({
-            distance: step.distance,
-            duration: step.duration,
-            name: step.name || 'Unnamed road',
-            instruction: step.maneuver.instruction
-          }))
-        })),
-        alternatives: result.routes.slice(1).map(alt => ({
-          route: alt.geometry.coordinates.map(([lon, lat]) => [lat, lon]),
-          distance: alt.distance / 1000,
-          duration: alt.duration
-        }))
+        ...main,
+        alternatives: others.slice(0, MAX_ALTERNATIVES)
       };
     } catch (error) {
+      request.clear();
+      if (options.signal?.aborted) {
+        return { success: false, error: 'Request cancelled' };
+      }
       console.warn(`[OSRM] Failed with server ${server}:`, error);
+      reportOSRMResult(server, false, error.message);
       continue;
     }
   }
@@ -252,8 +434,135 @@ const calculateOSRMRoute = async (start, end, options = {}) => {
   return { success: false, error: 'All OSRM servers failed' };
 };
 
+/**
+ * Calculate route over the locally cached road network
+ */
+const calculateLocalGraphRoute = (start, end, options = {}) => {
+  const graph = getRoadGraph(getSpeedProfile(options.vehicle));
+  if (!graph) {
+    return { success: false, error: 'No cached road data available' };
+  }
+
+  const stops = getStops(start, end, options);
+  const blockedEdges = findClosedEdges(graph, options.closures || []);
+  return combineLegRoutes(
+    stops.slice(1).map((stop, i) => calculateGraphRoute(graph, stops[i], stop, { ...options, blockedEdges }))
+  );
+};
+
+/**
+ * Create a direct route visiting every stop in order
+ */
+const createDirectMultiStopRoute = (stops, isMountainous = false, profile) => {
+  return combineLegRoutes(
+    stops.slice(1).map((stop, i) => createDirectRoute(stops[i], stop, isMountainous, profile))
+  );
+};
+
+/**
+ * Normalize the legs and steps of one Google Maps route
+ */
+const normalizeGoogleLegs = (result, options) => ({
+  ...result,
+  legs: result.legs.map(leg => ({
+    ...leg,
+    steps: leg.steps.map(step => ({
+      distance: step.distance,
+      duration: step.duration,
+      instruction: (step.instruction || '').replace(/<[^>]+>/g, ' ').replace(/\s+/g, ' ').trim(),
+      language: getProviderLanguage('google', options.language),
+      name: '',
+      type: step.maneuver || undefined,
+      maneuver: normalizeGoogleManeuver(step.maneuver)
+    }))
+  }))
+});
+
+/**
+ * Normalize a Google Maps result to the common route shape
+ */
+const normalizeGoogleRoute = (result, options = {}) => ({
+  ...normalizeGoogleLegs(result, options),
+  alternatives: (result.alternatives || []).map(alternative => ({
+    success: true,
+    ...normalizeGoogleLegs(alternative, options)
+  }))
+});
+
+// Routing providers, tried in priority order before the direct route fallback
+registerProvider({
+  id: 'ors',
+  name: 'OpenRouteService',
+  priority: 10,
+  timeout: DEFAULT_TIMEOUT,
+  isAvailable: validateApiKey,
+  snapsToRoad: true,
+  calculate: calculateORSRoute
+});
+
+registerProvider({
+  id: 'osrm',
+  name: 'OSRM',
+  priority: 20,
+  timeout: DEFAULT_TIMEOUT * OSRM_SERVERS.length,
+  snapsToRoad: true,
+  calculate: calculateOSRMRoute
+});
+
+registerProvider({
+  id: 'google',
+  name: 'Google Maps',
+  priority: 30,
+  timeout: DEFAULT_TIMEOUT,
+  isAvailable: isGoogleMapsConfigured,
+  snapsToRoad: true,
+  calculate: (start, end, options) => calculateGoogleRoute(start, end, {
+    ...options,
+    language: getProviderLanguage('google', options.language)
+  }),
+  normalize: normalizeGoogleRoute
+});
+
+registerProvider({
+  id: 'local-graph',
+  name: 'Offline road graph',
+  priority: 90,
+  timeout: DEFAULT_TIMEOUT,
+  isAvailable: () => Boolean(cachedRoadData && cachedRoadData.features.length > 0),
+  calculate: calculateLocalGraphRoute
+});
+
+// The golden hour only means something when the trip ends at trauma care
+const annotateGoldenHour = (route, facility) => {
+  if (!isTraumaCapable(facility)) return route;
+  const annotated = { ...route, goldenHour: getGoldenHourStatus(route.duration) };
+  if (route.alternatives) {
+    annotated.alternatives = route.alternatives.map(alternative => ({
+      ...alternative,
+      goldenHour: getGoldenHourStatus(alternative.duration)
+    }));
+  }
+  return annotated;
+};
+
 /**
  * Calculate route between two points with smart fallback strategies
+ * Intermediate stops can be passed as options.waypoints ([[lat, lng], ...]);
+ * the result then has one leg per consecutive pair of stops. Active road
+ * closures are avoided where the provider supports it and reported in
+ * closureConflicts when the returned route still crosses one. Road routes
+ * are cached; pass useCache: false to force a fresh calculation.
+ * options.language ('en', 'hi') is sent to providers that can write
+ * instructions in it; steps carry a structured maneuver for the rest.
+ * Alternatives from any provider come back as full routes in alternatives,
+ * each with its own closureConflicts and roadClasses.
+ * options.vehicle picks a profile from vehicleProfiles ('bls', 'als', '4x4',
+ * 'bike'), which sets the provider profiles, restrictions and speeds.
+ * The origin and destination are first snapped onto the nearest road within
+ * options.maxSnapDistance km (pass snap: false to skip); the result's
+ * snappedPoints has { origin, destination }, each null when not moved.
+ * When options.facility is trauma-capable the route and its alternatives
+ * carry goldenHour, their status against the trauma golden hour.
  */
 const calculateRoute = async (start, end, options = {}) => {
   try {
@@ -267,72 +576,225 @@ const calculateRoute = async (start, end, options = {}) => {
       throw new Error('Invalid coordinates provided for route calculation');
     }
 
-    // Try OpenRouteService first if API key is available
-    if (validateApiKey()) {
-      console.log('[Routing] Trying OpenRouteService...');
-      try {
-        const orsResult = await calculateORSRoute(start, end, options);
-        if (orsResult.success) {
-          return {
-            ...orsResult,
-            routingMethod: 'ors'
-          };
-        }
-      } catch (error) {
-        console.error('[ORS] Route calculation failed:', error);
-      }
+    if (options.waypoints && (!Array.isArray(options.waypoints) || !options.waypoints.every(isValidPoint))) {
+      throw new Error('Invalid waypoints provided for route calculation');
     }
 
-    // Try OSRM as a fallback
-    console.log('[Routing] Trying OSRM...');
-    try {
-      const osrmResult = await calculateOSRMRoute(start, end, options);
-      if (osrmResult.success) {
-        console.log('[Routing] OSRM route found');
+    const stops = getStops(start, end, options);
+    const closures = options.ignoreClosures ? [] : (options.closures || getActiveClosures());
+    const vehicle = getVehicleProfile(options.vehicle);
+    const cacheOptions = { profile: vehicle.id, closures };
+
+    if (options.useCache !== false) {
+      const cached = await getCachedRoute(stops, cacheOptions);
+      if (cached) return annotateGoldenHour(cached, options.facility);
+    }
+
+    // Providers that snap on their side only need the cached roads checked
+    const snappedPoints = options.snap === false
+      ? { origin: null, destination: null }
+      : await snapEndpoints(start, end, { ...options, remote: !willProviderSnap({ ...options, vehicle: vehicle.id }) });
+    if (options.signal?.aborted) {
+      return { success: false, aborted: true, error: 'Route request cancelled' };
+    }
+    const routeStart = snappedPoints.origin?.point || start;
+    const routeEnd = snappedPoints.destination?.point || end;
+    const routeStops = getStops(routeStart, routeEnd, options);
+
+    const chain = await runProviderChain(routeStart, routeEnd, { ...options, vehicle: vehicle.id, closures });
+    if (chain.aborted) {
+      console.log('[Routing] Route request cancelled');
+      return { success: false, aborted: true, error: 'Route request cancelled' };
+    }
+    if (chain.success) {
+      console.log(`[Routing] Route found by ${chain.providerName}`);
+      // The offline graph already prices gradient and curvature into its edges
+      const useTravelTimeModel = chain.provider !== 'local-graph' && options.travelTimeModel !== false;
+      const speedProfile = getSpeedProfile(vehicle, chain.provider);
+      // Alternatives get the same treatment so they can be compared with the main route
+      const finishRoute = (result) => {
+        const timed = attachLegGeometry(useTravelTimeModel ? applyTravelTimeModel(result, speedProfile) : result, routeStops);
         return {
-          ...osrmResult,
-          routingMethod: 'osrm'
+          ...timed,
+          closureConflicts: findRouteClosures(result.route, closures).map(({ id, name, reason }) => ({ id, name, reason })),
+          roadClasses: summarizeRoadClasses(result.legs)
         };
+      };
+
+      const { alternatives = [], ...main } = chain.result;
+      const mainRoute = finishRoute(main);
+      if (mainRoute.closureConflicts.length > 0) {
+        console.warn(`[Routing] ${chain.providerName} route crosses ${mainRoute.closureConflicts.length} closure(s)`);
       }
-    } catch (error) {
-      console.error('[OSRM] Route calculation failed:', error);
+      const route = {
+        ...mainRoute,
+        alternatives: alternatives.map(finishRoute),
+        routingMethod: chain.provider,
+        provider: chain.provider,
+        providerName: chain.providerName,
+        providerAttempts: chain.attempts,
+        vehicle: vehicle.id,
+        snappedPoints
+      };
+      await cacheRoute(stops, cacheOptions, route);
+      return annotateGoldenHour({ ...route, fromCache: false }, options.facility);
     }
 
-    // If both services fail or are unavailable, fall back to direct route
+    // If all road-based providers fail or are unavailable, fall back to direct route
     console.log('[Routing] Falling back to direct route');
-    return {
-      ...createDirectRoute(start, end, options.isMountainous),
-      routingMethod: 'direct'
-    };
+    const directRoute = createDirectMultiStopRoute(routeStops, options.isMountainous, getSpeedProfile(vehicle));
+    return annotateGoldenHour({
+      ...attachLegGeometry(directRoute, routeStops),
+      routingMethod: 'direct',
+      provider: 'direct',
+      providerName: 'Direct line',
+      providerAttempts: chain.attempts,
+      vehicle: vehicle.id,
+      snappedPoints
+    }, options.facility);
 
   } catch (error) {
+    if (isAbortError(error) || options.signal?.aborted) {
+      return { success: false, aborted: true, error: 'Route request cancelled' };
+    }
     console.error('[Routing] Error calculating route:', error);
-    return createDirectRoute(start, end, options.isMountainous);
+    return createDirectRoute(start, end, options.isMountainous, getSpeedProfile(options.vehicle));
+  }
+};
+
+/**
+ * Calculate a trip through several stops in order, e.g. ambulance base ->
+ * patient -> hospital
+ * @param {Array} stops Array of [lat, lng], at least two
+ * @param {Object} options Optional parameters passed to calculateRoute
+ * @returns {Promise<Object>} Route with one entry in legs per pair of stops
+ */
+const calculateMultiStopRoute = async (stops, options = {}) => {
+  if (!Array.isArray(stops) || stops.length < 2) {
+    return { success: false, error: 'At least two stops are needed for a trip' };
+  }
+
+  return calculateRoute(stops[0], stops[stops.length - 1], {
+    ...options,
+    waypoints: stops.slice(1, -1)
+  });
+};
+
+/**
+ * Fill the route cache with routes from common dispatch points to every
+ * Tertiary facility, one request at a time so the providers are not flooded
+ * A run that completes for options.datasetKey is not repeated for that key,
+ * and pairs that gave no cacheable route are skipped for the session.
+ * @param {Array} facilities Facilities with lat, lng and type
+ * @param {Object} options { dispatchPoints, maxRoutes, signal, datasetKey }
+ * @returns {Promise<Object>} { calculated, cached, failed, skipped }
+ */
+const prewarmRouteCache = async (facilities, options = {}) => {
+  const {
+    dispatchPoints = COMMON_DISPATCH_POINTS,
+    maxRoutes = 50,
+    signal,
+    datasetKey
+  } = options;
+
+  const summary = { calculated: 0, cached: 0, failed: 0, skipped: 0 };
+  if (datasetKey !== undefined && prewarmedDatasets.has(datasetKey)) return summary;
+
+  const tertiary = facilities.filter(facility => facility.type === 'Tertiary');
+  const closures = getActiveClosures();
+
+  const pairs = dispatchPoints.flatMap(point => tertiary.map(facility => [point.position, [facility.lat, facility.lng]]));
+  for (const stops of pairs) {
+    if (signal?.aborted) return summary;
+    if (summary.calculated >= maxRoutes) break;
+
+    const pair = stops.join('|');
+    if (failedPrewarmPairs.has(pair)) {
+      summary.skipped++;
+      continue;
+    }
+    if (await getCachedRoute(stops, { profile: DEFAULT_VEHICLE, closures })) {
+      summary.cached++;
+      continue;
+    }
+
+    const result = await calculateRoute(stops[0], stops[1], { useCache: false, closures, signal });
+    if (result.aborted) return summary;
+    if (result.success && !result.directRoute) {
+      summary.calculated++;
+    } else {
+      failedPrewarmPairs.add(pair);
+      summary.failed++;
+    }
+  }
+
+  if (datasetKey !== undefined) prewarmedDatasets.add(datasetKey);
+  console.log('[Routing] Route cache pre-warmed:', summary);
+  return summary;
+};
+
+/**
+ * Reorder candidate facilities by road travel time from a point
+ * Falls back to the straight-line order if no matrix provider answers.
+ */
+const rankFacilitiesByDuration = async (point, candidates, limit, options = {}) => {
+  if (candidates.length === 0) return [];
+
+  const matrix = await calculateMatrix(
+    [point],
+    candidates.map(facility => [facility.lat, facility.lng]),
+    options
+  );
+
+  if (!matrix.success) {
+    console.warn('[Routing] Drive time ranking unavailable, using straight-line distance:', matrix.error);
+    return candidates.slice(0, limit);
   }
+
+  return candidates
+    .map((facility, i) => ({
+      ...facility,
+      driveDuration: matrix.durations[0][i],
+      driveDistance: matrix.distances ? matrix.distances[0][i] : null,
+      driveTimeMethod: matrix.method
+    }))
+    .sort((a, b) => (a.driveDuration ?? Infinity) - (b.driveDuration ?? Infinity))
+    .slice(0, limit);
 };
 
 /**
  * Find nearest facilities to a point
+ * With rankBy: 'duration' the straight-line candidates are reordered by road
+ * travel time and a Promise is returned instead of an array. options.filter
+ * is a predicate applied along with filterByType.
  */
 const findNearestFacilities = (point, facilities, options = {}) => {
   const {
     maxDistance = 20,
     limit = 10,
     filterByType = null,
-    sortBy = 'distance'
+    filter = null,
+    sortBy = 'distance',
+    rankBy = 'distance',
+    candidateLimit = limit * 2
   } = options;
 
-  let results = facilities
-    .map(facility => ({
-      ...facility,
-      distance: calculateDistance(point[0], point[1], facility.lat, facility.lng)
-    }))
-    .filter(f => f.distance <= maxDistance);
+  let results = getFacilityIndex(facilities)
+    .withinRadius(point, maxDistance)
+    .map(({ item, distance }) => ({ ...item, distance }));
 
   // Apply type filter if specified
   if (filterByType) {
     results = results.filter(f => f.type === filterByType);
   }
+  if (filter) {
+    results = results.filter(filter);
+  }
+
+  if (rankBy === 'duration') {
+    results.sort((a, b) => a.distance - b.distance);
+    return rankFacilitiesByDuration(point, results.slice(0, candidateLimit), limit, options);
+  }
 
   // Sort based on criteria
   switch (sortBy) {
@@ -353,6 +815,99 @@ const findNearestFacilities = (point, facilities, options = {}) => {
   return results.slice(0, limit);
 };
 
+// Straight-line nearest is a poor guess in the hills, so several candidates
+// are ranked by road time before picking one
+const GOLDEN_HOUR_CANDIDATES = 5;
+
+/**
+ * Check whether a trauma patient can reach a trauma-capable Tertiary facility
+ * within the golden hour. When none is in reach, suggest the fastest
+ * stabilization point (Primary or Secondary with an emergency department)
+ * followed by an onward transfer to the best Tertiary facility.
+ * @param {Array} point Patient location [lat, lng]
+ * @param {Array} facilities Facilities with lat, lng, type and emergency
+ * @param {Object} options { elapsed (seconds since injury), maxDistance in km, signal, vehicle }
+ * @returns {Promise<Object>} { success, withinGoldenHour, trauma, stabilization, error }
+ */
+const checkGoldenHour = async (point, facilities, options = {}) => {
+  const { elapsed = 0, maxDistance = 200, signal, vehicle } = options;
+  const routeOptions = { signal, vehicle };
+  const routeTo = async (from, facility) => {
+    const result = await calculateRoute(from, [facility.lat, facility.lng], routeOptions);
+    return result.success
+      ? { facility, duration: result.duration, distance: result.distance, directRoute: result.directRoute === true }
+      : null;
+  };
+
+  const [nearestTrauma] = await findNearestFacilities(point, facilities, {
+    maxDistance,
+    limit: 1,
+    candidateLimit: GOLDEN_HOUR_CANDIDATES,
+    filter: isTraumaCapable,
+    rankBy: 'duration',
+    signal
+  });
+  if (!nearestTrauma) {
+    return { success: false, error: `No trauma-capable facility within ${maxDistance} km` };
+  }
+
+  const trauma = await routeTo(point, nearestTrauma);
+  if (signal?.aborted) return { success: false, aborted: true };
+  if (!trauma) {
+    return { success: false, error: `No route to ${nearestTrauma.name}` };
+  }
+
+  const traumaResult = { ...trauma, goldenHour: getGoldenHourStatus(trauma.duration, elapsed) };
+  if (traumaResult.goldenHour.status !== 'exceeded') {
+    return { success: true, withinGoldenHour: true, trauma: traumaResult, stabilization: null };
+  }
+
+  const [nearestStabilization] = await findNearestFacilities(point, facilities, {
+    maxDistance: Math.min(maxDistance, 60),
+    limit: 1,
+    candidateLimit: GOLDEN_HOUR_CANDIDATES,
+    filter: isStabilizationPoint,
+    rankBy: 'duration',
+    signal
+  });
+  if (!nearestStabilization) {
+    return { success: true, withinGoldenHour: false, trauma: traumaResult, stabilization: null };
+  }
+
+  const [toStabilization, transfer] = await Promise.all([
+    routeTo(point, nearestStabilization),
+    calculateRoute([nearestStabilization.lat, nearestStabilization.lng], [nearestTrauma.lat, nearestTrauma.lng], routeOptions)
+  ]);
+  if (signal?.aborted) return { success: false, aborted: true };
+
+  console.log(`[Routing] ${nearestTrauma.name} is ${Math.round(trauma.duration / 60)} min away, stabilize at ${nearestStabilization.name}`);
+
+  return {
+    success: true,
+    withinGoldenHour: false,
+    trauma: traumaResult,
+    stabilization: toStabilization && {
+      ...toStabilization,
+      goldenHour: getGoldenHourStatus(toStabilization.duration, elapsed),
+      stabilizationTime: STABILIZATION_TIME,
+      transferDuration: transfer.success ? transfer.duration : null,
+      // Arrival at the trauma centre going via the stabilization point
+      totalDuration: transfer.success ? toStabilization.duration + STABILIZATION_TIME + transfer.duration : null
+    }
+  };
+};
+
+/**
+ * Closest point on a road segment from getRoadSegmentIndex to a point
+ * @param {Array} point [lat, lng]
+ * @param {Object} segment { from, to } as [lat, lng]
+ * @returns {Object} { point: [lat, lng], distance } with distance in km
+ */
+const findClosestPointOnSegment = (point, segment) => {
+  const projected = projectPointOnLineSegment(point, segment.from, segment.to);
+  return { point: projected, distance: calculateDistance(point[0], point[1], projected[0], projected[1]) };
+};
+
 /**
  * Find the nearest road point using locally cached GeoJSON data
  * @param {Array} point [lat, lng]
@@ -368,25 +923,13 @@ const findNearestRoadPointLocally = (point, roadData, maxDistance = 20) => {
     return { success: false, point: point, error: 'No road data available' };
   }
   
-  let closestPoint = null;
-  let minDistance = Infinity;
-  
-  // Iterate through all road features
-  for (const feature of roadData.features) {
-    if (feature.geometry && feature.geometry.type === 'LineString') {
-      const { point: nearestOnRoad, distance } = findClosestPointOnLine(point, feature.geometry.coordinates);
-      
-      if (distance < minDistance) {
-        minDistance = distance;
-        closestPoint = nearestOnRoad;
-        
-        // If we found a very close point, we can stop early
-        if (distance < 0.1) { // 100 meters
-          break;
-        }
-      }
-    }
-  }
+  // Only segments in grid cells near the point are measured
+  const [nearest] = getRoadSegmentIndex(roadData).nearest(point, 1, {
+    maxDistance,
+    distance: (target, segment) => findClosestPointOnSegment(target, segment).distance
+  });
+  const closestPoint = nearest ? findClosestPointOnSegment(point, nearest.item).point : null;
+  const minDistance = nearest ? nearest.distance : Infinity;
   
   console.log('Local road snapping result:', { 
     original: point, 
@@ -413,12 +956,17 @@ const findNearestRoadPointLocally = (point, roadData, maxDistance = 20) => {
 /**
  * Find nearest major road or intersection
  * @param {Array} point [lat, lng]
- * @param {Number} radius Search radius in meters
- * @returns {Promise<Object>} Nearest road point
+ * @param {Number} radius Search radius in meters, doubled until a road is found
+ * @param {Object} options { signal, maxRadius in meters, highways regex of OSM highway classes }
+ * @returns {Promise<Object>} Nearest road point, or { success: false, error } when a search failed
  */
-const findNearestMajorRoad = async (point, initialRadius = 1000) => {
-  const maxRadius = 20000; // 20km max search radius
-  let currentRadius = initialRadius;
+const findNearestMajorRoad = async (point, initialRadius = 1000, options = {}) => {
+  const {
+    maxRadius = 20000, // 20km max search radius
+    highways = '^(motorway|trunk|primary|secondary)$'
+  } = options;
+  let currentRadius = Math.min(initialRadius, maxRadius);
+  let lastError = null;
   
   while (currentRadius <= maxRadius) {
     try {
@@ -426,7 +974,7 @@ const findNearestMajorRoad = async (point, initialRadius = 1000) => {
       const query = `
         [out:json][timeout:25];
         (
-          way(around:${currentRadius},${point[0]},${point[1]})["highway"~"^(motorway|trunk|primary|secondary)$"];
+          way(around:${currentRadius},${point[0]},${point[1]})["highway"~"${highways}"];
           way(around:${currentRadius},${point[0]},${point[1]})["ref"~"^(NH|SH)"]; // National and State highways
         );
         (._;>;);
@@ -435,13 +983,7 @@ const findNearestMajorRoad = async (point, initialRadius = 1000) => {
 
       console.log(`Searching for major roads within ${currentRadius}m radius`);
       
-      const response = await fetch('https://overpass-api.de/api/interpreter', {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/x-www-form-urlencoded'
-        },
-        body: `data=${encodeURIComponent(query)}`
-      });
+      const response = await overpassApi(query, options.signal);
 
       if (!response.ok) {
         throw new Error('Failed to fetch road data');
@@ -494,15 +1036,21 @@ const findNearestMajorRoad = async (point, initialRadius = 1000) => {
       }
       
       // If no roads found, increase search radius
-      currentRadius *= 2;
+      if (currentRadius === maxRadius) break;
+      currentRadius = Math.min(currentRadius * 2, maxRadius);
       
     } catch (error) {
+      if (isAbortError(error)) {
+        return { success: false, aborted: true };
+      }
       console.warn(`Error finding major roads at radius ${currentRadius}m:`, error);
-      currentRadius *= 2;
+      lastError = error;
+      if (currentRadius === maxRadius) break;
+      currentRadius = Math.min(currentRadius * 2, maxRadius);
     }
   }
   
-  return { success: false };
+  return lastError ? { success: false, error: lastError.message } : { success: false };
 };
 
 /**
@@ -541,12 +1089,117 @@ const projectPointOnLineSegment = (p, v, w) => {
   ];
 };
 
+/**
+ * Search Overpass for the nearest road, sharing answers and requests in
+ * flight for points that round to the same key
+ * A shared search runs on its own signal and stops only once every caller
+ * waiting for it has cancelled; a cancelled caller gets { aborted: true }.
+ */
+const snapThroughOverpass = (point, maxDistance, signal) => {
+  const key = `${point.map(value => value.toFixed(SNAP_PRECISION)).join(',')}|${maxDistance}`;
+
+  if (!snapCache.has(key)) {
+    const controller = new AbortController();
+    const request = createTimeoutSignal(controller.signal);
+    const shared = { controller, waiting: 0 };
+    shared.search = findNearestMajorRoad(point, Math.min(500, maxDistance * 1000), {
+      signal: request.signal,
+      maxRadius: maxDistance * 1000,
+      highways: SNAP_HIGHWAYS
+    })
+      .then(remote => {
+        // Failed or cancelled searches are tried again next time
+        if ((remote.aborted || remote.error) && snapCache.get(key) === shared) snapCache.delete(key);
+        return remote.success && remote.distance <= maxDistance * 1000
+          ? { success: true, point: remote.point, distance: remote.distance }
+          : { success: false };
+      })
+      .finally(() => {
+        request.clear();
+        shared.controller = null;
+      });
+
+    snapCache.set(key, shared);
+    if (snapCache.size > MAX_CACHED_SNAPS) {
+      snapCache.delete(snapCache.keys().next().value);
+    }
+  }
+
+  const shared = snapCache.get(key);
+  shared.waiting++;
+  if (!signal) return shared.search;
+
+  return new Promise(resolve => {
+    const onAbort = () => {
+      shared.waiting--;
+      if (shared.waiting === 0) shared.controller?.abort();
+      resolve({ success: false, aborted: true });
+    };
+    signal.addEventListener('abort', onAbort, { once: true });
+    shared.search.then(result => {
+      signal.removeEventListener('abort', onAbort);
+      resolve(result);
+    });
+  });
+};
+
+/**
+ * Move a point onto the nearest road: the cached road network first, then
+ * an Overpass search, never further than maxDistance
+ * @param {Array} point [lat, lng]
+ * @param {Object} options { maxDistance in km, signal, remote (false to skip Overpass) }
+ * @returns {Promise<Object>} { success, original, point, distance in m, source ('local' or 'overpass'), aborted, error }
+ */
+const snapToRoad = async (point, options = {}) => {
+  const { maxDistance = MAX_SNAP_DISTANCE, signal, remote = true } = options;
+
+  const local = findNearestRoadPointLocally(point, cachedRoadData, maxDistance);
+  if (local.success) {
+    return { success: true, original: point, point: local.point, distance: local.radius, source: 'local' };
+  }
+  if (!remote || signal?.aborted) {
+    return { success: false, original: point, point, error: 'No cached road nearby' };
+  }
+
+  const snapped = await snapThroughOverpass(point, maxDistance, signal);
+  if (snapped.success) {
+    return { success: true, original: point, point: snapped.point, distance: snapped.distance, source: 'overpass' };
+  }
+  if (snapped.aborted) {
+    return { success: false, aborted: true, original: point, point, error: 'Snap request cancelled' };
+  }
+  return { success: false, original: point, point, error: `No road within ${maxDistance} km` };
+};
+
+/**
+ * Snap the origin and destination of a route, keeping null for either
+ * that could not be snapped
+ */
+const snapEndpoints = async (start, end, options = {}) => {
+  const snapOptions = { maxDistance: options.maxSnapDistance, signal: options.signal, remote: options.remote };
+  const [origin, destination] = await Promise.all([
+    snapToRoad(start, snapOptions),
+    snapToRoad(end, snapOptions)
+  ]);
+
+  console.log('[Routing] Snapped endpoints:', {
+    origin: origin.success ? `${Math.round(origin.distance)} m (${origin.source})` : origin.error,
+    destination: destination.success ? `${Math.round(destination.distance)} m (${destination.source})` : destination.error
+  });
+
+  return {
+    origin: origin.success ? origin : null,
+    destination: destination.success ? destination : null
+  };
+};
+
 /**
  * Fetch major road networks (National Highways) in the region
  * @param {Array} bounds [[south, west], [north, east]]
+ * @param {Object} options Optional parameters, e.g. { signal }
  * @returns {Promise} GeoJSON of major roads
  */
-const fetchMajorRoads = async (bounds) => {
+const fetchMajorRoads = async (bounds, options = {}) => {
   try {
     console.log('Fetching major roads within bounds:', bounds);
     
@@ -561,6 +1214,7 @@ const fetchMajorRoads = async (bounds) => {
         way(area.hp)["highway"="tertiary"];
         way(area.hp)["ref"~"NH.*"];
         way(area.hp)["ref"~"SH.*"];
+        way(area.hp)["highway"="track"]["tracktype"~"grade1|grade2"];
       );
       (._;>;);
       out body;
@@ -573,7 +1227,8 @@ const fetchMajorRoads = async (bounds) => {
       headers: {
         'Content-Type': 'application/x-www-form-urlencoded'
       },
-      body: `data=${encodeURIComponent(query)}`
+      body: `data=${encodeURIComponent(query)}`,
+      signal: options.signal
     });
 
     if (!response.ok) {
@@ -624,6 +1279,11 @@ const fetchMajorRoads = async (bounds) => {
               name: element.tags.name || element.tags.ref || 'Unnamed Road',
               ref: ref,
               type: isNationalHighway ? 'national_highway' : 'state_highway',
+              // Used by vehicle profiles to keep vans off roads they cannot use
+              surface: element.tags.surface,
+              maxwidth: element.tags.maxwidth,
+              maxheight: element.tags.maxheight,
+              maxweight: element.tags.maxweight,
               importance: roadType === 'trunk' ? 1 : 
                          roadType === 'primary' ? 2 : 
                          roadType === 'secondary' ? 3 : 
@@ -642,15 +1302,22 @@ const fetchMajorRoads = async (bounds) => {
       type: 'FeatureCollection',
       features: features.sort((a, b) => a.properties.importance - b.properties.importance)
     };
+    // Index the segments now rather than on the first snap
+    getRoadSegmentIndex(geojson);
     
     console.log('Converted to GeoJSON:', geojson);
     
-    // Cache the road data for local snapping
+    // Cache the road data for local snapping and offline routing
     cachedRoadData = geojson;
+    setRoadNetwork(geojson);
     
     return geojson;
   } catch (error) {
-    console.error('Error fetching major roads:', error);
+    if (isAbortError(error)) {
+      console.log('Major road fetch cancelled');
+    } else {
+      console.error('Error fetching major roads:', error);
+    }
     // Return empty feature collection instead of throwing
     return {
       type: 'FeatureCollection',
@@ -662,9 +1329,15 @@ const fetchMajorRoads = async (bounds) => {
 // Single export statement at the end
 export {
   calculateRoute,
+  calculateMultiStopRoute,
+  prewarmRouteCache,
+  calculateMatrix,
+  getProviderHealth,
   findNearestFacilities,
+  checkGoldenHour,
   calculateDistance,
   fetchMajorRoads,
   findNearestMajorRoad,
-  findNearestRoadPointLocally
+  findNearestRoadPointLocally,
+  snapToRoad
 }; 
\ No newline at end of file
@@ -1,14 +1,20 @@
 import { jest } from '@jest/globals';
-import { calculateRoute, findNearestFacilities, calculateDistance } from './routing';
+import { calculateRoute, calculateMultiStopRoute, findNearestFacilities, checkGoldenHour, calculateDistance, fetchMajorRoads, snapToRoad, prewarmRouteCache } from './routing';
+import { resetProviderHealth, getProviderHealth } from './routingProviders';
+import { addClosure, clearClosures } from './closures';
+import { clearRouteCache } from './routeCache';
 import axios from 'axios';
 
 // Mock axios
 jest.mock('axios');
 
 describe('Routing Service', () => {
-  beforeEach(() => {
+  beforeEach(async () => {
     // Reset all mocks before each test
     jest.clearAllMocks();
+    resetProviderHealth();
+    clearClosures();
+    await clearRouteCache();
     
     // Setup default mock response for axios
     axios.post.mockResolvedValue({
@@ -153,4 +159,506 @@ describe('Routing Service', () => {
 
     expect(result.routingMethod).toBe('direct');
   });
-}); 
\ No newline at end of file
+
+  // Test offline road graph fallback
+  test('calculateRoute falls back to the local road graph', async () => {
+    axios.post.mockRejectedValueOnce(new Error('API Error'));
+    global.fetch = jest.fn((url) => {
+      if (!url.includes('overpass')) {
+        return Promise.reject(new Error('OSRM Error'));
+      }
+      return Promise.resolve({
+        ok: true,
+        json: () => Promise.resolve({
+          elements: [
+            { type: 'node', id: 1, lat: 32.227, lon: 78.071 },
+            { type: 'node', id: 2, lat: 32.235, lon: 78.080 },
+            { type: 'node', id: 3, lat: 32.245, lon: 78.090 },
+            { type: 'way', id: 10, nodes: [1, 2, 3], tags: { highway: 'primary', name: 'Kaza Road' } }
+          ]
+        })
+      });
+    });
+
+    await fetchMajorRoads();
+    const result = await calculateRoute([32.2271, 78.0711], [32.2449, 78.0899]);
+
+    expect(result.success).toBe(true);
+    expect(result.routingMethod).toBe('local-graph');
+    expect(result.route).toContainEqual([32.235, 78.080]);
+    expect(result.legs[0].steps[0].name).toBe('Kaza Road');
+  });
+
+  // Test road snapping
+  test('calculateRoute snaps endpoints to cached roads and leaves the rest to providers that snap', async () => {
+    const kazaRoad = {
+      elements: [
+        { type: 'node', id: 1, lat: 32.227, lon: 78.071 },
+        { type: 'node', id: 2, lat: 32.235, lon: 78.080 },
+        { type: 'node', id: 3, lat: 32.245, lon: 78.090 },
+        { type: 'way', id: 10, nodes: [1, 2, 3], tags: { highway: 'primary', name: 'Kaza Road' } }
+      ]
+    };
+    global.fetch = jest.fn((url) => {
+      if (url.includes('overpass')) {
+        return Promise.resolve({ ok: true, json: () => Promise.resolve(kazaRoad) });
+      }
+      return Promise.reject(new Error('OSRM Error'));
+    });
+    await fetchMajorRoads();
+    global.fetch.mockClear();
+    axios.post.mockRejectedValueOnce(new Error('API Error'));
+
+    const result = await calculateRoute([31.1010, 77.1750], [32.2360, 78.0780]);
+    const { origin, destination } = result.snappedPoints;
+
+    expect(destination.source).toBe('local');
+    expect(destination.distance).toBeGreaterThan(50);
+    // ORS and OSRM snap the origin themselves, so Overpass is not asked
+    expect(origin).toBeNull();
+    expect(global.fetch.mock.calls.some(([url]) => url.includes('overpass'))).toBe(false);
+  });
+
+  test('snapToRoad searches Overpass once per point when the cached roads have nothing near', async () => {
+    const overpassRoads = {
+      elements: [
+        { type: 'node', id: 21, lat: 31.0990, lon: 77.1700 },
+        { type: 'node', id: 22, lat: 31.0990, lon: 77.1800 },
+        { type: 'way', id: 20, nodes: [21, 22], tags: { highway: 'tertiary' } }
+      ]
+    };
+    global.fetch = jest.fn(() => Promise.resolve({ ok: true, json: () => Promise.resolve(overpassRoads) }));
+
+    const snapped = await snapToRoad([31.1010, 77.1750]);
+    const again = await snapToRoad([31.10101, 77.17502]);
+
+    expect(snapped.source).toBe('overpass');
+    expect(snapped.original).toEqual([31.1010, 77.1750]);
+    expect(snapped.point[0]).toBeCloseTo(31.0990, 3);
+    expect(again.point).toEqual(snapped.point);
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+  });
+
+  test('snapToRoad skips Overpass once the request is cancelled', async () => {
+    global.fetch = jest.fn(() => Promise.resolve({ ok: true, json: () => Promise.resolve({ elements: [] }) }));
+    const controller = new AbortController();
+    controller.abort();
+
+    const snapped = await snapToRoad([31.3, 76.9], { signal: controller.signal });
+
+    expect(snapped.success).toBe(false);
+    expect(global.fetch).not.toHaveBeenCalled();
+  });
+
+  test('a shared Overpass snap keeps running for callers that did not cancel', async () => {
+    const overpassRoads = {
+      elements: [
+        { type: 'node', id: 31, lat: 31.2000, lon: 77.0000 },
+        { type: 'node', id: 32, lat: 31.2000, lon: 77.0100 },
+        { type: 'way', id: 30, nodes: [31, 32], tags: { highway: 'tertiary' } }
+      ]
+    };
+    // Like fetch, the request fails once its signal aborts
+    global.fetch = jest.fn((url, { signal }) => new Promise((resolve, reject) => {
+      signal.addEventListener('abort', () => reject(new DOMException('Aborted', 'AbortError')));
+      setTimeout(() => resolve({ ok: true, json: () => Promise.resolve(overpassRoads) }), 10);
+    }));
+    const first = new AbortController();
+    const second = new AbortController();
+
+    const cancelled = snapToRoad([31.2010, 77.0050], { signal: first.signal });
+    const kept = snapToRoad([31.2010, 77.0050], { signal: second.signal });
+    first.abort();
+
+    expect(await cancelled).toMatchObject({ success: false, aborted: true });
+    expect(await kept).toMatchObject({ success: true, source: 'overpass' });
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+    expect(global.fetch.mock.calls[0][1].signal.aborted).toBe(false);
+  });
+
+  test('a shared Overpass snap stops once every caller cancels', async () => {
+    global.fetch = jest.fn((url, { signal }) => new Promise((resolve, reject) => {
+      signal.addEventListener('abort', () => reject(new DOMException('Aborted', 'AbortError')));
+    }));
+    const first = new AbortController();
+    const second = new AbortController();
+
+    const snaps = [
+      snapToRoad([31.2510, 77.0550], { signal: first.signal }),
+      snapToRoad([31.2510, 77.0550], { signal: second.signal })
+    ];
+    first.abort();
+    second.abort();
+
+    expect((await Promise.all(snaps)).every(snap => snap.aborted)).toBe(true);
+    expect(global.fetch.mock.calls[0][1].signal.aborted).toBe(true);
+  });
+
+  test('endpoints too far from a road are not snapped', async () => {
+    global.fetch = jest.fn(() => Promise.resolve({ ok: true, json: () => Promise.resolve({ elements: [] }) }));
+
+    const snapped = await snapToRoad([31.5, 76.5], { maxDistance: 1 });
+
+    expect(snapped.success).toBe(false);
+    expect(snapped.point).toEqual([31.5, 76.5]);
+    // 500 m, then the 1 km limit
+    expect(global.fetch).toHaveBeenCalledTimes(2);
+  });
+
+  // Test provider reporting
+  test('calculateRoute reports which provider answered', async () => {
+    axios.post.mockRejectedValueOnce(new Error('API Error'));
+
+    const result = await calculateRoute([31.1048, 77.1734], [32.2396, 77.1887]);
+
+    expect(result.provider).toBe('osrm');
+    expect(result.routingMethod).toBe('osrm');
+    expect(result.providerAttempts.map(attempt => [attempt.provider, attempt.status])).toEqual([
+      ['ors', 'failed'],
+      ['osrm', 'success']
+    ]);
+  });
+
+  // Test multi-stop trips
+  test('calculateMultiStopRoute returns one leg per pair of stops', async () => {
+    axios.post.mockRejectedValueOnce(new Error('API Error'));
+    global.fetch = jest.fn(() =>
+      Promise.resolve({
+        ok: true,
+        json: () => Promise.resolve({
+          code: 'Ok',
+          routes: [{
+            distance: 30000,
+            duration: 2400,
+            geometry: { coordinates: [[77.17, 31.10], [77.20, 31.15], [77.25, 31.20]] },
+            legs: [
+              {
+                distance: 10000,
+                duration: 900,
+                steps: [{ distance: 10000, duration: 900, name: 'NH5', geometry: { coordinates: [[77.17, 31.10], [77.20, 31.15]] }, maneuver: { type: 'depart' } }]
+              },
+              {
+                distance: 20000,
+                duration: 1500,
+                steps: [{ distance: 20000, duration: 1500, name: 'NH5', geometry: { coordinates: [[77.20, 31.15], [77.25, 31.20]] }, maneuver: { type: 'arrive' } }]
+              }
+            ]
+          }]
+        })
+      })
+    );
+
+    const result = await calculateMultiStopRoute([[31.10, 77.17], [31.15, 77.20], [31.20, 77.25]], { snap: false });
+    const url = global.fetch.mock.calls[0][0];
+
+    expect(url).toContain('77.17,31.1;77.2,31.15;77.25,31.2');
+    expect(url).toContain('alternatives=false');
+    expect(result.distance).toBeCloseTo(30);
+    expect(result.providerDuration).toBe(2400);
+    expect(result.duration).toBeGreaterThan(2400);
+    expect(result.legs).toHaveLength(2);
+    expect(result.legs[1].geometry).toEqual([[31.15, 77.20], [31.20, 77.25]]);
+  });
+
+  test('calculateMultiStopRoute needs at least two stops', async () => {
+    const result = await calculateMultiStopRoute([[31.10, 77.17]]);
+    expect(result.success).toBe(false);
+  });
+
+  // Test road closures
+  test('calculateRoute avoids and reports active closures', async () => {
+    addClosure({
+      name: 'Landslide near Mandi',
+      reason: 'landslide',
+      geometry: { type: 'LineString', coordinates: [[77.17, 31.60], [77.19, 31.60]] }
+    });
+
+    const result = await calculateRoute([31.1048, 77.1734], [32.2396, 77.1887]);
+
+    expect(axios.post.mock.calls[0][1].options.avoid_polygons.type).toBe('MultiPolygon');
+    expect(result.routingMethod).toBe('osrm');
+    expect(result.closureConflicts).toEqual([
+      expect.objectContaining({ name: 'Landslide near Mandi', reason: 'landslide' })
+    ]);
+  });
+
+  // Test vehicle profiles
+  test('calculateRoute sends the vehicle profile and restrictions to ORS', async () => {
+    const start = [31.1048, 77.1734];
+    const end = [32.2396, 77.1887];
+
+    const als = await calculateRoute(start, end, { vehicle: 'als' });
+    const [url, body] = axios.post.mock.calls[0];
+
+    expect(url).toContain('/v2/directions/driving-hgv/');
+    expect(body.options.profile_params.restrictions).toMatchObject({ width: 2.1, weight: 4.2 });
+    expect(als.vehicle).toBe('als');
+    // OSRM answered with car timings, which are slowed for the ambulance
+    expect(als.travelTimeModel.speedFactor).toBe(0.85);
+
+    const bls = await calculateRoute(start, end, { vehicle: 'bls' });
+    expect(axios.post.mock.calls[1][0]).toContain('/v2/directions/driving-car/');
+    expect(bls.fromCache).toBe(false);
+    expect(bls.duration).toBeLessThan(als.duration);
+  });
+
+  // Test route caching
+  test('calculateRoute serves repeat requests from the cache', async () => {
+    const start = [31.1048, 77.1734];
+    const end = [32.2396, 77.1887];
+
+    const first = await calculateRoute(start, end);
+    const callsAfterFirst = global.fetch.mock.calls.length;
+    const second = await calculateRoute([31.10481, 77.17341], end);
+
+    expect(first.fromCache).toBe(false);
+    expect(second.fromCache).toBe(true);
+    expect(second.cacheAge).toBeGreaterThanOrEqual(0);
+    expect(second.distance).toBe(first.distance);
+    expect(global.fetch.mock.calls.length).toBe(callsAfterFirst);
+  });
+
+  test('a new closure bypasses cached routes', async () => {
+    const start = [31.1048, 77.1734];
+    const end = [32.2396, 77.1887];
+
+    await calculateRoute(start, end);
+    addClosure({
+      name: 'Snow at Jalori',
+      reason: 'snow',
+      geometry: { type: 'LineString', coordinates: [[77.37, 31.53], [77.38, 31.53]] }
+    });
+    const result = await calculateRoute(start, end);
+
+    expect(result.fromCache).toBe(false);
+  });
+
+  // Test elevation
+  test('calculateRoute keeps the ORS elevation profile', async () => {
+    axios.post.mockResolvedValueOnce({
+      data: {
+        features: [{
+          geometry: {
+            coordinates: [[77.1892, 32.2432, 2050], [77.2466, 32.3716, 3978], [77.2900, 32.3900, 3200]]
+          },
+          properties: {
+            ascent: 1928,
+            descent: 778,
+            summary: { distance: 25000, duration: 3600 },
+            segments: [{ distance: 25000, duration: 3600, steps: [] }]
+          }
+        }]
+      }
+    });
+
+    const result = await calculateRoute([32.2432, 77.1892], [32.3900, 77.2900]);
+
+    expect(result.routingMethod).toBe('ors');
+    expect(result.route[1]).toEqual([32.3716, 77.2466]);
+    expect(result.elevation.profile.map(point => point.elevation)).toEqual([2050, 3978, 3200]);
+    expect(result.elevation.highestPoint.elevation).toBe(3978);
+    expect(result.elevation.climb).toBe(1928);
+  });
+
+  // Test alternatives
+  test('calculateRoute returns ORS alternatives as comparable routes', async () => {
+    addClosure({
+      name: 'Landslide at Jalori',
+      reason: 'landslide',
+      geometry: { type: 'LineString', coordinates: [[77.375, 31.50], [77.385, 31.50]] }
+    });
+    const feature = (coordinates, distance, steps) => ({
+      geometry: { coordinates },
+      properties: {
+        ascent: 400,
+        descent: 100,
+        summary: { distance, duration: distance / 10 },
+        segments: [{ distance, duration: distance / 10, steps }]
+      }
+    });
+    axios.post.mockResolvedValueOnce({
+      data: {
+        features: [
+          feature([[77.30, 31.40, 1500], [77.30, 31.60, 1800]], 22000, [
+            { distance: 22000, duration: 2200, name: 'NH305', instruction: 'Head north on NH305', type: 11, way_points: [0, 1] }
+          ]),
+          feature([[77.30, 31.40, 1500], [77.38, 31.50, 2900], [77.30, 31.60, 1800]], 26000, [
+            { distance: 6000, duration: 600, name: 'SH 13', instruction: 'Head east on SH 13', type: 11, way_points: [0, 1] },
+            { distance: 20000, duration: 2000, name: 'Jalori Road', instruction: 'Turn left onto Jalori Road', type: 0, way_points: [1, 2] }
+          ])
+        ]
+      }
+    });
+
+    const result = await calculateRoute([31.40, 77.30], [31.60, 77.30]);
+
+    expect(axios.post.mock.calls[0][1].alternative_routes.target_count).toBeGreaterThan(1);
+    expect(result.routingMethod).toBe('ors');
+    expect(result.closureConflicts).toEqual([]);
+    expect(result.roadClasses).toEqual([expect.objectContaining({ roadClass: 'national_highway', share: 1 })]);
+
+    expect(result.alternatives).toHaveLength(1);
+    const [alternative] = result.alternatives;
+    expect(alternative.distance).toBe(26);
+    expect(alternative.providerDuration).toBe(2600);
+    expect(alternative.legs[0].steps[1].maneuver).toEqual({ type: 'turn', modifier: 'left' });
+    expect(alternative.elevation.highestPoint.elevation).toBe(2900);
+    expect(alternative.closureConflicts).toEqual([expect.objectContaining({ name: 'Landslide at Jalori' })]);
+    expect(alternative.roadClasses.map(({ roadClass }) => roadClass)).toEqual(['other_road', 'state_highway']);
+  });
+
+  // Test cancellation
+  test('calculateRoute stops without a fallback when its signal aborts', async () => {
+    const controller = new AbortController();
+    axios.post.mockRejectedValueOnce(new Error('API Error'));
+    global.fetch = jest.fn((url, { signal }) => new Promise((_, reject) => {
+      signal.addEventListener('abort', () => {
+        reject(Object.assign(new Error('The operation was aborted'), { name: 'AbortError' }));
+      });
+      setTimeout(() => controller.abort(), 0);
+    }));
+
+    const result = await calculateRoute([31.1048, 77.1734], [32.2396, 77.1887], { signal: controller.signal, snap: false });
+
+    expect(result).toMatchObject({ success: false, aborted: true });
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+    expect(global.fetch.mock.calls[0][1].signal.aborted).toBe(true);
+    expect(getProviderHealth().find(provider => provider.id === 'osrm').totalFailures).toBe(0);
+  });
+
+  // Test drive time ranking
+  test('findNearestFacilities can rank by road travel time', async () => {
+    const point = [31.1048, 77.1734];
+    const facilities = [
+      { name: 'Across the Valley', lat: 31.1050, lng: 77.1736, type: 'hospital' },
+      { name: 'Down the Road', lat: 31.1100, lng: 77.1800, type: 'hospital' }
+    ];
+    global.fetch = jest.fn(() =>
+      Promise.resolve({
+        ok: true,
+        json: () => Promise.resolve({
+          code: 'Ok',
+          durations: [[7200, 600]],
+          distances: [[40000, 1200]]
+        })
+      })
+    );
+
+    const result = await findNearestFacilities(point, facilities, { rankBy: 'duration' });
+
+    expect(global.fetch.mock.calls[0][0]).toContain('/table/v1/driving/');
+    expect(result.map(f => f.name)).toEqual(['Down the Road', 'Across the Valley']);
+    expect(result[0].driveDuration).toBe(600);
+    expect(result[0].driveDistance).toBeCloseTo(1.2);
+  });
+
+  // Test route cache pre-warming
+  test('prewarmRouteCache runs once per dataset and does not retry failed pairs', async () => {
+    axios.post.mockRejectedValue(new Error('API Error'));
+    global.fetch = jest.fn(() => Promise.reject(new Error('Network error')));
+    const facilities = [{ name: 'Regional Hospital', lat: 31.9, lng: 77.18, type: 'Tertiary' }];
+    const dispatchPoints = [{ name: 'Kullu', position: [31.9579, 77.1091] }];
+
+    const first = await prewarmRouteCache(facilities, { dispatchPoints });
+    const requests = axios.post.mock.calls.length;
+    const again = await prewarmRouteCache(facilities, { dispatchPoints });
+
+    expect(first).toMatchObject({ calculated: 0, failed: 1 });
+    expect(again).toMatchObject({ failed: 0, skipped: 1 });
+    expect(axios.post).toHaveBeenCalledTimes(requests);
+
+    const other = [{ name: 'Other Hospital', lat: 31.5, lng: 77.0, type: 'Tertiary' }];
+    await prewarmRouteCache(other, { dispatchPoints, datasetKey: 'network:1' });
+    const afterDataset = axios.post.mock.calls.length;
+    const repeated = await prewarmRouteCache(other, { dispatchPoints, datasetKey: 'network:1' });
+    expect(repeated).toEqual({ calculated: 0, cached: 0, failed: 0, skipped: 0 });
+    expect(axios.post).toHaveBeenCalledTimes(afterDataset);
+  });
+
+  // Test golden hour annotation and stabilization advice
+  test('calculateRoute annotates the golden hour status of trips to trauma care', async () => {
+    const trauma = { name: 'Regional Hospital', lat: 32.2396, lng: 77.1887, type: 'Tertiary' };
+    const result = await calculateRoute([31.1048, 77.1734], [32.2396, 77.1887], { snap: false, facility: trauma });
+
+    expect(result.goldenHour.status).toBe('exceeded');
+    expect(result.goldenHour.total).toBe(result.duration);
+
+    const clinic = { ...trauma, name: 'Village PHC', type: 'Primary' };
+    const toClinic = await calculateRoute([31.1048, 77.1734], [32.2396, 77.1887], { snap: false, facility: clinic });
+    expect(toClinic.fromCache).toBe(true);
+    expect(toClinic.goldenHour).toBeUndefined();
+  });
+
+  test('checkGoldenHour ranks several trauma candidates by drive time', async () => {
+    const point = [31.1048, 77.1734];
+    const facilities = [
+      { name: 'Over the Pass', lat: 31.15, lng: 77.18, type: 'Tertiary', emergency: true },
+      { name: 'Across the River', lat: 31.20, lng: 77.18, type: 'Tertiary', emergency: true },
+      { name: 'Down the Valley', lat: 31.25, lng: 77.18, type: 'Tertiary', emergency: true }
+    ];
+    axios.post.mockResolvedValueOnce({ data: { durations: [[9000, 8000, 1800]], distances: [[30, 25, 20]] } });
+
+    const result = await checkGoldenHour(point, facilities);
+
+    expect(axios.post.mock.calls[0][1].destinations).toEqual([1, 2, 3]);
+    expect(result.trauma.facility.name).toBe('Down the Valley');
+  });
+
+  test('checkGoldenHour suggests a stabilization point when trauma care is out of reach', async () => {
+    const point = [31.1048, 77.1734];
+    const facilities = [
+      { name: 'Regional Hospital', lat: 31.9, lng: 77.18, type: 'Tertiary', emergency: true },
+      { name: 'Village PHC', lat: 31.11, lng: 77.18, type: 'Primary', emergency: false },
+      { name: 'Civil Hospital', lat: 31.15, lng: 77.2, type: 'Secondary', emergency: true }
+    ];
+
+    const result = await checkGoldenHour(point, facilities);
+
+    expect(result.success).toBe(true);
+    expect(result.withinGoldenHour).toBe(false);
+    expect(result.trauma.facility.name).toBe('Regional Hospital');
+    expect(result.stabilization.facility.name).toBe('Civil Hospital');
+    expect(result.stabilization.totalDuration).toBe(
+      result.stabilization.duration + result.stabilization.stabilizationTime + result.stabilization.transferDuration
+    );
+  });
+
+  test('checkGoldenHour needs a trauma-capable facility', async () => {
+    const result = await checkGoldenHour([31.1048, 77.1734], [
+      { name: 'Village PHC', lat: 31.11, lng: 77.18, type: 'Primary', emergency: true }
+    ]);
+    expect(result.success).toBe(false);
+  });
+
+  // Test localized instructions
+  test('calculateRoute builds OSRM instructions in the requested language', async () => {
+    axios.post.mockRejectedValue(new Error('ORS unavailable'));
+    global.fetch.mockResolvedValue({
+      ok: true,
+      json: () => Promise.resolve({
+        routes: [{
+          distance: 1200,
+          duration: 180,
+          geometry: { coordinates: [[77.1734, 31.1048], [77.1780, 31.1030]] },
+          legs: [{
+            distance: 1200,
+            duration: 180,
+            steps: [
+              { distance: 1200, duration: 180, name: 'Cart Road', maneuver: { type: 'turn', modifier: 'left' } },
+              { distance: 0, duration: 0, name: '', maneuver: { type: 'arrive' } }
+            ]
+          }]
+        }]
+      })
+    });
+
+    const result = await calculateRoute([31.1048, 77.1734], [31.1030, 77.1780], { language: 'hi' });
+
+    expect(result.routingMethod).toBe('osrm');
+    const [turn, arrive] = result.legs[0].steps;
+    expect(turn.language).toBe('hi');
+    expect(turn.instruction).toBe('Cart Road पर बाएँ मुड़ें');
+    expect(turn.maneuver).toMatchObject({ type: 'turn', modifier: 'left' });
+    expect(arrive.instruction).toBe('अपने गंतव्य पर पहुँचें');
+  });
+});
@@ -0,0 +1,81 @@
+// Shared configuration for the routing services
+
+// Get API key from environment, supporting both Vite and Jest environments
+const getApiKey = () => {
+  if (typeof import.meta !== 'undefined' && import.meta.env) {
+    return import.meta.env.VITE_ORS_API_KEY;
+  }
+  return process.env.VITE_ORS_API_KEY;
+};
+
+export const ORS_API_KEY = getApiKey();
+export const ORS_BASE_URL = 'https://api.openrouteservice.org';
+export const OSRM_SERVERS = [
+  'https://routing.openstreetmap.de',
+  'https://osrm.server2.com',  // Add your fallback servers
+];
+export const DEFAULT_TIMEOUT = 10000; // 10 seconds
+
+// A missing key is reported once, not on every route
+let apiKeyReported = false;
+
+// Validate API key format and presence
+export const validateApiKey = () => {
+  if (ORS_API_KEY && ORS_API_KEY !== 'your_api_key_here') return true;
+
+  if (!apiKeyReported) {
+    apiKeyReported = true;
+    console.error(ORS_API_KEY
+      ? 'Please replace the placeholder API key in .env with your actual OpenRouteService API key.'
+      : 'OpenRouteService API key is missing. Please add it to your .env file.');
+  }
+  return false;
+};
+
+// District headquarters ambulances are most often dispatched from; routes
+// from these to Tertiary facilities are pre-warmed into the route cache
+export const COMMON_DISPATCH_POINTS = [
+  { name: 'Shimla', position: [31.1048, 77.1734] },
+  { name: 'Mandi', position: [31.7080, 76.9318] },
+  { name: 'Dharamshala', position: [32.2190, 76.3234] },
+  { name: 'Kullu', position: [31.9579, 77.1095] },
+  { name: 'Solan', position: [30.9045, 77.0967] },
+  { name: 'Hamirpur', position: [31.6862, 76.5213] },
+  { name: 'Una', position: [31.4685, 76.2708] },
+  { name: 'Bilaspur', position: [31.3397, 76.7573] },
+  { name: 'Chamba', position: [32.5534, 76.1258] },
+  { name: 'Nahan', position: [30.5596, 77.2961] },
+  { name: 'Keylong', position: [32.5714, 77.0320] },
+  { name: 'Reckong Peo', position: [31.5383, 78.2700] }
+];
+
+// True for errors raised by an aborted fetch or a cancelled axios request
+export const isAbortError = (error) => {
+  return error?.name === 'AbortError' || error?.name === 'CanceledError' || error?.code === 'ERR_CANCELED';
+};
+
+/**
+ * Signal that aborts after a timeout or when the caller's signal aborts
+ * @param {AbortSignal} signal Optional caller signal
+ * @param {number} timeout Timeout in ms
+ * @returns {Object} { signal, clear } where clear() stops the timer and listener
+ */
+export const createTimeoutSignal = (signal, timeout = DEFAULT_TIMEOUT) => {
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), timeout);
+  const onAbort = () => controller.abort();
+
+  if (signal?.aborted) {
+    controller.abort();
+  } else {
+    signal?.addEventListener('abort', onAbort, { once: true });
+  }
+
+  return {
+    signal: controller.signal,
+    clear: () => {
+      clearTimeout(timeoutId);
+      signal?.removeEventListener('abort', onAbort);
+    }
+  };
+};
@@ -0,0 +1,240 @@
+// Registry of routing engines tried in priority order, with per-provider
+// health tracking and circuit breakers
+import { createTimeoutSignal } from './routingConfig';
+
+const FAILURE_THRESHOLD = 3; // Consecutive failures before the circuit opens
+const COOLDOWN_PERIOD = 60000; // 1 minute before a half-open retry
+const LATENCY_SAMPLES = 10;
+
+const providers = new Map();
+
+const createHealth = () => ({
+  state: 'closed',
+  consecutiveFailures: 0,
+  totalFailures: 0,
+  totalSuccesses: 0,
+  latencies: [],
+  lastError: null,
+  lastFailureAt: null,
+  openedAt: null
+});
+
+/**
+ * Register a routing provider
+ * @param {Object} provider Provider definition
+ * @param {string} provider.id Unique id, also used as the result's routingMethod
+ * @param {string} provider.name Human readable name shown to dispatchers
+ * @param {number} provider.priority Lower numbers are tried first
+ * @param {number} provider.timeout Maximum time in ms to wait for a result
+ * @param {Function} provider.isAvailable Returns false when the provider cannot be used (e.g. no API key)
+ * @param {boolean} provider.snapsToRoad True when the service moves off-road endpoints onto its own roads
+ * @param {Function} provider.calculate (start, end, options) => raw provider result
+ * @param {Function} provider.normalize (result, options) => { success, route, distance, duration, legs }
+ */
+export const registerProvider = ({
+  id,
+  name = id,
+  priority = 100,
+  timeout = 10000,
+  isAvailable = () => true,
+  snapsToRoad = false,
+  calculate,
+  normalize = (result) => result
+}) => {
+  if (!id || typeof calculate !== 'function') {
+    throw new Error('Routing providers need an id and a calculate function');
+  }
+
+  providers.set(id, {
+    id,
+    name,
+    priority,
+    timeout,
+    isAvailable,
+    snapsToRoad,
+    calculate,
+    normalize,
+    health: providers.get(id)?.health || createHealth()
+  });
+};
+
+/**
+ * Remove a routing provider from the registry
+ * @param {string} id Provider id
+ */
+export const unregisterProvider = (id) => {
+  providers.delete(id);
+};
+
+/**
+ * Get registered providers sorted by priority
+ * @returns {Array} Providers
+ */
+export const getProviders = () => {
+  return Array.from(providers.values()).sort((a, b) => a.priority - b.priority);
+};
+
+/**
+ * Average of the recent latency samples in ms
+ */
+const averageLatency = (health) => {
+  if (health.latencies.length === 0) return null;
+  return Math.round(health.latencies.reduce((sum, value) => sum + value, 0) / health.latencies.length);
+};
+
+/**
+ * Check whether a provider may be called, moving open circuits to
+ * half-open once the cooldown has passed
+ */
+const isCircuitOpen = (provider) => {
+  const { health } = provider;
+  if (health.state !== 'open') return false;
+
+  if (Date.now() - health.openedAt >= COOLDOWN_PERIOD) {
+    health.state = 'half-open';
+    return false;
+  }
+  return true;
+};
+
+const recordSuccess = (provider, latency) => {
+  const { health } = provider;
+  health.state = 'closed';
+  health.consecutiveFailures = 0;
+  health.totalSuccesses++;
+  health.latencies = [...health.latencies, latency].slice(-LATENCY_SAMPLES);
+};
+
+const recordFailure = (provider, latency, error) => {
+  const { health } = provider;
+  health.consecutiveFailures++;
+  health.totalFailures++;
+  health.lastError = error;
+  health.lastFailureAt = Date.now();
+  health.latencies = [...health.latencies, latency].slice(-LATENCY_SAMPLES);
+
+  if (health.state === 'half-open' || health.consecutiveFailures >= FAILURE_THRESHOLD) {
+    health.state = 'open';
+    health.openedAt = Date.now();
+    console.warn(`[Providers] Circuit opened for ${provider.name} after ${health.consecutiveFailures} failures`);
+  }
+};
+
+/**
+ * Run a provider on a signal that aborts at its timeout, so a slow request is
+ * cancelled instead of left running, and reject then even if the provider
+ * ignores the signal
+ */
+const calculateWithTimeout = (provider, start, end, options) => {
+  const request = createTimeoutSignal(options.signal, provider.timeout);
+  const timer = new Promise((_, reject) => {
+    request.signal.addEventListener('abort', () => reject(new Error(`Timed out after ${provider.timeout}ms`)), { once: true });
+  });
+  const calculation = Promise.resolve(provider.calculate(start, end, { ...options, signal: request.signal }));
+  return Promise.race([calculation, timer]).finally(() => request.clear());
+};
+
+/**
+ * Try each provider in priority order until one returns a route
+ * @param {Array} start [lat, lng]
+ * @param {Array} end [lat, lng]
+ * @param {Object} options Options passed through to each provider; options.signal stops the chain
+ * @returns {Promise<Object>} { success, result, provider, attempts }, with aborted set when cancelled
+ */
+export const runProviderChain = async (start, end, options = {}) => {
+  const attempts = [];
+  const aborted = () => ({ success: false, aborted: true, result: null, provider: null, attempts });
+
+  for (const provider of getProviders()) {
+    if (options.signal?.aborted) return aborted();
+
+    if (!provider.isAvailable(options)) {
+      attempts.push({ provider: provider.id, name: provider.name, status: 'skipped', reason: 'Not configured' });
+      continue;
+    }
+
+    if (isCircuitOpen(provider)) {
+      attempts.push({ provider: provider.id, name: provider.name, status: 'skipped', reason: 'Circuit open' });
+      continue;
+    }
+
+    console.log(`[Providers] Trying ${provider.name}...`);
+    const startedAt = Date.now();
+
+    try {
+      const raw = await calculateWithTimeout(provider, start, end, options);
+      // A cancelled request says nothing about the provider's health
+      if (options.signal?.aborted) return aborted();
+
+      const result = raw?.success ? provider.normalize(raw, options) : raw;
+      const latency = Date.now() - startedAt;
+
+      if (result?.success) {
+        recordSuccess(provider, latency);
+        attempts.push({ provider: provider.id, name: provider.name, status: 'success', latency });
+        return { success: true, result, provider: provider.id, providerName: provider.name, attempts };
+      }
+
+      const reason = result?.error || 'No route returned';
+      recordFailure(provider, latency, reason);
+      attempts.push({ provider: provider.id, name: provider.name, status: 'failed', reason, latency });
+    } catch (error) {
+      if (options.signal?.aborted) return aborted();
+
+      const latency = Date.now() - startedAt;
+      recordFailure(provider, latency, error.message);
+      attempts.push({ provider: provider.id, name: provider.name, status: 'failed', reason: error.message, latency });
+      console.error(`[Providers] ${provider.name} failed:`, error);
+    }
+  }
+
+  return { success: false, result: null, provider: null, attempts };
+};
+
+/**
+ * Whether the first provider the chain would try snaps endpoints to roads itself
+ * @param {Object} options Options the route will be calculated with
+ * @returns {boolean} True when snapping before routing would only repeat the provider's work
+ */
+export const willProviderSnap = (options = {}) => {
+  const next = getProviders().find(provider => provider.isAvailable(options) && provider.health.state !== 'open');
+  return Boolean(next?.snapsToRoad);
+};
+
+/**
+ * Get a health snapshot of every registered provider
+ * @returns {Array} Provider health summaries
+ */
+export const getProviderHealth = () => {
+  return getProviders().map(provider => ({
+    id: provider.id,
+    name: provider.name,
+    priority: provider.priority,
+    state: provider.health.state,
+    consecutiveFailures: provider.health.consecutiveFailures,
+    totalFailures: provider.health.totalFailures,
+    totalSuccesses: provider.health.totalSuccesses,
+    averageLatency: averageLatency(provider.health),
+    lastError: provider.health.lastError,
+    lastFailureAt: provider.health.lastFailureAt
+  }));
+};
+
+/**
+ * Clear health history and close every circuit
+ */
+export const resetProviderHealth = () => {
+  providers.forEach(provider => {
+    provider.health = createHealth();
+  });
+};
+
+export default {
+  registerProvider,
+  unregisterProvider,
+  getProviders,
+  runProviderChain,
+  willProviderSnap,
+  getProviderHealth,
+  resetProviderHealth
+};
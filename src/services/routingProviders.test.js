@@ -0,0 +1,108 @@
+import { jest } from '@jest/globals';
+import {
+  registerProvider,
+  unregisterProvider,
+  getProviders,
+  runProviderChain,
+  getProviderHealth,
+  resetProviderHealth
+} from './routingProviders';
+
+const route = {
+  success: true,
+  route: [[31.1048, 77.1734], [31.1100, 77.1800]],
+  distance: 1,
+  duration: 120,
+  legs: []
+};
+
+describe('Routing Providers', () => {
+  beforeEach(() => {
+    getProviders().forEach(provider => unregisterProvider(provider.id));
+    resetProviderHealth();
+  });
+
+  test('providers are tried in priority order', async () => {
+    registerProvider({ id: 'slow', priority: 20, calculate: jest.fn(() => route) });
+    registerProvider({ id: 'fast', priority: 10, calculate: jest.fn(() => ({ success: false, error: 'No route' })) });
+
+    const chain = await runProviderChain([0, 0], [1, 1]);
+
+    expect(chain.provider).toBe('slow');
+    expect(chain.attempts).toEqual([
+      expect.objectContaining({ provider: 'fast', status: 'failed', reason: 'No route' }),
+      expect.objectContaining({ provider: 'slow', status: 'success' })
+    ]);
+  });
+
+  test('unavailable providers are skipped without counting as failures', async () => {
+    const calculate = jest.fn(() => route);
+    registerProvider({ id: 'keyless', priority: 10, isAvailable: () => false, calculate });
+    registerProvider({ id: 'backup', priority: 20, calculate: () => route });
+
+    const chain = await runProviderChain([0, 0], [1, 1]);
+
+    expect(calculate).not.toHaveBeenCalled();
+    expect(chain.attempts[0]).toEqual(expect.objectContaining({ status: 'skipped', reason: 'Not configured' }));
+    expect(getProviderHealth()[0].consecutiveFailures).toBe(0);
+  });
+
+  test('normalizer maps raw results to the common shape', async () => {
+    registerProvider({
+      id: 'raw',
+      calculate: () => ({ success: true, path: route.route }),
+      normalize: (raw) => ({ ...route, route: raw.path })
+    });
+
+    const chain = await runProviderChain([0, 0], [1, 1]);
+
+    expect(chain.result.route).toEqual(route.route);
+  });
+
+  test('circuit opens after repeated failures', async () => {
+    const calculate = jest.fn(() => Promise.reject(new Error('Server down')));
+    registerProvider({ id: 'flaky', priority: 10, calculate });
+    registerProvider({ id: 'backup', priority: 20, calculate: () => route });
+
+    for (let i = 0; i < 3; i++) {
+      await runProviderChain([0, 0], [1, 1]);
+    }
+    const chain = await runProviderChain([0, 0], [1, 1]);
+
+    expect(calculate).toHaveBeenCalledTimes(3);
+    expect(chain.attempts[0]).toEqual(expect.objectContaining({ provider: 'flaky', status: 'skipped', reason: 'Circuit open' }));
+    expect(getProviderHealth()[0]).toEqual(expect.objectContaining({ state: 'open', lastError: 'Server down' }));
+  });
+
+  test('slow providers time out', async () => {
+    registerProvider({
+      id: 'hanging',
+      timeout: 20,
+      calculate: () => new Promise(resolve => setTimeout(() => resolve(route), 200))
+    });
+
+    const chain = await runProviderChain([0, 0], [1, 1]);
+
+    expect(chain.success).toBe(false);
+    expect(chain.attempts[0].reason).toMatch(/Timed out/);
+  });
+
+  test('a timed out provider request is cancelled', async () => {
+    let providerSignal;
+    registerProvider({
+      id: 'hanging',
+      timeout: 20,
+      calculate: (start, end, options) => {
+        providerSignal = options.signal;
+        return new Promise(() => {});
+      }
+    });
+    const caller = new AbortController();
+
+    const chain = await runProviderChain([0, 0], [1, 1], { signal: caller.signal });
+
+    expect(chain.aborted).toBeUndefined();
+    expect(providerSignal.aborted).toBe(true);
+    expect(caller.signal.aborted).toBe(false);
+  });
+});
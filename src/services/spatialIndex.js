@@ -0,0 +1,291 @@
+// Grid spatial index shared by facility search, road snapping, the offline
+// graph, analytics and the map, so lookups only visit nearby cells
+
+// Cell edge in degrees, roughly 5 km in Himachal Pradesh
+const DEFAULT_CELL_SIZE = 0.05;
+const KM_PER_DEGREE = 111.32;
+
+const toRad = (degrees) => degrees * Math.PI / 180;
+
+/**
+ * Distance between two [lat, lng] points in km
+ */
+export const haversineDistance = (a, b) => {
+  const R = 6371;
+  const dLat = toRad(b[0] - a[0]);
+  const dLng = toRad(b[1] - a[1]);
+  const h = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRad(a[0])) * Math.cos(toRad(b[0])) * Math.sin(dLng / 2) ** 2;
+  return 2 * R * Math.atan2(Math.sqrt(h), Math.sqrt(1 - h));
+};
+
+/**
+ * Distance in km from a point to the closest point of a segment, all [lat, lng]
+ */
+export const distanceToSegment = (point, from, to) => {
+  // Flat projection around the point, fine over the length of a road segment
+  const scale = Math.cos(toRad(point[0]));
+  const [px, py] = [point[1] * scale, point[0]];
+  const [ax, ay] = [from[1] * scale, from[0]];
+  const [bx, by] = [to[1] * scale, to[0]];
+  const length2 = (bx - ax) ** 2 + (by - ay) ** 2;
+  const t = length2 === 0 ? 0 : Math.max(0, Math.min(1, ((px - ax) * (bx - ax) + (py - ay) * (by - ay)) / length2));
+  return haversineDistance(point, [ay + t * (by - ay), (ax + t * (bx - ax)) / scale]);
+};
+
+/**
+ * Bounds [[south, west], [north, east]] of a set of [lat, lng] points
+ */
+export const boundsOf = (points) => [
+  [Math.min(...points.map(point => point[0])), Math.min(...points.map(point => point[1]))],
+  [Math.max(...points.map(point => point[0])), Math.max(...points.map(point => point[1]))]
+];
+
+const boundsIntersect = (a, b) =>
+  a[0][0] <= b[1][0] && a[1][0] >= b[0][0] && a[0][1] <= b[1][1] && a[1][1] >= b[0][1];
+
+/**
+ * Uniform grid over items with bounds; an item is stored in every cell its
+ * bounds touch, so points sit in one cell and road segments in a few
+ */
+class GridIndex {
+  constructor(cellSize) {
+    this.cellSize = cellSize;
+    this.entries = [];
+    this.cells = new Map();
+    this.extent = null;
+  }
+
+  cellOf(lat, lng) {
+    return [Math.floor(lng / this.cellSize), Math.floor(lat / this.cellSize)];
+  }
+
+  insert(item, bounds) {
+    const id = this.entries.length;
+    this.entries.push({ item, bounds });
+
+    const [minX, minY] = this.cellOf(bounds[0][0], bounds[0][1]);
+    const [maxX, maxY] = this.cellOf(bounds[1][0], bounds[1][1]);
+    for (let x = minX; x <= maxX; x++) {
+      for (let y = minY; y <= maxY; y++) {
+        const key = `${x},${y}`;
+        if (!this.cells.has(key)) this.cells.set(key, []);
+        this.cells.get(key).push(id);
+      }
+    }
+
+    this.extent = this.extent
+      ? { minX: Math.min(this.extent.minX, minX), minY: Math.min(this.extent.minY, minY), maxX: Math.max(this.extent.maxX, maxX), maxY: Math.max(this.extent.maxY, maxY) }
+      : { minX, minY, maxX, maxY };
+  }
+
+  /**
+   * Ids of entries in the cells between two cell coordinates, each once
+   */
+  collect(minX, minY, maxX, maxY, seen = new Set()) {
+    const ids = [];
+    const add = (cell) => cell.forEach(id => {
+      if (!seen.has(id)) {
+        seen.add(id);
+        ids.push(id);
+      }
+    });
+
+    // Very large queries, e.g. a zoomed-out map, walk the occupied cells instead
+    if ((maxX - minX + 1) * (maxY - minY + 1) > this.cells.size) {
+      this.cells.forEach((cell, key) => {
+        const [x, y] = key.split(',').map(Number);
+        if (x >= minX && x <= maxX && y >= minY && y <= maxY) add(cell);
+      });
+    } else {
+      for (let x = minX; x <= maxX; x++) {
+        for (let y = minY; y <= maxY; y++) {
+          const cell = this.cells.get(`${x},${y}`);
+          if (cell) add(cell);
+        }
+      }
+    }
+    return ids;
+  }
+}
+
+/**
+ * Build a spatial index
+ * @param {Array} items Items to index
+ * @param {Object} options
+ * @param {Function} options.getBounds item => [[south, west], [north, east]]
+ * @param {Function} options.distance (point, item) => km, used to rank results
+ * @param {number} options.cellSize Grid cell size in degrees
+ * @returns {Object} Index with size, nearest, withinRadius and withinBounds
+ */
+export const createSpatialIndex = (items, options = {}) => {
+  const {
+    getBounds,
+    distance: defaultDistance = (point, item) => {
+      const [[south, west], [north, east]] = getBounds(item);
+      return haversineDistance(point, [(south + north) / 2, (west + east) / 2]);
+    },
+    cellSize = DEFAULT_CELL_SIZE
+  } = options;
+
+  const grid = new GridIndex(cellSize);
+  items.forEach(item => grid.insert(item, getBounds(item)));
+
+  // Lower bound in km on the distance to anything outside the first `ring` rings;
+  // a degree of longitude is shortest, so use it with a little margin
+  const ringDistance = (point, ring) =>
+    ring * cellSize * KM_PER_DEGREE * Math.cos(toRad(Math.min(89, Math.abs(point[0]) + 1)));
+
+  /**
+   * The k items closest to a point
+   * @param {Array} point [lat, lng]
+   * @param {number} k Number of items
+   * @param {Object} query { maxDistance in km, filter, distance }
+   * @returns {Array} [{ item, distance }] sorted by distance
+   */
+  const nearest = (point, k = 1, query = {}) => {
+    const { maxDistance = Infinity, filter = () => true, distance = defaultDistance } = query;
+    if (!grid.extent || k <= 0) return [];
+
+    const [cx, cy] = grid.cellOf(point[0], point[1]);
+    const { minX, minY, maxX, maxY } = grid.extent;
+    const maxRing = Math.max(cx - minX, maxX - cx, cy - minY, maxY - cy, 0);
+    const seen = new Set();
+    let found = [];
+
+    for (let ring = 0; ring <= maxRing; ring++) {
+      // Only the cells on this ring's edge are new
+      const ids = ring === 0
+        ? grid.collect(cx, cy, cx, cy, seen)
+        : [
+            ...grid.collect(cx - ring, cy - ring, cx + ring, cy - ring, seen),
+            ...grid.collect(cx - ring, cy + ring, cx + ring, cy + ring, seen),
+            ...grid.collect(cx - ring, cy - ring + 1, cx - ring, cy + ring - 1, seen),
+            ...grid.collect(cx + ring, cy - ring + 1, cx + ring, cy + ring - 1, seen)
+          ];
+
+      ids.forEach(id => {
+        const { item } = grid.entries[id];
+        if (!filter(item)) return;
+        const itemDistance = distance(point, item);
+        if (itemDistance <= maxDistance) found.push({ item, distance: itemDistance });
+      });
+      found = found.sort((a, b) => a.distance - b.distance).slice(0, k);
+
+      const bound = ringDistance(point, ring);
+      if ((found.length === k && found[k - 1].distance <= bound) || bound > maxDistance) break;
+    }
+
+    return found;
+  };
+
+  /**
+   * Items within a distance of a point
+   * @param {Array} point [lat, lng]
+   * @param {number} radius Distance in km
+   * @param {Object} query { filter, distance }
+   * @returns {Array} [{ item, distance }] sorted by distance
+   */
+  const withinRadius = (point, radius, query = {}) => {
+    const { filter = () => true, distance = defaultDistance } = query;
+    const dLat = radius / KM_PER_DEGREE;
+    const dLng = radius / (KM_PER_DEGREE * Math.max(Math.cos(toRad(Math.abs(point[0]) + dLat)), 0.01));
+    const [minX, minY] = grid.cellOf(point[0] - dLat, point[1] - dLng);
+    const [maxX, maxY] = grid.cellOf(point[0] + dLat, point[1] + dLng);
+
+    return grid.collect(minX, minY, maxX, maxY)
+      .map(id => grid.entries[id].item)
+      .filter(filter)
+      .map(item => ({ item, distance: distance(point, item) }))
+      .filter(result => result.distance <= radius)
+      .sort((a, b) => a.distance - b.distance);
+  };
+
+  /**
+   * Items whose bounds overlap a box
+   * @param {Array} bounds [[south, west], [north, east]]
+   * @returns {Array} Items
+   */
+  const withinBounds = (bounds) => {
+    const [minX, minY] = grid.cellOf(bounds[0][0], bounds[0][1]);
+    const [maxX, maxY] = grid.cellOf(bounds[1][0], bounds[1][1]);
+    return grid.collect(minX, minY, maxX, maxY)
+      .filter(id => boundsIntersect(grid.entries[id].bounds, bounds))
+      .map(id => grid.entries[id].item);
+  };
+
+  return { size: items.length, nearest, withinRadius, withinBounds };
+};
+
+/**
+ * Index of point items
+ * @param {Array} items Items to index
+ * @param {Function} getPoint item => [lat, lng]
+ * @param {Object} options { cellSize }
+ * @returns {Object} Spatial index
+ */
+export const createPointIndex = (items, getPoint, options = {}) => createSpatialIndex(items, {
+  ...options,
+  getBounds: (item) => {
+    const point = getPoint(item);
+    return [point, point];
+  },
+  distance: (point, item) => haversineDistance(point, getPoint(item))
+});
+
+// Indexes are built once per loaded dataset and reused while it is current
+const facilityIndexes = new WeakMap();
+const roadIndexes = new WeakMap();
+
+const hasCoordinates = (facility) =>
+  typeof facility.lat === 'number' && typeof facility.lng === 'number' &&
+  !isNaN(facility.lat) && !isNaN(facility.lng);
+
+/**
+ * Spatial index of facilities, built on first use for each facilities array
+ * @param {Array} facilities Facilities with lat and lng
+ * @returns {Object} Spatial index
+ */
+export const getFacilityIndex = (facilities) => {
+  if (!facilityIndexes.has(facilities)) {
+    facilityIndexes.set(
+      facilities,
+      createPointIndex(facilities.filter(hasCoordinates), facility => [facility.lat, facility.lng])
+    );
+  }
+  return facilityIndexes.get(facilities);
+};
+
+/**
+ * Spatial index of road segments, built on first use for each road network
+ * @param {Object} roadData GeoJSON FeatureCollection of LineStrings
+ * @returns {Object} Spatial index of { feature, from, to } with from and to as [lat, lng]
+ */
+export const getRoadSegmentIndex = (roadData) => {
+  if (!roadIndexes.has(roadData)) {
+    const segments = (roadData?.features || [])
+      .filter(feature => feature.geometry?.type === 'LineString')
+      .flatMap(feature => feature.geometry.coordinates.slice(1).map((coordinate, i) => ({
+        feature,
+        from: [feature.geometry.coordinates[i][1], feature.geometry.coordinates[i][0]],
+        to: [coordinate[1], coordinate[0]]
+      })));
+
+    roadIndexes.set(roadData, createSpatialIndex(segments, {
+      getBounds: segment => boundsOf([segment.from, segment.to]),
+      distance: (point, segment) => distanceToSegment(point, segment.from, segment.to)
+    }));
+    console.log(`[SpatialIndex] Indexed ${segments.length} road segments`);
+  }
+  return roadIndexes.get(roadData);
+};
+
+export default {
+  haversineDistance,
+  distanceToSegment,
+  boundsOf,
+  createSpatialIndex,
+  createPointIndex,
+  getFacilityIndex,
+  getRoadSegmentIndex
+};
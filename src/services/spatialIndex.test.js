@@ -0,0 +1,79 @@
+import {
+  haversineDistance,
+  createPointIndex,
+  getFacilityIndex,
+  getRoadSegmentIndex
+} from './spatialIndex';
+
+// Deterministic scatter of facilities across Himachal Pradesh
+const random = (() => {
+  let seed = 42;
+  return () => {
+    seed = (seed * 16807) % 2147483647;
+    return seed / 2147483647;
+  };
+})();
+
+const facilities = Array.from({ length: 500 }, (_, id) => ({
+  id,
+  type: ['Primary', 'Secondary', 'Tertiary'][id % 3],
+  lat: 30.4 + random() * 2.8,
+  lng: 75.6 + random() * 3.4
+}));
+
+const bruteForce = (point) => facilities
+  .map(facility => ({ facility, distance: haversineDistance(point, [facility.lat, facility.lng]) }))
+  .sort((a, b) => a.distance - b.distance);
+
+const shimla = [31.1048, 77.1734];
+
+describe('Spatial index', () => {
+  test('nearest-k matches a full scan', () => {
+    const index = createPointIndex(facilities, facility => [facility.lat, facility.lng]);
+    const expected = bruteForce(shimla).slice(0, 5).map(({ facility }) => facility.id);
+
+    expect(index.nearest(shimla, 5).map(({ item }) => item.id)).toEqual(expected);
+    // Points outside the indexed area still find their neighbours
+    expect(index.nearest([28.6, 77.2], 1)[0].item.id).toBe(bruteForce([28.6, 77.2])[0].facility.id);
+  });
+
+  test('nearest honours maxDistance and filters', () => {
+    const index = getFacilityIndex(facilities);
+    const tertiary = index.nearest(shimla, 3, { filter: facility => facility.type === 'Tertiary' });
+
+    expect(tertiary.every(({ item }) => item.type === 'Tertiary')).toBe(true);
+    expect(index.nearest([35, 70], 1, { maxDistance: 50 })).toEqual([]);
+    expect(getFacilityIndex(facilities)).toBe(index);
+  });
+
+  test('withinRadius and withinBounds match a full scan', () => {
+    const index = getFacilityIndex(facilities);
+    const expected = bruteForce(shimla).filter(({ distance }) => distance <= 40).map(({ facility }) => facility.id);
+    const bounds = [[31.0, 76.5], [31.5, 77.5]];
+    const inBounds = facilities
+      .filter(facility => facility.lat >= 31.0 && facility.lat <= 31.5 && facility.lng >= 76.5 && facility.lng <= 77.5)
+      .map(facility => facility.id)
+      .sort((a, b) => a - b);
+
+    expect(index.withinRadius(shimla, 40).map(({ item }) => item.id)).toEqual(expected);
+    expect(index.withinBounds(bounds).map(facility => facility.id).sort((a, b) => a - b)).toEqual(inBounds);
+    // A zoomed-out map covering far more cells than are occupied
+    expect(index.withinBounds([[0, 60], [40, 100]])).toHaveLength(facilities.length);
+  });
+
+  test('road segments are found from any cell they cross', () => {
+    const roadData = {
+      type: 'FeatureCollection',
+      features: [{
+        type: 'Feature',
+        properties: { name: 'NH 5' },
+        geometry: { type: 'LineString', coordinates: [[77.0, 31.0], [77.6, 31.0], [77.6, 31.4]] }
+      }]
+    };
+    const index = getRoadSegmentIndex(roadData);
+
+    expect(index.size).toBe(2);
+    expect(index.withinBounds([[30.95, 77.3], [31.05, 77.35]])).toHaveLength(1);
+    expect(index.nearest([31.3, 77.65], 1, { maxDistance: 10 })[0].item.to).toEqual([31.4, 77.6]);
+  });
+});
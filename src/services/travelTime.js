@@ -0,0 +1,222 @@
+// Travel time model for ambulances on hill roads: road class, gradient
+// and horizontal curvature all slow a vehicle down
+
+/**
+ * Ambulance speed profile
+ * roadSpeeds are free-flow speeds (km/h) on straight, level road by OSM highway class.
+ * uphillPenalty/downhillPenalty scale the slowdown per unit of gradient (rise/run).
+ * curvatureScale is the turning (degrees per km) that halves speed.
+ */
+export const AMBULANCE_PROFILE = {
+  id: 'ambulance',
+  name: 'Road ambulance',
+  roadSpeeds: {
+    trunk: 50,
+    primary: 40,
+    secondary: 30,
+    tertiary: 25,
+    unknown: 20
+  },
+  minSpeed: 8,
+  uphillPenalty: 6,
+  downhillPenalty: 3,
+  curvatureScale: 600
+};
+
+// fetchMajorRoads importance (1 = trunk ... 5 = other) to highway class
+const IMPORTANCE_CLASSES = ['trunk', 'primary', 'secondary', 'tertiary', 'unknown'];
+
+// Typical turning on an unmapped Himalayan hill road, used for direct-line estimates
+export const MOUNTAIN_CURVATURE = 300; // degrees per km
+
+// Straight lines understate the road distance; hill roads wind far more
+const DIRECT_DETOUR_FACTOR = 1.3;
+
+const toRad = (degrees) => degrees * Math.PI / 180;
+
+/**
+ * Distance between two [lat, lng] points in km
+ */
+const haversine = (a, b) => {
+  const R = 6371;
+  const dLat = toRad(b[0] - a[0]);
+  const dLng = toRad(b[1] - a[1]);
+  const h = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRad(a[0])) * Math.cos(toRad(b[0])) * Math.sin(dLng / 2) ** 2;
+  return 2 * R * Math.atan2(Math.sqrt(h), Math.sqrt(1 - h));
+};
+
+/**
+ * Initial bearing from one [lat, lng] point to another in degrees
+ */
+const bearing = (a, b) => {
+  const dLng = toRad(b[1] - a[1]);
+  const y = Math.sin(dLng) * Math.cos(toRad(b[0]));
+  const x = Math.cos(toRad(a[0])) * Math.sin(toRad(b[0])) -
+    Math.sin(toRad(a[0])) * Math.cos(toRad(b[0])) * Math.cos(dLng);
+  return (Math.atan2(y, x) * 180 / Math.PI + 360) % 360;
+};
+
+/**
+ * Free-flow speed for a road class
+ * @param {Object} road { highway, importance }
+ * @param {Object} profile Speed profile
+ * @returns {number} Speed in km/h
+ */
+export const getRoadSpeed = ({ highway, importance } = {}, profile = AMBULANCE_PROFILE) => {
+  const roadClass = profile.roadSpeeds[highway] !== undefined
+    ? highway
+    : IMPORTANCE_CLASSES[(importance || 5) - 1] || 'unknown';
+  return profile.roadSpeeds[roadClass] ?? profile.roadSpeeds.unknown;
+};
+
+/**
+ * Fastest speed in a profile, used by A* so its heuristic never overestimates
+ * @param {Object} profile Speed profile
+ * @returns {number} Speed in km/h
+ */
+export const getMaxSpeed = (profile = AMBULANCE_PROFILE) => Math.max(...Object.values(profile.roadSpeeds));
+
+/**
+ * Horizontal curvature of a line: total change of heading per km
+ * @param {Array} coordinates Array of [lat, lng]
+ * @returns {number} Degrees of turning per km, 0 for straight or very short lines
+ */
+export const calculateCurvature = (coordinates) => {
+  if (!Array.isArray(coordinates) || coordinates.length < 3) return 0;
+
+  let turning = 0;
+  let length = 0;
+  let previousBearing = null;
+
+  for (let i = 0; i < coordinates.length - 1; i++) {
+    const segmentLength = haversine(coordinates[i], coordinates[i + 1]);
+    if (segmentLength === 0) continue;
+
+    const currentBearing = bearing(coordinates[i], coordinates[i + 1]);
+    if (previousBearing !== null) {
+      const change = Math.abs(currentBearing - previousBearing) % 360;
+      turning += change > 180 ? 360 - change : change;
+    }
+    previousBearing = currentBearing;
+    length += segmentLength;
+  }
+
+  return length > 0 ? turning / length : 0;
+};
+
+/**
+ * Speed multiplier for a gradient
+ * @param {number} ascent Metres climbed
+ * @param {number} descent Metres descended
+ * @param {number} distance Horizontal distance in metres
+ * @param {Object} profile Speed profile
+ * @returns {number} Multiplier between 0 and 1
+ */
+export const getGradientFactor = (ascent = 0, descent = 0, distance = 0, profile = AMBULANCE_PROFILE) => {
+  if (!distance) return 1;
+  const climb = (ascent || 0) / distance;
+  const drop = (descent || 0) / distance;
+  return 1 / (1 + profile.uphillPenalty * climb + profile.downhillPenalty * drop);
+};
+
+/**
+ * Speed multiplier for horizontal curvature
+ * @param {number} curvature Degrees of turning per km
+ * @param {Object} profile Speed profile
+ * @returns {number} Multiplier between 0 and 1
+ */
+export const getCurvatureFactor = (curvature = 0, profile = AMBULANCE_PROFILE) => {
+  return 1 / (1 + curvature / profile.curvatureScale);
+};
+
+/**
+ * Estimate the time to drive a stretch of road
+ * @param {Object} segment Road description
+ * @param {number} segment.distance Length in km
+ * @param {string} segment.highway OSM highway class
+ * @param {number} segment.importance Road importance from fetchMajorRoads
+ * @param {number} segment.ascent Metres climbed
+ * @param {number} segment.descent Metres descended
+ * @param {number} segment.curvature Degrees of turning per km
+ * @param {Object} profile Speed profile
+ * @returns {number} Duration in seconds
+ */
+export const estimateSegmentDuration = (segment, profile = AMBULANCE_PROFILE) => {
+  const { distance, ascent = 0, descent = 0, curvature = 0 } = segment;
+  if (!distance) return 0;
+
+  const speed = Math.max(
+    profile.minSpeed,
+    getRoadSpeed(segment, profile) *
+      getGradientFactor(ascent, descent, distance * 1000, profile) *
+      getCurvatureFactor(curvature, profile)
+  );
+
+  return (distance / speed) * 3600;
+};
+
+/**
+ * Estimate the time to cover a straight-line distance when no road route is known
+ * @param {number} distance Straight-line distance in km
+ * @param {boolean} isMountainous Assume winding hill roads
+ * @param {Object} profile Speed profile
+ * @returns {number} Duration in seconds
+ */
+export const estimateDirectDuration = (distance, isMountainous = false, profile = AMBULANCE_PROFILE) => {
+  return estimateSegmentDuration({
+    distance: distance * DIRECT_DETOUR_FACTOR,
+    highway: 'tertiary',
+    curvature: isMountainous ? MOUNTAIN_CURVATURE : 0
+  }, profile);
+};
+
+/**
+ * Adjust a provider's route durations for gradient and curvature
+ * Provider engines assume a car on a level road; the slowdown, and the
+ * profile's speedFactor for other vehicles, is applied evenly to the legs
+ * and steps so their totals still add up.
+ * @param {Object} result Route in the common shape (distance in km, duration in s)
+ * @param {Object} profile Speed profile
+ * @returns {Object} Route with adjusted durations, the original in providerDuration
+ */
+export const applyTravelTimeModel = (result, profile = AMBULANCE_PROFILE) => {
+  if (!result?.success || !result.duration) return result;
+
+  const curvature = calculateCurvature(result.route);
+  const gradientFactor = getGradientFactor(result.ascent, result.descent, result.distance * 1000, profile);
+  const curvatureFactor = getCurvatureFactor(curvature, profile);
+  const speedFactor = profile.speedFactor ?? 1;
+  const scale = 1 / (gradientFactor * curvatureFactor * speedFactor);
+
+  return {
+    ...result,
+    duration: result.duration * scale,
+    providerDuration: result.duration,
+    legs: (result.legs || []).map(leg => ({
+      ...leg,
+      duration: leg.duration * scale,
+      steps: (leg.steps || []).map(step => ({ ...step, duration: step.duration * scale }))
+    })),
+    travelTimeModel: {
+      profile: profile.id,
+      curvature: Math.round(curvature),
+      gradientFactor,
+      curvatureFactor,
+      speedFactor
+    }
+  };
+};
+
+export default {
+  AMBULANCE_PROFILE,
+  MOUNTAIN_CURVATURE,
+  getRoadSpeed,
+  getMaxSpeed,
+  calculateCurvature,
+  getGradientFactor,
+  getCurvatureFactor,
+  estimateSegmentDuration,
+  estimateDirectDuration,
+  applyTravelTimeModel
+};
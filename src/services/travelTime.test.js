@@ -0,0 +1,61 @@
+import {
+  calculateCurvature,
+  estimateSegmentDuration,
+  estimateDirectDuration,
+  applyTravelTimeModel
+} from './travelTime';
+import { buildRoadGraph } from './localRouting';
+
+// Hairpins climbing out of Shimla towards Kufri
+const hairpins = [
+  [31.100, 77.170], [31.102, 77.172], [31.100, 77.174],
+  [31.102, 77.176], [31.100, 77.178], [31.102, 77.180]
+];
+
+describe('Travel time model', () => {
+  test('calculateCurvature is zero for straight roads and high for hairpins', () => {
+    expect(calculateCurvature([[31.0, 77.0], [31.1, 77.0], [31.2, 77.0]])).toBeCloseTo(0);
+    expect(calculateCurvature(hairpins)).toBeGreaterThan(200);
+  });
+
+  test('road class, climbing and curvature all slow the estimate', () => {
+    const level = estimateSegmentDuration({ distance: 10, highway: 'primary' });
+
+    expect(estimateSegmentDuration({ distance: 10, importance: 1 })).toBeLessThan(level);
+    expect(estimateSegmentDuration({ distance: 10, highway: 'primary', ascent: 600 })).toBeGreaterThan(level);
+    expect(estimateSegmentDuration({ distance: 10, highway: 'primary', curvature: 400 })).toBeGreaterThan(level);
+    expect(estimateDirectDuration(10, true)).toBeGreaterThan(estimateDirectDuration(10, false));
+  });
+
+  test('applyTravelTimeModel scales legs and steps with the route', () => {
+    const result = applyTravelTimeModel({
+      success: true,
+      route: hairpins,
+      distance: 1.2,
+      duration: 120,
+      ascent: 80,
+      descent: 0,
+      legs: [{ distance: 1200, duration: 120, steps: [{ distance: 1200, duration: 120 }] }]
+    });
+
+    expect(result.providerDuration).toBe(120);
+    expect(result.duration).toBeGreaterThan(120);
+    expect(result.legs[0].duration).toBeCloseTo(result.duration);
+    expect(result.legs[0].steps[0].duration).toBeCloseTo(result.duration);
+  });
+
+  test('graph edges with altitude cost more uphill than downhill', () => {
+    const graph = buildRoadGraph({
+      type: 'FeatureCollection',
+      features: [{
+        type: 'Feature',
+        properties: { highway: 'secondary', name: 'Kufri Road' },
+        geometry: { type: 'LineString', coordinates: [[77.17, 31.10, 2200], [77.20, 31.10, 2500]] }
+      }]
+    });
+
+    const [up] = graph.adjacency.get('31.100000,77.170000');
+    const [down] = graph.adjacency.get('31.100000,77.200000');
+    expect(up.duration).toBeGreaterThan(down.duration);
+  });
+});
@@ -0,0 +1,198 @@
+// Vehicle classes sent to emergencies and how each maps onto the routing
+// engines and the offline road graph
+import { AMBULANCE_PROFILE } from './travelTime';
+
+/**
+ * Vehicle profiles
+ * speedFactor scales car speeds for the vehicle.
+ * surfaces lists the road surfaces it can use ('paved', 'unpaved').
+ * allowTracks lets it use highway=track.
+ * limits are its width and height in metres and its weight in tonnes.
+ * ors.profile and ors.restrictions are sent to OpenRouteService; ors.speedFactor
+ * overrides speedFactor when that profile already models the vehicle's speed.
+ * osrm is the OSRM profile; public servers only offer 'driving', so limits
+ * are only enforced by ORS and the offline graph.
+ */
+export const VEHICLE_PROFILES = {
+  bls: {
+    id: 'bls',
+    name: 'BLS van',
+    description: 'Basic life support van',
+    ors: { profile: 'driving-car' },
+    osrm: 'driving',
+    speedFactor: 1,
+    surfaces: ['paved'],
+    allowTracks: false,
+    limits: { width: 1.7, height: 2.0, weight: 2.0 }
+  },
+  als: {
+    id: 'als',
+    name: 'ALS ambulance',
+    description: 'Advanced life support ambulance',
+    ors: {
+      profile: 'driving-hgv',
+      vehicleType: 'hgv',
+      restrictions: { width: 2.1, height: 2.8, weight: 4.2, length: 6.2 },
+      speedFactor: 1
+    },
+    osrm: 'driving',
+    speedFactor: 0.85,
+    surfaces: ['paved'],
+    allowTracks: false,
+    limits: { width: 2.1, height: 2.8, weight: 4.2 }
+  },
+  '4x4': {
+    id: '4x4',
+    name: '4x4 jeep',
+    description: 'Four-wheel drive for unpaved roads and tracks',
+    ors: { profile: 'driving-car' },
+    osrm: 'driving',
+    speedFactor: 0.95,
+    surfaces: ['paved', 'unpaved'],
+    allowTracks: true,
+    limits: { width: 1.8, height: 2.0, weight: 2.5 }
+  },
+  bike: {
+    id: 'bike',
+    name: 'First responder bike',
+    description: 'Motorcycle first responder',
+    // ORS has no motorcycle profile
+    ors: { profile: 'driving-car' },
+    osrm: 'driving',
+    speedFactor: 1.1,
+    surfaces: ['paved', 'unpaved'],
+    allowTracks: true,
+    limits: { width: 0.8, height: 1.3, weight: 0.3 },
+    // Bikes lose less speed on hairpins than four-wheelers
+    curvatureScale: 900
+  }
+};
+
+export const DEFAULT_VEHICLE = 'bls';
+
+const STORAGE_KEY = 'gshealth.vehicle';
+
+// Speed on tracks for vehicles allowed on them, before speedFactor
+const TRACK_SPEED = 15; // km/h
+
+const UNPAVED_SURFACES = [
+  'unpaved', 'gravel', 'fine_gravel', 'compacted', 'dirt', 'earth',
+  'ground', 'mud', 'sand', 'grass', 'pebblestone', 'rock'
+];
+
+/**
+ * Look up a vehicle profile, falling back to the default vehicle
+ * @param {string|Object} vehicle Profile id or profile
+ * @returns {Object} Vehicle profile
+ */
+export const getVehicleProfile = (vehicle) => {
+  if (vehicle && typeof vehicle === 'object') return vehicle;
+  return VEHICLE_PROFILES[vehicle] || VEHICLE_PROFILES[DEFAULT_VEHICLE];
+};
+
+/**
+ * Saved vehicle for the routing panel, falling back to the default vehicle
+ */
+export const getPreferredVehicle = () => {
+  try {
+    const saved = typeof localStorage !== 'undefined' && localStorage.getItem(STORAGE_KEY);
+    return VEHICLE_PROFILES[saved] ? saved : DEFAULT_VEHICLE;
+  } catch (error) {
+    return DEFAULT_VEHICLE;
+  }
+};
+
+/**
+ * Remember the vehicle picked in the routing panel
+ * @param {string} vehicle Profile id
+ */
+export const setPreferredVehicle = (vehicle) => {
+  try {
+    if (typeof localStorage !== 'undefined') {
+      localStorage.setItem(STORAGE_KEY, vehicle);
+    }
+  } catch (error) {
+    console.warn('[Vehicles] Could not save vehicle:', error);
+  }
+};
+
+/**
+ * Travel time speed profile for a vehicle
+ * @param {string|Object} vehicle Profile id or profile
+ * @param {string} provider Routing provider whose durations will be adjusted
+ * @returns {Object} Speed profile for travelTime, carrying the vehicle
+ */
+export const getSpeedProfile = (vehicle, provider) => {
+  const profile = getVehicleProfile(vehicle);
+  const speedFactor = provider === 'ors' ? profile.ors.speedFactor ?? profile.speedFactor : profile.speedFactor;
+  const roadSpeeds = Object.fromEntries(
+    Object.entries({
+      ...AMBULANCE_PROFILE.roadSpeeds,
+      ...(profile.allowTracks && { track: TRACK_SPEED })
+    }).map(([roadClass, speed]) => [roadClass, speed * profile.speedFactor])
+  );
+
+  return {
+    ...AMBULANCE_PROFILE,
+    id: profile.id,
+    name: profile.name,
+    roadSpeeds,
+    speedFactor,
+    curvatureScale: profile.curvatureScale ?? AMBULANCE_PROFILE.curvatureScale,
+    vehicle: profile
+  };
+};
+
+/**
+ * OpenRouteService profile and request options for a vehicle
+ * @param {string|Object} vehicle Profile id or profile
+ * @returns {Object} { profile, options } where options go in the request's options
+ */
+export const getORSOptions = (vehicle) => {
+  const { ors } = getVehicleProfile(vehicle);
+  return {
+    profile: ors.profile,
+    options: ors.restrictions
+      ? { vehicle_type: ors.vehicleType, profile_params: { restrictions: ors.restrictions } }
+      : {}
+  };
+};
+
+/**
+ * Numeric value of an OSM limit tag such as "2.5", "2.5 m" or "7 t"
+ * Values in other units or "none" are treated as no limit.
+ */
+const parseLimit = (value) => {
+  if (value === undefined || value === null) return Infinity;
+  const match = String(value).trim().match(/^(\d+(?:\.\d+)?)\s*(m|t)?$/);
+  return match ? parseFloat(match[1]) : Infinity;
+};
+
+/**
+ * Check whether a vehicle may use a road
+ * @param {Object} properties Road properties with OSM highway, surface, maxwidth, maxheight and maxweight
+ * @param {string|Object} vehicle Profile id or profile
+ * @returns {boolean} True when the road suits the vehicle
+ */
+export const isRoadAllowed = (properties = {}, vehicle) => {
+  const profile = getVehicleProfile(vehicle);
+
+  if (properties.highway === 'track' && !profile.allowTracks) return false;
+  if (UNPAVED_SURFACES.includes(properties.surface) && !profile.surfaces.includes('unpaved')) return false;
+
+  const { width, height, weight } = profile.limits;
+  return parseLimit(properties.maxwidth) >= width &&
+    parseLimit(properties.maxheight) >= height &&
+    parseLimit(properties.maxweight) >= weight;
+};
+
+export default {
+  VEHICLE_PROFILES,
+  DEFAULT_VEHICLE,
+  getVehicleProfile,
+  getPreferredVehicle,
+  setPreferredVehicle,
+  getSpeedProfile,
+  getORSOptions,
+  isRoadAllowed
+};
@@ -0,0 +1,65 @@
+import { getVehicleProfile, getSpeedProfile, getORSOptions, isRoadAllowed } from './vehicleProfiles';
+import { buildRoadGraph } from './localRouting';
+
+// A highway into Rohru with an unpaved track and a narrow bridge branching off
+const roadData = {
+  type: 'FeatureCollection',
+  features: [
+    {
+      type: 'Feature',
+      properties: { highway: 'primary', name: 'NH 705' },
+      geometry: { type: 'LineString', coordinates: [[77.70, 31.20], [77.75, 31.20]] }
+    },
+    {
+      type: 'Feature',
+      properties: { highway: 'track', surface: 'gravel', name: 'Orchard track' },
+      geometry: { type: 'LineString', coordinates: [[77.75, 31.20], [77.75, 31.22]] }
+    },
+    {
+      type: 'Feature',
+      properties: { highway: 'tertiary', name: 'Old bridge', maxwidth: '2 m' },
+      geometry: { type: 'LineString', coordinates: [[77.75, 31.20], [77.77, 31.20]] }
+    }
+  ]
+};
+
+const edgeNames = (graph) => new Set(
+  Array.from(graph.adjacency.values()).flat().map(edge => edge.name)
+);
+
+describe('Vehicle profiles', () => {
+  test('unknown vehicles fall back to the BLS van', () => {
+    expect(getVehicleProfile('tank').id).toBe('bls');
+    expect(getVehicleProfile(undefined).id).toBe('bls');
+  });
+
+  test('isRoadAllowed checks tracks, surfaces and size limits', () => {
+    expect(isRoadAllowed({ highway: 'track' }, 'bls')).toBe(false);
+    expect(isRoadAllowed({ highway: 'track' }, '4x4')).toBe(true);
+    expect(isRoadAllowed({ highway: 'tertiary', surface: 'dirt' }, 'als')).toBe(false);
+    expect(isRoadAllowed({ highway: 'tertiary', maxwidth: '2 m' }, 'als')).toBe(false);
+    expect(isRoadAllowed({ highway: 'tertiary', maxwidth: '2 m' }, 'bls')).toBe(true);
+    expect(isRoadAllowed({ highway: 'tertiary', maxweight: 'none' }, 'als')).toBe(true);
+  });
+
+  test('the offline graph only keeps roads the vehicle can use', () => {
+    expect(edgeNames(buildRoadGraph(roadData, getSpeedProfile('als')))).toEqual(new Set(['NH 705']));
+    expect(edgeNames(buildRoadGraph(roadData, getSpeedProfile('bls')))).toEqual(new Set(['NH 705', 'Old bridge']));
+    expect(edgeNames(buildRoadGraph(roadData, getSpeedProfile('4x4'))).has('Orchard track')).toBe(true);
+  });
+
+  test('speed profiles scale road speeds, except where ORS already models the vehicle', () => {
+    expect(getSpeedProfile('als').roadSpeeds.primary).toBeLessThan(getSpeedProfile('bls').roadSpeeds.primary);
+    expect(getSpeedProfile('als', 'osrm').speedFactor).toBe(0.85);
+    expect(getSpeedProfile('als', 'ors').speedFactor).toBe(1);
+    expect(getSpeedProfile('bike').roadSpeeds.track).toBeGreaterThan(0);
+  });
+
+  test('getORSOptions maps the ALS ambulance onto the HGV profile', () => {
+    expect(getORSOptions('bls')).toEqual({ profile: 'driving-car', options: {} });
+    expect(getORSOptions('als')).toMatchObject({
+      profile: 'driving-hgv',
+      options: { vehicle_type: 'hgv', profile_params: { restrictions: { height: 2.8 } } }
+    });
+  });
+});